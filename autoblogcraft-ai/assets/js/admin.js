@@ -12,13 +12,67 @@
     const AutoBlogCraft = {
         
         /**
-         * AI Model Mapping
+         * AI model catalog, keyed by provider (loaded from abc_get_model_catalog)
          */
-        models: {
-            'openai': ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo'],
-            'gemini': ['gemini-1.5-pro', 'gemini-1.5-flash'],
-            'claude': ['claude-3-5-sonnet', 'claude-3-opus'],
-            'deepseek': ['deepseek-chat', 'deepseek-coder']
+        modelCatalog: null,
+        modelCatalogRequest: null,
+        renderedProvider: undefined,
+
+        /**
+         * Step wizard state (new campaign screen)
+         */
+        $wizard: null,
+        wizardSteps: [],
+        wizardIndex: 0,
+
+        /**
+         * Wizard draft autosave (localStorage + server-side draft record)
+         */
+        draftStorageKey: 'abc_campaign_wizard_draft',
+        draftTimer: null,
+        draftRequest: null,
+        draftDirty: false,
+        draftsReady: false,
+
+        /**
+         * Debounce timer for the schedule preview
+         */
+        schedulePreviewTimer: null,
+
+        /**
+         * Prompt template preview state
+         */
+        promptPreviewTimer: null,
+        promptPreviewRequest: null,
+        promptSampleOffset: 0,
+
+        /**
+         * Cost estimator state
+         */
+        costEstimateTimer: null,
+        costEstimateRequest: null,
+
+        /**
+         * Campaigns per bulk action request, and the cancel flag checked between them
+         */
+        bulkChunkSize: 5,
+        bulkCancelled: false,
+
+        /**
+         * Campaign bundle JSON being imported (validated by the last preview)
+         */
+        importBundle: null,
+
+        /**
+         * Source validators: AJAX action and the POST field carrying the value
+         */
+        validators: {
+            rss: { action: 'abc_validate_rss_feed', param: 'url', label: 'Validate Feed' },
+            url: { action: 'abc_validate_url', param: 'url', label: 'Validate URL' },
+            youtube_channel: { action: 'abc_validate_youtube', param: 'value', extra: { type: 'channel' }, label: 'Validate' },
+            youtube_playlist: { action: 'abc_validate_youtube', param: 'value', extra: { type: 'playlist' }, label: 'Validate' },
+            amazon_category: { action: 'abc_validate_amazon_category', param: 'value', label: 'Validate' },
+            news_keywords: { action: 'abc_validate_news_query', param: 'value', label: 'Test Query' }
         },
 
         /**
@@ -29,11 +83,16 @@
             this.initFilters();
             this.initForms();
             this.initBulkActions();
+            this.initCampaignImport();
             this.initWizard();
             this.initAdvancedFeatures();
+            this.initTestPost();
             
             // Initial UI state checks
             this.checkInitialStates();
+
+            // Restore after every handler is bound so restored fields drive the UI
+            this.initDrafts();
         },
 
         /**
@@ -55,8 +114,29 @@
 
             // Campaign actions (Direct and Bound)
             $('.abc-campaign-action').on('click', this.handleCampaignAction.bind(this, 'action'));
-            $('.abc-pause-campaign').on('click', this.handleCampaignAction.bind(this, 'pause'));
-            $('.abc-activate-campaign').on('click', this.handleCampaignAction.bind(this, 'activate'));
+            // Delegated: bulk actions swap these buttons in place
+            $(document).on('click', '.abc-pause-campaign', this.handleCampaignAction.bind(this, 'pause'));
+            $(document).on('click', '.abc-activate-campaign', this.handleCampaignAction.bind(this, 'activate'));
+
+            // Discard wizard drafts from the campaigns list
+            $('.abc-drafts-list').on('click', '.abc-discard-draft', function(e) {
+                e.preventDefault();
+                const $item = $(this).closest('.abc-draft-item');
+
+                if (!confirm(abcAdmin.strings.confirm_discard_draft || 'Discard this draft?')) return;
+
+                self.discardDraft($(this).data('draft-id')).then(function() {
+                    $item.fadeOut(200, function() {
+                        const $card = $item.closest('.abc-drafts-card');
+                        $item.remove();
+                        if (!$card.find('.abc-draft-item').length) {
+                            $card.remove();
+                        }
+                    });
+                }, function() {
+                    alert(abcAdmin.strings.error || 'An error occurred');
+                });
+            });
 
             // Confirm deletes
             $('button[name="abc_delete_api_key"]').on('click', function(e) {
@@ -102,6 +182,209 @@
             $('#abc-status-filter, #abc-campaign-filter').on('change', function() {
                 $('#abc-apply-filters').trigger('click');
             });
+
+            if ($('.abc-campaign-filters').length) {
+                this.initCampaignListFilters();
+            }
+        },
+
+        /**
+         * Campaigns list: filter, search and sort rows in place, mirroring state in the URL
+         */
+        initCampaignListFilters: function() {
+            const self = this;
+            const $filters = $('.abc-campaign-filters');
+            const $preset = $('#abc-filter-preset');
+            const url = new URL(window.location.href);
+            const initial = {};
+
+            $filters.find('[data-param]').each(function() {
+                const param = $(this).data('param');
+                if (url.searchParams.get(param)) {
+                    initial[param] = url.searchParams.get(param);
+                }
+            });
+            this.setListFilterState(initial);
+
+            $filters.on('input change', 'input[data-param], select[data-param]', function() {
+                $preset.val('').trigger('abc:preset-changed');
+                self.applyCampaignFilters();
+            });
+
+            $filters.on('click', '.abc-sort-order', function() {
+                const state = self.getListFilterState();
+                state.order = state.order === 'asc' ? '' : 'asc';
+                self.setListFilterState(state);
+                self.applyCampaignFilters();
+            });
+
+            $filters.on('click', '.abc-clear-list-filters', function() {
+                $preset.val('').trigger('abc:preset-changed');
+                self.setListFilterState({});
+                self.applyCampaignFilters();
+            });
+
+            $preset.on('change', function() {
+                const filters = $(this).find(':selected').data('filters');
+                if (filters) {
+                    self.setListFilterState(filters);
+                    self.applyCampaignFilters();
+                }
+                $(this).trigger('abc:preset-changed');
+            }).on('abc:preset-changed', function() {
+                $filters.find('.abc-delete-preset').toggleClass('abc-hidden', !$(this).val());
+            });
+
+            $filters.on('click', '.abc-save-preset', function() {
+                const name = window.prompt(abcAdmin.strings.preset_name || 'Name this filter preset:');
+                if (name && $.trim(name)) {
+                    self.saveFilterPreset($.trim(name));
+                }
+            });
+
+            $filters.on('click', '.abc-delete-preset', function() {
+                const $option = $preset.find(':selected');
+                if (!$option.val() || !confirm(abcAdmin.strings.confirm_delete_preset || 'Delete this preset?')) return;
+
+                $.post(abcAdmin.ajax_url, {
+                    action: 'abc_delete_filter_preset',
+                    nonce: abcAdmin.nonce,
+                    screen: 'campaigns',
+                    slug: $option.val()
+                }).done(function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+                    $option.remove();
+                    $preset.val('').trigger('abc:preset-changed');
+                });
+            });
+
+            this.applyCampaignFilters();
+        },
+
+        /**
+         * Current list filter values keyed by URL parameter (empty values omitted)
+         */
+        getListFilterState: function() {
+            const state = {};
+
+            $('.abc-campaign-filters [data-param]').each(function() {
+                const $control = $(this);
+                const value = $control.is('button') ? $control.attr('data-value') : $.trim($control.val());
+                if (value) {
+                    state[$control.data('param')] = value;
+                }
+            });
+
+            // Descending is the default, so only ascending needs to be kept
+            if (state.order !== 'asc') {
+                delete state.order;
+            }
+
+            return state;
+        },
+
+        setListFilterState: function(state) {
+            $('.abc-campaign-filters [data-param]').each(function() {
+                const $control = $(this);
+                const value = state[$control.data('param')] || '';
+
+                if ($control.is('button')) {
+                    const asc = value === 'asc';
+                    $control.attr('data-value', asc ? 'asc' : 'desc')
+                        .find('.dashicons')
+                        .toggleClass('dashicons-arrow-up-alt', asc)
+                        .toggleClass('dashicons-arrow-down-alt', !asc);
+                } else {
+                    $control.val(value);
+                }
+            });
+        },
+
+        /**
+         * Show matching campaign rows, reorder them and update the URL
+         */
+        applyCampaignFilters: function() {
+            const state = this.getListFilterState();
+            const search = (state.search || '').toLowerCase();
+            const $tbody = $('.abc-campaigns-table tbody');
+            const $rows = $tbody.children('.abc-campaign-row');
+            const sortKeys = { title: 'title', last_run: 'last-run', posts: 'posts', queue: 'queue', failure_rate: 'failure-rate' };
+            const key = sortKeys[state.orderby] || 'date';
+            const direction = state.order === 'asc' ? 1 : -1;
+            let visible = 0;
+
+            $rows.each(function() {
+                const $row = $(this);
+                const match = (!search || String($row.data('title')).toLowerCase().indexOf(search) !== -1)
+                    && (!state.status || $row.data('status') === state.status)
+                    && (!state.type || $row.data('type') === state.type)
+                    && (!state.health || $row.data('health') === state.health);
+
+                $row.toggle(match);
+                if (match) {
+                    visible++;
+                } else {
+                    $row.find('.abc-campaign-checkbox').prop('checked', false);
+                }
+            });
+
+            const sorted = $rows.get().sort(function(a, b) {
+                const va = $(a).data(key);
+                const vb = $(b).data(key);
+                const cmp = key === 'title' ? String(va).localeCompare(String(vb)) : (Number(va) || 0) - (Number(vb) || 0);
+                return cmp * direction;
+            });
+            $tbody.append(sorted);
+
+            $('.abc-filter-empty').toggleClass('abc-hidden', visible > 0 || !$rows.length);
+
+            const url = new URL(window.location.href);
+            $('.abc-campaign-filters [data-param]').each(function() {
+                const param = $(this).data('param');
+                if (state[param]) {
+                    url.searchParams.set(param, state[param]);
+                } else {
+                    url.searchParams.delete(param);
+                }
+            });
+            window.history.replaceState(null, '', url.toString());
+        },
+
+        /**
+         * Save the current filters as a named preset (same name overwrites)
+         */
+        saveFilterPreset: function(name) {
+            const $preset = $('#abc-filter-preset');
+
+            $.post(abcAdmin.ajax_url, {
+                action: 'abc_save_filter_preset',
+                nonce: abcAdmin.nonce,
+                screen: 'campaigns',
+                name: name,
+                filters: this.getListFilterState()
+            }).done(function(response) {
+                if (!response.success) {
+                    alert(response.data.message);
+                    return;
+                }
+
+                const preset = response.data.preset;
+                let $option = $preset.find('option').filter(function() {
+                    return $(this).val() === preset.slug;
+                });
+
+                if (!$option.length) {
+                    $option = $('<option></option>').val(preset.slug).appendTo($preset);
+                }
+
+                $option.text(preset.name).data('filters', preset.filters);
+                $preset.val(preset.slug).trigger('abc:preset-changed');
+            }).fail(function() {
+                alert(abcAdmin.strings.error || 'An error occurred');
+            });
         },
 
         /**
@@ -110,8 +393,9 @@
         initBulkActions: function() {
             const self = this;
 
+            // Only rows left visible by the list filters
             $('#abc-select-all').on('change', function() {
-                $('.abc-campaign-checkbox').prop('checked', $(this).prop('checked'));
+                $('.abc-campaign-checkbox:visible').prop('checked', $(this).prop('checked'));
             });
 
             $('#abc-bulk-action-apply').on('click', function() {
@@ -121,23 +405,35 @@
                 }).get();
 
                 if (!action) {
-                    alert('Please select an action.');
+                    alert(abcAdmin.strings.select_bulk_action || 'Please select an action.');
                     return;
                 }
 
                 if (selected.length === 0) {
-                    alert('Please select at least one campaign.');
+                    alert(abcAdmin.strings.select_campaigns || 'Please select at least one campaign.');
                     return;
                 }
 
                 if (action === 'delete') {
-                    if (!confirm('Are you sure you want to delete ' + selected.length + ' campaign(s)?')) {
+                    if (!confirm((abcAdmin.strings.confirm_bulk_delete || 'Are you sure you want to delete %d campaign(s)?').replace('%d', selected.length))) {
                         return;
                     }
                 }
 
+                if (action === 'export') {
+                    self.exportCampaigns(selected);
+                    return;
+                }
+
                 self.handleBulkAction(action, selected);
             });
+
+            $('#abc-bulk-progress').on('click', '.abc-bulk-cancel', function() {
+                self.bulkCancelled = true;
+                $(this).prop('disabled', true);
+            }).on('click', '.abc-bulk-dismiss', function() {
+                $('#abc-bulk-progress').addClass('abc-hidden');
+            });
         },
 
         /**
@@ -185,6 +481,12 @@
                 self.validateField($input, type);
             });
 
+            // Sample items for a validated feed or URL
+            $(document).on('click', '.abc-preview-source', function(e) {
+                e.preventDefault();
+                self.toggleSourcePreview($(this));
+            });
+
             // Auto-validate on blur
             $('.abc-validate-field').on('blur', function() {
                 const type = $(this).data('validation');
@@ -192,191 +494,1801 @@
                     self.validateField($(this), type);
                 }
             });
+
+            if ($('#abc-wizard-form').length) {
+                this.initStepWizard();
+            }
         },
 
         /**
-         * Custom Interval, API Refresh, and Model Population
+         * Step-by-step creation: Back/Next, per-step validation, review
          */
-        initAdvancedFeatures: function() {
+        initStepWizard: function() {
             const self = this;
 
-            // 1. Custom Interval Logic
-            $('#use-custom-interval').on('change', function() {
-                if ($(this).is(':checked')) {
-                    $('#discovery-interval-select').prop('disabled', true);
-                    $('#custom-interval-inputs').removeClass('abc-hidden');
-                    self.updateCustomString();
-                } else {
-                    $('#discovery-interval-select').prop('disabled', false);
-                    $('#custom-interval-inputs').addClass('abc-hidden');
-                    $('#discovery-interval-custom').val('');
-                }
-            });
-
-            $('#custom-hours, #custom-minutes').on('input', this.updateCustomString.bind(this));
+            this.$wizard = $('#abc-wizard-form');
+            this.wizardSteps = this.$wizard.find('.abc-wizard-panel').map(function() {
+                return $(this).data('step');
+            }).get();
 
-            // 2. Refresh API Keys
-            $('#refresh-api-keys').on('click', function() {
+            this.$wizard.on('click', '.abc-wizard-next', function() {
                 const $btn = $(this);
-                $btn.addClass('abc-spin');
-                
-                $.post(ajaxurl, { 
-                    action: 'abc_refresh_api_keys', 
-                    nonce: abcAdmin.nonce 
-                }, function(res) {
-                    $btn.removeClass('abc-spin');
-                    if(res.success) {
-                        let $select = $('#ai-api-key-select').empty();
-                        $select.append(new Option('Select API Key...', ''));
-                        res.data.forEach(key => {
-                            let opt = new Option(key.key_name, key.id);
-                            $(opt).data('provider', key.provider);
-                            $select.append(opt);
-                        });
+                const step = self.wizardSteps[self.wizardIndex];
+
+                $btn.prop('disabled', true);
+                self.validateWizardStep(step).then(function(valid) {
+                    $btn.prop('disabled', false);
+                    if (valid) {
+                        self.goToStep(self.wizardIndex + 1);
                     } else {
-                        alert('Failed to refresh keys');
+                        self.focusFirstError();
                     }
                 });
             });
 
-            // 3. AI Model Population based on selected Key
-            $('#ai-api-key-select').on('change', this.updateModels.bind(this));
+            this.$wizard.on('click', '.abc-wizard-back', function() {
+                self.goToStep(self.wizardIndex - 1);
+            });
+
+            // Jump back to any step already passed
+            this.$wizard.on('click', '.abc-wizard-step.completed, .abc-review-edit', function(e) {
+                e.preventDefault();
+                self.goToStep(self.wizardSteps.indexOf($(this).data('step')));
+            });
+
+            // Clear a field's error as soon as it is edited
+            this.$wizard.on('input change', 'input, select, textarea', function() {
+                self.clearFieldError($(this));
+            });
+
+            this.$wizard.on('click', '.abc-type-option', function() {
+                self.clearFieldError(self.$wizard.find('.abc-type-selector'));
+            });
+
+            // Enter in a text field moves forward instead of submitting early
+            this.$wizard.on('submit', function(e) {
+                if (self.wizardSteps[self.wizardIndex] !== 'review') {
+                    e.preventDefault();
+                    self.$wizard.find('.abc-wizard-next').trigger('click');
+                    return;
+                }
+                self.$wizard.find('.abc-wizard-submit').prop('disabled', true).text(abcAdmin.strings.saving || 'Saving...');
+
+                // The server draft is removed once the campaign exists; the local copy goes now
+                clearTimeout(self.draftTimer);
+                self.clearLocalDraft();
+            });
+
+            this.goToStep(0);
         },
 
         /**
-         * State check for initial load
+         * Restore a resumed/unsaved draft and start autosaving
          */
-        checkInitialStates: function() {
-            // Pre-select saved type if exists
-            const savedType = $('#campaign_type').val();
-            if(savedType) {
-                $(`.abc-type-option[data-value="${savedType}"]`).addClass('selected');
-                $('#config-' + savedType).removeClass('abc-hidden');
+        initDrafts: function() {
+            if (!this.$wizard) return;
+
+            const self = this;
+            const serverDraft = this.$wizard.data('draft') || null;
+            const localDraft = this.readLocalDraft();
+            let draft = serverDraft;
+
+            // Prefer the local copy when it is newer than what the server has (e.g. nonce expired mid-form)
+            if (localDraft && (!serverDraft || (localDraft.id === serverDraft.id && localDraft.updated > serverDraft.updated * 1000))) {
+                draft = localDraft;
             }
 
-            // Populate models if key is pre-selected
-            if ($('#ai-api-key-select').val()) {
-                this.updateModels();
+            if (draft) {
+                this.restoreDraft(draft);
+                this.setDraftStatus(abcAdmin.strings.draft_restored || 'Draft restored.');
             }
+
+            this.$wizard.on('input change', ':input', function() {
+                self.scheduleDraftSave();
+            });
+
+            this.$wizard.on('click', '.abc-type-option', function() {
+                self.scheduleDraftSave();
+            });
+
+            this.$wizard.on('click', '.abc-discard-draft', function(e) {
+                e.preventDefault();
+                if (!confirm(abcAdmin.strings.confirm_discard_draft || 'Discard this draft?')) return;
+
+                const freshUrl = $(this).attr('href');
+                clearTimeout(self.draftTimer);
+                self.discardDraft($('#abc-draft-id').val()).always(function() {
+                    window.location.href = freshUrl;
+                });
+            });
+
+            this.draftsReady = true;
         },
 
         /**
-         * Logic Helpers
+         * Snapshot the wizard form, including disabled source textareas
          */
-        updateCustomString: function() {
-            let h = $('#custom-hours').val() || 0;
-            let m = $('#custom-minutes').val() || 0;
-            if(h == 0 && m < 15) m = 15; // Minimum enforcement
-            $('#discovery-interval-custom').val(`custom_${h}h_${m}m`);
+        collectDraft: function() {
+            const fields = this.$wizard.serializeArray();
+
+            this.$wizard.find('textarea:disabled[name]').each(function() {
+                fields.push({ name: this.name, value: $(this).val() });
+            });
+
+            return {
+                id: $('#abc-draft-id').val(),
+                step: this.wizardSteps[this.wizardIndex],
+                updated: Date.now(),
+                fields: fields
+            };
         },
 
-        updateModels: function() {
-            const provider = $('#ai-api-key-select option:selected').data('provider');
-            const $modelSelect = $('#ai-model-select');
-            $modelSelect.empty();
-            
-            if (this.models[provider]) {
-                this.models[provider].forEach(m => {
-                    $modelSelect.append(new Option(m, m));
-                });
+        restoreDraft: function(draft) {
+            const $form = this.$wizard;
+            let apiKey = '';
+            let model = '';
+
+            $('#abc-draft-id').val(draft.id || '');
+            // Unchecked boxes are absent from the draft, so start from a clean slate
+            $form.find(':checkbox[name]').prop('checked', false);
+
+            (draft.fields || []).forEach(field => {
+                const $input = $form.find(`[name="${field.name}"]`);
+
+                if (field.name === 'ai_config[api_key_id]') {
+                    apiKey = field.value;
+                } else if (field.name === 'ai_config[model]') {
+                    model = field.value;
+                } else if ($input.is(':radio, :checkbox')) {
+                    $input.filter(`[value="${field.value}"]`).prop('checked', true);
+                } else {
+                    $input.val(field.value);
+                }
+            });
+
+            const type = $('#campaign_type').val();
+            if (type) {
+                $form.find(`.abc-type-option[data-value="${type}"]`).trigger('click');
+            }
+
+            $form.find('.abc-toggle-input').trigger('change');
+            this.updateScheduleMode();
+            this.previewSchedule();
+
+            // Models load asynchronously; hand the saved choice to the renderer
+            if (apiKey && $('#ai-api-key-select option[value="' + apiKey + '"]').length) {
+                $('#ai-api-key-select').val(apiKey);
+                $('#ai-model-select').empty().data('saved-model', model);
+                this.renderedProvider = undefined;
+                this.updateModels();
+            }
+
+            const index = this.wizardSteps.indexOf(draft.step);
+            if (index > 0) {
+                this.goToStep(index);
             }
         },
 
-        validateField: function($field, type) {
-            const $btn = $field.siblings('.abc-validate-btn');
-            const $result = $field.siblings('.abc-validation-result');
-            const url = $field.val();
+        /**
+         * Save locally right away, to the server after a short pause
+         */
+        scheduleDraftSave: function() {
+            this.writeLocalDraft(this.collectDraft());
+            this.setDraftStatus(abcAdmin.strings.draft_unsaved || 'Unsaved changes');
 
-            if (!url) return;
+            clearTimeout(this.draftTimer);
+            this.draftTimer = setTimeout(this.saveDraftToServer.bind(this), 3000);
+        },
 
-            $btn.prop('disabled', true).text('Validating...');
-            $result.html('');
+        saveDraftToServer: function() {
+            const self = this;
 
-            const ajaxAction = type === 'rss' ? 'abc_validate_rss_feed' : 'abc_validate_url';
+            // One request at a time; re-save once the current one finishes
+            if (this.draftRequest) {
+                this.draftDirty = true;
+                return;
+            }
 
-            $.ajax({
-                url: abcAdmin.ajax_url,
-                type: 'POST',
-                data: {
-                    action: ajaxAction,
-                    url: url,
-                    nonce: abcAdmin.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $result.html('<span class="abc-validation-success">✓ ' + response.data.message + '</span>');
-                        if (response.data.feed_title) {
-                            $result.append('<br><small>' + response.data.feed_title + ' (' + response.data.item_count + ' items)</small>');
-                        }
-                    } else {
-                        $result.html('<span class="abc-validation-error">✗ ' + response.data.message + '</span>');
-                    }
-                },
-                error: function() {
-                    $result.html('<span class="abc-validation-error">✗ Validation failed</span>');
-                },
-                complete: function() {
-                    $btn.prop('disabled', false).text(type === 'rss' ? 'Validate Feed' : 'Validate URL');
+            const draft = this.collectDraft();
+
+            this.draftRequest = $.post(abcAdmin.ajax_url, {
+                action: 'abc_save_campaign_draft',
+                nonce: abcAdmin.nonce,
+                draft_id: draft.id,
+                step: draft.step,
+                fields: JSON.stringify(draft.fields)
+            }).done(function(response) {
+                if (!response.success) {
+                    self.setDraftStatus(abcAdmin.strings.draft_saved_locally || 'Saved in this browser only');
+                    return;
+                }
+
+                $('#abc-draft-id').val(response.data.draft_id);
+                draft.id = response.data.draft_id;
+                draft.updated = response.data.updated * 1000;
+                self.writeLocalDraft(draft);
+
+                self.$wizard.find('.abc-discard-draft').removeClass('abc-hidden');
+                self.setDraftStatus((abcAdmin.strings.draft_saved || 'Draft saved') + ' ' + new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+            }).fail(function() {
+                // Usually an expired nonce; the browser copy still survives a reload
+                self.setDraftStatus(abcAdmin.strings.draft_saved_locally || 'Saved in this browser only');
+            }).always(function() {
+                self.draftRequest = null;
+                if (self.draftDirty) {
+                    self.draftDirty = false;
+                    self.saveDraftToServer();
                 }
             });
         },
 
-        handleCampaignAction: function(action, e) {
-            e.preventDefault();
-            const $button = $(e.currentTarget);
-            
-            // If action is passed as 'action', try to get specific action from button class or data
-            let effectiveAction = action;
-            if (action === 'action') {
-                effectiveAction = $button.hasClass('abc-pause-campaign') ? 'pause' : 'activate';
+        discardDraft: function(draftId) {
+            const local = this.readLocalDraft();
+
+            if (local && (!draftId || local.id === draftId || !local.id)) {
+                this.clearLocalDraft();
             }
 
-            const campaignId = $button.data('campaign-id') || $button.data('campaign');
-            $button.prop('disabled', true).text(abcAdmin.strings.processing || 'Processing...');
-            
-            $.ajax({
-                url: abcAdmin.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'abc_campaign_' + effectiveAction,
-                    campaign_id: campaignId,
-                    nonce: abcAdmin.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        location.reload();
-                    } else {
-                        alert(response.data.message || abcAdmin.strings.error || 'An error occurred');
-                        $button.prop('disabled', false);
+            if (!draftId) {
+                return $.Deferred().resolve().promise();
+            }
+
+            return $.post(abcAdmin.ajax_url, {
+                action: 'abc_discard_campaign_draft',
+                nonce: abcAdmin.nonce,
+                draft_id: draftId
+            }).then(function(response) {
+                return response.success ? response : $.Deferred().reject(response).promise();
+            });
+        },
+
+        setDraftStatus: function(text) {
+            if (!this.$wizard) return;
+            this.$wizard.find('.abc-draft-status').text(text);
+            if ($('#abc-draft-id').val() || this.readLocalDraft()) {
+                this.$wizard.find('.abc-discard-draft').removeClass('abc-hidden');
+            }
+        },
+
+        readLocalDraft: function() {
+            try {
+                return JSON.parse(window.localStorage.getItem(this.draftStorageKey));
+            } catch (e) {
+                return null;
+            }
+        },
+
+        writeLocalDraft: function(draft) {
+            try {
+                window.localStorage.setItem(this.draftStorageKey, JSON.stringify(draft));
+            } catch (e) {
+                // Storage full or disabled; the server copy still applies
+            }
+        },
+
+        clearLocalDraft: function() {
+            try {
+                window.localStorage.removeItem(this.draftStorageKey);
+            } catch (e) {
+                // Nothing to clear
+            }
+        },
+
+        goToStep: function(index) {
+            if (index < 0 || index >= this.wizardSteps.length) return;
+
+            const step = this.wizardSteps[index];
+            const isLast = index === this.wizardSteps.length - 1;
+
+            this.wizardIndex = index;
+
+            this.$wizard.find('.abc-wizard-panel').addClass('abc-hidden')
+                .filter(`[data-step="${step}"]`).removeClass('abc-hidden');
+
+            this.$wizard.find('.abc-wizard-step').each(function(i) {
+                $(this).toggleClass('active', i === index).toggleClass('completed', i < index);
+            });
+
+            this.$wizard.find('.abc-wizard-back').prop('disabled', index === 0);
+            this.$wizard.find('.abc-wizard-next').toggleClass('abc-hidden', isLast);
+            this.$wizard.find('.abc-wizard-submit').toggleClass('abc-hidden', !isLast);
+
+            if (step === 'review') {
+                this.renderReview();
+            }
+
+            // Remember the step so a resumed draft opens where the user left off
+            if (this.draftsReady) {
+                this.scheduleDraftSave();
+            }
+
+            $('html, body').scrollTop(this.$wizard.offset().top - 50);
+        },
+
+        /**
+         * Validate one wizard step
+         *
+         * @return {Promise<boolean>}
+         */
+        validateWizardStep: function(step) {
+            const $panel = this.$wizard.find(`.abc-wizard-panel[data-step="${step}"]`);
+            const strings = abcAdmin.strings;
+            const errors = [];
+            const required = ($field, message) => {
+                if (!$.trim($field.val() || '')) {
+                    errors.push([$field, message || strings.required_field || 'This field is required.']);
+                }
+            };
+
+            this.clearFieldErrors($panel);
+
+            switch (step) {
+                case 'type':
+                    required($panel.find('[name="post_title"]'));
+                    if (!$('#campaign_type').val()) {
+                        errors.push([$panel.find('.abc-type-selector'), strings.select_campaign_type || 'Please choose a campaign type.']);
+                    }
+                    break;
+
+                case 'sources':
+                    return this.validateSources($panel);
+
+                case 'ai':
+                    if ($panel.find('[name="ai_config[processing_mode]"]:checked').val() !== 'as_is') {
+                        required($('#ai-api-key-select'), strings.select_api_key || 'Please select an API key.');
+                        required($('#ai-model-select'), strings.select_model || 'Please select a model.');
+                    }
+                    break;
+
+                case 'schedule': {
+                    const $max = $panel.find('[name="limits[max_posts_per_day]"]');
+                    if (!(parseInt($max.val(), 10) > 0)) {
+                        this.showFieldError($max, strings.positive_number || 'Please enter a number greater than zero.');
+                    }
+
+                    // The server owns schedule rules (minimum interval, quiet hours, ...)
+                    return this.previewSchedule().then(valid => valid && !$panel.find('.abc-field-error').length);
+                }
+
+                case 'publishing':
+                    $panel.find('select').each(function() {
+                        required($(this));
+                    });
+                    break;
+            }
+
+            errors.forEach(([$field, message]) => this.showFieldError($field, message));
+
+            return Promise.resolve(errors.length === 0);
+        },
+
+        /**
+         * Sources step: require at least one source, then check each remotely
+         */
+        validateSources: function($panel) {
+            const self = this;
+            const type = $('#campaign_type').val();
+            const strings = abcAdmin.strings;
+            const checks = [];
+
+            if (type === 'website') {
+                $panel.find('#config-website .abc-toggle-input:checked').each(function() {
+                    const $textarea = $('#' + $(this).data('target')).find('textarea');
+                    if (self.getLines($textarea).length) {
+                        checks.push(self.validateField($textarea, $textarea.data('validation')));
+                    }
+                });
+
+                if (!checks.length) {
+                    this.showFieldError($panel.find('#config-website'), strings.add_one_source || 'Add at least one source.');
+                    return Promise.resolve(false);
+                }
+            } else if (type === 'youtube') {
+                const $channel = $('#youtube_channel_id');
+                if (!$.trim($channel.val())) {
+                    this.showFieldError($channel, strings.required_field || 'This field is required.');
+                    return Promise.resolve(false);
+                }
+                checks.push(this.validateField($channel, $channel.data('validation')));
+            } else {
+                const $keywords = $panel.find(`[name="source_config[${type}][keywords]"]`);
+                if (!$.trim($keywords.val())) {
+                    this.showFieldError($keywords, strings.required_field || 'This field is required.');
+                    return Promise.resolve(false);
+                }
+
+                // News keywords are checked with a live query; the Amazon category is optional
+                const $check = type === 'news' ? $keywords : $('#amazon_category');
+                if ($.trim($check.val())) {
+                    checks.push(this.validateField($check, $check.data('validation')));
+                }
+            }
+
+            return Promise.all(checks).then(results => results.every(Boolean));
+        },
+
+        showFieldError: function($field, message) {
+            const $row = $field.closest('.abc-form-row, .abc-config-group, .abc-source-box');
+            $field.addClass('abc-field-invalid');
+            $row.find('.abc-field-error').remove();
+            $('<p class="abc-field-error"></p>').text(message).appendTo($row.length ? $row : $field.parent());
+        },
+
+        clearFieldError: function($field) {
+            $field.removeClass('abc-field-invalid')
+                .closest('.abc-form-row, .abc-config-group, .abc-source-box')
+                .find('.abc-field-error').remove();
+        },
+
+        clearFieldErrors: function($panel) {
+            $panel.find('.abc-field-invalid').removeClass('abc-field-invalid');
+            $panel.find('.abc-field-error').remove();
+        },
+
+        focusFirstError: function() {
+            const $first = this.$wizard.find('.abc-field-invalid:visible').first();
+            if ($first.is(':input')) {
+                $first.trigger('focus');
+            }
+        },
+
+        /**
+         * Build the review summary from the current form values
+         */
+        renderReview: function() {
+            const self = this;
+            const $form = this.$wizard;
+            const type = $('#campaign_type').val();
+            const selectedText = (selector) => $.trim($form.find(selector).find('option:selected').text());
+            const mode = $form.find('[name="ai_config[processing_mode]"]:checked');
+
+            let sources = [];
+            if (type === 'website') {
+                $form.find('#config-website .abc-toggle-input:checked').each(function() {
+                    sources = sources.concat(self.getLines($('#' + $(this).data('target')).find('textarea')));
+                });
+            } else if (type === 'youtube') {
+                sources = [$('#youtube_channel_id').val()];
+            } else {
+                sources = [$form.find(`[name="source_config[${type}][keywords]"]`).val()];
+            }
+
+            const interval = $form.find('.abc-schedule-summary').text();
+
+            const sections = [
+                ['type', abcAdmin.strings.review_type || 'Campaign', [
+                    ['Name', $form.find('[name="post_title"]').val()],
+                    ['Type', $.trim($form.find('.abc-type-option.selected').text())]
+                ]],
+                ['sources', abcAdmin.strings.review_sources || 'Sources', [
+                    ['Sources', sources.join('\n')]
+                ]],
+                ['ai', abcAdmin.strings.review_ai || 'AI Settings', [
+                    ['Mode', $.trim(mode.parent().text())],
+                    ['API Key', mode.val() === 'as_is' ? '—' : selectedText('#ai-api-key-select')],
+                    ['Model', mode.val() === 'as_is' ? '—' : selectedText('#ai-model-select')],
+                    ['Language', selectedText('[name="ai_config[language]"]')]
+                ]],
+                ['schedule', abcAdmin.strings.review_schedule || 'Schedule', [
+                    ['Interval', interval],
+                    ['Max Posts Per Day', $form.find('[name="limits[max_posts_per_day]"]').val()]
+                ]],
+                ['publishing', abcAdmin.strings.review_publishing || 'Publishing', [
+                    ['Category', selectedText('[name="wp_category_id"]')],
+                    ['Author', selectedText('[name="wp_author_id"]')],
+                    ['Post Status', selectedText('[name="wp_post_status"]')]
+                ]]
+            ];
+
+            const html = sections.map(([step, title, rows]) => `
+                <div class="abc-review-section">
+                    <h3>${this.escapeHtml(title)}
+                        <a href="#" class="abc-review-edit" data-step="${step}">${this.escapeHtml(abcAdmin.strings.edit || 'Edit')}</a>
+                    </h3>
+                    <table class="form-table">
+                        ${rows.map(([label, value]) => `
+                            <tr><th>${this.escapeHtml(label)}</th><td>${this.escapeHtml(value || '—').replace(/\n/g, '<br>')}</td></tr>
+                        `).join('')}
+                    </table>
+                </div>
+            `).join('');
+
+            $('#abc-wizard-review').html(html);
+        },
+
+        getLines: function($textarea) {
+            return ($textarea.val() || '').split('\n').map(l => l.trim()).filter(Boolean);
+        },
+
+        escapeHtml: function(text) {
+            return $('<div>').text(text).html();
+        },
+
+        /**
+         * Schedule Builder, API Refresh, and Model Population
+         */
+        initAdvancedFeatures: function() {
+            const self = this;
+
+            // 1. Schedule Builder
+            if ($('#abc-schedule-preview').length) {
+                const $builder = $('#abc-schedule-preview').closest('form');
+
+                $builder.on('change', '[name="schedule[mode]"]', this.updateScheduleMode.bind(this));
+                $builder.on('input change', '[name^="schedule["]', function() {
+                    clearTimeout(self.schedulePreviewTimer);
+                    self.schedulePreviewTimer = setTimeout(self.previewSchedule.bind(self), 400);
+                });
+
+                this.updateScheduleMode();
+                this.previewSchedule();
+            }
+
+            // 2. Refresh API Keys
+            $('#refresh-api-keys').on('click', function() {
+                const $btn = $(this);
+                $btn.addClass('abc-spin');
+                
+                $.post(ajaxurl, { 
+                    action: 'abc_refresh_api_keys', 
+                    nonce: abcAdmin.nonce 
+                }, function(res) {
+                    $btn.removeClass('abc-spin');
+                    if(res.success) {
+                        let $select = $('#ai-api-key-select');
+                        const previous = $select.val();
+                        $select.empty();
+                        $select.append(new Option('Select API Key...', ''));
+                        res.data.forEach(key => {
+                            let opt = new Option(key.key_name, key.id);
+                            $(opt).data('provider', key.provider);
+                            $select.append(opt);
+                        });
+                        // Keep the current key (and therefore its model) selected
+                        if (previous && $select.find(`option[value="${previous}"]`).length) {
+                            $select.val(previous);
+                        }
+                        self.updateModels();
+                    } else {
+                        alert('Failed to refresh keys');
+                    }
+                });
+            });
+
+            // 3. AI Model Population based on selected Key
+            $('#ai-api-key-select').on('change', this.updateModels.bind(this));
+            $('#ai-model-select').on('change', this.updateModelDetails.bind(this));
+
+            // 4. Prompt Template Editor
+            if ($('#abc-prompt-template').length) {
+                this.initPromptEditor();
+            }
+
+            // 5. Cost Estimator
+            if ($('#abc-cost-estimator').length) {
+                $('#abc-cost-estimator').closest('form').on('input change', '[name^="ai_config["], [name^="limits["], [name^="schedule["]', this.scheduleCostEstimate.bind(this));
+                this.scheduleCostEstimate();
+            }
+        },
+
+        /**
+         * Debounce cost estimates while settings are being edited
+         */
+        scheduleCostEstimate: function() {
+            if (!$('#abc-cost-estimator').length) return;
+
+            clearTimeout(this.costEstimateTimer);
+            this.costEstimateTimer = setTimeout(this.estimateCost.bind(this), 400);
+        },
+
+        /**
+         * Project tokens and spend per post, day and month for the current settings
+         */
+        estimateCost: function() {
+            const self = this;
+            const $estimator = $('#abc-cost-estimator');
+            const $form = $estimator.closest('form');
+            const data = {
+                action: 'abc_estimate_campaign_cost',
+                nonce: abcAdmin.nonce,
+                campaign_id: $form.find('[name="campaign_id"]').val() || 0,
+                campaign_type: $form.find('[name="campaign_type"]').val() || '',
+                provider: $('#ai-api-key-select option:selected').data('provider') || '',
+                model: $('#ai-model-select').val() || ''
+            };
+
+            // Only send what this form has; the server fills the rest from the saved campaign
+            $form.find('[name^="ai_config["], [name^="limits["], [name^="schedule["]').serializeArray().forEach(field => {
+                if (field.name.indexOf('ai_config[prompt_template]') === 0) return;
+                const key = field.name.replace(/\[\]$/, '');
+                if (field.name.endsWith('[]')) {
+                    (data[key] = data[key] || []).push(field.value);
+                } else {
+                    data[key] = field.value;
+                }
+            });
+            data['ai_config[prompt_template]'] = $('#abc-prompt-template').val() || '';
+
+            // Unchecked boxes must override the saved value
+            $form.find('input[type="checkbox"][name^="ai_config["]:not(:checked)').each(function() {
+                data[this.name] = '';
+            });
+
+            if (this.costEstimateRequest) {
+                this.costEstimateRequest.abort();
+            }
+
+            $estimator.addClass('abc-loading');
+
+            this.costEstimateRequest = $.post(abcAdmin.ajax_url, data).done(function(response) {
+                const $warning = $estimator.find('.abc-cost-warning');
+
+                if (!response.success) {
+                    $warning.removeClass('abc-hidden').find('p').text(response.data.message);
+                    return;
+                }
+
+                const estimate = response.data;
+                ['per_post', 'per_day', 'per_month'].forEach(function(period) {
+                    const $row = $estimator.find('tr[data-period="' + period + '"]');
+                    $row.find('.abc-cost-tokens').text(estimate[period].tokens_label);
+                    $row.find('.abc-cost-spend').text(estimate[period].cost_label || '–');
+                });
+
+                $estimator.find('.abc-cost-basis').text(estimate.basis);
+                $estimator.toggleClass('is-over-budget', estimate.over_budget);
+                $warning.toggleClass('abc-hidden', !estimate.warning).find('p').text(estimate.warning || '');
+            }).always(function() {
+                self.costEstimateRequest = null;
+                $estimator.removeClass('abc-loading');
+            });
+        },
+
+        /**
+         * Prompt template editor: variable autocomplete, library, live preview
+         */
+        initPromptEditor: function() {
+            const self = this;
+            const strings = abcAdmin.strings;
+            const $template = $('#abc-prompt-template');
+            const $suggestions = $('.abc-prompt-suggestions');
+            const $library = $('#abc-prompt-library-select');
+            const $form = $template.closest('form');
+
+            const schedulePreview = function() {
+                clearTimeout(self.promptPreviewTimer);
+                self.promptPreviewTimer = setTimeout(self.previewPrompt.bind(self), 400);
+            };
+
+            $template.on('input click', function() {
+                self.updatePromptSuggestions();
+            }).on('blur', function() {
+                $suggestions.addClass('abc-hidden');
+            }).on('keydown', function(e) {
+                if ($suggestions.hasClass('abc-hidden')) return;
+
+                const $items = $suggestions.children();
+                const index = $items.index($items.filter('.is-active'));
+
+                switch (e.key) {
+                    case 'ArrowDown':
+                    case 'ArrowUp': {
+                        e.preventDefault();
+                        const next = (index + (e.key === 'ArrowDown' ? 1 : -1) + $items.length) % $items.length;
+                        $items.removeClass('is-active').eq(next).addClass('is-active');
+                        break;
+                    }
+                    case 'Enter':
+                    case 'Tab':
+                        e.preventDefault();
+                        self.insertPromptVariable($items.eq(index).data('variable'), $suggestions.data('typed').length);
+                        break;
+                    case 'Escape':
+                        $suggestions.addClass('abc-hidden');
+                        break;
+                }
+            });
+
+            // mousedown keeps focus in the textarea
+            $suggestions.on('mousedown', 'li', function(e) {
+                e.preventDefault();
+                self.insertPromptVariable($(this).data('variable'), $suggestions.data('typed').length);
+            });
+
+            $('.abc-insert-variable').on('click', function() {
+                self.insertPromptVariable($(this).data('variable'));
+            });
+
+            $library.on('change', function() {
+                const $option = $(this).find('option:selected');
+                $('.abc-delete-prompt-template').toggleClass('abc-hidden', !$option.val());
+
+                if (!$option.val()) return;
+
+                const text = $option.data('template');
+                if ($template.val().trim() && $template.val() !== text && !confirm(strings.prompt_replace_confirm || 'Replace the current prompt with this template?')) {
+                    return;
+                }
+                $template.val(text).trigger('input');
+            });
+
+            $('.abc-save-prompt-template').on('click', function() {
+                if (!$template.val().trim()) {
+                    alert(strings.prompt_empty || 'Write a prompt template first.');
+                    return;
+                }
+
+                const name = prompt(strings.prompt_template_name || 'Name this template:', $library.val() ? $library.find('option:selected').text().trim() : '');
+                if (!name) return;
+
+                $.post(abcAdmin.ajax_url, {
+                    action: 'abc_save_prompt_template',
+                    nonce: abcAdmin.nonce,
+                    name: name,
+                    template: $template.val()
+                }).done(function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+                    const saved = response.data.template;
+                    let $option = $library.find('option').filter(function() {
+                        return $(this).val() === saved.slug;
+                    });
+                    if (!$option.length) {
+                        $option = $('<option></option>').val(saved.slug).appendTo($library);
+                    }
+                    $option.text(saved.name).data('template', saved.template).attr('data-template', saved.template);
+                    $library.val(saved.slug);
+                    $('.abc-delete-prompt-template').removeClass('abc-hidden');
+                });
+            });
+
+            $('.abc-delete-prompt-template').on('click', function() {
+                const slug = $library.val();
+                if (!slug || !confirm(strings.prompt_delete_confirm || 'Delete this template from the library? Campaigns using it keep their copy.')) return;
+
+                $.post(abcAdmin.ajax_url, {
+                    action: 'abc_delete_prompt_template',
+                    nonce: abcAdmin.nonce,
+                    slug: slug
+                }).done(function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+                    $library.find('option:selected').remove();
+                    $library.val('');
+                    $('.abc-delete-prompt-template').addClass('abc-hidden');
+                });
+            });
+
+            $('.abc-refresh-prompt-preview').on('click', function() {
+                self.promptSampleOffset++;
+                self.previewPrompt();
+            });
+
+            $form.on('input change', '#abc-prompt-template, [name^="ai_config["], [name="post_title"]', schedulePreview);
+            $form.on('change', '#rss_sources, #url_sources', function() {
+                self.promptSampleOffset = 0;
+                schedulePreview();
+            });
+
+            this.previewPrompt();
+        },
+
+        /**
+         * Show variable suggestions while a {placeholder is being typed
+         */
+        updatePromptSuggestions: function() {
+            const self = this;
+            const el = document.getElementById('abc-prompt-template');
+            const $suggestions = $('.abc-prompt-suggestions');
+            const variables = $(el).data('variables') || {};
+            const match = el.value.slice(0, el.selectionStart).match(/\{([a-z_]*)$/);
+            const names = match ? Object.keys(variables).filter(name => name.indexOf(match[1]) === 0) : [];
+
+            if (!names.length) {
+                $suggestions.addClass('abc-hidden');
+                return;
+            }
+
+            $suggestions.data('typed', match[1]).html(names.map(function(name, i) {
+                return '<li role="option" data-variable="' + name + '"' + (i === 0 ? ' class="is-active"' : '') + '>' +
+                    '<code>{' + name + '}</code> <span>' + self.escapeHtml(variables[name]) + '</span></li>';
+            }).join('')).removeClass('abc-hidden');
+        },
+
+        /**
+         * Insert {name} at the cursor, replacing a partially typed placeholder
+         */
+        insertPromptVariable: function(name, typedLength) {
+            const el = document.getElementById('abc-prompt-template');
+            const end = el.selectionEnd;
+            const start = typedLength === undefined ? el.selectionStart : end - typedLength - 1;
+            const token = '{' + name + '}';
+
+            el.value = el.value.slice(0, start) + token + el.value.slice(end);
+            el.focus();
+            el.setSelectionRange(start + token.length, start + token.length);
+            $('.abc-prompt-suggestions').addClass('abc-hidden');
+            $(el).trigger('input');
+        },
+
+        /**
+         * Render the template against a sample item from the campaign's sources
+         */
+        previewPrompt: function() {
+            const self = this;
+            const strings = abcAdmin.strings;
+            const $template = $('#abc-prompt-template');
+            const $form = $template.closest('form');
+            const aiConfig = {};
+            let sourceType = 'rss';
+            let sourceUrl = this.getLines($('#rss_sources'))[0] || '';
+
+            if (!sourceUrl) {
+                sourceType = 'url';
+                sourceUrl = this.getLines($('#url_sources'))[0] || '';
+            }
+
+            $form.find('[name^="ai_config["]').not($template).each(function() {
+                if ((this.type === 'checkbox' || this.type === 'radio') && !this.checked) return;
+                aiConfig[this.name.slice(10, -1)] = $(this).val();
+            });
+
+            if (this.promptPreviewRequest) {
+                this.promptPreviewRequest.abort();
+            }
+
+            this.promptPreviewRequest = $.post(abcAdmin.ajax_url, {
+                action: 'abc_preview_prompt',
+                nonce: abcAdmin.nonce,
+                template: $template.val(),
+                campaign_id: $form.find('[name="campaign_id"]').val() || 0,
+                campaign_name: $form.find('[name="post_title"]').val() || '',
+                ai_config: aiConfig,
+                source_url: sourceUrl,
+                source_type: sourceType,
+                offset: this.promptSampleOffset
+            }).done(function(response) {
+                if (!response.success) return;
+
+                const data = response.data;
+                const sample = data.sample;
+                let label;
+
+                if (sample.origin === 'example') {
+                    label = strings.prompt_sample_example || 'Example item. Add a source to preview real content.';
+                } else {
+                    label = (sample.origin === 'queue' ? (strings.prompt_sample_queue || 'Queued item "%1$s" (%2$d of %3$d)') : (strings.prompt_sample_source || 'Source item "%1$s" (%2$d of %3$d)'))
+                        .replace('%1$s', sample.title)
+                        .replace('%2$d', self.promptSampleOffset % sample.count + 1)
+                        .replace('%3$d', sample.count);
+                }
+
+                $('.abc-prompt-sample').text(label);
+                $('.abc-refresh-prompt-preview').toggleClass('abc-hidden', sample.count < 2);
+                $('#abc-prompt-preview').text(data.prompt || strings.prompt_preview_empty || 'No template: the default rewrite instructions are used.');
+                $('.abc-prompt-warnings').toggleClass('abc-hidden', !data.unknown.length)
+                    .text((strings.prompt_unknown_variables || 'Unknown variables: %s').replace('%s', data.unknown.map(name => '{' + name + '}').join(', ')));
+            }).always(function() {
+                self.promptPreviewRequest = null;
+            });
+        },
+
+        /**
+         * State check for initial load
+         */
+        checkInitialStates: function() {
+            // Pre-select saved type if exists
+            const savedType = $('#campaign_type').val();
+            if(savedType) {
+                $(`.abc-type-option[data-value="${savedType}"]`).addClass('selected');
+                $('#config-' + savedType).removeClass('abc-hidden');
+            }
+
+            // Populate models if key is pre-selected
+            if ($('#ai-api-key-select').val()) {
+                this.updateModels();
+            }
+        },
+
+        /**
+         * Logic Helpers
+         */
+        updateScheduleMode: function() {
+            const mode = $('[name="schedule[mode]"]:checked').val() || 'interval';
+            $('.abc-schedule-mode').each(function() {
+                $(this).toggleClass('abc-hidden', $(this).data('mode') !== mode);
+            });
+        },
+
+        /**
+         * Ask the server for the next runs (site timezone, same rules as cron)
+         *
+         * @return {Promise<boolean>} false when the schedule is invalid
+         */
+        previewSchedule: function() {
+            const $preview = $('#abc-schedule-preview');
+            const $summary = $('.abc-schedule-summary');
+            const $row = $('.abc-schedule-builder');
+            const data = { action: 'abc_preview_schedule', nonce: abcAdmin.nonce };
+
+            $preview.closest('form').find('[name^="schedule["]').serializeArray().forEach(field => {
+                const key = field.name.replace(/\[\]$/, '');
+                if (field.name.endsWith('[]')) {
+                    (data[key] = data[key] || []).push(field.value);
+                } else {
+                    data[key] = field.value;
+                }
+            });
+
+            $preview.addClass('abc-loading');
+
+            return Promise.resolve($.post(abcAdmin.ajax_url, data)).then(response => {
+                $preview.removeClass('abc-loading').empty();
+                this.clearFieldError($row);
+
+                if (!response.success) {
+                    $summary.text('');
+                    this.showFieldError($row, response.data.message);
+                    return false;
+                }
+
+                $summary.text(response.data.summary);
+                response.data.runs.forEach(run => {
+                    $('<li></li>').text(run.label).appendTo($preview);
+                });
+                return true;
+            }, () => {
+                $preview.removeClass('abc-loading');
+                // Let the server re-check on save rather than blocking the wizard
+                return true;
+            });
+        },
+
+        updateModels: function() {
+            if (!$('#ai-model-select').length) return;
+
+            this.loadModelCatalog()
+                .done(() => this.renderModelOptions())
+                .fail(() => {
+                    $('#ai-model-details').html('<span class="abc-validation-error">✗ ' +
+                        (abcAdmin.strings.model_catalog_error || 'Could not load AI models.') + '</span>');
+                });
+        },
+
+        loadModelCatalog: function() {
+            if (!this.modelCatalogRequest) {
+                this.modelCatalogRequest = $.post(abcAdmin.ajax_url, {
+                    action: 'abc_get_model_catalog',
+                    nonce: abcAdmin.nonce
+                }).then(res => {
+                    if (!res.success) return $.Deferred().reject(res).promise();
+                    this.modelCatalog = res.data;
+                    return res.data;
+                });
+
+                // Allow a retry on the next key change if the request failed
+                this.modelCatalogRequest.fail(() => { this.modelCatalogRequest = null; });
+            }
+
+            return this.modelCatalogRequest;
+        },
+
+        renderModelOptions: function() {
+            const provider = $('#ai-api-key-select option:selected').data('provider');
+            const $modelSelect = $('#ai-model-select');
+            const entry = this.modelCatalog[provider];
+
+            // Keep the current/saved model unless the provider itself changed
+            const providerChanged = this.renderedProvider !== undefined && this.renderedProvider !== provider;
+            const keep = providerChanged ? '' : ($modelSelect.val() || $modelSelect.data('saved-model') || '');
+            this.renderedProvider = provider;
+
+            $modelSelect.empty();
+
+            if (!entry) {
+                this.updateModelDetails();
+                return;
+            }
+
+            const groups = {};
+            Object.values(entry.models).forEach(model => {
+                const group = model.group || entry.label;
+                (groups[group] = groups[group] || []).push(model);
+            });
+
+            Object.keys(groups).forEach(group => {
+                const $group = $('<optgroup>').attr('label', group);
+                groups[group].forEach(model => {
+                    const opt = new Option(this.formatModelLabel(model), model.id);
+                    $(opt).data('model', model);
+                    $group.append(opt);
+                });
+                $modelSelect.append($group);
+            });
+
+            // A saved model the catalog no longer knows about stays selectable
+            if (keep && !entry.models[keep]) {
+                const $other = $('<optgroup>').attr('label', abcAdmin.strings.other_models || 'Other');
+                $other.append(new Option(keep, keep));
+                $modelSelect.append($other);
+            }
+
+            $modelSelect.val(keep || entry.default_model);
+            if (!$modelSelect.val()) {
+                $modelSelect.prop('selectedIndex', 0);
+            }
+
+            this.updateModelDetails();
+        },
+
+        updateModelDetails: function() {
+            const $details = $('#ai-model-details');
+            const model = $('#ai-model-select option:selected').data('model');
+
+            $details.empty();
+            this.scheduleCostEstimate();
+
+            if (!model) return;
+
+            $details.append(
+                $('<small class="abc-model-meta">').text([
+                    this.formatTokenCount(model.context_window) + ' context',
+                    this.formatTokenCount(model.max_output_tokens) + ' max output',
+                    this.formatPrice(model.pricing.input) + ' / ' + this.formatPrice(model.pricing.output) + ' per 1M tokens (in / out)'
+                ].join(' · '))
+            );
+
+            if (model.deprecated) {
+                $details.append(
+                    $('<div class="notice notice-warning inline abc-model-warning">').append(
+                        $('<p>').text(abcAdmin.strings.deprecated_model || 'This model is deprecated by its provider and may stop working. Choose a current model.')
+                    )
+                );
+            }
+
+        },
+
+        formatModelLabel: function(model) {
+            let label = model.label + ' — ' + this.formatTokenCount(model.context_window) + ' ctx · ' +
+                this.formatPrice(model.pricing.input) + '/' + this.formatPrice(model.pricing.output);
+            if (model.deprecated) {
+                label += ' (' + (abcAdmin.strings.deprecated || 'deprecated') + ')';
+            }
+            return label;
+        },
+
+        formatTokenCount: function(tokens) {
+            if (tokens >= 1000000) return parseFloat((tokens / 1000000).toFixed(1)) + 'M';
+            if (tokens >= 1000) return Math.round(tokens / 1000) + 'K';
+            return String(tokens);
+        },
+
+        formatPrice: function(price) {
+            const value = parseFloat(price) || 0;
+            return '$' + value.toFixed(value > 0 && value < 0.1 ? 3 : 2);
+        },
+
+        /**
+         * Validate a source field (single input or one-per-line textarea)
+         *
+         * @return {Promise<boolean>} true when every value passed
+         */
+        validateField: function($field, type) {
+            const self = this;
+            const $btn = $field.siblings('.abc-validate-btn');
+            const $result = $field.siblings('.abc-validation-result');
+            const values = $field.is('textarea') ? this.getLines($field) : [$.trim($field.val())].filter(Boolean);
+            const label = (this.validators[type] || {}).label || 'Validate';
+
+            if (!values.length) return Promise.resolve(false);
+
+            $btn.prop('disabled', true).text(abcAdmin.strings.validating || 'Validating...');
+            $result.html('');
+
+            return Promise.all(values.map(value => this.validateValue(type, value))).then(function(results) {
+                results.forEach(function(res, i) {
+                    const prefix = values.length > 1 ? values[i] + ': ' : '';
+                    const $line = $('<div></div>').addClass(res.success ? 'abc-validation-success' : 'abc-validation-error');
+                    $line.text((res.success ? '✓ ' : '✗ ') + prefix + res.message);
+                    const details = res.success ? self.describeValidation(type, res.data) : '';
+                    if (details) {
+                        $line.append($('<small></small>').text(' — ' + details));
                     }
-                },
-                error: function() {
-                    alert(abcAdmin.strings.error || 'An error occurred');
-                    $button.prop('disabled', false);
+                    if (res.success && (type === 'rss' || type === 'url')) {
+                        $line.append(' ', $('<a href="#" class="abc-preview-source"></a>')
+                            .text(abcAdmin.strings.preview_items || 'Preview items')
+                            .data({ url: values[i], type: type }));
+                    }
+                    $result.append($line);
+                });
+
+                const valid = results.every(res => res.success);
+                if (!valid) {
+                    $field.addClass('abc-field-invalid');
                 }
+                return valid;
+            }).finally(function() {
+                $btn.prop('disabled', false).text(label);
             });
         },
 
-        handleBulkAction: function(action, campaignIds) {
+        /**
+         * Type-specific detail line for a successful validation
+         *
+         * @return {string}
+         */
+        describeValidation: function(type, data) {
+            const strings = abcAdmin.strings;
+
+            switch (type) {
+                case 'rss':
+                    return data.feed_title ? data.feed_title + ' (' + data.item_count + ' items)' : '';
+
+                case 'youtube_channel':
+                case 'youtube_playlist':
+                    return data.title
+                        ? data.title + ' (' + (strings.video_count || '%d videos').replace('%d', data.video_count) + ')'
+                        : '';
+
+                case 'amazon_category':
+                    return data.category_name ? data.category_name + ' (#' + data.id + ')' : '';
+
+                case 'news_keywords':
+                    return (data.results || []).map(function(result) {
+                        let text = result.keyword + ': ' + (strings.article_count || '%d articles').replace('%d', result.count);
+                        if (result.latest) {
+                            text += ' (' + (strings.latest || 'latest') + ': ' + result.latest + ')';
+                        }
+                        return text;
+                    }).join('; ');
+            }
+
+            return '';
+        },
+
+        /**
+         * Run one value through its server-side validator
+         *
+         * @return {Promise<{success: boolean, message: string, data: object}>}
+         */
+        validateValue: function(type, value) {
+            const validator = this.validators[type];
+
+            if (!validator) {
+                return Promise.resolve({ success: true, message: '', data: {} });
+            }
+
+            const data = $.extend({ action: validator.action, nonce: abcAdmin.nonce }, validator.extra);
+            data[validator.param] = value;
+
+            return Promise.resolve($.post(abcAdmin.ajax_url, data)).then(function(response) {
+                return {
+                    success: !!response.success,
+                    message: (response.data && response.data.message) || '',
+                    data: response.data || {}
+                };
+            }, function() {
+                return { success: false, message: abcAdmin.strings.validation_failed || 'Validation failed', data: {} };
+            });
+        },
+
+        /**
+         * Show or hide the sample items a validated source would yield
+         */
+        toggleSourcePreview: function($link) {
+            const self = this;
+            const $line = $link.closest('.abc-validation-success');
+            const $existing = $line.next('.abc-source-preview');
+
+            if ($existing.length) {
+                $existing.remove();
+                return;
+            }
+
+            const $panel = $('<div class="abc-source-preview"></div>')
+                .append($('<p class="abc-source-preview-status"></p>').text(abcAdmin.strings.loading_preview || 'Loading preview...'));
+            $line.after($panel);
+
+            $.post(abcAdmin.ajax_url, {
+                action: 'abc_preview_source',
+                nonce: abcAdmin.nonce,
+                url: $link.data('url'),
+                source_type: $link.data('type'),
+                campaign_id: $('input[name="campaign_id"]').val() || 0
+            }).done(function(response) {
+                if (!response.success) {
+                    $panel.find('.abc-source-preview-status').addClass('abc-validation-error')
+                        .text(response.data && response.data.message ? response.data.message : (abcAdmin.strings.preview_failed || 'Preview failed'));
+                    return;
+                }
+                self.renderSourcePreview($panel, response.data);
+            }).fail(function() {
+                $panel.find('.abc-source-preview-status').addClass('abc-validation-error')
+                    .text(abcAdmin.strings.preview_failed || 'Preview failed');
+            });
+        },
+
+        /**
+         * Render preview items into the panel
+         */
+        renderSourcePreview: function($panel, data) {
+            const self = this;
+            const items = data.items || [];
+            let status = (abcAdmin.strings.preview_summary || 'Showing %1$d of %2$d items')
+                .replace('%1$d', items.length)
+                .replace('%2$d', data.total || 0);
+
+            if (data.duplicates) {
+                status += ' · ' + (abcAdmin.strings.preview_duplicates || '%d already queued').replace('%d', data.duplicates);
+            }
+
+            $panel.find('.abc-source-preview-status').text(status);
+
+            if (!items.length) {
+                return;
+            }
+
+            const html = items.map(function(item) {
+                const badge = item.is_duplicate
+                    ? '<span class="abc-badge abc-badge-red">' + self.escapeHtml(abcAdmin.strings.duplicate || 'Duplicate') + '</span>'
+                    : '<span class="abc-badge abc-badge-green">' + self.escapeHtml(abcAdmin.strings.new_item || 'New') + '</span>';
+                const image = item.image
+                    ? '<img class="abc-source-preview-image" src="' + self.escapeHtml(item.image) + '" alt="" loading="lazy">'
+                    : '';
+
+                return '<li class="abc-source-preview-item' + (item.is_duplicate ? ' is-duplicate' : '') + '">' +
+                    image +
+                    '<div class="abc-source-preview-body">' +
+                        '<strong>' + self.escapeHtml(item.title) + '</strong> ' + badge +
+                        '<a class="abc-source-preview-url" href="' + self.escapeHtml(item.url) + '" target="_blank" rel="noopener noreferrer">' + self.escapeHtml(item.url) + '</a>' +
+                        (item.date ? '<span class="abc-source-preview-date">' + self.escapeHtml(item.date) + '</span>' : '') +
+                        (item.excerpt ? '<p>' + self.escapeHtml(item.excerpt) + '</p>' : '') +
+                    '</div>' +
+                '</li>';
+            }).join('');
+
+            $panel.append('<ul class="abc-source-preview-list">' + html + '</ul>');
+        },
+
+        handleCampaignAction: function(action, e) {
+            e.preventDefault();
+            const $button = $(e.currentTarget);
+            
+            // If action is passed as 'action', try to get specific action from button class or data
+            let effectiveAction = action;
+            if (action === 'action') {
+                effectiveAction = $button.hasClass('abc-pause-campaign') ? 'pause' : 'activate';
+            }
+
+            const campaignId = $button.data('campaign-id') || $button.data('campaign');
+            $button.prop('disabled', true).text(abcAdmin.strings.processing || 'Processing...');
+            
             $.ajax({
                 url: abcAdmin.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'abc_bulk_campaign_action',
-                    bulk_action: action,
-                    campaign_ids: campaignIds,
+                    action: 'abc_campaign_' + effectiveAction,
+                    campaign_id: campaignId,
                     nonce: abcAdmin.nonce
                 },
                 success: function(response) {
                     if (response.success) {
                         location.reload();
                     } else {
-                        alert(response.data.message);
+                        alert(response.data.message || abcAdmin.strings.error || 'An error occurred');
+                        $button.prop('disabled', false);
                     }
                 },
                 error: function() {
-                    alert('An error occurred. Please try again.');
+                    alert(abcAdmin.strings.error || 'An error occurred');
+                    $button.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Run a bulk action in small chunks, reporting each campaign as it finishes
+         */
+        handleBulkAction: function(action, campaignIds) {
+            const self = this;
+            const strings = abcAdmin.strings;
+            const $progress = $('#abc-bulk-progress');
+            const $apply = $('#abc-bulk-action-apply');
+            const chunkSize = action === 'discover' ? 1 : this.bulkChunkSize;
+            const chunks = [];
+            let done = 0;
+            let failed = 0;
+
+            for (let i = 0; i < campaignIds.length; i += chunkSize) {
+                chunks.push(campaignIds.slice(i, i + chunkSize));
+            }
+
+            const updateProgress = function() {
+                $progress.find('.abc-progress-fill').css('width', Math.round(done / campaignIds.length * 100) + '%');
+                $progress.find('.abc-bulk-progress-label').text(
+                    (strings.bulk_progress || 'Processed %1$d of %2$d').replace('%1$d', done).replace('%2$d', campaignIds.length)
+                );
+            };
+
+            this.bulkCancelled = false;
+            $apply.prop('disabled', true);
+            $progress.removeClass('abc-hidden').find('.abc-bulk-report').empty();
+            $progress.find('.abc-bulk-cancel').prop('disabled', false).removeClass('abc-hidden');
+            $progress.find('.abc-bulk-dismiss').addClass('abc-hidden');
+            updateProgress();
+
+            const runChunk = function(ids) {
+                return Promise.resolve($.post(abcAdmin.ajax_url, {
+                    action: 'abc_bulk_campaign_action',
+                    bulk_action: action,
+                    campaign_ids: ids,
+                    nonce: abcAdmin.nonce
+                })).then(function(response) {
+                    if (response.success) {
+                        return response.data.results;
+                    }
+                    const message = (response.data && response.data.message) || strings.error || 'An error occurred';
+                    return ids.map(id => ({ id: id, success: false, message: message }));
+                }, function() {
+                    return ids.map(id => ({ id: id, success: false, message: strings.error || 'An error occurred' }));
+                }).then(function(results) {
+                    results.forEach(function(result) {
+                        done++;
+                        if (!result.success) failed++;
+                        self.applyBulkResult(action, result);
+                    });
+                    updateProgress();
+                });
+            };
+
+            chunks.reduce(function(chain, ids) {
+                return chain.then(function() {
+                    return self.bulkCancelled ? null : runChunk(ids);
+                });
+            }, Promise.resolve()).then(function() {
+                const summary = self.bulkCancelled
+                    ? (strings.bulk_cancelled || 'Cancelled after %1$d of %2$d campaigns.')
+                    : (strings.bulk_done || 'Done: %1$d succeeded, %2$d failed.');
+
+                $progress.find('.abc-bulk-progress-label').text(self.bulkCancelled
+                    ? summary.replace('%1$d', done).replace('%2$d', campaignIds.length)
+                    : summary.replace('%1$d', done - failed).replace('%2$d', failed));
+                $progress.find('.abc-bulk-cancel').addClass('abc-hidden');
+                $progress.find('.abc-bulk-dismiss').removeClass('abc-hidden');
+                $apply.prop('disabled', false);
+
+                // Rows whose status changed may no longer match the filters
+                if (action === 'pause' || action === 'activate') {
+                    self.applyCampaignFilters();
+                }
+            });
+        },
+
+        /**
+         * Report one campaign's bulk result and update its row in place
+         */
+        applyBulkResult: function(action, result) {
+            const strings = abcAdmin.strings;
+            const $row = $('.abc-campaign-checkbox[value="' + result.id + '"]').closest('tr');
+            const title = result.title || $row.find('td strong a').first().text() || '#' + result.id;
+            const $item = $('<li></li>').addClass(result.success ? 'abc-validation-success' : 'abc-validation-error')
+                .text((result.success ? '✓ ' : '✗ ') + title + ': ' + result.message);
+
+            if (result.edit_url) {
+                $item.append(' ', $('<a></a>').attr('href', result.edit_url).text(strings.edit_copy || 'Edit copy'));
+            }
+
+            $('#abc-bulk-progress .abc-bulk-report').append($item);
+
+            if (!result.success || !$row.length) {
+                return;
+            }
+
+            $row.find('.abc-campaign-checkbox').prop('checked', false);
+
+            switch (action) {
+                case 'pause':
+                case 'activate': {
+                    const active = result.status === 'active';
+                    $row.attr('data-status', result.status).data('status', result.status);
+                    $row.find('.abc-column-status').html(
+                        $('<span class="abc-badge"></span>')
+                            .addClass(active ? 'abc-badge-green' : 'abc-badge-yellow')
+                            .text(active ? (strings.status_active || 'Active') : (strings.status_paused || 'Paused'))
+                    );
+                    $row.find('.abc-pause-campaign, .abc-activate-campaign')
+                        .toggleClass('abc-pause-campaign', active)
+                        .toggleClass('abc-activate-campaign', !active)
+                        .prop('disabled', false)
+                        .text(active ? (strings.pause || 'Pause') : (strings.activate || 'Activate'));
+                    break;
+                }
+
+                case 'delete':
+                    $row.fadeOut(200, function() {
+                        $(this).remove();
+                    });
+                    break;
+
+                case 'discover':
+                    $row.find('.abc-column-queue').html($('<strong></strong>').text(result.queue_count));
+                    $row.find('.abc-column-last-run').text(strings.just_now || 'Just now');
+                    break;
+            }
+        },
+
+        /**
+         * Download selected campaigns as a JSON bundle (admin-post streams the file)
+         */
+        exportCampaigns: function(campaignIds) {
+            const $form = $('<form method="post" class="abc-hidden"></form>')
+                .attr('action', abcAdmin.admin_post_url)
+                .append($('<input type="hidden" name="action" value="abc_export_campaigns">'))
+                .append($('<input type="hidden" name="nonce">').val(abcAdmin.nonce));
+
+            campaignIds.forEach(function(id) {
+                $form.append($('<input type="hidden" name="campaign_ids[]">').val(id));
+            });
+
+            $form.appendTo('body').trigger('submit').remove();
+        },
+
+        /**
+         * Campaign import screen: read bundle, preview, import
+         */
+        initCampaignImport: function() {
+            const self = this;
+            const $status = $('.abc-import-status');
+
+            if (!$('#abc-import-preview').length) {
+                return;
+            }
+
+            $('#abc-import-file').on('change', function() {
+                const file = this.files && this.files[0];
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = function(e) {
+                    $('#abc-import-json').val(e.target.result).trigger('input');
+                };
+                reader.readAsText(file);
+            });
+
+            // Any edit invalidates the previewed bundle
+            $('#abc-import-json').on('input', function() {
+                self.importBundle = null;
+                $('.abc-import-review').addClass('abc-hidden');
+            });
+
+            $('#abc-import-preview').on('click', function() {
+                const json = $('#abc-import-json').val().trim();
+                const $button = $(this);
+
+                if (!json) {
+                    alert(abcAdmin.strings.import_choose_file || 'Choose a bundle file or paste its JSON first.');
+                    return;
+                }
+
+                $button.prop('disabled', true);
+                $status.removeClass('abc-validation-error').text(abcAdmin.strings.import_reading || 'Checking bundle...');
+
+                $.post(abcAdmin.ajax_url, {
+                    action: 'abc_preview_campaign_import',
+                    nonce: abcAdmin.nonce,
+                    bundle: json
+                }).done(function(response) {
+                    if (!response.success) {
+                        $status.addClass('abc-validation-error').text(response.data.message);
+                        return;
+                    }
+                    $status.text('');
+                    self.importBundle = json;
+                    self.renderImportPreview(response.data);
+                }).fail(function() {
+                    $status.addClass('abc-validation-error').text(abcAdmin.strings.error || 'An error occurred');
+                }).always(function() {
+                    $button.prop('disabled', false);
+                });
+            });
+
+            $('#abc-import-campaigns').on('click', '.abc-import-toggle-diff', function(e) {
+                e.preventDefault();
+                $(this).closest('.abc-import-campaign').find('.abc-import-diff').toggleClass('abc-hidden');
+            });
+
+            $('#abc-import-run').on('click', function() {
+                self.runCampaignImport($(this));
+            });
+        },
+
+        /**
+         * Render one review block per campaign in the bundle
+         */
+        renderImportPreview: function(data) {
+            const self = this;
+            const strings = abcAdmin.strings;
+            const $list = $('#abc-import-campaigns').empty();
+
+            const buildSelect = function(name, options, selected) {
+                const $select = $('<select></select>').attr('name', name)
+                    .append($('<option value="0"></option>').text(strings.import_none || '— None —'));
+                options.forEach(function(option) {
+                    $select.append($('<option></option>').val(option.id).text(option.name).prop('selected', option.id === selected));
+                });
+                return $select;
+            };
+
+            $('.abc-import-meta').text(
+                (strings.import_bundle_meta || '%1$d campaign(s) from %2$s, exported %3$s')
+                    .replace('%1$d', data.campaigns.length)
+                    .replace('%2$s', data.bundle.site_url)
+                    .replace('%3$s', data.bundle.exported_at ? new Date(data.bundle.exported_at).toLocaleString() : '?')
+            );
+
+            data.campaigns.forEach(function(campaign) {
+                const exists = campaign.existing_id > 0;
+                const $block = $('<div class="abc-import-campaign"></div>').attr('data-index', campaign.index);
+                const $header = $('<label class="abc-import-campaign-header"></label>')
+                    .append($('<input type="checkbox" class="abc-import-include">').val(campaign.index).prop('checked', !exists || campaign.diff.length > 0))
+                    .append(' ', $('<strong></strong>').text(campaign.title), ' ')
+                    .append($('<span class="abc-badge abc-badge-blue"></span>').text(campaign.type), ' ')
+                    .append($('<span class="abc-badge"></span>')
+                        .addClass(exists ? 'abc-badge-yellow' : 'abc-badge-green')
+                        .text(exists ? (strings.import_exists || 'Exists') : (strings.import_new || 'New')));
+
+                const $details = $('<p class="abc-text-muted"></p>').text(
+                    (strings.import_sources || '%d source(s)').replace('%d', campaign.source_count) + ' · ' + campaign.schedule
+                );
+
+                const $mapping = $('<div class="abc-import-mapping"></div>');
+
+                if (campaign.api_key) {
+                    $mapping.append($('<label></label>')
+                        .append(self.escapeHtml(strings.import_api_key || 'API key') + ' ')
+                        .append(buildSelect('api_key_id', data.keys[campaign.api_key.provider] || [], campaign.suggested_key_id))
+                        .append(' ', $('<span class="abc-text-muted"></span>').text(
+                            (strings.import_key_ref || 'was %1$s "%2$s"').replace('%1$s', campaign.api_key.provider).replace('%2$s', campaign.api_key.name)
+                        )));
+                }
+
+                const $category = $('<label></label>')
+                    .append(self.escapeHtml(strings.import_category || 'Category') + ' ')
+                    .append(buildSelect('category_id', data.categories, campaign.suggested_category_id));
+                if (campaign.category) {
+                    $category.append(' ', $('<span class="abc-text-muted"></span>').text(
+                        (strings.import_category_ref || 'was "%s"').replace('%s', campaign.category.name)
+                    ));
+                }
+                $mapping.append($category);
+
+                $block.append($header, $details, $mapping);
+
+                if (exists) {
+                    if (!campaign.diff.length) {
+                        $block.append($('<p class="abc-text-muted"></p>').text(strings.import_no_changes || 'Identical to the existing campaign.'));
+                    } else {
+                        const rows = campaign.diff.map(function(change) {
+                            return '<tr><td><code>' + self.escapeHtml(change.field) + '</code></td>' +
+                                '<td class="abc-import-diff-current">' + self.escapeHtml(change.current === null ? '—' : change.current) + '</td>' +
+                                '<td class="abc-import-diff-incoming">' + self.escapeHtml(change.incoming === null ? '—' : change.incoming) + '</td></tr>';
+                        }).join('');
+
+                        $block.append(
+                            $('<a href="#" class="abc-import-toggle-diff"></a>').text((strings.import_changes || '%d changed field(s)').replace('%d', campaign.diff.length)),
+                            '<table class="widefat striped abc-import-diff abc-hidden"><thead><tr>' +
+                                '<th>' + self.escapeHtml(strings.import_field || 'Field') + '</th>' +
+                                '<th>' + self.escapeHtml(strings.import_current || 'This site') + '</th>' +
+                                '<th>' + self.escapeHtml(strings.import_incoming || 'Bundle') + '</th>' +
+                            '</tr></thead><tbody>' + rows + '</tbody></table>'
+                        );
+                    }
+                }
+
+                $list.append($block);
+            });
+
+            $('.abc-import-results').empty();
+            $('.abc-import-review').removeClass('abc-hidden');
+        },
+
+        /**
+         * Import the checked campaigns with their key/category mapping
+         */
+        runCampaignImport: function($button) {
+            const strings = abcAdmin.strings;
+            const $results = $('.abc-import-results').empty();
+            const request = {
+                action: 'abc_import_campaigns',
+                nonce: abcAdmin.nonce,
+                bundle: this.importBundle,
+                campaigns: [],
+                mapping: {}
+            };
+
+            $('.abc-import-campaign').each(function() {
+                const $block = $(this);
+                const index = $block.data('index');
+
+                if (!$block.find('.abc-import-include').prop('checked')) return;
+
+                request.campaigns.push(index);
+                request.mapping[index] = {
+                    api_key_id: $block.find('select[name="api_key_id"]').val() || 0,
+                    category_id: $block.find('select[name="category_id"]').val() || 0
+                };
+            });
+
+            if (!request.campaigns.length) {
+                alert(strings.import_select_one || 'Select at least one campaign to import.');
+                return;
+            }
+
+            const label = $button.text();
+            $button.prop('disabled', true).text(strings.import_running || 'Importing...');
+
+            $.post(abcAdmin.ajax_url, request).done(function(response) {
+                if (!response.success) {
+                    $results.append($('<li class="abc-validation-error"></li>').text(response.data.message));
+                    return;
+                }
+
+                response.data.results.forEach(function(result) {
+                    const $item = $('<li></li>').addClass(result.success ? 'abc-validation-success' : 'abc-validation-error')
+                        .text((result.success ? '✓ ' : '✗ ') + result.title + (result.message ? ': ' + result.message : ''));
+                    if (result.edit_url) {
+                        $item.append(' ', $('<a></a>').attr('href', result.edit_url).text(strings.edit || 'Edit'));
+                    }
+                    $results.append($item);
+
+                    if (result.success) {
+                        $('.abc-import-campaign[data-index="' + result.index + '"] .abc-import-include').prop('checked', false);
+                    }
+                });
+                $results.append($('<li></li>').text(response.data.message));
+            }).fail(function() {
+                $results.append($('<li class="abc-validation-error"></li>').text(strings.error || 'An error occurred'));
+            }).always(function() {
+                $button.prop('disabled', false).text(label);
+            });
+        },
+
+        /**
+         * Test post: dry run one queued item from the campaign editor
+         */
+        initTestPost: function() {
+            const self = this;
+            const $panel = $('#abc-test-post');
+
+            if (!$panel.length) return;
+
+            $('.abc-test-post-open').on('click', function(e) {
+                e.preventDefault();
+                $panel.removeClass('abc-hidden');
+                $('html, body').animate({ scrollTop: $panel.offset().top - 50 }, 200);
+            });
+
+            $('#abc-test-post-run').on('click', function() {
+                self.runTestPost($(this));
+            });
+
+            $('#abc-test-post-publish').on('click', function() {
+                self.finishTestPost('publish', $(this));
+            });
+
+            $('#abc-test-post-discard').on('click', function() {
+                self.finishTestPost('discard', $(this));
+            });
+        },
+
+        /**
+         * Run the pipeline for the selected item and show the result
+         */
+        runTestPost: function($button) {
+            const self = this;
+            const strings = abcAdmin.strings;
+            const $panel = $('#abc-test-post');
+            const $status = $panel.find('.abc-test-post-status');
+
+            $button.prop('disabled', true);
+            $panel.find('.abc-test-post-result').addClass('abc-hidden');
+            $status.removeClass('abc-validation-error').text(strings.test_post_running || 'Running pipeline... this can take a minute.');
+
+            $.post(abcAdmin.ajax_url, {
+                action: 'abc_run_test_post',
+                nonce: abcAdmin.nonce,
+                campaign_id: $panel.data('campaign-id'),
+                queue_id: $('#abc-test-post-item').val() || 0
+            }).done(function(response) {
+                if (!response.success) {
+                    $status.addClass('abc-validation-error').text(response.data.message);
+                    return;
+                }
+
+                const result = response.data;
+                $status.text((strings.test_post_summary || 'Finished in %1$ss, %2$s tokens')
+                    .replace('%1$s', result.duration)
+                    .replace('%2$s', result.tokens.toLocaleString()));
+                self.renderTestPost(result);
+            }).fail(function() {
+                $status.addClass('abc-validation-error').text(strings.error || 'An error occurred');
+            }).always(function() {
+                $button.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Render stage timings and the post preview
+         */
+        renderTestPost: function(result) {
+            const strings = abcAdmin.strings;
+            const $result = $('#abc-test-post .abc-test-post-result').removeClass('abc-hidden');
+            const $stages = $result.find('.abc-test-post-stages tbody').empty();
+            const $preview = $result.find('.abc-test-post-preview');
+
+            result.stages.forEach(function(stage) {
+                $('<tr></tr>').toggleClass('abc-stage-failed', !!stage.error).append(
+                    $('<td></td>').text((strings['test_post_stage_' + stage.stage]) || stage.stage),
+                    $('<td></td>').text(stage.duration + 's'),
+                    $('<td></td>').text(stage.tokens ? stage.tokens.toLocaleString() : '–'),
+                    $('<td></td>').text(stage.error || '✓')
+                ).appendTo($stages);
+            });
+
+            $result.find('.abc-test-post-error').toggleClass('abc-hidden', !result.error).find('p').text(result.error || '');
+
+            $preview.toggleClass('abc-hidden', !result.post);
+            $result.find('#abc-test-post-publish').toggleClass('abc-hidden', !result.post);
+            if (!result.post) return;
+
+            $preview.find('.abc-test-post-title').text(result.post.title);
+            $preview.find('.abc-test-post-image').toggleClass('abc-hidden', !result.post.image).attr('src', result.post.image || '');
+            // Content is filtered with wp_kses_post on the server
+            $preview.find('.abc-test-post-content').html(result.post.content);
+
+            const $seo = $preview.find('.abc-test-post-seo').empty();
+            $.each(result.post.seo, function(key, value) {
+                if (!value) return;
+                $seo.append($('<dt></dt>').text(key.replace(/_/g, ' ')), $('<dd></dd>').text(value));
+            });
+        },
+
+        /**
+         * Publish the test post as a draft or discard it
+         */
+        finishTestPost: function(action, $button) {
+            const strings = abcAdmin.strings;
+            const $panel = $('#abc-test-post');
+            const $status = $panel.find('.abc-test-post-status');
+
+            if (action === 'discard' && !confirm(strings.test_post_confirm_discard || 'Discard this test post?')) return;
+
+            $panel.find('.abc-test-post-actions .button').prop('disabled', true);
+
+            $.post(abcAdmin.ajax_url, {
+                action: 'abc_' + action + '_test_post',
+                nonce: abcAdmin.nonce,
+                campaign_id: $panel.data('campaign-id')
+            }).done(function(response) {
+                if (!response.success) {
+                    $status.addClass('abc-validation-error').text(response.data.message);
+                    return;
+                }
+
+                $status.removeClass('abc-validation-error').text(response.data.message);
+                if (response.data.edit_url) {
+                    $status.append(' ', $('<a></a>').attr('href', response.data.edit_url).text(strings.edit || 'Edit'));
+                    $('#abc-test-post-item option[value="' + $('#abc-test-post-item').val() + '"]').remove();
                 }
+                $panel.find('.abc-test-post-result').addClass('abc-hidden');
+            }).fail(function() {
+                $status.addClass('abc-validation-error').text(strings.error || 'An error occurred');
+            }).always(function() {
+                $panel.find('.abc-test-post-actions .button').prop('disabled', false);
             });
         },
 
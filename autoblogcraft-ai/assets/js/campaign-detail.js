@@ -4,9 +4,14 @@
  * Handles campaign detail page interactions including:
  * - Tab navigation with hash support
  * - Queue processing (single and batch)
+ * - Queue item inspector (stage outputs, attempts, diff)
  * - Real-time status updates
- * - Log filtering and export
- * - Statistics auto-refresh
+ * - Log viewer (search, infinite scroll, live tail) and export
+ * - Post actions (regenerate, SEO, featured image, translate, unpublish, trash)
+ * - Source list with per-source overrides, source health (re-test,
+ *   enable, disable) and OPML/CSV source import
+ * - Settings tabs: unsaved-change tracking, review diff and AJAX save
+ * - Statistics auto-refresh and overview charts
  * - AJAX actions
  *
  * @package AutoBlogCraft_AI
@@ -25,6 +30,32 @@
 		currentTab: 'overview',
 		refreshInterval: null,
 		refreshRate: 30000,
+		queueRefreshRate: 5000,
+		queueTimer: null,
+		queueCursor: '',
+		queueMaxId: 0,
+		queueAllMatching: false,
+		queueLastChecked: null,
+		batch: null,
+		batchJob: null,
+		batchClock: null,
+		batchStartedAt: 0,
+		inspectorItemId: null,
+		inspectorData: null,
+		inspectorOutput: 'raw_html',
+		logsTailRate: 3000,
+		logsTailing: false,
+		logsTimer: null,
+		logsSearchTimer: null,
+		logsRequest: 0,
+		logsLoadingMore: false,
+		postsRunning: false,
+		sourcesRunning: false,
+		sourceImport: null,
+		settingsLeaving: false,
+		charts: {},
+		chartRange: '7d',
+		chartsRequest: 0,
 		
 		// Settings localized from WordPress via wp_localize_script
 		config: typeof abcCampaignDetail !== 'undefined' ? abcCampaignDetail : {},
@@ -36,9 +67,22 @@
 			// Robust campaign ID retrieval
 			this.campaignId = this.$container.data('campaign-id') || this.config.campaignId || this.config.campaign_id;
 			
+			// Server-rendered tabs (campaign editor) tell us which tab is showing
+			this.currentTab = this.$container.data('tab') || this.currentTab;
+
 			this.bindEvents();
 			this.handleHashChange();
 			this.startAutoRefresh();
+			this.startLiveQueue();
+			this.initQueueSelection();
+			this.initQueueInspector();
+			this.initLogViewer();
+			this.initPostActions();
+			this.initSourceHealth();
+			this.initSourceImport();
+			this.initSettingsForms();
+			this.initCharts();
+			this.resumeBatch();
 		},
 
 		cacheElements: function() {
@@ -91,7 +135,7 @@
                 if ($btn.hasClass('abc-discover-now')) { e.preventDefault(); self.discoverNow(); }
                 
                 // Queue Management
-                if ($btn.hasClass('abc-process-queue') || $btn.attr('id') === 'process-queue-btn') {
+                if ($btn.hasClass('abc-process-queue')) {
                     e.preventDefault();
                     self.processQueue();
                 }
@@ -103,6 +147,10 @@
                     e.preventDefault();
                     self.deleteQueueItem($btn);
                 }
+                if ($btn.attr('id') === 'retry-failed-btn') {
+                    e.preventDefault();
+                    self.retryFailedQueue();
+                }
                 if ($btn.attr('id') === 'clear-failed-btn' || $btn.hasClass('abc-clear-failed-queue')) {
                     e.preventDefault();
                     self.clearFailedQueue();
@@ -116,6 +164,7 @@
                 if ($btn.hasClass('abc-add-source')) { e.preventDefault(); self.addSource($btn); }
                 if ($btn.hasClass('abc-remove-source')) { e.preventDefault(); self.removeSource($btn); }
                 if ($btn.hasClass('abc-save-sources')) { e.preventDefault(); self.saveSources(); }
+                if ($btn.hasClass('abc-toggle-source-overrides')) { e.preventDefault(); self.toggleSourceOverrides($btn); }
 
                 // UI Helpers
                 if ($btn.hasClass('abc-toggle-context')) self.toggleContext($btn);
@@ -130,7 +179,10 @@
             // 3. Specialized Listeners
             $(document).on('click', '#export-logs-btn, .abc-export-logs', (e) => { e.preventDefault(); self.exportLogs(); });
             $(document).on('click', '#clear-logs-btn, .abc-clear-logs', (e) => { e.preventDefault(); self.clearLogs(); });
-            $(document).on('click', '.abc-save-settings', (e) => { e.preventDefault(); self.saveSettings(); });
+            $(document).on('click', '.abc-save-settings', (e) => { e.preventDefault(); self.reviewSettings($(e.currentTarget).closest('form')); });
+            $(document).on('click', '#process-queue-btn', (e) => { e.preventDefault(); self.processQueue(); });
+            $(document).on('click', '.abc-batch-cancel', (e) => { e.preventDefault(); self.cancelBatch(); });
+            $(document).on('click', '.abc-batch-dismiss', (e) => { e.preventDefault(); self.dismissBatch(); });
             
             // Filters
             $(document).on('change', '.abc-filter-select, .abc-filter-input', () => self.applyFilters());
@@ -203,19 +255,686 @@
                 .fail(() => this.showNotice('An error occurred during discovery.', 'error'));
         },
 
+        /**
+         * Move a row to its place in processing order (priority desc, then position asc)
+         *
+         * Returns false when the row sorts after every row on this page.
+         */
+        placeQueueRow: function($row) {
+            const priority = parseInt($row.data('priority'), 10);
+            const position = parseInt($row.data('position'), 10);
+            const $tbody = $('.abc-queue-live tbody');
+
+            const $before = $tbody.children('tr[data-item-id]').not($row).filter(function() {
+                const p = parseInt($(this).data('priority'), 10);
+                return p < priority || (p === priority && parseInt($(this).data('position'), 10) > position);
+            }).first();
+
+            if (!$before.length) {
+                if ($row.parent().length) $tbody.append($row);
+                return false;
+            }
+
+            $row.insertBefore($before);
+            return true;
+        },
+
+        /**
+         * Queue selection: checkboxes, shift-click ranges and "all matching"
+         */
+        initQueueSelection: function() {
+            const self = this;
+            const $table = $('.abc-queue-live');
+            if (!$table.length) return;
+
+            this.queueAllMatching = false;
+
+            $table.on('click', '.abc-queue-select', function(e) {
+                const $boxes = $table.find('tbody .abc-queue-select');
+                const index = $boxes.index(this);
+
+                if (e.shiftKey && self.queueLastChecked !== null) {
+                    const [from, to] = [Math.min(index, self.queueLastChecked), Math.max(index, self.queueLastChecked)];
+                    $boxes.slice(from, to + 1).prop('checked', this.checked);
+                }
+
+                self.queueLastChecked = index;
+                self.queueAllMatching = false;
+                self.updateQueueSelection();
+            });
+
+            $table.on('change', '.abc-queue-select-all', function() {
+                $table.find('tbody .abc-queue-select').prop('checked', this.checked);
+                self.queueAllMatching = false;
+                self.updateQueueSelection();
+            });
+
+            $('.abc-queue-select-matching').on('click', function(e) {
+                e.preventDefault();
+                self.queueAllMatching = true;
+                self.updateQueueSelection();
+            });
+
+            $('.abc-queue-bulk-action').on('change', function() {
+                $('.abc-queue-bulk-priority').toggleClass('abc-hidden', $(this).val() !== 'priority');
+            });
+
+            $('.abc-queue-bulk-apply').on('click', () => this.applyQueueBulkAction());
+
+            // Drag-and-drop reordering persists as priorities
+            if ($.fn.sortable) {
+                $table.find('tbody').sortable({
+                    handle: '.abc-drag-handle',
+                    axis: 'y',
+                    items: '> tr[data-item-id]',
+                    helper: function(e, $tr) {
+                        // Keep cell widths while dragging
+                        const $cells = $tr.children();
+                        return $tr.clone().children().each(function(i) { $(this).width($cells.eq(i).width()); }).end();
+                    },
+                    update: () => this.saveQueueOrder()
+                });
+            }
+        },
+
+        updateQueueSelection: function() {
+            const i18n = this.config.i18n || {};
+            const $table = $('.abc-queue-live');
+            const $boxes = $table.find('tbody .abc-queue-select');
+            const checked = $boxes.filter(':checked').length;
+            const total = parseInt($table.data('total'), 10) || 0;
+            const allVisible = checked > 0 && checked === $boxes.length;
+
+            $table.find('.abc-queue-select-all').prop('checked', allVisible);
+
+            let text = checked ? (i18n.queueSelected || '%d selected').replace('%d', checked) : '';
+            if (this.queueAllMatching) {
+                text = (i18n.queueAllMatchingSelected || 'All %d matching items selected.').replace('%d', total);
+            }
+            $('.abc-queue-selection').text(text);
+
+            $('.abc-queue-select-matching')
+                .toggleClass('abc-hidden', !allVisible || this.queueAllMatching || total <= $boxes.length)
+                .text((i18n.queueSelectMatching || 'Select all %d items matching this filter').replace('%d', total));
+        },
+
+        getQueueSelection: function() {
+            return $('.abc-queue-live tbody .abc-queue-select:checked').map(function() {
+                return parseInt(this.value, 10);
+            }).get();
+        },
+
+        applyQueueBulkAction: function() {
+            const i18n = this.config.i18n || {};
+            const $table = $('.abc-queue-live');
+            const action = $('.abc-queue-bulk-action').val();
+            const ids = this.getQueueSelection();
+            const count = this.queueAllMatching ? parseInt($table.data('total'), 10) : ids.length;
+
+            if (!action) {
+                this.showNotice(i18n.chooseBulkAction || 'Choose a bulk action.', 'error');
+                return;
+            }
+            if (!count) {
+                this.showNotice(i18n.noItemsSelected || 'Select at least one item.', 'error');
+                return;
+            }
+            if (action === 'delete' && !confirm((i18n.confirmBulkDeleteItems || 'Delete %d queue item(s)?').replace('%d', count))) return;
+
+            const data = { bulk_action: action, priority: $('.abc-queue-bulk-priority').val() };
+            if (this.queueAllMatching) {
+                data.all_matching = 1;
+                data.status = $table.data('status-filter') || '';
+            } else {
+                data.item_ids = ids;
+            }
+
+            const $apply = $('.abc-queue-bulk-apply').prop('disabled', true);
+
+            this.request('abc_queue_bulk_action', data)
+                .done(response => {
+                    if (!response.success) {
+                        this.showNotice(response.data.message, 'error');
+                        return;
+                    }
+
+                    this.showNotice(response.data.message, 'success');
+
+                    if (action === 'delete') {
+                        if (this.queueAllMatching) {
+                            window.location.reload();
+                            return;
+                        }
+                        ids.forEach(id => $table.find(`tr[data-item-id="${id}"]`).fadeOut(300, function() { $(this).remove(); }));
+                    }
+
+                    $table.find('.abc-queue-select, .abc-queue-select-all').prop('checked', false);
+                    this.queueAllMatching = false;
+                    this.updateQueueSelection();
+                    this.refreshQueueNow();
+                })
+                .fail(() => this.showNotice('An error occurred.', 'error'))
+                .always(() => $apply.prop('disabled', false));
+        },
+
+        saveQueueOrder: function() {
+            const $rows = $('.abc-queue-live tbody tr[data-item-id]');
+            const ids = $rows.map(function() { return $(this).data('item-id'); }).get();
+
+            this.request('abc_queue_reorder', { item_ids: ids })
+                .done(response => {
+                    if (!response.success) {
+                        this.showNotice(response.data.message, 'error');
+                        return;
+                    }
+
+                    $.each(response.data.order, (id, place) => {
+                        const $row = $rows.filter(`[data-item-id="${id}"]`);
+                        $row.attr('data-priority', place.priority).data('priority', place.priority);
+                        $row.attr('data-position', place.position).data('position', place.position);
+                        $row.find('.column-priority').text(place.priority);
+                    });
+                })
+                .fail(() => this.showNotice(this.config.i18n?.reorderFailed || 'Could not save the new order.', 'error'));
+        },
+
+        /**
+         * Poll the live feed now instead of waiting for the next tick
+         */
+        refreshQueueNow: function() {
+            if (!this.queueCursor) return;
+
+            clearTimeout(this.queueTimer);
+            // The feed holds back the current second, so give it a moment
+            this.queueTimer = setTimeout(() => this.pollQueue(), 1100);
+        },
+
+        /**
+         * Queue inspector: clicking a row opens a drawer with the item's
+         * source, attempts, stage outputs and logs
+         */
+        initQueueInspector: function() {
+            const self = this;
+            const $drawer = $('#abc-queue-inspector');
+            if (!$drawer.length) return;
+
+            $('.abc-queue-live').on('click', 'tbody tr[data-item-id]', function(e) {
+                if ($(e.target).closest('a, button, input, .check-column').length) return;
+                self.openQueueInspector($(this).data('item-id'));
+            });
+
+            $drawer.on('click', '.abc-inspector-close', (e) => { e.preventDefault(); this.closeQueueInspector(); });
+            $drawer.on('click', '.abc-inspector-show-outputs', function(e) {
+                e.preventDefault();
+                self.openQueueInspector(self.inspectorItemId, $(this).data('attempt-id'));
+            });
+            $drawer.on('click', '.abc-inspector-tabs .button', function(e) {
+                e.preventDefault();
+                self.inspectorOutput = $(this).data('output');
+                self.renderInspectorOutput();
+            });
+
+            $(document).on('keydown', (e) => {
+                if (e.key === 'Escape' && this.inspectorItemId) this.closeQueueInspector();
+            });
+        },
+
+        openQueueInspector: function(itemId, attemptId = 0) {
+            const i18n = this.config.i18n || {};
+            const $drawer = $('#abc-queue-inspector').removeClass('abc-hidden');
+
+            this.inspectorItemId = itemId;
+            $('.abc-queue-live tbody tr').removeClass('abc-row-inspected')
+                .filter(`[data-item-id="${itemId}"]`).addClass('abc-row-inspected');
+
+            if (!attemptId) {
+                $drawer.find('#abc-inspector-title').text('#' + itemId);
+                $drawer.find('.abc-inspector-body').empty().append($('<p class="abc-text-muted"></p>').text(i18n.inspectorLoading || 'Loading item...'));
+            }
+
+            const showError = (message) => {
+                $drawer.find('.abc-inspector-body').empty()
+                    .append($('<p class="abc-validation-error"></p>').text(message || i18n.inspectorFailed || 'Could not load this item.'));
+            };
+
+            this.request('abc_get_queue_item_details', { item_id: itemId, attempt_id: attemptId })
+                .done(res => {
+                    // Ignore answers for an item the user has moved away from
+                    if (this.inspectorItemId !== itemId) return;
+
+                    if (res.success) {
+                        this.renderQueueInspector(res.data);
+                    } else {
+                        showError(res.data?.message);
+                    }
+                })
+                .fail(() => {
+                    if (this.inspectorItemId === itemId) showError();
+                });
+        },
+
+        closeQueueInspector: function() {
+            this.inspectorItemId = null;
+            this.inspectorData = null;
+            $('#abc-queue-inspector').addClass('abc-hidden');
+            $('.abc-queue-live tbody tr').removeClass('abc-row-inspected');
+        },
+
+        renderQueueInspector: function(data) {
+            const i18n = this.config.i18n || {};
+            const item = data.item;
+            const $drawer = $('#abc-queue-inspector');
+            const $body = $drawer.find('.abc-inspector-body');
+            const scrollTop = this.inspectorData && this.inspectorData.item.id === item.id ? $body.scrollTop() : 0;
+
+            $body.empty();
+
+            this.inspectorData = data;
+            $drawer.find('#abc-inspector-title').text(item.title || item.source_url);
+
+            // Source metadata
+            const $meta = $('<dl class="abc-inspector-meta"></dl>');
+            // Values come from scraped feeds: only nodes built here are appended, the rest is text
+            const addMeta = (label, value) => {
+                if (value === '' || value === null || value === undefined) return;
+                const $value = value instanceof $ ? $('<dd></dd>').append(value) : $('<dd></dd>').text(String(value));
+                $meta.append($('<dt></dt>').text(label), $value);
+            };
+
+            addMeta(i18n.inspectorUrl || 'URL', $('<a target="_blank" rel="noopener noreferrer"></a>').attr('href', item.source_url).text(item.source_url));
+            addMeta(i18n.inspectorType || 'Type', item.source_type);
+            addMeta(i18n.inspectorStatus || 'Status', item.status);
+            addMeta(i18n.inspectorPriority || 'Priority', String(item.priority));
+            addMeta(i18n.inspectorRetries || 'Failed attempts', String(item.retry_count));
+            addMeta(i18n.inspectorDiscovered || 'Discovered', item.discovered_at);
+            addMeta(i18n.inspectorProcessed || 'Processed', item.processed_at);
+            if (item.edit_url) {
+                addMeta(i18n.viewPost || 'View post', $('<a target="_blank"></a>').attr('href', item.edit_url).text(item.edit_url));
+            }
+            addMeta(i18n.inspectorLastError || 'Last error', item.last_error);
+            $.each(item.metadata, (key, value) => addMeta(key, value));
+
+            $body.append($('<h3></h3>').text(i18n.inspectorSource || 'Source'), $meta);
+
+            // Attempts, newest first
+            $body.append($('<h3></h3>').text(i18n.inspectorAttempts || 'Attempts'));
+            if (!data.attempts.length) {
+                $body.append($('<p class="abc-text-muted"></p>').text(i18n.inspectorNoAttempts || 'No attempts recorded yet.'));
+            }
+
+            data.attempts.forEach(attempt => {
+                const selected = attempt.id === data.selected;
+                const $attempt = $('<details class="abc-inspector-attempt"></details>')
+                    .toggleClass('is-failed', attempt.status === 'failed' || attempt.status === 'interrupted')
+                    .toggleClass('is-selected', selected)
+                    .prop('open', selected);
+
+                const key = [attempt.provider, attempt.key_name || (attempt.key_id ? '#' + attempt.key_id : ''), attempt.model].filter(Boolean).join(' / ');
+                const $summary = $('<summary></summary>').append(
+                    $('<strong></strong>').text((i18n.inspectorAttempt || 'Attempt #%d').replace('%d', attempt.attempt) + ' · ' + attempt.status),
+                    $('<span class="abc-text-muted"></span>').text([attempt.started_at, key].filter(Boolean).join(' · '))
+                );
+                if (!selected) {
+                    $summary.append($('<button type="button" class="button button-small abc-inspector-show-outputs"></button>')
+                        .attr('data-attempt-id', attempt.id)
+                        .text(i18n.inspectorShowOutputs || 'Show outputs'));
+                }
+
+                const $content = $('<div class="abc-inspector-attempt-body"></div>');
+                if (attempt.error) {
+                    $content.append($('<p class="abc-validation-error"></p>').text(attempt.error));
+                }
+
+                if (attempt.stages.length) {
+                    const $stages = $('<table class="widefat striped abc-inspector-stages"><thead><tr></tr></thead><tbody></tbody></table>');
+                    $stages.find('thead tr').append(
+                        $('<th></th>').text(i18n.inspectorStage || 'Stage'),
+                        $('<th></th>').text(i18n.inspectorDuration || 'Time'),
+                        $('<th></th>').text(i18n.inspectorTokens || 'Tokens'),
+                        $('<th></th>')
+                    );
+                    attempt.stages.forEach(stage => {
+                        const ai = stage.ai ? [stage.ai.provider, stage.ai.key_name || '#' + stage.ai.key_id].join(' / ') : '';
+                        $stages.find('tbody').append($('<tr></tr>').toggleClass('abc-stage-failed', !!stage.error).append(
+                            $('<td></td>').text(stage.stage),
+                            $('<td></td>').text(stage.duration + 's'),
+                            $('<td></td>').text(stage.tokens || ''),
+                            $('<td></td>').text(stage.error || ai)
+                        ));
+                    });
+                    $content.append($stages);
+                }
+
+                if (attempt.logs.length) {
+                    $content.append($('<strong></strong>').text(i18n.inspectorLogs || 'Log entries'), this.renderInspectorLogs(attempt.logs));
+                }
+
+                $body.append($attempt.append($summary, $content));
+            });
+
+            if (data.logs.length) {
+                $body.append($('<h3></h3>').text(i18n.inspectorOtherLogs || 'Other log entries'), this.renderInspectorLogs(data.logs));
+            }
+
+            // Stage outputs of the selected attempt
+            const selected = data.attempts.find(attempt => attempt.id === data.selected);
+            if (selected) {
+                const $tabs = $('<div class="abc-inspector-tabs"></div>');
+                [
+                    ['raw_html', i18n.inspectorRawHtml || 'Raw HTML'],
+                    ['cleaned', i18n.inspectorCleaned || 'Cleaned'],
+                    ['rewritten', i18n.inspectorRewritten || 'Rewritten'],
+                    ['diff', i18n.inspectorDiff || 'Diff']
+                ].forEach(([name, label]) => {
+                    $tabs.append($('<button type="button" class="button button-small"></button>').attr('data-output', name).text(label));
+                });
+
+                $body.append(
+                    $('<h3></h3>').text((i18n.inspectorOutputs || 'Stage outputs of attempt #%d').replace('%d', selected.attempt)),
+                    $tabs,
+                    $('<p class="description abc-inspector-output-note"></p>'),
+                    $('<pre class="abc-inspector-output"></pre>')
+                );
+                this.renderInspectorOutput();
+            }
+
+            $body.scrollTop(scrollTop);
+        },
+
+        renderInspectorLogs: function(logs) {
+            const $list = $('<ul class="abc-inspector-logs"></ul>');
+            logs.forEach(log => {
+                $list.append($('<li></li>').addClass('abc-log-' + log.level).text(`${log.created_at} [${log.level}] ${log.category}: ${log.message}`));
+            });
+            return $list;
+        },
+
+        /**
+         * Show one stage output, or the source/rewritten word diff
+         */
+        renderInspectorOutput: function() {
+            const i18n = this.config.i18n || {};
+            const outputs = this.inspectorData.outputs || {};
+            const $body = $('#abc-queue-inspector .abc-inspector-body');
+            const $output = $body.find('.abc-inspector-output').empty();
+            const $note = $body.find('.abc-inspector-output-note').empty();
+            const name = this.inspectorOutput || 'raw_html';
+
+            $body.find('.abc-inspector-tabs .button').removeClass('is-active').filter(`[data-output="${name}"]`).addClass('is-active');
+
+            if (name === 'diff') {
+                if (!outputs.cleaned || !outputs.rewritten) {
+                    $output.text(i18n.inspectorNoOutput || 'This stage did not produce output in this attempt.');
+                    return;
+                }
+
+                const diff = this.diffWords(this.htmlToText(outputs.cleaned.text), this.htmlToText(outputs.rewritten.text));
+                diff.parts.forEach(([op, text]) => {
+                    $output.append(op === '=' ? document.createTextNode(text) : $(op === '+' ? '<ins></ins>' : '<del></del>').text(text));
+                });
+                if (diff.truncated) {
+                    $note.text((i18n.inspectorDiffTruncated || 'Only the first %d words are compared.').replace('%d', diff.limit));
+                }
+                return;
+            }
+
+            const output = outputs[name];
+            if (!output) {
+                $output.text(i18n.inspectorNoOutput || 'This stage did not produce output in this attempt.');
+                return;
+            }
+
+            $output.text(output.text);
+            if (output.text.length < output.length) {
+                $note.text((i18n.inspectorTruncated || 'Showing the first %1$d of %2$d characters.')
+                    .replace('%1$d', output.text.length).replace('%2$d', output.length));
+            }
+        },
+
+        htmlToText: function(html) {
+            // DOMParser documents are inert: no scripts run, no images load
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+        },
+
+        /**
+         * Word-level diff (longest common subsequence)
+         *
+         * @return {{parts: Array, truncated: boolean, limit: number}} parts are [op, text], op one of '=', '-', '+'
+         */
+        diffWords: function(before, after) {
+            const limit = 3000;
+            const a = before.split(' ');
+            const b = after.split(' ');
+            const truncated = a.length > limit || b.length > limit;
+            a.length = Math.min(a.length, limit);
+            b.length = Math.min(b.length, limit);
+
+            const n = a.length;
+            const m = b.length;
+            const lcs = new Uint16Array((n + 1) * (m + 1));
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lcs[i * (m + 1) + j] = a[i] === b[j]
+                        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+                        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+                }
+            }
+
+            const parts = [];
+            const push = (op, word) => {
+                const last = parts[parts.length - 1];
+                if (last && last[0] === op) {
+                    last[1] += word + ' ';
+                } else {
+                    parts.push([op, word + ' ']);
+                }
+            };
+
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (a[i] === b[j]) {
+                    push('=', a[i]); i++; j++;
+                } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+                    push('-', a[i]); i++;
+                } else {
+                    push('+', b[j]); j++;
+                }
+            }
+            while (i < n) push('-', a[i++]);
+            while (j < m) push('+', b[j++]);
+
+            return { parts, truncated, limit };
+        },
+
+        /**
+         * Start a batch job; the browser then steps it one item at a time
+         */
         processQueue: function() {
-            const loadingText = this.config.i18n?.processing || 'Processing...';
-            this.request('abc_process_campaign_queue', {}, { loadingText: loadingText })
+            if (this.batch) return;
+
+            const limit = parseInt($('#abc-batch-limit').val(), 10) || 10;
+
+            this.request('abc_queue_batch', { batch_action: 'start', limit: limit })
                 .done(response => {
-                    this.showNotice(response.data.message, response.success ? 'success' : 'error');
-                    if (response.success) {
-                        this.refreshStats();
-                        if (this.currentTab === 'queue') this.loadTabData('queue');
+                    if (!response.success) {
+                        this.showNotice(response.data.message, 'error');
+                        return;
                     }
+                    this.runBatch(response.data.job);
                 })
                 .fail(() => this.showNotice('An error occurred while processing.', 'error'));
         },
 
+        /**
+         * Reattach to a batch left running (or unreviewed) by a previous page load
+         */
+        resumeBatch: function() {
+            if (!$('#abc-queue-batch').length) return;
+
+            this.request('abc_queue_batch', { batch_action: 'status' })
+                .done(response => {
+                    const job = response.success && response.data.job;
+                    if (!job) return;
+
+                    if (job.status === 'running') {
+                        this.runBatch(job);
+                    } else {
+                        this.showBatch(job);
+                        this.finishBatch(job);
+                    }
+                });
+        },
+
+        runBatch: function(job) {
+            this.batch = { seen: 0, failures: 0, cancelling: false };
+            this.showBatch(job);
+            $('#process-queue-btn').prop('disabled', true);
+
+            this.batchClock = setInterval(() => this.renderBatchTiming(), 1000);
+            this.stepBatch();
+        },
+
+        stepBatch: function() {
+            this.request('abc_queue_batch', { batch_action: 'step' }, { timeout: 330000 })
+                .done(response => {
+                    if (!response.success) {
+                        this.finishBatch(null, response.data.message);
+                        return;
+                    }
+
+                    const job = response.data.job;
+                    const progressed = job.done > this.batch.seen;
+                    this.batch.failures = 0;
+                    this.renderBatch(job);
+
+                    if (job.status !== 'running') {
+                        this.finishBatch(job);
+                    } else {
+                        // Another tab holds the current item: wait instead of hammering
+                        setTimeout(() => this.stepBatch(), progressed ? 0 : 2000);
+                    }
+                })
+                .fail(() => {
+                    // The job keeps its place on the server, so retrying is safe
+                    if (++this.batch.failures < 3) {
+                        setTimeout(() => this.stepBatch(), 3000);
+                    } else {
+                        this.finishBatch(null, this.config.i18n?.batchConnectionLost || 'Lost connection to the batch. Reload the page to reattach.');
+                    }
+                });
+        },
+
+        cancelBatch: function() {
+            if (!this.batch || this.batch.cancelling) return;
+
+            this.batch.cancelling = true;
+            $('#abc-queue-batch .abc-batch-cancel').prop('disabled', true);
+            $('#abc-queue-batch .abc-bulk-progress-label').text(this.config.i18n?.batchCancelling || 'Cancelling after the current item...');
+            this.request('abc_queue_batch', { batch_action: 'cancel' });
+        },
+
+        dismissBatch: function() {
+            $('#abc-queue-batch').addClass('abc-hidden');
+            this.request('abc_queue_batch', { batch_action: 'clear' });
+        },
+
+        showBatch: function(job) {
+            const $panel = $('#abc-queue-batch').removeClass('abc-hidden');
+            $panel.find('.abc-bulk-report').empty();
+            $panel.find('.abc-batch-cancel').prop('disabled', false).removeClass('abc-hidden');
+            $panel.find('.abc-batch-dismiss').addClass('abc-hidden');
+
+            this.batchJob = job;
+            this.batchStartedAt = Date.now() - job.elapsed * 1000;
+            if (this.batch) this.batch.seen = 0;
+            this.renderBatch(job);
+        },
+
+        /**
+         * Append new result lines and move the progress bar
+         */
+        renderBatch: function(job) {
+            const i18n = this.config.i18n || {};
+            const $panel = $('#abc-queue-batch');
+            const $report = $panel.find('.abc-bulk-report');
+            const seen = this.batch ? this.batch.seen : 0;
+
+            job.results.forEach((result, i) => {
+                if (job.offset + i < seen) return;
+
+                const icon = { success: '✓', failed: '✗', skipped: '–' }[result.status];
+                const $line = $('<li></li>')
+                    .addClass(result.status === 'failed' ? 'abc-validation-error' : (result.status === 'success' ? 'abc-validation-success' : ''))
+                    .text(`${icon} ${result.title} (${result.duration}s)` + (result.message ? ': ' + result.message : ''));
+
+                if (result.edit_url) {
+                    $line.append(' ', $('<a target="_blank"></a>').attr('href', result.edit_url).text(i18n.viewPost || 'View post'));
+                }
+                $report.append($line);
+            });
+            $report.scrollTop($report[0].scrollHeight);
+
+            if (this.batch) this.batch.seen = job.done;
+            this.batchJob = job;
+
+            $panel.find('.abc-progress-fill').css('width', Math.round(job.done / job.total * 100) + '%');
+            if (!this.batch || !this.batch.cancelling) {
+                $panel.find('.abc-bulk-progress-label').text(
+                    (i18n.batchProgress || 'Processed %1$d of %2$d').replace('%1$d', job.done).replace('%2$d', job.total)
+                );
+            }
+            this.renderBatchTiming();
+        },
+
+        renderBatchTiming: function() {
+            const i18n = this.config.i18n || {};
+            const job = this.batchJob;
+            if (!job) return;
+
+            const running = job.status === 'running';
+            const elapsed = running ? (Date.now() - this.batchStartedAt) / 1000 : job.elapsed;
+            let text = (i18n.batchElapsed || 'Elapsed %s').replace('%s', this.formatDuration(elapsed));
+
+            if (running && job.done > 0 && job.done < job.total) {
+                const eta = job.elapsed / job.done * (job.total - job.done);
+                text += ', ' + (i18n.batchEta || 'about %s left').replace('%s', this.formatDuration(eta));
+            }
+
+            $('#abc-queue-batch .abc-batch-timing').text(text);
+        },
+
+        finishBatch: function(job, error) {
+            const i18n = this.config.i18n || {};
+            const $panel = $('#abc-queue-batch');
+
+            clearInterval(this.batchClock);
+            this.batch = null;
+            $('#process-queue-btn').prop('disabled', false);
+            $panel.find('.abc-batch-cancel').addClass('abc-hidden');
+            $panel.find('.abc-batch-dismiss').removeClass('abc-hidden');
+
+            if (error) {
+                $panel.find('.abc-bulk-progress-label').text(error);
+                return;
+            }
+
+            this.batchJob = job;
+            this.renderBatchTiming();
+            $panel.find('.abc-bulk-progress-label').text(job.status === 'cancelled'
+                ? (i18n.batchCancelled || 'Cancelled after %1$d of %2$d items.').replace('%1$d', job.done).replace('%2$d', job.total)
+                : (i18n.batchDone || 'Done: %1$d succeeded, %2$d failed, %3$d skipped.').replace('%1$d', job.succeeded).replace('%2$d', job.failed).replace('%3$d', job.skipped));
+            this.refreshStats();
+        },
+
+        formatDuration: function(seconds) {
+            seconds = Math.round(seconds);
+            const m = Math.floor(seconds / 60);
+            const s = seconds % 60;
+            return m ? `${m}m ${s}s` : `${s}s`;
+        },
+
         processQueueItem: function($btn) {
             const id = $btn.data('item-id') || $btn.data('queue-id');
             const $row = $btn.closest('tr');
@@ -257,96 +976,691 @@
                 });
         },
 
-        clearFailedQueue: function() {
-            if (!confirm(this.config.i18n?.confirmClearFailed || 'Clear all failed items?')) return;
-
-            this.request('abc_clear_failed_queue', {}, { loadingText: 'Clearing failed items...' })
+        /**
+         * Requeue failed items whose retry is due; the server applies the
+         * campaign's retry policy and reports what it left waiting
+         */
+        retryFailedQueue: function() {
+            this.request('abc_retry_failed_queue', {}, { loadingText: this.config.i18n?.retryingFailed || 'Retrying failed items...' })
                 .done(response => {
                     if (response.success) {
-                        this.loadTabData('queue');
+                        this.refreshQueueNow();
                         this.refreshStats();
                     }
                     this.showNotice(response.data.message, response.success ? 'success' : 'error');
                 });
         },
 
-        cloneCampaign: function() {
-            if (!confirm('Clone this campaign?')) return;
+        clearFailedQueue: function() {
+            if (!confirm(this.config.i18n?.confirmClearFailed || 'Clear all failed items?')) return;
 
-            this.request('abc_clone_campaign', {}, { loadingText: 'Cloning...' })
+            this.request('abc_clear_failed_queue', {}, { loadingText: 'Clearing failed items...' })
                 .done(response => {
-                    if (response.success && response.data.redirect_url) {
-                        this.showNotice('Cloned! Redirecting...', 'success');
-                        setTimeout(() => window.location.href = response.data.redirect_url, 1500);
-                    } else {
-                        this.showNotice(response.data.message || 'Clone failed.', 'error');
+                    if (response.success) {
+                        this.loadTabData('queue');
+                        this.refreshStats();
                     }
+                    this.showNotice(response.data.message, response.success ? 'success' : 'error');
                 });
         },
 
-        deleteCampaign: function() {
-            if (!confirm('Permanently delete this campaign?')) return;
+        /**
+         * Post actions run one post per request so every row updates as
+         * soon as its own action finishes
+         */
+        initPostActions: function() {
+            const self = this;
+            const $table = $('.abc-posts-table');
+            if (!$table.length) return;
 
-            this.request('abc_delete_campaign', {}, { loadingText: 'Deleting...' })
-                .done(response => {
-                    if (response.success) {
-                        this.showNotice('Deleted. Redirecting...', 'success');
-                        const url = this.config.campaignsUrl || 'admin.php?page=abc-campaigns';
-                        setTimeout(() => window.location.href = url, 1500);
-                    } else {
-                        this.showNotice(response.data.message || 'Delete failed.', 'error');
-                    }
-                });
-        },
+            $table.on('click', '.abc-post-action', function(e) {
+                e.preventDefault();
+                self.runPostActions([$(this).closest('tr').data('post-id')], $(this).data('action'));
+            });
 
-        addSource: function($btn) {
-            const $container = $btn.closest('.abc-sources-container');
-            const $newSource = $container.find('.abc-source-template').clone();
-            $newSource.removeClass('abc-source-template').addClass('abc-source-item').show();
-            $newSource.find('input').val('').prop('disabled', false);
-            $container.find('.abc-sources-list').append($newSource);
-        },
+            $table.on('change', '.abc-posts-select-all', function() {
+                $table.find('tbody .abc-post-select').prop('checked', this.checked);
+            });
 
-        removeSource: function($btn) {
-            $btn.closest('.abc-source-item').fadeOut(200, function() { $(this).remove(); });
-        },
+            $('.abc-posts-bulk-action').on('change', function() {
+                $('.abc-posts-bulk-language').toggleClass('abc-hidden', $(this).val() !== 'translate');
+            });
+
+            $('.abc-posts-bulk-apply').on('click', () => {
+                const i18n = this.config.i18n || {};
+                const action = $('.abc-posts-bulk-action').val();
+                const ids = $table.find('tbody .abc-post-select:checked').map(function() {
+                    return parseInt(this.value, 10);
+                }).get();
+
+                if (!action) {
+                    this.showNotice(i18n.chooseBulkAction || 'Choose a bulk action.', 'error');
+                    return;
+                }
+                if (!ids.length) {
+                    this.showNotice(i18n.noPostsSelected || 'Select at least one post.', 'error');
+                    return;
+                }
+                this.runPostActions(ids, action, $('.abc-posts-bulk-language').val());
+            });
+
+            $('.abc-posts-progress-dismiss').on('click', (e) => {
+                e.preventDefault();
+                $('#abc-posts-progress').addClass('abc-hidden');
+            });
+        },
+
+        runPostActions: function(ids, action, language = '') {
+            const i18n = this.config.i18n || {};
+            if (this.postsRunning) {
+                this.showNotice(i18n.postActionRunning || 'Wait for the current post action to finish.', 'error');
+                return;
+            }
+
+            const confirms = {
+                regenerate: i18n.confirmRegeneratePosts || 'Rewrite %d post(s) from their original source? Current content will be replaced.',
+                trash: i18n.confirmTrashPosts || 'Move %d post(s) to the trash?'
+            };
+            if (confirms[action] && !confirm(confirms[action].replace('%d', ids.length))) return;
+
+            const $table = $('.abc-posts-table');
+            const $panel = $('#abc-posts-progress').removeClass('abc-hidden');
+            const $report = $panel.find('.abc-bulk-report').empty();
+            const results = { done: 0, failed: 0 };
+
+            this.postsRunning = true;
+            $('.abc-posts-bulk-apply').prop('disabled', true);
+            $panel.find('.abc-posts-progress-dismiss').addClass('abc-hidden');
+
+            const progress = () => {
+                $panel.find('.abc-progress-fill').css('width', Math.round(results.done / ids.length * 100) + '%');
+                $panel.find('.abc-bulk-progress-label').text(
+                    (i18n.postActionProgress || 'Updated %1$d of %2$d posts').replace('%1$d', results.done).replace('%2$d', ids.length)
+                );
+            };
+
+            const next = (index) => {
+                if (index >= ids.length) {
+                    this.postsRunning = false;
+                    $('.abc-posts-bulk-apply').prop('disabled', false);
+                    $panel.find('.abc-posts-progress-dismiss').removeClass('abc-hidden');
+                    $table.find('.abc-posts-select-all').prop('checked', false);
+                    $panel.find('.abc-bulk-progress-label').text(
+                        (i18n.postActionDone || 'Done: %1$d succeeded, %2$d failed.').replace('%1$d', results.done - results.failed).replace('%2$d', results.failed)
+                    );
+                    this.showNotice($panel.find('.abc-bulk-progress-label').text(), results.failed ? 'warning' : 'success');
+                    return;
+                }
+
+                const $row = $table.find(`tr[data-post-id="${ids[index]}"]`).addClass('abc-row-working');
+                const title = $row.find('.column-title strong').text().trim() || '#' + ids[index];
+                const report = (ok, message) => {
+                    $report.append($('<li></li>')
+                        .addClass(ok ? 'abc-validation-success' : 'abc-validation-error')
+                        .text(`${ok ? '✓' : '✗'} ${title}: ${message}`));
+                    $report.scrollTop($report[0].scrollHeight);
+                };
+
+                this.request('abc_post_action', { post_id: ids[index], post_action: action, language: language })
+                    .done(response => {
+                        if (!response.success) {
+                            results.failed++;
+                            $row.removeClass('abc-row-working');
+                            report(false, response.data.message);
+                            return;
+                        }
+
+                        report(true, response.data.message);
+                        if (response.data.removed) {
+                            $row.fadeOut(300, () => $row.remove());
+                        } else {
+                            $row.replaceWith($(response.data.html).addClass('abc-row-updated'));
+                        }
+                    })
+                    .fail(() => {
+                        results.failed++;
+                        $row.removeClass('abc-row-working');
+                        report(false, i18n.postActionFailed || 'Request failed.');
+                    })
+                    .always(() => {
+                        results.done++;
+                        progress();
+                        next(index + 1);
+                    });
+            };
+
+            progress();
+            next(0);
+        },
+
+        /**
+         * Source health rows are replaced with the server's rendering after
+         * each action; Re-test All tests one source at a time
+         */
+        initSourceHealth: function() {
+            const $section = $('#abc-source-health');
+            if (!$section.length) return;
+
+            $section.on('click', '.abc-source-action', (e) => {
+                const $btn = $(e.currentTarget);
+                this.runSourceActions([$btn.closest('tr').data('source')], $btn.data('action'));
+            });
+
+            $section.on('click', '.abc-source-test-all', () => {
+                const keys = $section.find('.abc-source-health-row').map(function() {
+                    return $(this).data('source');
+                }).get();
+                this.runSourceActions(keys, 'test');
+            });
+
+            $section.on('change', 'select[name="source_health[failure_action]"]', function() {
+                $section.find('.abc-source-quarantine-hours').toggleClass('abc-hidden', $(this).val() !== 'quarantine');
+            });
+        },
+
+        runSourceActions: function(keys, action) {
+            const i18n = this.config.i18n || {};
+            if (this.sourcesRunning || !keys.length) return;
+
+            const $section = $('#abc-source-health');
+            const results = { done: 0, failed: 0 };
+            this.sourcesRunning = true;
+            $section.find('.abc-source-action, .abc-source-test-all').prop('disabled', true);
+
+            const next = (index) => {
+                if (index >= keys.length) {
+                    this.sourcesRunning = false;
+                    $section.find('.abc-source-action, .abc-source-test-all').prop('disabled', false);
+                    if (keys.length > 1) {
+                        this.showNotice(
+                            (i18n.sourceTestAllDone || 'Re-tested %1$d sources, %2$d failed.').replace('%1$d', results.done).replace('%2$d', results.failed),
+                            results.failed ? 'warning' : 'success'
+                        );
+                    }
+                    return;
+                }
+
+                const $row = $section.find(`tr[data-source="${keys[index]}"]`).addClass('abc-row-working');
+                if (action === 'test') {
+                    $row.find('.abc-source-action[data-action="test"]').text(i18n.sourceTesting || 'Testing...');
+                }
+
+                this.request('abc_source_action', { source: keys[index], source_action: action })
+                    .done(response => {
+                        if (!response.success) {
+                            results.failed++;
+                            $row.removeClass('abc-row-working');
+                            this.showNotice(response.data.message, 'error');
+                            return;
+                        }
+
+                        if (!response.data.ok) results.failed++;
+                        $row.replaceWith($(response.data.html).addClass('abc-row-updated'));
+                        if (keys.length === 1) this.showNotice(response.data.message, response.data.ok ? 'success' : 'error');
+                    })
+                    .fail(() => {
+                        results.failed++;
+                        $row.removeClass('abc-row-working');
+                        this.showNotice(i18n.sourceActionFailed || 'Request failed.', 'error');
+                    })
+                    .always(() => {
+                        results.done++;
+                        next(index + 1);
+                    });
+            };
+
+            next(0);
+        },
+
+        /**
+         * Source import: read the file in the browser, preview it on the
+         * server, then import the checked rows (the server checks them again)
+         */
+        initSourceImport: function() {
+            const self = this;
+            const $section = $('#abc-source-transfer');
+            if (!$section.length) return;
+
+            $section.find('#abc-source-import-file').on('change', function() {
+                const file = this.files && this.files[0];
+                self.sourceImport = null;
+                $section.find('.abc-source-import-review').addClass('abc-hidden');
+                $section.find('.abc-source-import-preview').prop('disabled', !file);
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    self.sourceImport = e.target.result;
+                };
+                reader.readAsText(file);
+            });
+
+            $section.find('.abc-source-import-preview').on('click', () => this.previewSourceImport());
+
+            $section.on('change', '.abc-source-import-all', function() {
+                $section.find('.abc-source-import-row:not(:disabled)').prop('checked', this.checked);
+            });
+
+            $section.find('.abc-source-import-run').on('click', () => this.runSourceImport());
+        },
+
+        previewSourceImport: function() {
+            const i18n = this.config.i18n || {};
+            const $section = $('#abc-source-transfer');
+            const $status = $section.find('.abc-source-import-status');
+            const $button = $section.find('.abc-source-import-preview');
+            if (this.sourceImport === null) return;
+
+            $button.prop('disabled', true);
+            $status.removeClass('abc-validation-error').text(i18n.sourceImportReading || 'Checking file...');
+
+            this.request('abc_preview_source_import', { content: this.sourceImport })
+                .done(response => {
+                    if (!response.success) {
+                        $status.addClass('abc-validation-error').text(response.data.message);
+                        return;
+                    }
+                    $status.text('');
+                    this.renderSourceImport(response.data);
+                })
+                .fail(() => $status.addClass('abc-validation-error').text(i18n.sourceImportFailed || 'Could not read the file.'))
+                .always(() => $button.prop('disabled', false));
+        },
+
+        renderSourceImport: function(data) {
+            const i18n = this.config.i18n || {};
+            const $section = $('#abc-source-transfer');
+            const $tbody = $section.find('.abc-source-import-table tbody').empty();
+            const labels = {
+                new: i18n.sourceImportNew || 'New',
+                duplicate: i18n.sourceImportDuplicate || 'Duplicate',
+                repeated: i18n.sourceImportRepeated || 'Repeated',
+                invalid: i18n.sourceImportInvalid || 'Invalid'
+            };
+
+            data.rows.forEach((row, index) => {
+                const isNew = row.status === 'new';
+                const $source = $('<td class="column-value"></td>').append($('<code></code>').text(row.value));
+                if (row.name) $source.append(' ', $('<span class="description"></span>').text(row.name));
+
+                const $status = $('<td class="column-status"></td>')
+                    .append($('<span class="abc-source-import-badge"></span>').addClass('status-' + row.status).text(labels[row.status] || row.status));
+                if (row.message) $status.append($('<br>'), $('<small></small>').text(row.message));
+
+                $('<tr></tr>').toggleClass('abc-source-import-skipped', !isNew).append(
+                    $('<th scope="row" class="check-column"></th>').append(
+                        $('<input type="checkbox" class="abc-source-import-row">').val(index).prop({ checked: isNew, disabled: !isNew })
+                    ),
+                    $('<td class="column-type"></td>').text(row.type_label),
+                    $source,
+                    $('<td class="column-category"></td>').text(row.category || '—'),
+                    $status
+                ).appendTo($tbody);
+            });
+
+            $section.find('.abc-source-import-summary').text(
+                (i18n.sourceImportSummary || '%1$d new, %2$d already in the campaign, %3$d repeated in the file, %4$d invalid.')
+                    .replace('%1$d', data.counts.new)
+                    .replace('%2$d', data.counts.duplicate)
+                    .replace('%3$d', data.counts.repeated)
+                    .replace('%4$d', data.counts.invalid)
+            );
+            $section.find('.abc-source-import-all').prop('checked', data.counts.new > 0);
+            $section.find('.abc-source-import-run').prop('disabled', !data.counts.new);
+            $section.find('.abc-source-import-review').removeClass('abc-hidden');
+        },
+
+        runSourceImport: function() {
+            const i18n = this.config.i18n || {};
+            const $section = $('#abc-source-transfer');
+            const rows = $section.find('.abc-source-import-row:checked').map(function() {
+                return parseInt(this.value, 10);
+            }).get();
+
+            if (!rows.length) {
+                this.showNotice(i18n.sourceImportNone || 'Select at least one new source.', 'error');
+                return;
+            }
+
+            const $button = $section.find('.abc-source-import-run').prop('disabled', true);
+
+            this.request('abc_import_sources', { content: this.sourceImport, rows: rows })
+                .done(response => {
+                    if (!response.success) {
+                        $button.prop('disabled', false);
+                        this.showNotice(response.data.message, 'error');
+                        return;
+                    }
+                    this.showNotice(response.data.message, 'success');
+                    // The source fields are rendered server-side, so reload to show the new list
+                    setTimeout(() => window.location.reload(), 1000);
+                })
+                .fail(() => {
+                    $button.prop('disabled', false);
+                    this.showNotice(i18n.sourceImportFailed || 'Could not read the file.', 'error');
+                });
+        },
+
+        cloneCampaign: function() {
+            if (!confirm('Clone this campaign?')) return;
+
+            this.request('abc_clone_campaign', {}, { loadingText: 'Cloning...' })
+                .done(response => {
+                    if (response.success && response.data.redirect_url) {
+                        this.showNotice('Cloned! Redirecting...', 'success');
+                        setTimeout(() => window.location.href = response.data.redirect_url, 1500);
+                    } else {
+                        this.showNotice(response.data.message || 'Clone failed.', 'error');
+                    }
+                });
+        },
+
+        deleteCampaign: function() {
+            if (!confirm('Permanently delete this campaign?')) return;
+
+            this.request('abc_delete_campaign', {}, { loadingText: 'Deleting...' })
+                .done(response => {
+                    if (response.success) {
+                        this.showNotice('Deleted. Redirecting...', 'success');
+                        const url = this.config.campaignsUrl || 'admin.php?page=abc-campaigns';
+                        setTimeout(() => window.location.href = url, 1500);
+                    } else {
+                        this.showNotice(response.data.message || 'Delete failed.', 'error');
+                    }
+                });
+        },
+
+        addSource: function($btn) {
+            const $container = $btn.closest('.abc-sources-container');
+            const $list = $container.find('.abc-sources-list');
+            const index = parseInt($list.attr('data-next-index'), 10) || 0;
+            const html = $container.find('.abc-source-template').prop('outerHTML').replace(/__index__/g, index);
+            const $newSource = $(html).removeClass('abc-source-template abc-hidden').addClass('abc-source-item');
+            $newSource.find('input, select').prop('disabled', false);
+            $list.attr('data-next-index', index + 1).append($newSource);
+            $newSource.find('[data-field="url"]').trigger('focus');
+        },
+
+        removeSource: function($btn) {
+            $btn.closest('.abc-source-item').fadeOut(200, function() { $(this).remove(); });
+        },
+
+        toggleSourceOverrides: function($btn) {
+            const expanded = $btn.attr('aria-expanded') !== 'true';
+            $btn.attr('aria-expanded', expanded ? 'true' : 'false')
+                .closest('.abc-source-item').find('.abc-source-overrides').toggleClass('abc-hidden', !expanded);
+        },
+
+        /**
+         * Source rows as structured data: type, url, name and the overrides
+         */
+        getSources: function() {
+            return $('.abc-sources-list .abc-source-item').map(function() {
+                const source = {};
+                $(this).find('[data-field]').each(function() {
+                    source[$(this).data('field')] = $(this).val();
+                });
+                return source;
+            }).get().filter(source => source.url);
+        },
 
         saveSources: function() {
-            // Collect form data and send as a single object
-            const fields = $('#abc-sources-form').serializeArray();
-            const data = {};
-            fields.forEach(field => {
-                if (data[field.name]) {
-                    if (!Array.isArray(data[field.name])) data[field.name] = [data[field.name]];
-                    data[field.name].push(field.value);
+            this.request('abc_save_campaign_sources', { sources: this.getSources() }, { loadingText: 'Saving sources...' })
+                .done(res => {
+                    this.showNotice(res.data.message, res.success ? 'success' : 'error');
+                    if (res.success) this.snapshotSettings($('.abc-sources-list').closest('.abc-settings-form'));
+                });
+        },
+
+        /**
+         * Settings tabs: highlight edited fields, review a before/after diff,
+         * save over AJAX and point server-side validation errors at their field
+         */
+        initSettingsForms: function() {
+            const self = this;
+            const $forms = $('.abc-settings-form');
+            if (!$forms.length) return;
+
+            $forms.each(function() { self.snapshotSettings($(this)); });
+
+            $forms.on('input change', ':input[name]', function() {
+                const $form = $(this).closest('.abc-settings-form');
+                self.clearFieldError($(this));
+                self.updateDirtyState($form);
+            });
+
+            // Source rows come and go without an input event
+            $forms.on('click', '.abc-add-source, .abc-remove-source', function() {
+                const $form = $(this).closest('.abc-settings-form');
+                setTimeout(() => self.updateDirtyState($form), 250);
+            });
+
+            $forms.on('submit', function(e) {
+                e.preventDefault();
+                self.reviewSettings($(this));
+            });
+
+            $forms.on('click', '.abc-confirm-settings', function(e) {
+                e.preventDefault();
+                self.saveSettings($(this).closest('.abc-settings-form'));
+            });
+
+            $forms.on('click', '.abc-cancel-review', function(e) {
+                e.preventDefault();
+                $(this).closest('.abc-settings-review').addClass('abc-hidden');
+            });
+
+            // Editor tabs are separate pages: ask before leaving one with unsaved edits
+            $(document).on('click', '.abc-nav-wrapper a', (e) => {
+                if (!this.hasUnsavedSettings()) return;
+                if (window.confirm(this.config.i18n?.settingsLeave || 'You have unsaved changes on this tab. Leave without saving?')) {
+                    this.settingsLeaving = true;
                 } else {
-                    data[field.name] = field.value;
+                    e.preventDefault();
                 }
             });
 
-            this.request('abc_save_campaign_sources', data, { loadingText: 'Saving sources...' })
-                .done(res => this.showNotice(res.data.message, res.success ? 'success' : 'error'));
+            $(window).on('beforeunload', (e) => {
+                if (this.settingsLeaving || !this.hasUnsavedSettings()) return;
+                e.preventDefault();
+                e.originalEvent.returnValue = '';
+                return '';
+            });
+        },
+
+        /**
+         * Field values keyed by name; every field maps to a list so checkbox
+         * groups and multi-selects keep all of their values
+         */
+        getFieldValues: function($form) {
+            const values = {};
+
+            $form.find(':input[name]').not(':button, :submit, :file, :disabled, [type="hidden"]').each(function() {
+                if (!values[this.name]) values[this.name] = [];
+                if ((this.type === 'checkbox' || this.type === 'radio') && !this.checked) return;
+                values[this.name] = values[this.name].concat($(this).val());
+            });
+
+            return values;
+        },
+
+        snapshotSettings: function($form) {
+            if (!$form.length) return;
+            $form.data('abc-initial', this.getFieldValues($form));
+            this.updateDirtyState($form);
+        },
+
+        /**
+         * Changed fields since the last snapshot, with their values before and after
+         */
+        getDirtySettings: function($form) {
+            const initial = $form.data('abc-initial') || {};
+            const current = this.getFieldValues($form);
+            const names = Object.keys(initial).concat(Object.keys(current).filter(name => !(name in initial)));
+
+            return names.filter(name => JSON.stringify(initial[name] || []) !== JSON.stringify(current[name] || []))
+                .map(name => ({ name: name, before: initial[name] || [], after: current[name] || [] }));
+        },
+
+        hasUnsavedSettings: function() {
+            return $('.abc-settings-form').toArray().some(form => this.getDirtySettings($(form)).length > 0);
+        },
+
+        updateDirtyState: function($form) {
+            const dirty = this.getDirtySettings($form);
+            const i18n = this.config.i18n || {};
+
+            $form.find('.abc-field-dirty').removeClass('abc-field-dirty');
+            dirty.forEach(change => this.getFieldRow(this.findField($form, change.name)).addClass('abc-field-dirty'));
+
+            $form.find('.abc-dirty-status').text(dirty.length ? (i18n.settingsDirty || '%d unsaved changes').replace('%d', dirty.length) : '');
+            if (!dirty.length) $form.find('.abc-settings-review').addClass('abc-hidden');
+        },
+
+        findField: function($form, name) {
+            return $form.find(':input').filter(function() { return this.name === name; });
+        },
+
+        getFieldRow: function($field) {
+            const $row = $field.first().closest('label, .abc-form-row, .abc-source-item, .abc-source-box');
+            return $row.length ? $row : $field.first().parent();
+        },
+
+        /**
+         * Human-readable label and value of a field for the review table
+         */
+        getFieldLabel: function($form, name) {
+            const $field = this.findField($form, name).first();
+            const $row = $field.closest('.abc-form-row');
+            const $label = $row.length ? $row.find('.abc-form-label').first() : $field.closest('label');
+            const label = $.trim(($label.length ? $label.clone().find(':input, .description').remove().end().text() : '') || $field.attr('aria-label') || '');
+
+            return label ? label.replace(/\s+/g, ' ') : name;
+        },
+
+        formatFieldValue: function($form, name, values) {
+            const i18n = this.config.i18n || {};
+            const $fields = this.findField($form, name);
+
+            if ($fields.length === 1 && $fields.is(':checkbox')) {
+                return values.length ? (i18n.settingsOn || 'On') : (i18n.settingsOff || 'Off');
+            }
+
+            const labels = values.map(value => {
+                const $option = $fields.filter('select').find('option').filter(function() { return this.value === value; }).first();
+                if ($option.length) return $.trim($option.text());
+                const $choice = $fields.filter(':checkbox, :radio').filter(function() { return this.value === value; }).closest('label');
+                return $choice.length ? $.trim($choice.text()) : value;
+            }).filter(label => label !== '');
+
+            return labels.length ? labels.join(', ') : (i18n.settingsEmpty || '(empty)');
+        },
+
+        reviewSettings: function($form) {
+            if (!$form.length) return;
+
+            const dirty = this.getDirtySettings($form);
+            const $review = $form.find('.abc-settings-review');
+
+            if (!dirty.length) {
+                this.showNotice(this.config.i18n?.settingsUnchanged || 'Nothing has changed since the last save.', 'info');
+                return;
+            }
+
+            const $rows = dirty.map(change => $('<tr></tr>').append(
+                $('<td></td>').text(this.getFieldLabel($form, change.name)),
+                $('<td class="abc-diff-before"></td>').text(this.formatFieldValue($form, change.name, change.before)),
+                $('<td class="abc-diff-after"></td>').text(this.formatFieldValue($form, change.name, change.after))
+            ));
+
+            $review.find('tbody').empty().append($rows);
+            $review.removeClass('abc-hidden');
+            $('html, body').animate({ scrollTop: $review.offset().top - 48 }, 300);
         },
 
-        saveSettings: function() {
-            const fields = $('#abc-settings-form').serializeArray();
+        /**
+         * Form fields as nested data: a[b][] and a[0][b] keep their structure,
+         * so checkbox groups and source rows arrive intact
+         */
+        serializeForm: function($form) {
             const data = {};
-            fields.forEach(f => data[f.name] = f.value);
 
-            this.request('abc_save_campaign_settings', data, { loadingText: 'Saving settings...' })
-                .done(res => this.showNotice(res.data.message, res.success ? 'success' : 'error'));
+            $form.serializeArray().forEach(field => {
+                const keys = field.name.split('[').map(key => key.replace(/\]$/, ''));
+                let node = data;
+
+                keys.forEach((key, i) => {
+                    if (i === keys.length - 1) {
+                        if (key === '' && Array.isArray(node)) node.push(field.value);
+                        else node[key] = field.value;
+                        return;
+                    }
+
+                    const child = keys[i + 1] === '' ? [] : {};
+                    if (key === '' && Array.isArray(node)) {
+                        node.push(child);
+                        node = child;
+                        return;
+                    }
+                    if (node[key] === undefined) node[key] = child;
+                    node = node[key];
+                });
+            });
+
+            // The AJAX wrapper supplies its own action and nonce
+            ['action', 'abc_nonce', '_wp_http_referer'].forEach(key => delete data[key]);
+            return data;
+        },
+
+        saveSettings: function($form) {
+            const i18n = this.config.i18n || {};
+
+            $form.find('.abc-field-error').removeClass('abc-field-error');
+            $form.find('.abc-field-error-message').remove();
+
+            this.request('abc_save_campaign_settings', this.serializeForm($form), { loadingText: i18n.settingsSaving || 'Saving settings...' })
+                .done(res => {
+                    if (res.success) {
+                        this.snapshotSettings($form);
+                        this.showNotice(res.data.message, 'success');
+                        return;
+                    }
+
+                    $form.find('.abc-settings-review').addClass('abc-hidden');
+                    this.showFieldError($form, res.data.field, res.data.message);
+                    this.showNotice(res.data.message || i18n.settingsSaveFailed || 'Settings could not be saved.', 'error');
+                })
+                .fail(() => this.showNotice(i18n.settingsSaveFailed || 'Settings could not be saved.', 'error'));
+        },
+
+        showFieldError: function($form, name, message) {
+            const $field = name ? this.findField($form, name) : $();
+            if (!$field.length) return;
+
+            const $row = this.getFieldRow($field).addClass('abc-field-error');
+            $row.append($('<p class="abc-field-error-message"></p>').text(message));
+            $field.first().trigger('focus');
+        },
+
+        clearFieldError: function($field) {
+            const $row = this.getFieldRow($field);
+            if (!$row.hasClass('abc-field-error')) return;
+            $row.removeClass('abc-field-error').find('.abc-field-error-message').remove();
         },
 
+        /**
+         * Download the logs matching the viewer's filters; the server streams
+         * the file, so this is a plain navigation rather than an AJAX call
+         */
         exportLogs: function() {
             const $btn = $('#export-logs-btn');
-            const params = new URLSearchParams({
+            const params = new URLSearchParams($.extend({
                 action: 'abc_export_logs',
                 campaign_id: $btn.data('campaign-id') || this.campaignId,
-                level: $('.abc-filter-level').val() || '',
-                category: $('.abc-filter-category').val() || '',
+                format: $('#abc-export-format').val() || 'csv',
                 nonce: this.config.exportLogsNonce || this.config.nonce
-            });
-            window.location.href = (this.config.ajaxUrl || ajaxurl) + '?' + params.toString();
+            }, this.getLogFilters()));
+            window.location.href = this.config.adminPostUrl + '?' + params.toString();
         },
 
         clearLogs: function() {
@@ -373,9 +1687,345 @@
         },
 
         applyFilters: function() {
+            if ($('.abc-log-viewer').length) {
+                this.reloadLogs();
+                return;
+            }
             if (this.currentTab) this.loadTabData(this.currentTab);
         },
 
+        /**
+         * Log viewer: filters reload the list, scrolling near the end loads
+         * older entries and tail mode polls for entries newer than the top one
+         */
+        initLogViewer: function() {
+            if (!$('.abc-log-viewer').length) return;
+
+            const $form = $('.abc-logs-filters form');
+            $form.on('submit', (e) => { e.preventDefault(); this.applyFilters(); });
+            $form.on('change', 'select, input[type="date"]', () => this.applyFilters());
+            $form.on('input', 'input[type="search"], input[type="number"]', () => {
+                clearTimeout(this.logsSearchTimer);
+                this.logsSearchTimer = setTimeout(() => this.applyFilters(), 400);
+            });
+
+            $(document).on('click', '#tail-logs-btn', (e) => { e.preventDefault(); this.toggleLogTail(); });
+            $(window).on('scroll resize', () => this.maybeLoadOlderLogs());
+
+            this.maybeLoadOlderLogs();
+        },
+
+        getLogFilters: function() {
+            const $form = $('.abc-logs-filters form');
+            return {
+                search: $form.find('[name="log_search"]').val() || '',
+                queue_item_id: $form.find('[name="log_item"]').val() || '',
+                level: $form.find('[name="log_level"]').val() || '',
+                category: $form.find('[name="log_category"]').val() || '',
+                date_from: $form.find('[name="log_from"]').val() || '',
+                date_to: $form.find('[name="log_to"]').val() || ''
+            };
+        },
+
+        /**
+         * Start the list over for the current filters
+         */
+        reloadLogs: function() {
+            const request = ++this.logsRequest;
+            const filters = this.getLogFilters();
+            this.logsLoadingMore = false;
+
+            this.request('abc_get_campaign_logs', filters)
+                .done(response => {
+                    if (request !== this.logsRequest) return;
+                    if (!response.success) {
+                        this.showNotice(response.data.message || this.config.i18n?.logsFailed || 'Could not load logs.', 'error');
+                        return;
+                    }
+
+                    $('.abc-log-viewer').empty().append(response.data.entries.map(entry => entry.html).join(''));
+                    $('.abc-log-viewer').data('has-more', response.data.has_more ? 1 : 0);
+                    this.updateLogsView();
+                    this.updateLogsUrl(filters);
+                    this.maybeLoadOlderLogs();
+                })
+                .fail(() => this.showNotice(this.config.i18n?.logsFailed || 'Could not load logs.', 'error'));
+        },
+
+        /**
+         * Load the next page of older entries once the end of the list is near
+         */
+        maybeLoadOlderLogs: function() {
+            const $list = $('.abc-log-viewer');
+            const $more = $('.abc-logs-more');
+            if (!$list.length || this.logsLoadingMore || !parseInt($list.data('has-more'), 10)) return;
+            if ($more[0].getBoundingClientRect().top > window.innerHeight + 200) return;
+
+            const request = this.logsRequest;
+            const oldest = parseInt($list.children('.abc-log-entry').last().data('log-id'), 10) || 0;
+            this.logsLoadingMore = true;
+
+            this.request('abc_get_campaign_logs', $.extend(this.getLogFilters(), { before_id: oldest }))
+                .done(response => {
+                    if (request !== this.logsRequest || !response.success) return;
+
+                    $list.append(response.data.entries.map(entry => entry.html).join(''));
+                    $list.data('has-more', response.data.has_more ? 1 : 0);
+                    this.updateLogsView();
+                })
+                .always(() => {
+                    if (request !== this.logsRequest) return;
+                    this.logsLoadingMore = false;
+                    // A short page may leave the end of the list in view
+                    setTimeout(() => this.maybeLoadOlderLogs(), 0);
+                });
+        },
+
+        toggleLogTail: function() {
+            const i18n = this.config.i18n || {};
+            this.logsTailing = !this.logsTailing;
+
+            $('#tail-logs-btn')
+                .toggleClass('button-primary', this.logsTailing)
+                .attr('aria-pressed', this.logsTailing ? 'true' : 'false')
+                .html(this.logsTailing
+                    ? `<span class="dashicons dashicons-controls-pause"></span> ${i18n.logsTailStop || 'Stop Tail'}`
+                    : `<span class="dashicons dashicons-controls-play"></span> ${i18n.logsTailStart || 'Live Tail'}`);
+
+            clearTimeout(this.logsTimer);
+            if (this.logsTailing) this.pollLogTail();
+        },
+
+        scheduleLogTail: function(delay) {
+            clearTimeout(this.logsTimer);
+            if (this.logsTailing) this.logsTimer = setTimeout(() => this.pollLogTail(), delay ?? this.logsTailRate);
+        },
+
+        /**
+         * Prepend entries written since the newest one shown
+         */
+        pollLogTail: function() {
+            // Don't poll from background tabs
+            if (document.hidden) {
+                this.scheduleLogTail();
+                return;
+            }
+
+            const $list = $('.abc-log-viewer');
+            const request = this.logsRequest;
+            const newest = parseInt($list.children('.abc-log-entry').first().data('log-id'), 10) || 0;
+            let delay;
+
+            this.request('abc_get_campaign_logs', $.extend(this.getLogFilters(), { after_id: newest }))
+                .done(response => {
+                    if (request !== this.logsRequest || !response.success) return;
+
+                    // An empty list gets the latest page, which is already everything older
+                    if (!newest) {
+                        $list.data('has-more', response.data.has_more ? 1 : 0);
+                    } else if (response.data.has_more) {
+                        delay = 0;
+                    }
+
+                    const html = response.data.entries
+                        .filter(entry => !$list.children(`[data-log-id="${entry.id}"]`).length)
+                        .map(entry => entry.html)
+                        .join('');
+                    $(html).addClass('abc-row-added').prependTo($list);
+                    this.updateLogsView();
+                })
+                .always(() => this.scheduleLogTail(delay));
+        },
+
+        updateLogsView: function() {
+            const $list = $('.abc-log-viewer');
+            const empty = !$list.children('.abc-log-entry').length;
+
+            $list.toggleClass('abc-hidden', empty);
+            $('.abc-logs-empty').toggleClass('abc-hidden', !empty);
+            $('.abc-logs-more').toggleClass('abc-hidden', !parseInt($list.data('has-more'), 10));
+        },
+
+        /**
+         * Keep the filters in the URL so a reload shows the same view
+         */
+        updateLogsUrl: function(filters) {
+            const url = new URL(window.location.href);
+            const params = { log_search: filters.search, log_item: filters.queue_item_id, log_level: filters.level, log_category: filters.category, log_from: filters.date_from, log_to: filters.date_to };
+
+            Object.entries(params).forEach(([key, value]) => {
+                if (value) url.searchParams.set(key, value);
+                else url.searchParams.delete(key);
+            });
+            window.history.replaceState(null, '', url.toString());
+        },
+
+        /**
+         * Overview charts: item counts and AI usage over the selected range,
+         * with status changes and settings edits marked on both
+         */
+        initCharts: function() {
+            const $panel = $('.abc-overview-charts');
+            if (!$panel.length || typeof Chart === 'undefined') return;
+
+            this.chartRange = $panel.data('range') || this.chartRange;
+
+            $panel.on('click', '.abc-chart-ranges .button', (e) => {
+                const $btn = $(e.currentTarget);
+                $btn.addClass('is-active').siblings().removeClass('is-active');
+                this.chartRange = $btn.data('range');
+                this.loadCharts();
+            });
+
+            $panel.on('change', '.abc-chart-interval', () => this.loadCharts());
+
+            this.loadCharts();
+        },
+
+        loadCharts: function() {
+            const $panel = $('.abc-overview-charts');
+            if (!$panel.length || typeof Chart === 'undefined') return;
+
+            const request = ++this.chartsRequest;
+            this.request('abc_get_campaign_series', { range: this.chartRange, interval: $panel.find('.abc-chart-interval').val() })
+                .done(response => {
+                    if (request !== this.chartsRequest) return;
+                    if (!response.success) {
+                        this.showNotice(response.data.message, 'error');
+                        return;
+                    }
+                    this.renderCharts(response.data);
+                })
+                .fail(() => {
+                    if (request === this.chartsRequest) this.showNotice(this.config.i18n?.chartsFailed || 'Could not load the charts.', 'error');
+                });
+        },
+
+        renderCharts: function(data) {
+            const i18n = this.config.i18n || {};
+            const $panel = $('.abc-overview-charts');
+            const style = getComputedStyle($panel[0]);
+            const color = (name, fallback) => (style.getPropertyValue(name) || fallback).trim();
+            const labels = data.labels.map(label => this.formatChartLabel(label, data.interval, data.range));
+            const annotations = this.getChartAnnotations(data);
+
+            const activity = [
+                { label: i18n.chartDiscovered || 'Discovered', data: data.series.discovered, borderColor: color('--abc-purple', '#a855f7') },
+                { label: i18n.chartQueued || 'Queued', data: data.series.queued, borderColor: color('--abc-primary', '#3b82f6') },
+                { label: i18n.chartPublished || 'Published', data: data.series.published, borderColor: color('--abc-success', '#10b981') },
+                { label: i18n.chartFailed || 'Failed', data: data.series.failed, borderColor: color('--abc-danger', '#ef4444') }
+            ].map(dataset => $.extend(dataset, { backgroundColor: dataset.borderColor, tension: 0.25, pointRadius: 2 }));
+
+            const usage = [
+                { type: 'bar', label: i18n.chartTokens || 'Tokens', data: data.series.tokens, backgroundColor: color('--abc-text-light', '#94a3b8'), yAxisID: 'y' },
+                { type: 'line', label: i18n.chartCost || 'Est. cost (USD)', data: data.series.cost, borderColor: color('--abc-warning', '#f59e0b'), backgroundColor: color('--abc-warning', '#f59e0b'), yAxisID: 'y1', tension: 0.25, pointRadius: 2 }
+            ];
+
+            this.drawChart('activity', 'line', labels, activity, annotations, {
+                y: { beginAtZero: true, ticks: { precision: 0 } }
+            });
+            this.drawChart('usage', 'bar', labels, usage, annotations, {
+                y: { beginAtZero: true, ticks: { precision: 0 } },
+                y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false } }
+            });
+
+            const totals = data.totals;
+            $panel.find('.abc-chart-totals').text(
+                (i18n.chartTotals || 'In range: %1$s discovered, %2$s queued, %3$s published, %4$s failed, %5$s tokens, about $%6$s')
+                    .replace('%1$s', totals.discovered.toLocaleString())
+                    .replace('%2$s', totals.queued.toLocaleString())
+                    .replace('%3$s', totals.published.toLocaleString())
+                    .replace('%4$s', totals.failed.toLocaleString())
+                    .replace('%5$s', totals.tokens.toLocaleString())
+                    .replace('%6$s', totals.cost.toFixed(2))
+            );
+
+            const $list = $panel.find('.abc-chart-annotations').empty();
+            data.annotations.forEach(note => {
+                $list.append($('<li></li>')
+                    .addClass('abc-annotation-' + note.type)
+                    .text(`${this.formatChartLabel(note.time, 'hour', '7d')}: ${note.label}`));
+            });
+        },
+
+        /**
+         * Create a chart, or update it in place so auto-refresh does not replay the animation
+         */
+        drawChart: function(name, type, labels, datasets, annotations, scales) {
+            const chart = this.charts[name];
+
+            if (chart) {
+                chart.data.labels = labels;
+                chart.data.datasets = datasets;
+                chart.options.plugins.abcAnnotations.items = annotations;
+                chart.update('none');
+                return;
+            }
+
+            this.charts[name] = new Chart(document.getElementById('abc-chart-' + name), {
+                type: type,
+                data: { labels: labels, datasets: datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    scales: scales,
+                    plugins: { abcAnnotations: { items: annotations } }
+                },
+                plugins: [this.annotationPlugin]
+            });
+        },
+
+        /**
+         * Draws a dashed line with a label at each annotated bucket
+         */
+        annotationPlugin: {
+            id: 'abcAnnotations',
+            afterDatasetsDraw: function(chart, args, options) {
+                const { ctx, chartArea, scales } = chart;
+
+                (options.items || []).forEach(note => {
+                    const x = scales.x.getPixelForValue(note.index);
+                    ctx.save();
+                    ctx.strokeStyle = note.type === 'status' ? '#d97706' : '#64748b';
+                    ctx.fillStyle = ctx.strokeStyle;
+                    ctx.setLineDash([4, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(x, chartArea.top);
+                    ctx.lineTo(x, chartArea.bottom);
+                    ctx.stroke();
+                    ctx.font = '11px sans-serif';
+                    ctx.fillText(note.label, Math.min(x + 4, chartArea.right - ctx.measureText(note.label).width), chartArea.top + 10 + note.row * 12);
+                    ctx.restore();
+                });
+            }
+        },
+
+        /**
+         * Place annotations in the bucket they fall in; labels in the same
+         * bucket are stacked
+         */
+        getChartAnnotations: function(data) {
+            const rows = {};
+
+            return data.annotations.map(note => {
+                let index = 0;
+                data.labels.forEach((label, i) => { if (label <= note.time) index = i; });
+                rows[index] = (rows[index] ?? -1) + 1;
+                return { index: index, row: rows[index], type: note.type, label: note.label };
+            });
+        },
+
+        formatChartLabel: function(value, interval, range) {
+            const date = new Date(value.replace(' ', 'T'));
+            if (interval === 'day') {
+                return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            }
+
+            const time = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+            return range === '24h' ? time : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) + ' ' + time;
+        },
+
         refreshStats: function() {
             this.request('abc_get_campaign_stats')
                 .done(res => {
@@ -385,6 +2035,8 @@
                         });
                     }
                 });
+
+            if (Object.keys(this.charts).length) this.loadCharts();
         },
 
         startAutoRefresh: function() {
@@ -395,6 +2047,100 @@
 
         stopAutoRefresh: function() {
             if (this.refreshInterval) clearInterval(this.refreshInterval);
+            if (this.queueTimer) clearTimeout(this.queueTimer);
+            if (this.logsTimer) clearTimeout(this.logsTimer);
+        },
+
+        /**
+         * Live queue table: poll for rows changed since the last cursor
+         */
+        startLiveQueue: function() {
+            const $table = $('.abc-queue-live');
+            if (!$table.length) return;
+
+            this.queueCursor = $table.data('cursor') || '';
+            this.queueMaxId = 0;
+            $table.find('tbody tr[data-item-id]').each((i, row) => {
+                this.queueMaxId = Math.max(this.queueMaxId, parseInt($(row).data('item-id'), 10) || 0);
+            });
+
+            this.scheduleQueuePoll();
+        },
+
+        scheduleQueuePoll: function() {
+            this.queueTimer = setTimeout(() => this.pollQueue(), this.config.queueRefreshInterval || this.queueRefreshRate);
+        },
+
+        pollQueue: function() {
+            // Don't poll from background tabs
+            if (document.hidden || !this.queueCursor) {
+                this.scheduleQueuePoll();
+                return;
+            }
+
+            this.request('abc_get_queue_changes', { cursor: this.queueCursor })
+                .done(response => {
+                    if (!response.success) return;
+                    this.queueCursor = response.data.cursor;
+                    this.applyQueueChanges(response.data.rows);
+                })
+                .always(() => this.scheduleQueuePoll());
+        },
+
+        /**
+         * Update changed rows in place and slot new items into processing order
+         */
+        applyQueueChanges: function(rows) {
+            if (!rows.length) return;
+
+            const $table = $('.abc-queue-live');
+            const $tbody = $table.find('tbody');
+            const statusFilter = $table.data('status-filter') || '';
+            let added = 0;
+
+            rows.forEach(row => {
+                const $existing = $tbody.find(`tr[data-item-id="${row.id}"]`);
+                const matches = !statusFilter || row.status === statusFilter;
+
+                if ($existing.length) {
+                    if (!matches) {
+                        $existing.fadeOut(300, () => $existing.remove());
+                        return;
+                    }
+
+                    const $row = $(row.html);
+                    if ($existing.data('status') !== row.status) {
+                        $row.addClass('abc-row-updated');
+                        if (this.inspectorItemId === row.id) this.openQueueInspector(row.id);
+                    }
+                    if (this.inspectorItemId === row.id) $row.addClass('abc-row-inspected');
+                    $row.find('.abc-queue-select').prop('checked', $existing.find('.abc-queue-select').prop('checked'));
+                    $existing.replaceWith($row);
+                    if ($existing.data('priority') !== $row.data('priority') || $existing.data('position') !== $row.data('position')) this.placeQueueRow($row);
+                    return;
+                }
+
+                // Older ids are rows we removed or that live on another page
+                if (row.id > this.queueMaxId && matches) {
+                    const $row = $(row.html).addClass('abc-row-added');
+                    if (this.placeQueueRow($row) || $table.data('last-page')) {
+                        if (!$row.parent().length) $tbody.append($row);
+                        added++;
+
+                        // Keep what the user is reading in place when a row appears above it
+                        if ($row.offset().top < $(window).scrollTop()) {
+                            window.scrollBy(0, $row.outerHeight());
+                        }
+                    }
+                }
+                this.queueMaxId = Math.max(this.queueMaxId, row.id);
+            });
+
+            if (added) {
+                $table.removeClass('abc-hidden');
+                $('.abc-queue-bulk').removeClass('abc-hidden');
+                $('.abc-queue-empty').remove();
+            }
         },
 
         showNotice: function(msg, type) {
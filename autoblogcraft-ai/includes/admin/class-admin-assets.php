@@ -122,6 +122,7 @@ class Admin_Assets
         // Localize global script
         wp_localize_script('abc-admin', 'abcAdmin', [
             'ajax_url' => admin_url('admin-ajax.php'),
+            'admin_post_url' => admin_url('admin-post.php'),
             'nonce' => wp_create_nonce('abc_admin'),
             'strings' => $this->get_translatable_strings(),
             'settings' => $this->get_script_settings(),
@@ -153,10 +154,19 @@ class Admin_Assets
 
         // Campaign editor page scripts (tabbed interface)
         if ($this->is_campaign_editor_page($hook)) {
+            // Overview tab charts
+            wp_enqueue_script(
+                'chartjs',
+                'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+                [],
+                '4.4.1',
+                true
+            );
+
             wp_enqueue_script(
                 'abc-campaign-detail',
                 $this->assets_url . 'js/campaign-detail.js',
-                ['jquery', 'abc-admin'],
+                ['jquery', 'jquery-ui-sortable', 'abc-admin', 'chartjs'],
                 $this->version,
                 true
             );
@@ -165,6 +175,7 @@ class Admin_Assets
                 'campaignId' => isset($_GET['campaign_id']) ? intval($_GET['campaign_id']) : 0,
                 'campaign_id' => isset($_GET['campaign_id']) ? intval($_GET['campaign_id']) : 0, // Keep both for compatibility
                 'ajaxUrl' => admin_url('admin-ajax.php'),
+                'adminPostUrl' => admin_url('admin-post.php'),
                 'nonce' => wp_create_nonce('abc_campaign_detail'),
                 'refreshInterval' => 30000, // 30 seconds
                 'refresh_interval' => 30000, // Keep both for compatibility
@@ -187,6 +198,108 @@ class Admin_Assets
                     'confirmDeleteItem' => __('Are you sure you want to delete this item?', 'autoblogcraft-ai'),
                     'confirmClearFailed' => __('Are you sure you want to delete all failed items?', 'autoblogcraft-ai'),
                     'errorClearingFailed' => __('Error clearing failed items. Please try again.', 'autoblogcraft-ai'),
+                    /* translators: 1: items done, 2: items in the batch */
+                    'batchProgress' => __('Processed %1$d of %2$d', 'autoblogcraft-ai'),
+                    /* translators: 1: succeeded, 2: failed, 3: skipped */
+                    'batchDone' => __('Done: %1$d succeeded, %2$d failed, %3$d skipped.', 'autoblogcraft-ai'),
+                    /* translators: 1: items done, 2: items in the batch */
+                    'batchCancelled' => __('Cancelled after %1$d of %2$d items.', 'autoblogcraft-ai'),
+                    'batchCancelling' => __('Cancelling after the current item...', 'autoblogcraft-ai'),
+                    /* translators: %s: elapsed time */
+                    'batchElapsed' => __('Elapsed %s', 'autoblogcraft-ai'),
+                    /* translators: %s: estimated time left */
+                    'batchEta' => __('about %s left', 'autoblogcraft-ai'),
+                    'batchConnectionLost' => __('Lost connection to the batch. Reload the page to reattach.', 'autoblogcraft-ai'),
+                    'viewPost' => __('View post', 'autoblogcraft-ai'),
+                    /* translators: %d: number of selected items */
+                    'queueSelected' => __('%d selected', 'autoblogcraft-ai'),
+                    /* translators: %d: number of items matching the filter */
+                    'queueSelectMatching' => __('Select all %d items matching this filter', 'autoblogcraft-ai'),
+                    /* translators: %d: number of items matching the filter */
+                    'queueAllMatchingSelected' => __('All %d matching items selected.', 'autoblogcraft-ai'),
+                    'chooseBulkAction' => __('Choose a bulk action.', 'autoblogcraft-ai'),
+                    'noItemsSelected' => __('Select at least one item.', 'autoblogcraft-ai'),
+                    /* translators: %d: number of items */
+                    'confirmBulkDeleteItems' => __('Delete %d queue item(s)?', 'autoblogcraft-ai'),
+                    'reorderFailed' => __('Could not save the new order.', 'autoblogcraft-ai'),
+                    'retryingFailed' => __('Retrying failed items...', 'autoblogcraft-ai'),
+                    'logsFailed' => __('Could not load logs.', 'autoblogcraft-ai'),
+                    'logsTailStart' => __('Live Tail', 'autoblogcraft-ai'),
+                    'logsTailStop' => __('Stop Tail', 'autoblogcraft-ai'),
+                    'noPostsSelected' => __('Select at least one post.', 'autoblogcraft-ai'),
+                    'postActionRunning' => __('Wait for the current post action to finish.', 'autoblogcraft-ai'),
+                    /* translators: %d: number of posts */
+                    'confirmRegeneratePosts' => __('Rewrite %d post(s) from their original source? Current content will be replaced.', 'autoblogcraft-ai'),
+                    /* translators: %d: number of posts */
+                    'confirmTrashPosts' => __('Move %d post(s) to the trash?', 'autoblogcraft-ai'),
+                    /* translators: 1: posts done, 2: total posts */
+                    'postActionProgress' => __('Updated %1$d of %2$d posts', 'autoblogcraft-ai'),
+                    /* translators: 1: succeeded count, 2: failed count */
+                    'postActionDone' => __('Done: %1$d succeeded, %2$d failed.', 'autoblogcraft-ai'),
+                    'postActionFailed' => __('Request failed.', 'autoblogcraft-ai'),
+                    'chartsFailed' => __('Could not load the charts.', 'autoblogcraft-ai'),
+                    'chartDiscovered' => __('Discovered', 'autoblogcraft-ai'),
+                    'chartQueued' => __('Queued', 'autoblogcraft-ai'),
+                    'chartPublished' => __('Published', 'autoblogcraft-ai'),
+                    'chartFailed' => __('Failed', 'autoblogcraft-ai'),
+                    'chartTokens' => __('Tokens', 'autoblogcraft-ai'),
+                    'chartCost' => __('Est. cost (USD)', 'autoblogcraft-ai'),
+                    /* translators: 1: discovered, 2: queued, 3: published, 4: failed, 5: tokens, 6: cost */
+                    'chartTotals' => __('In range: %1$s discovered, %2$s queued, %3$s published, %4$s failed, %5$s tokens, about $%6$s', 'autoblogcraft-ai'),
+                    'sourceTesting' => __('Testing...', 'autoblogcraft-ai'),
+                    'sourceActionFailed' => __('Request failed.', 'autoblogcraft-ai'),
+                    /* translators: 1: sources tested, 2: sources that failed */
+                    'sourceTestAllDone' => __('Re-tested %1$d sources, %2$d failed.', 'autoblogcraft-ai'),
+                    'sourceImportReading' => __('Checking file...', 'autoblogcraft-ai'),
+                    'sourceImportFailed' => __('Could not read the file.', 'autoblogcraft-ai'),
+                    /* translators: 1: new, 2: already in the campaign, 3: repeated in the file, 4: invalid */
+                    'sourceImportSummary' => __('%1$d new, %2$d already in the campaign, %3$d repeated in the file, %4$d invalid.', 'autoblogcraft-ai'),
+                    'sourceImportNone' => __('Select at least one new source.', 'autoblogcraft-ai'),
+                    'sourceImportNew' => __('New', 'autoblogcraft-ai'),
+                    'sourceImportDuplicate' => __('Duplicate', 'autoblogcraft-ai'),
+                    'sourceImportRepeated' => __('Repeated', 'autoblogcraft-ai'),
+                    'sourceImportInvalid' => __('Invalid', 'autoblogcraft-ai'),
+                    /* translators: %d: number of changed settings */
+                    'settingsDirty' => __('%d unsaved changes', 'autoblogcraft-ai'),
+                    'settingsUnchanged' => __('Nothing has changed since the last save.', 'autoblogcraft-ai'),
+                    'settingsSaving' => __('Saving settings...', 'autoblogcraft-ai'),
+                    'settingsSaveFailed' => __('Settings could not be saved.', 'autoblogcraft-ai'),
+                    'settingsLeave' => __('You have unsaved changes on this tab. Leave without saving?', 'autoblogcraft-ai'),
+                    'settingsEmpty' => __('(empty)', 'autoblogcraft-ai'),
+                    'settingsOn' => __('On', 'autoblogcraft-ai'),
+                    'settingsOff' => __('Off', 'autoblogcraft-ai'),
+                    'inspectorLoading' => __('Loading item...', 'autoblogcraft-ai'),
+                    'inspectorFailed' => __('Could not load this item.', 'autoblogcraft-ai'),
+                    'inspectorSource' => __('Source', 'autoblogcraft-ai'),
+                    'inspectorUrl' => __('URL', 'autoblogcraft-ai'),
+                    'inspectorType' => __('Type', 'autoblogcraft-ai'),
+                    'inspectorStatus' => __('Status', 'autoblogcraft-ai'),
+                    'inspectorPriority' => __('Priority', 'autoblogcraft-ai'),
+                    'inspectorRetries' => __('Failed attempts', 'autoblogcraft-ai'),
+                    'inspectorDiscovered' => __('Discovered', 'autoblogcraft-ai'),
+                    'inspectorProcessed' => __('Processed', 'autoblogcraft-ai'),
+                    'inspectorLastError' => __('Last error', 'autoblogcraft-ai'),
+                    'inspectorAttempts' => __('Attempts', 'autoblogcraft-ai'),
+                    'inspectorNoAttempts' => __('No attempts recorded yet.', 'autoblogcraft-ai'),
+                    /* translators: %d: attempt number */
+                    'inspectorAttempt' => __('Attempt #%d', 'autoblogcraft-ai'),
+                    'inspectorShowOutputs' => __('Show outputs', 'autoblogcraft-ai'),
+                    'inspectorStage' => __('Stage', 'autoblogcraft-ai'),
+                    'inspectorDuration' => __('Time', 'autoblogcraft-ai'),
+                    'inspectorTokens' => __('Tokens', 'autoblogcraft-ai'),
+                    'inspectorLogs' => __('Log entries', 'autoblogcraft-ai'),
+                    'inspectorOtherLogs' => __('Other log entries', 'autoblogcraft-ai'),
+                    /* translators: %d: attempt number */
+                    'inspectorOutputs' => __('Stage outputs of attempt #%d', 'autoblogcraft-ai'),
+                    'inspectorRawHtml' => __('Raw HTML', 'autoblogcraft-ai'),
+                    'inspectorCleaned' => __('Cleaned', 'autoblogcraft-ai'),
+                    'inspectorRewritten' => __('Rewritten', 'autoblogcraft-ai'),
+                    'inspectorDiff' => __('Diff', 'autoblogcraft-ai'),
+                    'inspectorNoOutput' => __('This stage did not produce output in this attempt.', 'autoblogcraft-ai'),
+                    /* translators: 1: characters shown, 2: total characters */
+                    'inspectorTruncated' => __('Showing the first %1$d of %2$d characters.', 'autoblogcraft-ai'),
+                    /* translators: %d: number of words compared */
+                    'inspectorDiffTruncated' => __('Only the first %d words are compared.', 'autoblogcraft-ai'),
                 ],
             ]);
         }
@@ -225,6 +338,108 @@ class Admin_Assets
             'copy_error' => __('Failed to copy.', 'autoblogcraft'),
             'validation_error' => __('Please fix validation errors before continuing.', 'autoblogcraft'),
             'unsaved_changes' => __('You have unsaved changes. Do you want to leave this page?', 'autoblogcraft'),
+            'deprecated' => __('deprecated', 'autoblogcraft'),
+            'deprecated_model' => __('This model is deprecated by its provider and may stop working. Choose a current model.', 'autoblogcraft'),
+            'other_models' => __('Other', 'autoblogcraft'),
+            'model_catalog_error' => __('Could not load AI models.', 'autoblogcraft'),
+            'required_field' => __('This field is required.', 'autoblogcraft'),
+            'select_campaign_type' => __('Please choose a campaign type.', 'autoblogcraft'),
+            'add_one_source' => __('Enable at least one source type and add a URL.', 'autoblogcraft'),
+            'select_api_key' => __('Please select an API key.', 'autoblogcraft'),
+            'select_model' => __('Please select a model.', 'autoblogcraft'),
+            'positive_number' => __('Please enter a number greater than zero.', 'autoblogcraft'),
+            'validating' => __('Validating...', 'autoblogcraft'),
+            'validation_failed' => __('Validation failed', 'autoblogcraft'),
+            'preview_items' => __('Preview items', 'autoblogcraft'),
+            'loading_preview' => __('Loading preview...', 'autoblogcraft'),
+            'preview_failed' => __('Preview failed', 'autoblogcraft'),
+            /* translators: 1: items shown, 2: items found */
+            'preview_summary' => __('Showing %1$d of %2$d items', 'autoblogcraft'),
+            /* translators: %d: number of items already in the queue */
+            'preview_duplicates' => __('%d already queued', 'autoblogcraft'),
+            'duplicate' => __('Duplicate', 'autoblogcraft'),
+            'new_item' => __('New', 'autoblogcraft'),
+            /* translators: %d: number of videos */
+            'video_count' => __('%d videos', 'autoblogcraft'),
+            /* translators: %d: number of articles */
+            'article_count' => __('%d articles', 'autoblogcraft'),
+            'latest' => __('latest', 'autoblogcraft'),
+            'select_bulk_action' => __('Please select an action.', 'autoblogcraft'),
+            'select_campaigns' => __('Please select at least one campaign.', 'autoblogcraft'),
+            /* translators: %d: number of campaigns */
+            'confirm_bulk_delete' => __('Are you sure you want to delete %d campaign(s)?', 'autoblogcraft'),
+            /* translators: 1: campaigns processed, 2: campaigns selected */
+            'bulk_progress' => __('Processed %1$d of %2$d', 'autoblogcraft'),
+            /* translators: 1: campaigns processed, 2: campaigns selected */
+            'bulk_cancelled' => __('Cancelled after %1$d of %2$d campaigns.', 'autoblogcraft'),
+            /* translators: 1: succeeded, 2: failed */
+            'bulk_done' => __('Done: %1$d succeeded, %2$d failed.', 'autoblogcraft'),
+            'edit_copy' => __('Edit copy', 'autoblogcraft'),
+            'status_active' => __('Active', 'autoblogcraft'),
+            'status_paused' => __('Paused', 'autoblogcraft'),
+            'pause' => __('Pause', 'autoblogcraft'),
+            'activate' => __('Activate', 'autoblogcraft'),
+            'just_now' => __('Just now', 'autoblogcraft'),
+            'preset_name' => __('Name this filter preset:', 'autoblogcraft'),
+            'confirm_delete_preset' => __('Delete this preset?', 'autoblogcraft'),
+            'prompt_template_name' => __('Name this template:', 'autoblogcraft'),
+            'prompt_replace_confirm' => __('Replace the current prompt with this template?', 'autoblogcraft'),
+            'prompt_delete_confirm' => __('Delete this template from the library? Campaigns using it keep their copy.', 'autoblogcraft'),
+            'prompt_empty' => __('Write a prompt template first.', 'autoblogcraft'),
+            'prompt_preview_empty' => __('No template: the default rewrite instructions are used.', 'autoblogcraft'),
+            'prompt_sample_example' => __('Example item. Add a source to preview real content.', 'autoblogcraft'),
+            /* translators: 1: item title, 2: sample position, 3: number of samples */
+            'prompt_sample_queue' => __('Queued item "%1$s" (%2$d of %3$d)', 'autoblogcraft'),
+            /* translators: 1: item title, 2: sample position, 3: number of samples */
+            'prompt_sample_source' => __('Source item "%1$s" (%2$d of %3$d)', 'autoblogcraft'),
+            /* translators: %s: list of placeholders */
+            'prompt_unknown_variables' => __('Unknown variables: %s', 'autoblogcraft'),
+            'test_post_running' => __('Running pipeline... this can take a minute.', 'autoblogcraft'),
+            /* translators: 1: duration in seconds, 2: number of tokens */
+            'test_post_summary' => __('Finished in %1$ss, %2$s tokens', 'autoblogcraft'),
+            'test_post_confirm_discard' => __('Discard this test post?', 'autoblogcraft'),
+            'test_post_stage_duplicate_check' => __('Duplicate check', 'autoblogcraft'),
+            'test_post_stage_fetch' => __('Fetch', 'autoblogcraft'),
+            'test_post_stage_clean' => __('Clean', 'autoblogcraft'),
+            'test_post_stage_rewrite' => __('AI rewrite', 'autoblogcraft'),
+            'test_post_stage_humanize' => __('Humanizer', 'autoblogcraft'),
+            'test_post_stage_translate' => __('Translation', 'autoblogcraft'),
+            'test_post_stage_featured_image' => __('Featured image', 'autoblogcraft'),
+            'test_post_stage_seo' => __('SEO meta', 'autoblogcraft'),
+            'import_choose_file' => __('Choose a bundle file or paste its JSON first.', 'autoblogcraft'),
+            'import_reading' => __('Checking bundle...', 'autoblogcraft'),
+            'import_running' => __('Importing...', 'autoblogcraft'),
+            /* translators: 1: number of campaigns, 2: source site URL, 3: export date */
+            'import_bundle_meta' => __('%1$d campaign(s) from %2$s, exported %3$s', 'autoblogcraft'),
+            'import_new' => __('New', 'autoblogcraft'),
+            'import_exists' => __('Exists', 'autoblogcraft'),
+            /* translators: %d: number of fields that differ */
+            'import_changes' => __('%d changed field(s)', 'autoblogcraft'),
+            'import_no_changes' => __('Identical to the existing campaign.', 'autoblogcraft'),
+            'import_field' => __('Field', 'autoblogcraft'),
+            'import_current' => __('This site', 'autoblogcraft'),
+            'import_incoming' => __('Bundle', 'autoblogcraft'),
+            /* translators: %d: number of sources */
+            'import_sources' => __('%d source(s)', 'autoblogcraft'),
+            'import_api_key' => __('API key', 'autoblogcraft'),
+            'import_category' => __('Category', 'autoblogcraft'),
+            'import_none' => __('— None —', 'autoblogcraft'),
+            /* translators: 1: provider, 2: key name on the source site */
+            'import_key_ref' => __('was %1$s "%2$s"', 'autoblogcraft'),
+            /* translators: %s: category name on the source site */
+            'import_category_ref' => __('was "%s"', 'autoblogcraft'),
+            'import_select_one' => __('Select at least one campaign to import.', 'autoblogcraft'),
+            'edit' => __('Edit', 'autoblogcraft'),
+            'review_type' => __('Campaign', 'autoblogcraft'),
+            'review_sources' => __('Sources', 'autoblogcraft'),
+            'review_ai' => __('AI Settings', 'autoblogcraft'),
+            'review_schedule' => __('Schedule', 'autoblogcraft'),
+            'review_publishing' => __('Publishing', 'autoblogcraft'),
+            'confirm_discard_draft' => __('Discard this draft? Its settings will be lost.', 'autoblogcraft'),
+            'draft_restored' => __('Draft restored.', 'autoblogcraft'),
+            'draft_unsaved' => __('Unsaved changes', 'autoblogcraft'),
+            'draft_saved' => __('Draft saved', 'autoblogcraft'),
+            'draft_saved_locally' => __('Saved in this browser only', 'autoblogcraft'),
         ];
     }
 
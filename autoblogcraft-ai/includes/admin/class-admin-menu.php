@@ -10,6 +10,10 @@
 
 namespace AutoBlogCraft\Admin;
 
+use AutoBlogCraft\Campaigns\Campaign_Drafts;
+use AutoBlogCraft\Campaigns\Campaign_Repository;
+use AutoBlogCraft\Campaigns\Source_Transfer;
+
 if (!defined('ABSPATH')) {
     exit;
 }
@@ -46,6 +50,9 @@ class Admin_Menu
         add_action('admin_enqueue_scripts', [$this, 'enqueue_assets']);
         add_action('admin_post_abc_save_campaign', [$this, 'handle_save_campaign']);
         add_action('admin_post_abc_clear_logs', [$this, 'handle_clear_logs']);
+        add_action('admin_post_abc_export_campaigns', [$this, 'handle_export_campaigns']);
+        add_action('admin_post_abc_export_logs', [$this, 'handle_export_logs']);
+        add_action('admin_post_abc_export_sources', [$this, 'handle_export_sources']);
 
         // Ensure AJAX_Handlers class is loaded
         if (!class_exists('AutoBlogCraft\Admin\AJAX_Handlers')) {
@@ -143,6 +150,15 @@ class Admin_Menu
             'abc-campaign-editor',
             [$this, 'render_campaign_editor']
         );
+
+        add_submenu_page(
+            null,
+            __('Import Campaigns', 'autoblogcraft'),
+            __('Import Campaigns', 'autoblogcraft'),
+            'manage_options',
+            'abc-campaign-import',
+            [$this, 'render_campaign_import']
+        );
     }
 
     /**
@@ -222,6 +238,17 @@ class Admin_Menu
         $page->render();
     }
 
+    /**
+     * Render campaign import page
+     *
+     * @since 2.1.0
+     */
+    public function render_campaign_import()
+    {
+        $page = $this->get_page('campaign-import');
+        $page->render();
+    }
+
     /**
      * Get page instance
      *
@@ -269,6 +296,16 @@ class Admin_Menu
                 $this->pages[$page_id] = new Pages\Admin_Page_Campaigns();
                 break;
 
+            case 'campaign-import':
+                if (!class_exists('AutoBlogCraft\\Admin\\Pages\\Admin_Page_Base')) {
+                    require_once plugin_dir_path(__FILE__) . 'pages/class-page-base.php';
+                }
+                if (!class_exists('AutoBlogCraft\\Admin\\Pages\\Admin_Page_Campaign_Import')) {
+                    require_once plugin_dir_path(__FILE__) . 'pages/class-campaign-import-page.php';
+                }
+                $this->pages[$page_id] = new Pages\Admin_Page_Campaign_Import();
+                break;
+
             case 'queue':
                 if (!class_exists('AutoBlogCraft\\Admin\\Pages\\Admin_Page_Base')) {
                     require_once plugin_dir_path(__FILE__) . 'pages/class-page-base.php';
@@ -395,224 +432,27 @@ class Admin_Menu
         }
 
         $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
-        $wizard_step = isset($_POST['wizard_step']) ? sanitize_key($_POST['wizard_step']) : '';
-        $is_wizard = !empty($wizard_step);
         $create_campaign = isset($_POST['create_campaign']) && $_POST['create_campaign'] === '1';
-        
-        // Get user ID for transient storage
-        $user_id = get_current_user_id();
-        $transient_key = 'abc_campaign_wizard_' . $user_id;
-        
-        // For wizard mode, store data in transient until final submission
-        if ($is_wizard && !$create_campaign) {
-            // Load existing wizard data
-            $wizard_data = get_transient($transient_key) ?: [];
-            
-            // Merge current step data
-            if ($wizard_step === 'basic') {
-                $wizard_data['title'] = sanitize_text_field($_POST['post_title']);
-                $wizard_data['type'] = sanitize_key($_POST['campaign_type']);
-                $wizard_data['wp_config']['category_id'] = absint($_POST['wp_category_id'] ?? 0);
-                $wizard_data['wp_config']['author_id'] = absint($_POST['wp_author_id'] ?? get_current_user_id());
-                $wizard_data['wp_config']['post_status'] = sanitize_key($_POST['wp_post_status'] ?? 'publish');
-                $wizard_data['wp_config']['seo_plugin'] = sanitize_key($_POST['wp_config']['seo_plugin'] ?? 'none');
-                
-                // Handle discovery interval (use custom if provided, otherwise use dropdown)
-                $discovery_interval = sanitize_text_field($_POST['discovery_interval'] ?? 'every_1_hour');
-                $discovery_interval_custom = sanitize_text_field($_POST['discovery_interval_custom'] ?? '');
-                $wizard_data['discovery_interval'] = !empty($discovery_interval_custom) ? $discovery_interval_custom : $discovery_interval;
-                
-                $wizard_data['limits'] = array_map('absint', $_POST['limits'] ?? []);
-            } elseif ($wizard_step === 'sources') {
-                $wizard_data['source_types'] = $_POST['source_types'] ?? [];
-                $wizard_data['rss_sources'] = sanitize_textarea_field($_POST['rss_sources'] ?? '');
-                $wizard_data['sitemap_sources'] = sanitize_textarea_field($_POST['sitemap_sources'] ?? '');
-                $wizard_data['url_sources'] = sanitize_textarea_field($_POST['url_sources'] ?? '');
-                $wizard_data['source_config'] = $this->sanitize_recursive($_POST['source_config'] ?? []);
-            } elseif ($wizard_step === 'content') {
-                $wizard_data['ai_config'] = array_merge($wizard_data['ai_config'] ?? [], $this->sanitize_recursive($_POST['ai_config'] ?? []));
-            }
-            
-            // Save to transient (expires in 1 hour)
-            set_transient($transient_key, $wizard_data, HOUR_IN_SECONDS);
-            
-            // Determine next step
-            $next_steps = [
-                'basic' => 'sources',
-                'sources' => 'content',
-                'content' => 'ai'
-            ];
-            $next_tab = $next_steps[$wizard_step] ?? 'ai';
-            
-            // Redirect to next step
-            $redirect_url = admin_url('admin.php?page=abc-campaign-editor&tab=' . $next_tab);
-            wp_redirect($redirect_url);
-            exit;
-        }
-        
-        // Final campaign creation (from AI Settings tab with create_campaign=1) or editing existing campaign
-        if ($create_campaign || $campaign_id > 0) {
-            // Load wizard data for final creation
-            $wizard_data = [];
-            if ($create_campaign) {
-                $wizard_data = get_transient($transient_key) ?: [];
-                // Merge final AI settings
-                $wizard_data['ai_config'] = array_merge($wizard_data['ai_config'] ?? [], $this->sanitize_recursive($_POST['ai_config'] ?? []));
-            }
-
-            $title = $create_campaign ? ($wizard_data['title'] ?? '') : sanitize_text_field($_POST['post_title']);
-            $type = $create_campaign ? ($wizard_data['type'] ?? 'website') : sanitize_key($_POST['campaign_type']);
-
-            // 1. Create or Update Post
-            $post_data = [
-                'post_title' => $title,
-                'post_type' => 'abc_campaign',
-                'post_status' => 'publish'
-            ];
-
-            if ($campaign_id > 0) {
-                $post_data['ID'] = $campaign_id;
-                wp_update_post($post_data);
-            } else {
-                $campaign_id = wp_insert_post($post_data);
-                if (is_wp_error($campaign_id)) {
-                    wp_die($campaign_id->get_error_message());
-                }
-                // Set type only on creation
-                update_post_meta($campaign_id, '_campaign_type', $type);
-                update_post_meta($campaign_id, '_campaign_status', 'active');
-            }
-
-            // 1.1 Save WP Config
-            $wp_config = $create_campaign ? ($wizard_data['wp_config'] ?? []) : [];
-            if (isset($_POST['wp_category_id']) || isset($wp_config['category_id']))
-                update_post_meta($campaign_id, '_wp_category_id', absint($_POST['wp_category_id'] ?? $wp_config['category_id'] ?? 0));
-            if (isset($_POST['wp_author_id']) || isset($wp_config['author_id']))
-                update_post_meta($campaign_id, '_wp_author_id', absint($_POST['wp_author_id'] ?? $wp_config['author_id'] ?? get_current_user_id()));
-            if (isset($_POST['wp_post_status']) || isset($wp_config['post_status']))
-                update_post_meta($campaign_id, '_wp_post_status', sanitize_key($_POST['wp_post_status'] ?? $wp_config['post_status'] ?? 'publish'));
-
-            // 2. Save Source Config
-            $clean_source_config = [];
-            
-            if ($type === 'website') {
-                // Handle checkbox-based website sources from sources tab
-                $source_types = $_POST['source_types'] ?? ($create_campaign ? ($wizard_data['source_types'] ?? []) : []);
-                $rss_sources = $_POST['rss_sources'] ?? ($create_campaign ? ($wizard_data['rss_sources'] ?? '') : '');
-                $sitemap_sources = $_POST['sitemap_sources'] ?? ($create_campaign ? ($wizard_data['sitemap_sources'] ?? '') : '');
-                $url_sources = $_POST['url_sources'] ?? ($create_campaign ? ($wizard_data['url_sources'] ?? '') : '');
-                
-                $sources_array = [];
-                
-                // Process RSS feeds
-                if (isset($source_types['rss']) && !empty($rss_sources)) {
-                    $rss_urls = array_filter(array_map('trim', explode("\n", $rss_sources)));
-                    foreach ($rss_urls as $url) {
-                        $sources_array[] = ['type' => 'rss', 'url' => esc_url_raw($url)];
-                    }
-                }
-                
-                // Process Sitemaps
-                if (isset($source_types['sitemap']) && !empty($sitemap_sources)) {
-                    $sitemap_urls = array_filter(array_map('trim', explode("\n", $sitemap_sources)));
-                    foreach ($sitemap_urls as $url) {
-                        $sources_array[] = ['type' => 'sitemap', 'url' => esc_url_raw($url)];
-                    }
-                }
-                
-                // Process Direct URLs/Blogs
-                if (isset($source_types['blogs']) && !empty($url_sources)) {
-                    $direct_urls = array_filter(array_map('trim', explode("\n", $url_sources)));
-                    foreach ($direct_urls as $url) {
-                        $sources_array[] = ['type' => 'url', 'url' => esc_url_raw($url)];
-                    }
-                }
-                
-                $clean_source_config['sources'] = $sources_array;
-                
-                // Use wizard data if available
-                if (empty($sources_array) && $create_campaign && isset($wizard_data['source_config'])) {
-                    $clean_source_config = $wizard_data['source_config'];
-                }
-            } else {
-                // For non-website campaigns (YouTube, Amazon, News)
-                if (isset($_POST['source_config'][$type])) {
-                    $clean_source_config = $this->sanitize_recursive($_POST['source_config'][$type]);
-                } elseif ($create_campaign && isset($wizard_data['source_config'])) {
-                    $clean_source_config = $wizard_data['source_config'];
-                }
-            }
-
-            update_post_meta($campaign_id, '_source_config', $clean_source_config);
-
-            // 3. Save AI Config
-            $ai_config = $_POST['ai_config'] ?? ($create_campaign ? ($wizard_data['ai_config'] ?? []) : []);
-            $clean_ai_config = $this->sanitize_recursive($ai_config);
-
-        // Sanitize API Key ID specifically
-        if (isset($ai_config['api_key_id'])) {
-            $clean_ai_config['api_key_id'] = absint($ai_config['api_key_id']);
-        }
-
-        // Numeric fields
-        if (isset($ai_config['temperature'])) {
-            $clean_ai_config['temperature'] = floatval($ai_config['temperature']);
-        }
-        if (isset($ai_config['min_words'])) {
-            $clean_ai_config['min_words'] = absint($ai_config['min_words']);
-        }
-        if (isset($ai_config['max_words'])) {
-            $clean_ai_config['max_words'] = absint($ai_config['max_words']);
-        }
-        if (isset($ai_config['max_headings'])) {
-            $clean_ai_config['max_headings'] = absint($ai_config['max_headings']);
-        }
-
-        // Checkbox handling - all checkboxes need explicit handling
-        $clean_ai_config['humanizer_enabled'] = isset($ai_config['humanizer_enabled']);
-        $clean_ai_config['seo_enabled'] = isset($ai_config['seo_enabled']);
-        $clean_ai_config['fetch_images'] = isset($ai_config['fetch_images']);
-        $clean_ai_config['translation_enabled'] = isset($ai_config['translation_enabled']);
-        $clean_ai_config['match_source_length'] = isset($ai_config['match_source_length']);
-        $clean_ai_config['match_source_tone'] = isset($ai_config['match_source_tone']);
-        $clean_ai_config['match_source_headings'] = isset($ai_config['match_source_headings']);
-        $clean_ai_config['match_source_brand'] = isset($ai_config['match_source_brand']);
-
-        update_post_meta($campaign_id, '_ai_config', $clean_ai_config);
-
-        // 4. Save WP Config (SEO Plugin)
-        if (isset($_POST['wp_config']['seo_plugin'])) {
-            update_post_meta($campaign_id, '_wp_seo_plugin', sanitize_key($_POST['wp_config']['seo_plugin']));
-        }
-
-            // 5. Save Common Settings
-            // Handle discovery interval (custom takes priority)
-            $discovery_interval_custom = sanitize_text_field($_POST['discovery_interval_custom'] ?? '');
-            $discovery_interval_dropdown = sanitize_text_field($_POST['discovery_interval'] ?? '');
-            $discovery_interval = !empty($discovery_interval_custom) ? $discovery_interval_custom : $discovery_interval_dropdown;
-            
-            // If empty, use wizard data or default
-            if (empty($discovery_interval)) {
-                $discovery_interval = $create_campaign ? ($wizard_data['discovery_interval'] ?? 'every_1_hour') : '';
-            }
-            
-            $limits = $_POST['limits'] ?? ($create_campaign ? ($wizard_data['limits'] ?? []) : []);
-            
-            if (!empty($discovery_interval)) {
-                update_post_meta($campaign_id, '_discovery_interval', sanitize_text_field($discovery_interval));
-            }
-
-            if (!empty($limits)) {
-                update_post_meta($campaign_id, '_limits', array_map('absint', $limits));
-            }
 
-            // Clear wizard transient after successful campaign creation
-            if ($create_campaign) {
-                delete_transient($transient_key);
+        // Final campaign creation (wizard submit with create_campaign=1) or editing existing campaign
+        if ($create_campaign || $campaign_id > 0) {
+            $campaign_id = (new Campaign_Repository())->save_form($campaign_id, $_POST, $create_campaign);
+            if (is_wp_error($campaign_id)) {
+                $titles = [
+                    'invalid_schedule' => __('Invalid schedule', 'autoblogcraft'),
+                    'invalid_retry_policy' => __('Invalid retry policy', 'autoblogcraft'),
+                ];
+                $title = $titles[$campaign_id->get_error_code()] ?? ($create_campaign ? __('Campaign not created', 'autoblogcraft') : __('Campaign not saved', 'autoblogcraft'));
+                wp_die(esc_html($campaign_id->get_error_message()), $title, ['back_link' => true]);
             }
 
             // Redirect based on context
             if ($create_campaign) {
+                // The wizard draft has served its purpose
+                if (!empty($_POST['abc_draft_id'])) {
+                    (new Campaign_Drafts())->delete_draft(sanitize_key($_POST['abc_draft_id']));
+                }
+
                 // New campaign created via wizard - redirect to edit mode with success message
                 $redirect_url = admin_url('admin.php?page=abc-campaign-editor&campaign_id=' . $campaign_id . '&tab=overview&message=created');
             } else {
@@ -651,16 +491,110 @@ class Admin_Menu
     }
 
     /**
-     * Recursive sanitization helper
+     * Handle campaign export
+     *
+     * Streams the selected campaigns as a JSON bundle download.
+     *
+     * @since 2.1.0
      */
-    private function sanitize_recursive($data)
+    public function handle_export_campaigns()
     {
-        if (is_array($data)) {
-            foreach ($data as $key => $value) {
-                $data[$key] = $this->sanitize_recursive($value);
-            }
-            return $data;
+        if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'abc_admin')) {
+            wp_die(__('Security check failed', 'autoblogcraft'));
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Permission denied', 'autoblogcraft'));
+        }
+
+        $campaign_ids = isset($_POST['campaign_ids']) ? array_filter(array_map('absint', (array) $_POST['campaign_ids'])) : [];
+
+        if (empty($campaign_ids)) {
+            wp_die(__('No campaigns selected.', 'autoblogcraft'));
         }
-        return sanitize_text_field($data);
+
+        $bundle = (new \AutoBlogCraft\Campaigns\Campaign_Bundle())->export($campaign_ids);
+        $filename = sprintf('autoblogcraft-campaigns-%s.json', gmdate('Y-m-d-His'));
+
+        nocache_headers();
+        header('Content-Type: application/json; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+
+        echo wp_json_encode($bundle, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+        exit;
+    }
+
+    /**
+     * Handle log export
+     *
+     * Streams the logs matching the viewer's filters as CSV, JSON or NDJSON.
+     * Without a campaign_id the export covers all campaigns (global logs page).
+     *
+     * @since 2.1.0
+     */
+    public function handle_export_logs()
+    {
+        if (!isset($_REQUEST['nonce']) || !wp_verify_nonce($_REQUEST['nonce'], 'abc_export_logs')) {
+            wp_die(__('Security check failed', 'autoblogcraft'));
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Permission denied', 'autoblogcraft'));
+        }
+
+        $campaign_id = isset($_REQUEST['campaign_id']) ? absint($_REQUEST['campaign_id']) : 0;
+
+        if ($campaign_id && get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_die(__('Invalid campaign ID.', 'autoblogcraft'));
+        }
+
+        $exporter = new \AutoBlogCraft\Core\Log_Exporter($campaign_id ?: null, [
+            'search' => isset($_REQUEST['search']) ? sanitize_text_field(wp_unslash($_REQUEST['search'])) : '',
+            'queue_item_id' => isset($_REQUEST['queue_item_id']) ? absint($_REQUEST['queue_item_id']) : 0,
+            'level' => isset($_REQUEST['level']) ? sanitize_key($_REQUEST['level']) : '',
+            'category' => isset($_REQUEST['category']) ? sanitize_key($_REQUEST['category']) : '',
+            'date_from' => isset($_REQUEST['date_from']) ? sanitize_text_field($_REQUEST['date_from']) : '',
+            'date_to' => isset($_REQUEST['date_to']) ? sanitize_text_field($_REQUEST['date_to']) : '',
+        ]);
+
+        $exporter->stream(isset($_REQUEST['format']) ? sanitize_key($_REQUEST['format']) : 'csv');
+    }
+
+    /**
+     * Handle source export
+     *
+     * Sends a campaign's sources as an OPML or CSV download.
+     *
+     * @since 2.1.0
+     */
+    public function handle_export_sources()
+    {
+        if (!isset($_REQUEST['nonce']) || !wp_verify_nonce($_REQUEST['nonce'], 'abc_export_sources')) {
+            wp_die(__('Security check failed', 'autoblogcraft'));
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Permission denied', 'autoblogcraft'));
+        }
+
+        $campaign_id = isset($_REQUEST['campaign_id']) ? absint($_REQUEST['campaign_id']) : 0;
+
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_die(__('Invalid campaign ID.', 'autoblogcraft'));
+        }
+
+        $format = isset($_REQUEST['format']) ? sanitize_key($_REQUEST['format']) : 'opml';
+        if (!isset(Source_Transfer::FORMATS[$format])) {
+            $format = 'opml';
+        }
+
+        $transfer = new Source_Transfer($campaign_id);
+
+        nocache_headers();
+        header('Content-Type: ' . Source_Transfer::FORMATS[$format] . '; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $transfer->get_filename($format) . '"');
+
+        echo $transfer->export($format);
+        exit;
     }
 }
@@ -11,7 +11,30 @@
 namespace AutoBlogCraft\Admin;
 
 use AutoBlogCraft\Campaigns\Campaign_Factory;
+use AutoBlogCraft\Campaigns\Campaign_Drafts;
+use AutoBlogCraft\Campaigns\Campaign_Cloner;
+use AutoBlogCraft\Campaigns\Campaign_Bundle;
+use AutoBlogCraft\Campaigns\Campaign_Stats;
+use AutoBlogCraft\Campaigns\Source_Overrides;
+use AutoBlogCraft\Campaigns\Source_Transfer;
 use AutoBlogCraft\AI\Key_Manager;
+use AutoBlogCraft\AI\AI_Manager;
+use AutoBlogCraft\AI\Prompt_Library;
+use AutoBlogCraft\AI\Prompt_Template;
+use AutoBlogCraft\AI\Token_Counter;
+use AutoBlogCraft\Cron\Discovery_Schedule;
+use AutoBlogCraft\Discovery\Discovery_Manager;
+use AutoBlogCraft\Discovery\Queue_Manager;
+use AutoBlogCraft\Discovery\Queue_Attempts;
+use AutoBlogCraft\Discovery\Source_Health;
+use AutoBlogCraft\Core\Logger;
+use AutoBlogCraft\Discovery\Website\RSS_Discoverer;
+use AutoBlogCraft\Discovery\Website\Sitemap_Discoverer;
+use AutoBlogCraft\Discovery\Website\Web_Discoverer;
+use AutoBlogCraft\Processing\Processing_Manager;
+use AutoBlogCraft\Processing\Post_Actions;
+use AutoBlogCraft\Processing\Queue_Batch;
+use AutoBlogCraft\Processing\Test_Post;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -35,18 +58,49 @@ class AJAX_Handlers {
         add_action('wp_ajax_abc_validate_url', [$this, 'validate_url']);
         add_action('wp_ajax_abc_validate_rss', [$this, 'validate_rss_feed']); // Alias for consistency
         add_action('wp_ajax_abc_validate_youtube', [$this, 'validate_youtube']);
+        add_action('wp_ajax_abc_validate_amazon_category', [$this, 'validate_amazon_category']);
+        add_action('wp_ajax_abc_validate_news_query', [$this, 'validate_news_query']);
+        add_action('wp_ajax_abc_preview_source', [$this, 'preview_source']);
         add_action('wp_ajax_abc_validate_api_key', [$this, 'validate_api_key']);
         add_action('wp_ajax_abc_campaign_pause', [$this, 'pause_campaign']);
         add_action('wp_ajax_abc_campaign_activate', [$this, 'activate_campaign']);
         add_action('wp_ajax_abc_bulk_campaign_action', [$this, 'bulk_campaign_action']);
+        add_action('wp_ajax_abc_save_campaign_draft', [$this, 'save_campaign_draft']);
+        add_action('wp_ajax_abc_discard_campaign_draft', [$this, 'discard_campaign_draft']);
+        add_action('wp_ajax_abc_preview_schedule', [$this, 'preview_schedule']);
+        add_action('wp_ajax_abc_save_filter_preset', [$this, 'save_filter_preset']);
+        add_action('wp_ajax_abc_delete_filter_preset', [$this, 'delete_filter_preset']);
+        add_action('wp_ajax_abc_preview_campaign_import', [$this, 'preview_campaign_import']);
+        add_action('wp_ajax_abc_import_campaigns', [$this, 'import_campaigns']);
         
         // API key validation and refresh
         add_action('wp_ajax_abc_test_api_key', [$this, 'test_api_key']);
         add_action('wp_ajax_abc_refresh_api_keys', [$this, 'refresh_api_keys']);
+        add_action('wp_ajax_abc_get_model_catalog', [$this, 'get_model_catalog']);
+        add_action('wp_ajax_abc_preview_prompt', [$this, 'preview_prompt']);
+        add_action('wp_ajax_abc_estimate_campaign_cost', [$this, 'estimate_campaign_cost']);
+        add_action('wp_ajax_abc_save_prompt_template', [$this, 'save_prompt_template']);
+        add_action('wp_ajax_abc_delete_prompt_template', [$this, 'delete_prompt_template']);
+        add_action('wp_ajax_abc_run_test_post', [$this, 'run_test_post']);
+        add_action('wp_ajax_abc_publish_test_post', [$this, 'publish_test_post']);
+        add_action('wp_ajax_abc_discard_test_post', [$this, 'discard_test_post']);
         
         // Campaign detail tab AJAX
         add_action('wp_ajax_abc_save_campaign_sources', [$this, 'save_campaign_sources']);
         add_action('wp_ajax_abc_save_campaign_settings', [$this, 'save_campaign_settings']);
+        add_action('wp_ajax_abc_get_queue_changes', [$this, 'get_queue_changes']);
+        add_action('wp_ajax_abc_queue_batch', [$this, 'queue_batch']);
+        add_action('wp_ajax_abc_queue_bulk_action', [$this, 'queue_bulk_action']);
+        add_action('wp_ajax_abc_queue_reorder', [$this, 'queue_reorder']);
+        add_action('wp_ajax_abc_get_queue_item_details', [$this, 'get_queue_item_details']);
+        add_action('wp_ajax_abc_retry_failed_queue', [$this, 'retry_failed_queue']);
+        add_action('wp_ajax_abc_get_campaign_logs', [$this, 'get_campaign_logs']);
+        add_action('wp_ajax_abc_post_action', [$this, 'post_action']);
+        add_action('wp_ajax_abc_get_campaign_stats', [$this, 'get_campaign_stats']);
+        add_action('wp_ajax_abc_get_campaign_series', [$this, 'get_campaign_series']);
+        add_action('wp_ajax_abc_source_action', [$this, 'source_action']);
+        add_action('wp_ajax_abc_preview_source_import', [$this, 'preview_source_import']);
+        add_action('wp_ajax_abc_import_sources', [$this, 'import_sources']);
     }
 
     /**
@@ -165,6 +219,410 @@ class AJAX_Handlers {
         wp_send_json_success(['message' => __('URL is accessible!', 'autoblogcraft')]);
     }
 
+    /**
+     * Preview the items a website source would yield
+     *
+     * Runs the RSS, sitemap or scraper discoverer against one URL and
+     * returns the first items with their queue duplicate status.
+     *
+     * @since 2.1.0
+     */
+    public function preview_source() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $url = isset($_POST['url']) ? esc_url_raw(wp_unslash($_POST['url'])) : '';
+        $source_type = isset($_POST['source_type']) ? sanitize_key($_POST['source_type']) : 'rss';
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        $limit = isset($_POST['limit']) ? min(25, max(1, absint($_POST['limit']))) : 10;
+
+        if (empty($url) || !filter_var($url, FILTER_VALIDATE_URL)) {
+            wp_send_json_error(['message' => __('Invalid URL format.', 'autoblogcraft')]);
+        }
+
+        // Direct URLs pointing at a sitemap go through the sitemap parser
+        if ($source_type === 'url') {
+            $source_type = preg_match('/sitemap[^\/]*\.xml/i', $url) ? 'sitemap' : 'web';
+        }
+
+        // Web_Discoverer lives in class-web-scraper.php, which the autoloader can't map
+        if (!class_exists(Web_Discoverer::class)) {
+            require_once ABC_PLUGIN_DIR . 'includes/discovery/website/class-web-scraper.php';
+        }
+
+        $discoverers = [
+            'rss' => RSS_Discoverer::class,
+            'sitemap' => Sitemap_Discoverer::class,
+            'web' => Web_Discoverer::class,
+        ];
+
+        if (!isset($discoverers[$source_type])) {
+            wp_send_json_error(['message' => __('Unsupported source type.', 'autoblogcraft')]);
+        }
+
+        $discoverer = new $discoverers[$source_type](new Queue_Manager());
+        $preview = $discoverer->preview(['url' => $url], $campaign_id, $limit);
+
+        if (is_wp_error($preview)) {
+            wp_send_json_error(['message' => $preview->get_error_message()]);
+        }
+
+        $format = get_option('date_format') . ' ' . get_option('time_format');
+        foreach ($preview['items'] as &$item) {
+            $timestamp = $item['date'] ? strtotime($item['date']) : false;
+            $item['date'] = $timestamp ? wp_date($format, $timestamp) : '';
+        }
+        unset($item);
+
+        $preview['duplicates'] = count(array_filter(wp_list_pluck($preview['items'], 'is_duplicate')));
+
+        wp_send_json_success($preview);
+    }
+
+    /**
+     * Render a prompt template against a sample item from the campaign's sources
+     *
+     * Uses a pending queue item when the campaign has one, otherwise the
+     * first source URL from the form. Samples are cached briefly so the
+     * preview can refresh on every keystroke.
+     *
+     * @since 2.1.0
+     */
+    public function preview_prompt() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $template = isset($_POST['template']) ? sanitize_textarea_field(wp_unslash($_POST['template'])) : '';
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        $source_url = isset($_POST['source_url']) ? esc_url_raw(wp_unslash($_POST['source_url'])) : '';
+        $source_type = isset($_POST['source_type']) ? sanitize_key($_POST['source_type']) : 'rss';
+        $offset = isset($_POST['offset']) ? absint($_POST['offset']) : 0;
+        $ai_config = isset($_POST['ai_config']) && is_array($_POST['ai_config']) ? array_map('sanitize_text_field', wp_unslash($_POST['ai_config'])) : [];
+        $saved_ai_config = $campaign_id ? get_post_meta($campaign_id, '_ai_config', true) : [];
+        $source_config = $campaign_id ? get_post_meta($campaign_id, '_source_config', true) : [];
+
+        // Each editor tab is its own form; fill in what isn't on screen from the saved campaign
+        $ai_config = array_merge(is_array($saved_ai_config) ? $saved_ai_config : [], $ai_config);
+        if (!$source_url && !empty($source_config['sources'][0]['url'])) {
+            $source_url = $source_config['sources'][0]['url'];
+            $source_type = $source_config['sources'][0]['type'];
+        }
+
+        $samples = $this->get_prompt_samples($campaign_id, $source_url, $source_type);
+        $sample = $samples ? $samples[$offset % count($samples)] : [
+            'title' => __('Example article title', 'autoblogcraft'),
+            'excerpt' => __('Add a source or run discovery to preview with a real item from this campaign.', 'autoblogcraft'),
+            'url' => 'https://example.com/article',
+            'origin' => 'example',
+        ];
+
+        $context = Prompt_Template::build_context(
+            $sample,
+            $ai_config,
+            isset($_POST['campaign_name']) ? sanitize_text_field(wp_unslash($_POST['campaign_name'])) : get_the_title($campaign_id),
+            is_array($source_config) ? ($source_config['keywords'] ?? '') : ''
+        );
+
+        wp_send_json_success([
+            'prompt' => Prompt_Template::render($template, $context),
+            'unknown' => Prompt_Template::find_unknown($template),
+            'sample' => [
+                'title' => $context['title'],
+                'url' => $sample['url'],
+                'origin' => $sample['origin'],
+                'count' => count($samples),
+            ],
+        ]);
+    }
+
+    /**
+     * Project AI tokens and spend per post, day and month for a campaign
+     *
+     * Fields that are not on the current editor tab (schedule, limits,
+     * content settings) fall back to the saved campaign.
+     *
+     * @since 2.1.0
+     */
+    public function estimate_campaign_cost() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        $saved_ai_config = $campaign_id ? get_post_meta($campaign_id, '_ai_config', true) : [];
+        $saved_limits = $campaign_id ? get_post_meta($campaign_id, '_limits', true) : [];
+
+        $ai_config = array_merge(
+            is_array($saved_ai_config) ? $saved_ai_config : [],
+            isset($_POST['ai_config']) && is_array($_POST['ai_config']) ? array_map('sanitize_textarea_field', wp_unslash($_POST['ai_config'])) : []
+        );
+        $limits = array_merge(
+            ['max_posts_per_day' => 10],
+            is_array($saved_limits) ? $saved_limits : [],
+            isset($_POST['limits']) && is_array($_POST['limits']) ? array_map('absint', $_POST['limits']) : []
+        );
+
+        if (isset($_POST['schedule'])) {
+            $schedule = Discovery_Schedule::from_input(wp_unslash($_POST['schedule']));
+        } else {
+            $schedule = $campaign_id ? Discovery_Schedule::for_campaign($campaign_id) : new Discovery_Schedule();
+        }
+
+        if (is_wp_error($schedule)) {
+            wp_send_json_error(['message' => $schedule->get_error_message()]);
+        }
+
+        $campaign_type = isset($_POST['campaign_type']) ? sanitize_key($_POST['campaign_type']) : '';
+        if (!$campaign_type && $campaign_id) {
+            $campaign_type = get_post_meta($campaign_id, '_campaign_type', true);
+        }
+
+        $provider = isset($_POST['provider']) ? sanitize_key($_POST['provider']) : '';
+        if (!$provider && !empty($ai_config['api_key_id'])) {
+            $key = (new Key_Manager())->get_key($ai_config['api_key_id'], false);
+            $provider = is_wp_error($key) ? '' : $key['provider'];
+        }
+
+        // Posts per day: the daily limit, or one post per run without one
+        $runs_per_day = $schedule->get_runs_per_day();
+        $posts_per_day = (int) $limits['max_posts_per_day'] ?: $runs_per_day;
+
+        $estimate = Token_Counter::estimate_campaign([
+            'provider' => $provider,
+            'model' => isset($_POST['model']) ? sanitize_text_field(wp_unslash($_POST['model'])) : ($ai_config['model'] ?? ''),
+            'campaign_type' => $campaign_type ?: 'website',
+            'ai_config' => $ai_config,
+            'posts_per_day' => $posts_per_day,
+        ]);
+
+        foreach (['per_post', 'per_day', 'per_month'] as $period) {
+            $estimate[$period]['tokens_label'] = Token_Counter::format_tokens($estimate[$period]['tokens']);
+            $estimate[$period]['cost_label'] = $estimate[$period]['cost'] === null ? '' : Token_Counter::format_cost($estimate[$period]['cost']);
+        }
+
+        $budget = isset($ai_config['monthly_budget']) && $ai_config['monthly_budget'] !== '' ? (float) $ai_config['monthly_budget'] : 0;
+        $monthly_cost = $estimate['per_month']['cost'];
+
+        $estimate['runs_per_day'] = round($runs_per_day, 1);
+        $estimate['budget'] = $budget;
+        $estimate['over_budget'] = $budget > 0 && $monthly_cost !== null && $monthly_cost > $budget;
+        $estimate['basis'] = sprintf(
+            /* translators: 1: posts per day, 2: discovery runs per day, 3: schedule summary */
+            __('Based on about %1$s posts/day from %2$s discovery runs/day (%3$s).', 'autoblogcraft'),
+            number_format_i18n($posts_per_day, 1),
+            number_format_i18n($runs_per_day, 1),
+            $schedule->describe()
+        );
+
+        if ($monthly_cost === null) {
+            $estimate['warning'] = __('No pricing is known for this model, so spend cannot be estimated.', 'autoblogcraft');
+        } elseif ($estimate['over_budget']) {
+            $estimate['warning'] = sprintf(
+                /* translators: 1: projected monthly spend, 2: monthly budget */
+                __('Projected spend of %1$s per month exceeds the %2$s budget. Lower the daily post limit, run discovery less often or pick a cheaper model.', 'autoblogcraft'),
+                Token_Counter::format_cost($monthly_cost),
+                Token_Counter::format_cost($budget)
+            );
+        }
+
+        wp_send_json_success($estimate);
+    }
+
+    /**
+     * Collect sample items for prompt previews
+     *
+     * @since 2.1.0
+     * @param int    $campaign_id Campaign ID (0 in the wizard).
+     * @param string $source_url  First source URL from the form.
+     * @param string $source_type rss or url.
+     * @return array Items with title, excerpt, url and origin.
+     */
+    private function get_prompt_samples($campaign_id, $source_url, $source_type) {
+        $cache_key = 'abc_prompt_samples_' . md5($campaign_id . '|' . $source_url);
+        $samples = get_transient($cache_key);
+
+        if (is_array($samples)) {
+            return $samples;
+        }
+
+        $samples = [];
+
+        if ($campaign_id) {
+            foreach ((new Queue_Manager())->get_next_items(10, $campaign_id) as $item) {
+                $samples[] = [
+                    'title' => $item['title'],
+                    'excerpt' => !empty($item['excerpt']) ? $item['excerpt'] : (string) $item['content'],
+                    'url' => $item['source_url'],
+                    'origin' => 'queue',
+                ];
+            }
+        }
+
+        if (!$samples && $source_url && filter_var($source_url, FILTER_VALIDATE_URL)) {
+            if (!class_exists(Web_Discoverer::class)) {
+                require_once ABC_PLUGIN_DIR . 'includes/discovery/website/class-web-scraper.php';
+            }
+
+            if ($source_type === 'url') {
+                $source_type = preg_match('/sitemap[^\/]*\.xml/i', $source_url) ? 'sitemap' : 'web';
+            }
+
+            $discoverers = [
+                'rss' => RSS_Discoverer::class,
+                'sitemap' => Sitemap_Discoverer::class,
+                'web' => Web_Discoverer::class,
+            ];
+            $class = $discoverers[$source_type] ?? RSS_Discoverer::class;
+            $preview = (new $class(new Queue_Manager()))->preview(['url' => $source_url], $campaign_id, 10);
+
+            if (!is_wp_error($preview)) {
+                foreach ($preview['items'] as $item) {
+                    $samples[] = [
+                        'title' => $item['title'],
+                        'excerpt' => $item['excerpt'],
+                        'url' => $item['url'],
+                        'origin' => 'source',
+                    ];
+                }
+            }
+        }
+
+        set_transient($cache_key, $samples, 10 * MINUTE_IN_SECONDS);
+
+        return $samples;
+    }
+
+    /**
+     * Save a prompt template to the shared library
+     *
+     * @since 2.1.0
+     */
+    public function save_prompt_template() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $template = (new Prompt_Library())->save_template(
+            isset($_POST['name']) ? wp_unslash($_POST['name']) : '',
+            isset($_POST['template']) ? wp_unslash($_POST['template']) : ''
+        );
+
+        if (is_wp_error($template)) {
+            wp_send_json_error(['message' => $template->get_error_message()]);
+        }
+
+        wp_send_json_success([
+            'template' => $template,
+            'message' => __('Template saved to library.', 'autoblogcraft'),
+        ]);
+    }
+
+    /**
+     * Delete a prompt template from the shared library
+     *
+     * @since 2.1.0
+     */
+    public function delete_prompt_template() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $slug = isset($_POST['slug']) ? sanitize_title($_POST['slug']) : '';
+
+        if (!(new Prompt_Library())->delete_template($slug)) {
+            wp_send_json_error(['message' => __('Template not found.', 'autoblogcraft')]);
+        }
+
+        wp_send_json_success(['message' => __('Template deleted.', 'autoblogcraft')]);
+    }
+
+    /**
+     * Run a test post: one queue item through the pipeline, not published
+     *
+     * @since 2.1.0
+     */
+    public function run_test_post() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        // AI rewriting can take a while
+        if (function_exists('set_time_limit')) {
+            @set_time_limit(300);
+        }
+
+        $result = (new Test_Post($campaign_id))->run(isset($_POST['queue_id']) ? absint($_POST['queue_id']) : 0);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+        }
+
+        wp_send_json_success($result);
+    }
+
+    /**
+     * Publish the current test post as a draft
+     *
+     * @since 2.1.0
+     */
+    public function publish_test_post() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        $post_id = (new Test_Post($campaign_id))->publish();
+
+        if (is_wp_error($post_id)) {
+            wp_send_json_error(['message' => $post_id->get_error_message()]);
+        }
+
+        wp_send_json_success([
+            'post_id' => $post_id,
+            'edit_url' => get_edit_post_link($post_id, 'raw'),
+            'message' => __('Draft created.', 'autoblogcraft'),
+        ]);
+    }
+
+    /**
+     * Discard the current test post
+     *
+     * @since 2.1.0
+     */
+    public function discard_test_post() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        (new Test_Post($campaign_id))->discard();
+
+        wp_send_json_success(['message' => __('Test post discarded.', 'autoblogcraft')]);
+    }
+
     /**
      * Pause campaign
      *
@@ -189,7 +647,7 @@ class AJAX_Handlers {
             wp_send_json_error(['message' => __('Campaign not found.', 'autoblogcraft')]);
         }
 
-        $campaign->update_meta('status', 'paused');
+        $campaign->update_meta('_campaign_status', 'paused');
 
         wp_send_json_success(['message' => __('Campaign paused.', 'autoblogcraft')]);
     }
@@ -218,7 +676,7 @@ class AJAX_Handlers {
             wp_send_json_error(['message' => __('Campaign not found.', 'autoblogcraft')]);
         }
 
-        $campaign->update_meta('status', 'active');
+        $campaign->update_meta('_campaign_status', 'active');
 
         wp_send_json_success(['message' => __('Campaign activated.', 'autoblogcraft')]);
     }
@@ -226,6 +684,9 @@ class AJAX_Handlers {
     /**
      * Bulk campaign action
      *
+     * Runs the action on each campaign independently and reports a result
+     * per campaign, so the list can process selections in small chunks.
+     *
      * @since 2.0.0
      */
     public function bulk_campaign_action() {
@@ -236,44 +697,110 @@ class AJAX_Handlers {
         }
 
         $action = isset($_POST['bulk_action']) ? sanitize_text_field($_POST['bulk_action']) : '';
-        $campaign_ids = isset($_POST['campaign_ids']) ? array_map('absint', $_POST['campaign_ids']) : [];
+        $campaign_ids = isset($_POST['campaign_ids']) ? array_filter(array_map('absint', (array) $_POST['campaign_ids'])) : [];
+
+        // 'resume' is the pre-2.1 name for 'activate'
+        if ($action === 'resume') {
+            $action = 'activate';
+        }
 
-        if (empty($action) || empty($campaign_ids)) {
+        if (!in_array($action, ['pause', 'activate', 'delete', 'clone', 'discover'], true) || empty($campaign_ids)) {
             wp_send_json_error(['message' => __('Invalid request.', 'autoblogcraft')]);
         }
 
-        $count = 0;
+        $results = [];
 
         foreach ($campaign_ids as $campaign_id) {
-            $campaign = Campaign_Factory::create($campaign_id);
-            if (is_wp_error($campaign)) {
+            $title = get_the_title($campaign_id);
+            $result = $this->run_bulk_campaign_action($action, $campaign_id);
+
+            if (is_wp_error($result)) {
+                $results[] = [
+                    'id' => $campaign_id,
+                    'title' => $title,
+                    'success' => false,
+                    'message' => $result->get_error_message(),
+                ];
                 continue;
             }
 
-            switch ($action) {
-                case 'pause':
-                    $campaign->update_meta('status', 'paused');
-                    $count++;
-                    break;
-
-                case 'resume':
-                    $campaign->update_meta('status', 'active');
-                    $count++;
-                    break;
-
-                case 'delete':
-                    wp_delete_post($campaign_id, true);
-                    $count++;
-                    break;
-            }
+            $results[] = array_merge([
+                'id' => $campaign_id,
+                'title' => $title,
+                'success' => true,
+            ], $result);
         }
 
+        $succeeded = count(wp_list_filter($results, ['success' => true]));
+
         wp_send_json_success([
-            'message' => sprintf(__('%d campaigns %s.', 'autoblogcraft'), $count, $action === 'delete' ? 'deleted' : ($action . 'd')),
-            'count' => $count,
+            'message' => sprintf(__('%1$d of %2$d campaigns updated.', 'autoblogcraft'), $succeeded, count($results)),
+            'results' => $results,
         ]);
     }
 
+    /**
+     * Apply a bulk action to one campaign
+     *
+     * @since 2.1.0
+     * @param string $action Action: pause, activate, delete, clone or discover.
+     * @param int $campaign_id Campaign ID.
+     * @return array|\WP_Error Result data (message plus row updates) or error.
+     */
+    private function run_bulk_campaign_action($action, $campaign_id) {
+        $campaign = Campaign_Factory::create($campaign_id);
+
+        if (is_wp_error($campaign)) {
+            return new \WP_Error('campaign_not_found', __('Campaign not found.', 'autoblogcraft'));
+        }
+
+        switch ($action) {
+            case 'pause':
+                $campaign->update_meta('_campaign_status', 'paused');
+                return ['message' => __('Campaign paused.', 'autoblogcraft'), 'status' => 'paused'];
+
+            case 'activate':
+                $campaign->update_meta('_campaign_status', 'active');
+                return ['message' => __('Campaign activated.', 'autoblogcraft'), 'status' => 'active'];
+
+            case 'delete':
+                if (!wp_delete_post($campaign_id, true)) {
+                    return new \WP_Error('delete_failed', __('Campaign could not be deleted.', 'autoblogcraft'));
+                }
+                return ['message' => __('Campaign deleted.', 'autoblogcraft')];
+
+            case 'clone':
+                $new_id = (new Campaign_Cloner())->clone_campaign($campaign_id);
+                if (is_wp_error($new_id)) {
+                    return $new_id;
+                }
+                return [
+                    'message' => sprintf(__('Cloned as draft "%s".', 'autoblogcraft'), get_the_title($new_id)),
+                    'new_id' => $new_id,
+                    'edit_url' => admin_url('admin.php?page=abc-campaign-editor&campaign_id=' . $new_id),
+                ];
+
+            case 'discover':
+                $result = Discovery_Manager::instance()->force_discover($campaign_id);
+                if (is_wp_error($result)) {
+                    return $result;
+                }
+
+                $stats = (new Queue_Manager())->get_stats($campaign_id);
+
+                return [
+                    'message' => sprintf(
+                        __('Discovery found %1$d items, %2$d queued.', 'autoblogcraft'),
+                        $result['items_found'],
+                        $result['items_added']
+                    ),
+                    'queue_count' => $stats['pending'],
+                ];
+        }
+
+        return new \WP_Error('invalid_action', __('Invalid request.', 'autoblogcraft'));
+    }
+
     /**
      * Test API key
      *
@@ -423,55 +950,331 @@ class AJAX_Handlers {
             wp_send_json_error(['message' => __('Invalid YouTube ' . $type . ' format.', 'autoblogcraft')]);
         }
 
-        // For now, just validate the format
-        // In production, you would make an API call to YouTube Data API
-        $message = sprintf(
-            __('%s ID validated: %s', 'autoblogcraft'),
-            ucfirst($type),
-            $id
-        );
+        $api_key = $this->get_service_api_key('youtube');
+
+        // Without a key we can only vouch for the format
+        if (empty($api_key)) {
+            wp_send_json_success([
+                'message' => sprintf(
+                    __('%s ID format is valid: %s. Add a YouTube API key to verify it exists.', 'autoblogcraft'),
+                    ucfirst($type),
+                    $id
+                ),
+                'id' => $id,
+                'verified' => false,
+            ]);
+        }
+
+        $details = $this->fetch_youtube_details($id, $type, $api_key);
 
-        wp_send_json_success(['message' => $message, 'id' => $id]);
+        if (is_wp_error($details)) {
+            wp_send_json_error(['message' => $details->get_error_message()]);
+        }
+
+        wp_send_json_success([
+            'message' => sprintf(__('%s found.', 'autoblogcraft'), ucfirst($type)),
+            'id' => $details['id'],
+            'title' => $details['title'],
+            'video_count' => $details['video_count'],
+            'verified' => true,
+        ]);
     }
 
     /**
-     * Extract YouTube ID from URL or return ID if already in correct format
+     * Look up a YouTube channel or playlist via the Data API
      *
-     * @since 2.0.0
-     * @param string $value URL or ID.
+     * @since 2.1.0
+     * @param string $id ID as returned by extract_youtube_id().
      * @param string $type Type: 'channel' or 'playlist'.
-     * @return string|false ID on success, false on failure.
+     * @param string $api_key YouTube API key.
+     * @return array|\WP_Error Array with id, title and video_count, or error.
      */
-    private function extract_youtube_id($value, $type) {
-        if ($type === 'channel') {
-            // Channel ID format: UC...
-            if (preg_match('/^UC[\w-]{22}$/', $value)) {
-                return $value;
+    private function fetch_youtube_details($id, $type, $api_key) {
+        if ($type === 'playlist') {
+            $endpoint = 'playlists';
+            $args = ['part' => 'snippet,contentDetails', 'id' => $id];
+        } else {
+            $endpoint = 'channels';
+            $args = ['part' => 'snippet,statistics'];
+
+            if (strpos($id, '@') === 0) {
+                $args['forHandle'] = $id;
+            } elseif (strpos($id, 'user:') === 0) {
+                $args['forUsername'] = substr($id, 5);
+            } else {
+                $args['id'] = $id;
             }
+        }
 
-            // Extract from URL
-            if (preg_match('/youtube\.com\/channel\/(UC[\w-]{22})/', $value, $matches)) {
-                return $matches[1];
-            }
+        $args['key'] = $api_key;
 
-            // Extract from @handle URL
-            if (preg_match('/youtube\.com\/@([\w-]+)/', $value, $matches)) {
-                return '@' . $matches[1];
-            }
+        $response = wp_remote_get(add_query_arg(array_map('rawurlencode', $args), 'https://www.googleapis.com/youtube/v3/' . $endpoint), [
+            'timeout' => 10,
+        ]);
 
-            // Extract from user URL
-            if (preg_match('/youtube\.com\/user\/([\w-]+)/', $value, $matches)) {
-                return 'user:' . $matches[1];
-            }
-        } elseif ($type === 'playlist') {
-            // Playlist ID format: PL...
-            if (preg_match('/^PL[\w-]{32}$/', $value)) {
-                return $value;
-            }
+        if (is_wp_error($response)) {
+            return $response;
+        }
 
-            // Extract from URL
-            if (preg_match('/[?&]list=(PL[\w-]{32})/', $value, $matches)) {
-                return $matches[1];
+        $data = json_decode(wp_remote_retrieve_body($response), true);
+
+        if (wp_remote_retrieve_response_code($response) !== 200) {
+            $message = isset($data['error']['message']) ? $data['error']['message'] : __('YouTube API request failed.', 'autoblogcraft');
+            return new \WP_Error('youtube_api_error', $message);
+        }
+
+        if (empty($data['items'][0])) {
+            return new \WP_Error('youtube_not_found', sprintf(__('YouTube %s not found.', 'autoblogcraft'), $type));
+        }
+
+        $item = $data['items'][0];
+
+        return [
+            'id' => $item['id'],
+            'title' => $item['snippet']['title'] ?? '',
+            'video_count' => $type === 'playlist'
+                ? (int) ($item['contentDetails']['itemCount'] ?? 0)
+                : (int) ($item['statistics']['videoCount'] ?? 0),
+        ];
+    }
+
+    /**
+     * Validate Amazon category (browse node) ID
+     *
+     * Accepts a numeric browse node ID or an Amazon URL carrying one,
+     * then loads the category page to confirm it exists.
+     *
+     * @since 2.1.0
+     */
+    public function validate_amazon_category() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $value = isset($_POST['value']) ? sanitize_text_field(wp_unslash($_POST['value'])) : '';
+
+        if (preg_match('/^\d{2,12}$/', $value)) {
+            $node_id = $value;
+        } elseif (preg_match('/(?:[?&]node=|rh=n(?::|%3A))(\d{2,12})/i', $value, $matches)) {
+            $node_id = $matches[1];
+        } else {
+            wp_send_json_error(['message' => __('Enter a numeric Amazon category (browse node) ID or a category URL containing one.', 'autoblogcraft')]);
+        }
+
+        $response = wp_remote_get('https://www.amazon.com/b?node=' . $node_id, [
+            'timeout' => 10,
+            'user-agent' => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            'headers' => [
+                'Accept-Language' => 'en-US,en;q=0.9',
+            ],
+        ]);
+
+        $status = is_wp_error($response) ? 0 : wp_remote_retrieve_response_code($response);
+
+        if ($status === 404) {
+            wp_send_json_error(['message' => sprintf(__('Amazon category %s does not exist.', 'autoblogcraft'), $node_id)]);
+        }
+
+        $name = '';
+        if ($status === 200 && preg_match('/<title>(.*?)<\/title>/is', wp_remote_retrieve_body($response), $matches)) {
+            $name = trim(preg_replace('/^Amazon\.com\s*:\s*/i', '', html_entity_decode($matches[1], ENT_QUOTES)));
+        }
+
+        // Amazon often answers bots with a captcha page; don't fail valid IDs over it
+        if ($name === '' || stripos($name, 'robot') !== false) {
+            wp_send_json_success([
+                'message' => sprintf(__('Category ID format is valid: %s. Amazon did not confirm it, so check it on the site.', 'autoblogcraft'), $node_id),
+                'id' => $node_id,
+                'verified' => false,
+            ]);
+        }
+
+        wp_send_json_success([
+            'message' => __('Category found.', 'autoblogcraft'),
+            'id' => $node_id,
+            'category_name' => $name,
+            'verified' => true,
+        ]);
+    }
+
+    /**
+     * Validate news keywords by running a live query
+     *
+     * Uses NewsAPI when a key is configured, Google News RSS otherwise.
+     *
+     * @since 2.1.0
+     */
+    public function validate_news_query() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $value = isset($_POST['value']) ? sanitize_text_field(wp_unslash($_POST['value'])) : '';
+        $keywords = array_slice(array_filter(array_map('trim', explode(',', $value))), 0, 5);
+
+        if (empty($keywords)) {
+            wp_send_json_error(['message' => __('Keywords are required.', 'autoblogcraft')]);
+        }
+
+        $api_key = $this->get_service_api_key('newsapi');
+        $provider = $api_key ? 'NewsAPI' : 'Google News';
+        $results = [];
+
+        foreach ($keywords as $keyword) {
+            $articles = $api_key ? $this->query_newsapi($keyword, $api_key) : $this->query_google_news($keyword);
+
+            if (is_wp_error($articles)) {
+                wp_send_json_error(['message' => $articles->get_error_message()]);
+            }
+
+            $results[] = [
+                'keyword' => $keyword,
+                'count' => count($articles),
+                'latest' => $articles ? $articles[0] : '',
+            ];
+        }
+
+        $empty = wp_list_filter($results, ['count' => 0]);
+
+        if (count($empty) === count($results)) {
+            wp_send_json_error(['message' => sprintf(__('No recent articles found on %s for these keywords.', 'autoblogcraft'), $provider)]);
+        }
+
+        wp_send_json_success([
+            'message' => sprintf(__('Query returned articles on %s.', 'autoblogcraft'), $provider),
+            'provider' => $provider,
+            'results' => $results,
+        ]);
+    }
+
+    /**
+     * Fetch recent headlines for a keyword from NewsAPI
+     *
+     * @since 2.1.0
+     * @param string $keyword Keyword.
+     * @param string $api_key NewsAPI key.
+     * @return string[]|\WP_Error Headlines or error.
+     */
+    private function query_newsapi($keyword, $api_key) {
+        $response = wp_remote_get(add_query_arg([
+            'q' => rawurlencode($keyword),
+            'pageSize' => 10,
+            'sortBy' => 'publishedAt',
+            'apiKey' => rawurlencode($api_key),
+        ], 'https://newsapi.org/v2/everything'), [
+            'timeout' => 10,
+        ]);
+
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        $data = json_decode(wp_remote_retrieve_body($response), true);
+
+        if (wp_remote_retrieve_response_code($response) !== 200) {
+            return new \WP_Error('newsapi_error', isset($data['message']) ? $data['message'] : __('NewsAPI request failed.', 'autoblogcraft'));
+        }
+
+        return wp_list_pluck($data['articles'] ?? [], 'title');
+    }
+
+    /**
+     * Fetch recent headlines for a keyword from Google News RSS
+     *
+     * @since 2.1.0
+     * @param string $keyword Keyword.
+     * @return string[]|\WP_Error Headlines or error.
+     */
+    private function query_google_news($keyword) {
+        $response = wp_remote_get('https://news.google.com/rss/search?q=' . rawurlencode($keyword), [
+            'timeout' => 10,
+        ]);
+
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        libxml_use_internal_errors(true);
+        $xml = simplexml_load_string(wp_remote_retrieve_body($response));
+        libxml_clear_errors();
+
+        if ($xml === false || !isset($xml->channel)) {
+            return new \WP_Error('news_feed_error', __('Could not read Google News results.', 'autoblogcraft'));
+        }
+
+        $titles = [];
+        foreach ($xml->channel->item as $item) {
+            $titles[] = (string) $item->title;
+        }
+
+        return $titles;
+    }
+
+    /**
+     * Get the API key for a discovery service (youtube, newsapi, ...)
+     *
+     * Prefers an active key from the key manager, falling back to the
+     * legacy abc_{service}_api_key option the discoverers read.
+     *
+     * @since 2.1.0
+     * @param string $service Service slug.
+     * @return string API key or empty string.
+     */
+    private function get_service_api_key($service) {
+        $key_manager = new Key_Manager();
+
+        foreach ($key_manager->get_keys_by_provider($service) as $key) {
+            $key = $key_manager->get_key($key['id']);
+            if (!is_wp_error($key) && !empty($key['decrypted_key'])) {
+                return $key['decrypted_key'];
+            }
+        }
+
+        return (string) get_option("abc_{$service}_api_key", '');
+    }
+
+    /**
+     * Extract YouTube ID from URL or return ID if already in correct format
+     *
+     * @since 2.0.0
+     * @param string $value URL or ID.
+     * @param string $type Type: 'channel' or 'playlist'.
+     * @return string|false ID on success, false on failure.
+     */
+    private function extract_youtube_id($value, $type) {
+        if ($type === 'channel') {
+            // Channel ID format: UC...
+            if (preg_match('/^UC[\w-]{22}$/', $value)) {
+                return $value;
+            }
+
+            // Extract from URL
+            if (preg_match('/youtube\.com\/channel\/(UC[\w-]{22})/', $value, $matches)) {
+                return $matches[1];
+            }
+
+            // Extract from @handle URL
+            if (preg_match('/youtube\.com\/@([\w-]+)/', $value, $matches)) {
+                return '@' . $matches[1];
+            }
+
+            // Extract from user URL
+            if (preg_match('/youtube\.com\/user\/([\w-]+)/', $value, $matches)) {
+                return 'user:' . $matches[1];
+            }
+        } elseif ($type === 'playlist') {
+            // Playlist ID format: PL...
+            if (preg_match('/^PL[\w-]{32}$/', $value)) {
+                return $value;
+            }
+
+            // Extract from URL
+            if (preg_match('/[?&]list=(PL[\w-]{32})/', $value, $matches)) {
+                return $matches[1];
             }
         }
 
@@ -639,60 +1442,947 @@ class AJAX_Handlers {
     }
 
     /**
-     * Save campaign sources
+     * Get AI model catalog
      *
      * @since 2.0.0
      */
-    public function save_campaign_sources() {
+    public function get_model_catalog() {
         check_ajax_referer('abc_admin', 'nonce');
+
         if (!current_user_can('manage_options')) {
             wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
         }
-        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
-        if (!$campaign_id) {
-            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+
+        wp_send_json_success(AI_Manager::instance()->get_model_catalog());
+    }
+
+    /**
+     * Autosave a campaign wizard draft
+     *
+     * @since 2.1.0
+     */
+    public function save_campaign_draft() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
         }
-        $campaign = get_post($campaign_id);
-        if (!$campaign || $campaign->post_type !== 'abc_campaign') {
-            wp_send_json_error(['message' => __('Campaign not found.', 'autoblogcraft')]);
+
+        $draft_id = isset($_POST['draft_id']) ? sanitize_key($_POST['draft_id']) : '';
+        $step = isset($_POST['step']) ? sanitize_key($_POST['step']) : '';
+        $fields = isset($_POST['fields']) ? json_decode(wp_unslash($_POST['fields']), true) : null;
+
+        $draft = (new Campaign_Drafts())->save_draft($draft_id, $fields, $step);
+
+        if (is_wp_error($draft)) {
+            wp_send_json_error(['message' => $draft->get_error_message()]);
         }
-        require_once ABC_PLUGIN_DIR . 'includes/campaigns/class-campaign-repository.php';
-        $repo = new \AutoBlogCraft\Campaigns\Campaign_Repository();
-        $result = $repo->save($campaign_id, $_POST);
-        if (is_wp_error($result)) {
-            wp_send_json_error(['message' => $result->get_error_message()]);
+
+        wp_send_json_success([
+            'draft_id' => $draft['id'],
+            'updated' => $draft['updated'],
+        ]);
+    }
+
+    /**
+     * Discard a campaign wizard draft
+     *
+     * @since 2.1.0
+     */
+    public function discard_campaign_draft() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $draft_id = isset($_POST['draft_id']) ? sanitize_key($_POST['draft_id']) : '';
+
+        if (!$draft_id) {
+            wp_send_json_error(['message' => __('Invalid draft ID.', 'autoblogcraft')]);
+        }
+
+        (new Campaign_Drafts())->delete_draft($draft_id);
+
+        wp_send_json_success(['message' => __('Draft discarded.', 'autoblogcraft')]);
+    }
+
+    /**
+     * Save a named list filter preset for the current user
+     *
+     * @since 2.1.0
+     */
+    public function save_filter_preset() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $screen = isset($_POST['screen']) ? sanitize_key($_POST['screen']) : '';
+        $name = isset($_POST['name']) ? wp_unslash($_POST['name']) : '';
+        $filters = isset($_POST['filters']) ? wp_unslash((array) $_POST['filters']) : [];
+
+        $preset = (new Filter_Presets())->save_preset($screen, $name, $filters);
+
+        if (is_wp_error($preset)) {
+            wp_send_json_error(['message' => $preset->get_error_message()]);
         }
+
         wp_send_json_success([
-            'message' => __('Sources saved successfully.', 'autoblogcraft'),
+            'message' => __('Preset saved.', 'autoblogcraft'),
+            'preset' => $preset,
         ]);
     }
 
     /**
-     * Save campaign settings
+     * Delete a list filter preset
      *
-     * @since 2.0.0
+     * @since 2.1.0
      */
-    public function save_campaign_settings() {
+    public function delete_filter_preset() {
         check_ajax_referer('abc_admin', 'nonce');
+
         if (!current_user_can('manage_options')) {
             wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
         }
-        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
-        if (!$campaign_id) {
-            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+
+        $screen = isset($_POST['screen']) ? sanitize_key($_POST['screen']) : '';
+        $slug = isset($_POST['slug']) ? sanitize_title($_POST['slug']) : '';
+
+        if (!(new Filter_Presets())->delete_preset($screen, $slug)) {
+            wp_send_json_error(['message' => __('Preset not found.', 'autoblogcraft')]);
         }
-        $campaign = get_post($campaign_id);
-        if (!$campaign || $campaign->post_type !== 'abc_campaign') {
-            wp_send_json_error(['message' => __('Campaign not found.', 'autoblogcraft')]);
+
+        wp_send_json_success(['message' => __('Preset deleted.', 'autoblogcraft')]);
+    }
+
+    /**
+     * Validate a campaign bundle and preview what importing it would do
+     *
+     * @since 2.1.0
+     */
+    public function preview_campaign_import() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
         }
-        require_once ABC_PLUGIN_DIR . 'includes/campaigns/class-campaign-repository.php';
-        $repo = new \AutoBlogCraft\Campaigns\Campaign_Repository();
-        $result = $repo->save($campaign_id, $_POST);
-        if (is_wp_error($result)) {
-            wp_send_json_error(['message' => $result->get_error_message()]);
+
+        $importer = new Campaign_Bundle();
+        $bundle = $importer->parse(isset($_POST['bundle']) ? wp_unslash($_POST['bundle']) : '');
+
+        if (is_wp_error($bundle)) {
+            wp_send_json_error(['message' => $bundle->get_error_message()]);
+        }
+
+        $campaigns = $importer->preview($bundle);
+
+        // Local keys for every provider referenced in the bundle
+        $key_manager = new Key_Manager();
+        $keys = [];
+        foreach ($campaigns as $campaign) {
+            $provider = sanitize_key($campaign['api_key']['provider'] ?? '');
+            if ($provider && !isset($keys[$provider])) {
+                $keys[$provider] = array_map(function($key) {
+                    return ['id' => (int) $key['id'], 'name' => $key['key_name']];
+                }, $key_manager->get_keys_by_provider($provider));
+            }
         }
+
+        $categories = array_map(function($term) {
+            return ['id' => (int) $term->term_id, 'name' => $term->name];
+        }, get_categories(['hide_empty' => false]));
+
         wp_send_json_success([
-            'message' => __('Settings saved successfully.', 'autoblogcraft')
+            'bundle' => [
+                'version' => (int) $bundle['version'],
+                'plugin_version' => sanitize_text_field($bundle['plugin_version'] ?? ''),
+                'exported_at' => sanitize_text_field($bundle['exported_at'] ?? ''),
+                'site_url' => esc_url_raw($bundle['site_url'] ?? ''),
+            ],
+            'campaigns' => $campaigns,
+            'keys' => $keys,
+            'categories' => $categories,
+        ]);
+    }
+
+    /**
+     * Import selected campaigns from a bundle
+     *
+     * @since 2.1.0
+     */
+    public function import_campaigns() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $importer = new Campaign_Bundle();
+        $bundle = $importer->parse(isset($_POST['bundle']) ? wp_unslash($_POST['bundle']) : '');
+
+        if (is_wp_error($bundle)) {
+            wp_send_json_error(['message' => $bundle->get_error_message()]);
+        }
+
+        $indexes = isset($_POST['campaigns']) ? array_map('absint', (array) $_POST['campaigns']) : [];
+
+        if (empty($indexes)) {
+            wp_send_json_error(['message' => __('Select at least one campaign to import.', 'autoblogcraft')]);
+        }
+
+        $mapping = [];
+        if (isset($_POST['mapping']) && is_array($_POST['mapping'])) {
+            foreach ($_POST['mapping'] as $index => $map) {
+                $mapping[absint($index)] = [
+                    'api_key_id' => absint($map['api_key_id'] ?? 0),
+                    'category_id' => absint($map['category_id'] ?? 0),
+                ];
+            }
+        }
+
+        $results = $importer->import($bundle, $indexes, $mapping);
+        $imported = count(array_filter(wp_list_pluck($results, 'success')));
+
+        wp_send_json_success([
+            'results' => $results,
+            'message' => sprintf(__('%1$d of %2$d campaigns imported.', 'autoblogcraft'), $imported, count($results)),
+        ]);
+    }
+
+    /**
+     * Preview the next discovery runs for a schedule
+     *
+     * @since 2.1.0
+     */
+    public function preview_schedule() {
+        check_ajax_referer('abc_admin', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $schedule = Discovery_Schedule::from_input(isset($_POST['schedule']) ? wp_unslash($_POST['schedule']) : null);
+
+        if (is_wp_error($schedule)) {
+            wp_send_json_error(['message' => $schedule->get_error_message()]);
+        }
+
+        $format = get_option('date_format') . ' ' . get_option('time_format');
+        $runs = array_map(function($timestamp) use ($format) {
+            return [
+                'timestamp' => $timestamp,
+                'label' => wp_date($format, $timestamp),
+            ];
+        }, $schedule->get_next_runs(10));
+
+        wp_send_json_success([
+            'summary' => $schedule->describe(),
+            'runs' => $runs,
+            'timezone' => wp_timezone_string(),
+        ]);
+    }
+
+    /**
+     * Save campaign sources
+     *
+     * Website campaigns post their source list as rows of type, url, name
+     * and overrides (see Source_Overrides); other types post source_config.
+     *
+     * @since 2.0.0
+     */
+    public function save_campaign_sources() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id) {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+        $campaign = get_post($campaign_id);
+        if (!$campaign || $campaign->post_type !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Campaign not found.', 'autoblogcraft')]);
+        }
+
+        if (get_post_meta($campaign_id, '_campaign_type', true) === 'website') {
+            $config = get_post_meta($campaign_id, '_source_config', true);
+            $config = is_array($config) ? $config : [];
+            $config['sources'] = Source_Overrides::sanitize_sources(wp_unslash($_POST['sources'] ?? []));
+            update_post_meta($campaign_id, '_source_config', $config);
+
+            do_action('abc_campaign_settings_saved', $campaign_id, 'sources');
+            wp_send_json_success([
+                'message' => sprintf(
+                    /* translators: %d: number of sources */
+                    _n('%d source saved.', '%d sources saved.', count($config['sources']), 'autoblogcraft'),
+                    count($config['sources'])
+                ),
+            ]);
+        }
+
+        require_once ABC_PLUGIN_DIR . 'includes/campaigns/class-campaign-repository.php';
+        $repo = new \AutoBlogCraft\Campaigns\Campaign_Repository();
+        $result = $repo->save($campaign_id, $_POST);
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+        }
+        wp_send_json_success([
+            'message' => __('Sources saved successfully.', 'autoblogcraft'),
+        ]);
+    }
+
+    /**
+     * Save campaign settings
+     *
+     * Takes a campaign editor tab's form, saved the same way as a regular
+     * submit (see Campaign_Repository::save_form()).
+     *
+     * @since 2.0.0
+     */
+    public function save_campaign_settings() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id) {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+        $campaign = get_post($campaign_id);
+        if (!$campaign || $campaign->post_type !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Campaign not found.', 'autoblogcraft')]);
+        }
+        require_once ABC_PLUGIN_DIR . 'includes/campaigns/class-campaign-repository.php';
+        $repo = new \AutoBlogCraft\Campaigns\Campaign_Repository();
+        $result = $repo->save_form($campaign_id, $_POST);
+        if (is_wp_error($result)) {
+            // The field lets the form point at what needs fixing
+            $error_data = $result->get_error_data();
+            wp_send_json_error([
+                'message' => $result->get_error_message(),
+                'field' => is_array($error_data) ? ($error_data['field'] ?? '') : '',
+            ]);
+        }
+        wp_send_json_success([
+            'message' => __('Settings saved successfully.', 'autoblogcraft')
+        ]);
+    }
+
+    /**
+     * Get queue rows changed since a cursor, for the live queue tab
+     *
+     * Rows are returned pre-rendered with the same template as the tab.
+     *
+     * @since 2.1.0
+     */
+    public function get_queue_changes() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $queue_manager = new Queue_Manager();
+        $cursor = isset($_POST['cursor']) ? sanitize_text_field(wp_unslash($_POST['cursor'])) : '';
+        $changes = $queue_manager->get_changes($campaign_id, $cursor);
+
+        $rows = [];
+        foreach ($changes['items'] as $item) {
+            ob_start();
+            include ABC_PLUGIN_DIR . 'templates/admin/campaign-detail/queue-row.php';
+            $rows[] = [
+                'id' => (int) $item->id,
+                'status' => $item->status,
+                'html' => trim(ob_get_clean()),
+            ];
+        }
+
+        wp_send_json_success([
+            'rows' => $rows,
+            'cursor' => $changes['cursor'],
+        ]);
+    }
+
+    /**
+     * Drive a queue batch job: start, step, cancel, status or clear
+     *
+     * The browser calls "step" repeatedly; each call processes one item.
+     *
+     * @since 2.1.0
+     */
+    public function queue_batch() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $batch = new Queue_Batch($campaign_id);
+        $batch_action = isset($_POST['batch_action']) ? sanitize_key($_POST['batch_action']) : '';
+        $offset = isset($_POST['offset']) ? absint($_POST['offset']) : 0;
+
+        switch ($batch_action) {
+            case 'start':
+                $result = $batch->start(isset($_POST['limit']) ? absint($_POST['limit']) : 10);
+                break;
+            case 'step':
+                // One item can take a while with AI rewriting and image generation
+                if (function_exists('set_time_limit')) {
+                    @set_time_limit(300);
+                }
+                $result = $batch->step();
+                break;
+            case 'cancel':
+                $result = $batch->cancel();
+                break;
+            case 'clear':
+                $batch->clear();
+                $result = null;
+                break;
+            case 'status':
+                $result = $batch->get_state($offset);
+                break;
+            default:
+                wp_send_json_error(['message' => __('Invalid batch action.', 'autoblogcraft')]);
+        }
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+        }
+
+        wp_send_json_success(['job' => $result]);
+    }
+
+    /**
+     * Apply a bulk action to selected queue items
+     *
+     * Items are either posted as item_ids or, with all_matching, every item
+     * matching the tab's status filter.
+     *
+     * @since 2.1.0
+     */
+    public function queue_bulk_action() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $queue_manager = new Queue_Manager();
+
+        if (!empty($_POST['all_matching'])) {
+            $status = isset($_POST['status']) ? sanitize_key($_POST['status']) : '';
+            $ids = $queue_manager->get_campaign_item_ids($campaign_id, $status);
+        } else {
+            $ids = isset($_POST['item_ids']) ? array_map('absint', (array) $_POST['item_ids']) : [];
+        }
+
+        if (empty($ids)) {
+            wp_send_json_error(['message' => __('No queue items selected.', 'autoblogcraft')]);
+        }
+
+        $bulk_action = isset($_POST['bulk_action']) ? sanitize_key($_POST['bulk_action']) : '';
+
+        switch ($bulk_action) {
+            case 'retry':
+                $count = $queue_manager->update_items_status($campaign_id, $ids, 'pending', ['failed', 'skipped']);
+                /* translators: %d: number of items */
+                $message = _n('%d item queued for retry.', '%d items queued for retry.', $count, 'autoblogcraft');
+                break;
+            case 'skip':
+                $count = $queue_manager->update_items_status($campaign_id, $ids, 'skipped', ['pending', 'failed']);
+                /* translators: %d: number of items */
+                $message = _n('%d item skipped.', '%d items skipped.', $count, 'autoblogcraft');
+                break;
+            case 'delete':
+                $count = $queue_manager->delete_items($campaign_id, $ids);
+                /* translators: %d: number of items */
+                $message = _n('%d item deleted.', '%d items deleted.', $count, 'autoblogcraft');
+                break;
+            case 'priority':
+                $count = $queue_manager->set_priority($campaign_id, $ids, isset($_POST['priority']) ? intval($_POST['priority']) : 50);
+                /* translators: %d: number of items */
+                $message = _n('Priority set on %d item.', 'Priority set on %d items.', $count, 'autoblogcraft');
+                break;
+            default:
+                wp_send_json_error(['message' => __('Invalid bulk action.', 'autoblogcraft')]);
+        }
+
+        wp_send_json_success([
+            'count' => $count,
+            'message' => sprintf($message, $count),
+        ]);
+    }
+
+    /**
+     * Persist a drag-and-drop order of queue items
+     *
+     * @since 2.1.0
+     */
+    public function queue_reorder() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        $ids = isset($_POST['item_ids']) ? array_map('absint', (array) $_POST['item_ids']) : [];
+
+        if (!$campaign_id || empty($ids)) {
+            wp_send_json_error(['message' => __('Nothing to reorder.', 'autoblogcraft')]);
+        }
+
+        wp_send_json_success([
+            'order' => (new Queue_Manager())->reorder($campaign_id, $ids),
+        ]);
+    }
+
+    /**
+     * Get a queue item for the inspector drawer
+     *
+     * Returns the item's source metadata, its attempts with their logs, and
+     * the stage outputs of one attempt (the latest unless attempt_id is given).
+     *
+     * @since 2.1.0
+     */
+    public function get_queue_item_details() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        $item_id = isset($_POST['item_id']) ? absint($_POST['item_id']) : 0;
+        $attempt_id = isset($_POST['attempt_id']) ? absint($_POST['attempt_id']) : 0;
+
+        $item = (new Queue_Manager())->get_item($item_id);
+        if (!$item || (int) $item['campaign_id'] !== $campaign_id) {
+            wp_send_json_error(['message' => __('Queue item not found.', 'autoblogcraft')]);
+        }
+
+        $metadata = !empty($item['metadata']) ? json_decode($item['metadata'], true) : [];
+        $metadata = array_map(function($value) {
+            return is_scalar($value) ? (string) $value : wp_json_encode($value);
+        }, is_array($metadata) ? $metadata : []);
+
+        $attempts = (new Queue_Attempts())->get_for_item($item_id);
+        $logs = Logger::instance()->get_item_logs($item_id);
+
+        $selected = null;
+        $result = [];
+        foreach ($attempts as $attempt) {
+            $ai = null;
+            foreach ($attempt['stages'] as $stage) {
+                if (!empty($stage['ai'])) {
+                    $ai = $stage['ai'];
+                    break;
+                }
+            }
+
+            // A run that died without finishing leaves its attempt "running"
+            $status = $attempt['status'];
+            if ($status === 'running' && $item['status'] !== 'processing') {
+                $status = 'interrupted';
+            }
+
+            $result[] = [
+                'id' => (int) $attempt['id'],
+                'attempt' => (int) $attempt['attempt'],
+                'status' => $status,
+                'started_at' => $attempt['started_at'],
+                'finished_at' => $attempt['finished_at'],
+                'provider' => $attempt['provider'] ?: '',
+                'key_id' => (int) $attempt['key_id'],
+                'key_name' => $ai['key_name'] ?? '',
+                'model' => $ai['model'] ?? '',
+                'error' => $attempt['error'] ?: '',
+                'stages' => $attempt['stages'],
+                'logs' => [],
+            ];
+
+            if (!$selected && (!$attempt_id || $attempt_id === (int) $attempt['id'])) {
+                $selected = $attempt;
+            }
+        }
+
+        // Each log belongs to the latest attempt started before it
+        $other_logs = [];
+        foreach ($logs as $log) {
+            $entry = [
+                'level' => $log->level,
+                'category' => $log->category,
+                'message' => $log->message,
+                'created_at' => $log->created_at,
+            ];
+
+            $index = null;
+            foreach ($result as $i => $attempt) {
+                if ($attempt['started_at'] <= $log->created_at) {
+                    $index = $i;
+                    break;
+                }
+            }
+
+            if ($index === null) {
+                $other_logs[] = $entry;
+            } else {
+                $result[$index]['logs'][] = $entry;
+            }
+        }
+
+        wp_send_json_success([
+            'item' => [
+                'id' => (int) $item['id'],
+                'title' => $item['title'] ?: '',
+                'source_url' => $item['source_url'],
+                'source_type' => $item['source_type'],
+                'status' => $item['status'],
+                'priority' => (int) $item['priority'],
+                'retry_count' => (int) $item['retry_count'],
+                'last_error' => $item['last_error'] ?? '',
+                'discovered_at' => $item['discovered_at'],
+                'processed_at' => $item['processed_at'] ?: '',
+                'excerpt' => wp_strip_all_tags((string) $item['excerpt']),
+                'edit_url' => $item['post_id'] ? (string) get_edit_post_link($item['post_id'], 'raw') : '',
+                'metadata' => $metadata,
+            ],
+            'attempts' => $result,
+            'logs' => $other_logs,
+            'selected' => $selected ? (int) $selected['id'] : 0,
+            'outputs' => $selected ? $selected['outputs'] : (object) [],
+        ]);
+    }
+
+    /**
+     * Queue the campaign's failed items whose retry is due
+     *
+     * Items still in backoff or not retryable under the campaign's retry
+     * policy are left alone and reported in the message.
+     *
+     * @since 2.1.0
+     */
+    public function retry_failed_queue() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $summary = Processing_Manager::instance()->retry_due($campaign_id, Queue_Batch::MAX_LIMIT);
+
+        if (!$summary['queued'] && !$summary['waiting'] && !$summary['exhausted']) {
+            wp_send_json_error(['message' => __('There are no failed items.', 'autoblogcraft')]);
+        }
+
+        /* translators: %d: number of items */
+        $parts = [sprintf(_n('%d item queued for retry.', '%d items queued for retry.', $summary['queued'], 'autoblogcraft'), $summary['queued'])];
+
+        if ($summary['waiting']) {
+            $parts[] = $summary['next_due'] > time()
+                /* translators: 1: number of items, 2: time until the next retry, e.g. "5 mins" */
+                ? sprintf(__('%1$d waiting for backoff, next due in %2$s.', 'autoblogcraft'), $summary['waiting'], human_time_diff(time(), $summary['next_due']))
+                /* translators: %d: number of items */
+                : sprintf(__('%d more due on the next run.', 'autoblogcraft'), $summary['waiting']);
+        }
+
+        if ($summary['exhausted']) {
+            /* translators: %d: number of items */
+            $parts[] = sprintf(__('%d will not be retried under the retry policy.', 'autoblogcraft'), $summary['exhausted']);
+        }
+
+        wp_send_json_success(array_merge($summary, [
+            'message' => implode(' ', $parts),
+        ]));
+    }
+
+    /**
+     * Get a page of campaign logs for the log viewer
+     *
+     * before_id loads older entries for infinite scroll; after_id loads
+     * entries written since the newest one shown (tail mode). Entries are
+     * returned pre-rendered with the same template as the tab.
+     *
+     * @since 2.1.0
+     */
+    public function get_campaign_logs() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $result = Logger::instance()->query_logs($campaign_id, [
+            'search' => isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : '',
+            'queue_item_id' => isset($_POST['queue_item_id']) ? absint($_POST['queue_item_id']) : 0,
+            'level' => isset($_POST['level']) ? sanitize_key($_POST['level']) : '',
+            'category' => isset($_POST['category']) ? sanitize_key($_POST['category']) : '',
+            'date_from' => isset($_POST['date_from']) ? sanitize_text_field($_POST['date_from']) : '',
+            'date_to' => isset($_POST['date_to']) ? sanitize_text_field($_POST['date_to']) : '',
+            'before_id' => isset($_POST['before_id']) ? absint($_POST['before_id']) : 0,
+            'after_id' => isset($_POST['after_id']) ? absint($_POST['after_id']) : 0,
+        ]);
+
+        $entries = [];
+        foreach ($result['logs'] as $log) {
+            ob_start();
+            include ABC_PLUGIN_DIR . 'templates/admin/campaign-detail/log-entry.php';
+            $entries[] = [
+                'id' => (int) $log->id,
+                'html' => trim(ob_get_clean()),
+            ];
+        }
+
+        wp_send_json_success([
+            'entries' => $entries,
+            'has_more' => $result['has_more'],
+        ]);
+    }
+
+    /**
+     * Run an action on one of the campaign's posts
+     *
+     * Bulk actions call this once per post so each row can be updated as
+     * it finishes. The row comes back rendered unless the post was trashed.
+     *
+     * @since 2.1.0
+     */
+    public function post_action() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $post_id = isset($_POST['post_id']) ? absint($_POST['post_id']) : 0;
+        $action = isset($_POST['post_action']) ? sanitize_key($_POST['post_action']) : '';
+
+        $result = (new Post_Actions($campaign_id))->run($post_id, $action, [
+            'language' => isset($_POST['language']) ? sanitize_key($_POST['language']) : '',
+        ]);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+        }
+
+        $html = '';
+        if (!$result['removed']) {
+            $post = get_post($post_id);
+            ob_start();
+            include ABC_PLUGIN_DIR . 'templates/admin/campaign-detail/post-row.php';
+            $html = trim(ob_get_clean());
+        }
+
+        wp_send_json_success([
+            'message' => $result['message'],
+            'removed' => $result['removed'],
+            'html' => $html,
+        ]);
+    }
+
+    /**
+     * Get the overview stat card values
+     *
+     * @since 2.1.0
+     */
+    public function get_campaign_stats() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $summary = (new Campaign_Stats($campaign_id))->get_summary();
+        unset($summary['recent_posts']);
+
+        // Formatted the way the cards print them
+        $stats = array_map('number_format_i18n', $summary);
+        $stats['success_rate'] = number_format_i18n($summary['success_rate'], 1) . '%';
+
+        wp_send_json_success(['stats' => $stats]);
+    }
+
+    /**
+     * Get the overview chart series
+     *
+     * Same data as the series of GET /stats/campaigns/{id}.
+     *
+     * @since 2.1.0
+     */
+    public function get_campaign_series() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $range = isset($_POST['range']) ? sanitize_key($_POST['range']) : '7d';
+        $interval = isset($_POST['interval']) ? sanitize_key($_POST['interval']) : '';
+
+        wp_send_json_success((new Campaign_Stats($campaign_id))->get_series($range, $interval));
+    }
+
+    /**
+     * Re-test, enable or disable one of a campaign's sources
+     *
+     * @since 2.1.0
+     */
+    public function source_action() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $source_health = new Source_Health($campaign_id);
+        $source = $source_health->find_source(isset($_POST['source']) ? sanitize_key($_POST['source']) : '');
+        if (!$source) {
+            wp_send_json_error(['message' => __('This source is no longer part of the campaign. Reload the page.', 'autoblogcraft')]);
+        }
+
+        $action = isset($_POST['source_action']) ? sanitize_key($_POST['source_action']) : '';
+        $health = $action === 'test' ? $source_health->test($source) : $source_health->set_status($source, $action);
+
+        if (is_wp_error($health)) {
+            wp_send_json_error(['message' => $health->get_error_message()]);
+        }
+
+        if ($action !== 'test') {
+            $message = $health['status'] === 'active' ? __('Source enabled.', 'autoblogcraft') : __('Source disabled.', 'autoblogcraft');
+        } elseif ($health['last_error']) {
+            /* translators: %s: error message */
+            $message = sprintf(__('Fetch failed: %s', 'autoblogcraft'), $health['last_error']);
+        } else {
+            /* translators: 1: items, 2: response time in ms */
+            $message = sprintf(__('Fetched %1$d items in %2$d ms.', 'autoblogcraft'), $health['items'], $health['response_time']);
+        }
+
+        ob_start();
+        include ABC_PLUGIN_DIR . 'templates/admin/campaign-detail/source-health-row.php';
+
+        wp_send_json_success([
+            'message' => $message,
+            'ok' => $action !== 'test' || !$health['last_error'],
+            'status' => $health['status'],
+            'html' => trim(ob_get_clean()),
+        ]);
+    }
+
+    /**
+     * Validate an OPML or CSV source file and preview what importing it would add
+     *
+     * @since 2.1.0
+     */
+    public function preview_source_import() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $transfer = new Source_Transfer($campaign_id);
+        $entries = $transfer->parse(isset($_POST['content']) ? wp_unslash($_POST['content']) : '');
+
+        if (is_wp_error($entries)) {
+            wp_send_json_error(['message' => $entries->get_error_message()]);
+        }
+
+        wp_send_json_success($transfer->preview($entries));
+    }
+
+    /**
+     * Import the selected new sources of an OPML or CSV file
+     *
+     * @since 2.1.0
+     */
+    public function import_sources() {
+        check_ajax_referer('abc_campaign_detail', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Permission denied.', 'autoblogcraft')]);
+        }
+
+        $campaign_id = isset($_POST['campaign_id']) ? absint($_POST['campaign_id']) : 0;
+        if (!$campaign_id || get_post_type($campaign_id) !== 'abc_campaign') {
+            wp_send_json_error(['message' => __('Invalid campaign ID.', 'autoblogcraft')]);
+        }
+
+        $rows = isset($_POST['rows']) ? array_map('absint', (array) $_POST['rows']) : [];
+        if (empty($rows)) {
+            wp_send_json_error(['message' => __('Select at least one source to import.', 'autoblogcraft')]);
+        }
+
+        $transfer = new Source_Transfer($campaign_id);
+        $entries = $transfer->parse(isset($_POST['content']) ? wp_unslash($_POST['content']) : '');
+
+        if (is_wp_error($entries)) {
+            wp_send_json_error(['message' => $entries->get_error_message()]);
+        }
+
+        $added = $transfer->import($entries, $rows);
+
+        if (!$added) {
+            wp_send_json_error(['message' => __('None of the selected sources could be added. Preview the file again.', 'autoblogcraft')]);
+        }
+
+        wp_send_json_success([
+            /* translators: %d: number of sources */
+            'message' => sprintf(_n('%d source imported.', '%d sources imported.', $added, 'autoblogcraft'), $added),
+            'added' => $added,
         ]);
     }
 }
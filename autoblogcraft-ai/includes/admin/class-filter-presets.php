@@ -0,0 +1,166 @@
+<?php
+/**
+ * Filter Presets
+ *
+ * Named list filter presets saved per user (e.g. "failing news campaigns").
+ * Presets are grouped by screen so other list pages can reuse the store.
+ *
+ * @package AutoBlogCraft\Admin
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Admin;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Filter Presets class
+ *
+ * @since 2.1.0
+ */
+class Filter_Presets {
+
+    /**
+     * User meta key holding all presets
+     *
+     * @var string
+     */
+    const META_KEY = '_abc_filter_presets';
+
+    /**
+     * Presets kept per screen
+     *
+     * @var int
+     */
+    const MAX_PRESETS = 20;
+
+    /**
+     * User ID
+     *
+     * @var int
+     */
+    private $user_id;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int $user_id User ID. Defaults to the current user.
+     */
+    public function __construct($user_id = 0) {
+        $this->user_id = $user_id ? absint($user_id) : get_current_user_id();
+    }
+
+    /**
+     * Get presets for a screen, sorted by name
+     *
+     * @since 2.1.0
+     * @param string $screen Screen key (e.g. 'campaigns').
+     * @return array Presets keyed by slug, each with 'name' and 'filters'.
+     */
+    public function get_presets($screen) {
+        $all = $this->get_all();
+        $presets = $all[sanitize_key($screen)] ?? [];
+
+        uasort($presets, function($a, $b) {
+            return strcasecmp($a['name'], $b['name']);
+        });
+
+        return $presets;
+    }
+
+    /**
+     * Create or overwrite a preset
+     *
+     * @since 2.1.0
+     * @param string $screen  Screen key.
+     * @param string $name    Preset name.
+     * @param array  $filters Filter values keyed by URL parameter.
+     * @return array|\WP_Error Saved preset (with 'slug') or error.
+     */
+    public function save_preset($screen, $name, $filters) {
+        $screen = sanitize_key($screen);
+        $name = sanitize_text_field($name);
+        $slug = sanitize_title($name);
+
+        if ($slug === '') {
+            return new \WP_Error('invalid_preset', __('Preset name is required.', 'autoblogcraft'));
+        }
+
+        if (!is_array($filters)) {
+            return new \WP_Error('invalid_preset', __('Invalid filter data.', 'autoblogcraft'));
+        }
+
+        $all = $this->get_all();
+        $presets = $all[$screen] ?? [];
+
+        if (!isset($presets[$slug]) && count($presets) >= self::MAX_PRESETS) {
+            return new \WP_Error(
+                'too_many_presets',
+                sprintf(__('You can save up to %d presets per list.', 'autoblogcraft'), self::MAX_PRESETS)
+            );
+        }
+
+        $clean = [];
+        foreach ($filters as $key => $value) {
+            $key = sanitize_key($key);
+            if ($key !== '' && is_scalar($value) && $value !== '') {
+                $clean[$key] = sanitize_text_field((string) $value);
+            }
+        }
+
+        $presets[$slug] = [
+            'name' => $name,
+            'filters' => $clean,
+        ];
+
+        $all[$screen] = $presets;
+        update_user_meta($this->user_id, self::META_KEY, $all);
+
+        return array_merge(['slug' => $slug], $presets[$slug]);
+    }
+
+    /**
+     * Delete a preset
+     *
+     * @since 2.1.0
+     * @param string $screen Screen key.
+     * @param string $slug   Preset slug.
+     * @return bool True if a preset was removed.
+     */
+    public function delete_preset($screen, $slug) {
+        $screen = sanitize_key($screen);
+        $all = $this->get_all();
+
+        if (!isset($all[$screen][$slug])) {
+            return false;
+        }
+
+        unset($all[$screen][$slug]);
+
+        if (empty($all[$screen])) {
+            unset($all[$screen]);
+        }
+
+        if (empty($all)) {
+            delete_user_meta($this->user_id, self::META_KEY);
+        } else {
+            update_user_meta($this->user_id, self::META_KEY, $all);
+        }
+
+        return true;
+    }
+
+    /**
+     * Get every screen's presets
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    private function get_all() {
+        $all = get_user_meta($this->user_id, self::META_KEY, true);
+        return is_array($all) ? $all : [];
+    }
+}
@@ -8,6 +8,18 @@
 
 namespace AutoBlogCraft\Admin\Pages;
 
+use AutoBlogCraft\AI\Prompt_Library;
+use AutoBlogCraft\AI\Prompt_Template;
+use AutoBlogCraft\Campaigns\Campaign_Drafts;
+use AutoBlogCraft\Campaigns\Campaign_Stats;
+use AutoBlogCraft\Campaigns\Source_Transfer;
+use AutoBlogCraft\Core\Logger;
+use AutoBlogCraft\Cron\Discovery_Schedule;
+use AutoBlogCraft\Discovery\Queue_Manager;
+use AutoBlogCraft\Discovery\Source_Health;
+use AutoBlogCraft\Processing\Retry_Policy;
+use AutoBlogCraft\Processing\Test_Post;
+
 if (!defined('ABSPATH')) {
     exit;
 }
@@ -23,19 +35,22 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
         $campaign      = $is_edit ? get_post($campaign_id) : null;
         $campaign_data = $is_edit ? $this->get_campaign_data($campaign_id, $campaign) : $this->get_default_data();
 
-        // 2. Handle Wizard State
+        // 2. Render Header
         if (!$is_edit) {
-            $wizard_data = get_transient('abc_campaign_wizard_' . get_current_user_id());
-            if ($wizard_data && is_array($wizard_data)) {
-                $campaign_data = array_merge($campaign_data, $wizard_data);
-            }
             $this->render_header(__('Create New Campaign', 'autoblogcraft'));
         } else {
             if (!$campaign || $campaign->post_type !== 'abc_campaign') {
                 $this->render_notice(__('Invalid campaign ID.', 'autoblogcraft'), 'error');
                 return;
             }
-            $this->render_header(sprintf(__('Campaign: %s', 'autoblogcraft'), esc_html($campaign->post_title)));
+            $this->render_header(sprintf(__('Campaign: %s', 'autoblogcraft'), esc_html($campaign->post_title)), '', [
+                [
+                    'label' => __('Generate Test Post', 'autoblogcraft'),
+                    'url' => '#abc-test-post',
+                    'class' => 'button-secondary abc-test-post-open',
+                    'icon' => 'dashicons-visibility',
+                ],
+            ]);
         }
 
         // 3. Enqueue Assets
@@ -50,9 +65,23 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
         }
 
         // 5. Render UI
+        if (!$is_edit) {
+            $draft = isset($_GET['draft']) ? (new Campaign_Drafts())->get_draft(sanitize_key($_GET['draft'])) : null;
+            if (isset($_GET['draft']) && !$draft) {
+                $this->render_notice(__('That draft no longer exists. Starting a new campaign.', 'autoblogcraft'), 'warning');
+            }
+
+            echo '<div class="abc-editor-wrapper">';
+            $this->render_wizard($campaign_data, $draft);
+            echo '</div>';
+            return;
+        }
+
         $this->render_navigation($campaign_id, $active_tab, $is_edit);
-        
-        echo '<div class="abc-editor-wrapper">';
+        $this->render_test_post($campaign_id);
+
+        // campaign-detail.js drives the live tabs (queue updates, stats refresh)
+        echo '<div class="abc-editor-wrapper abc-campaign-detail" data-campaign-id="' . esc_attr($campaign_id) . '" data-tab="' . esc_attr($active_tab) . '">';
         $this->render_active_panel($active_tab, $campaign_id, $campaign_data, $is_edit);
         echo '</div>';
     }
@@ -77,7 +106,8 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
         
         // Helper to open form
         $open_form = function() use ($form_action, $nonce_field, $campaign_id, $tab, $data, $is_edit) {
-            echo "<form method='post' action='{$form_action}' id='abc-{$tab}-form'>";
+            // campaign-detail.js tracks edits and saves these forms over AJAX after a review
+            echo "<form method='post' action='{$form_action}' id='abc-{$tab}-form' class='abc-settings-form'>";
             echo $nonce_field;
             echo '<input type="hidden" name="action" value="abc_save_campaign">';
             echo '<input type="hidden" name="campaign_id" value="' . esc_attr($campaign_id) . '">';
@@ -86,12 +116,11 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
                 echo '<input type="hidden" name="post_title" value="' . esc_attr($data['title']) . '">';
                 echo '<input type="hidden" name="campaign_type" value="' . esc_attr($data['type']) . '">';
             }
-            if (!$is_edit) echo '<input type="hidden" name="wizard_step" value="' . esc_attr($tab) . '">';
         };
 
         switch ($tab) {
             case 'overview':
-                $this->include_template('overview', ['campaign_id' => $campaign_id]);
+                $this->include_template('overview', $this->get_overview_tab_args($campaign_id));
                 break;
             case 'basic':
                 $open_form();
@@ -101,7 +130,13 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
                 break;
             case 'sources':
                 $open_form();
-                $this->render_panel_sources($data);
+                if ($data['type'] === 'website') {
+                    $this->include_template('source-list', $this->get_source_list_args($data));
+                    $this->include_template('source-health', $this->get_source_health_args($campaign_id));
+                } else {
+                    $this->render_panel_sources($data);
+                }
+                $this->include_template('source-transfer', $this->get_source_transfer_args($campaign_id));
                 $this->render_footer_actions($is_edit, 'sources', 'content');
                 echo '</form>';
                 break;
@@ -113,11 +148,19 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
                 break;
             case 'ai':
                 $open_form();
-                if (!$is_edit) echo '<input type="hidden" name="create_campaign" value="1">';
                 $this->render_panel_ai($data);
                 $this->render_footer_actions($is_edit, 'ai', 'finish');
                 echo '</form>';
                 break;
+            case 'queue':
+                $this->include_template('queue', $this->get_queue_tab_args($campaign_id));
+                break;
+            case 'posts':
+                $this->include_template('posts', $this->get_posts_tab_args($campaign_id));
+                break;
+            case 'logs':
+                $this->include_template('logs', $this->get_logs_tab_args($campaign_id));
+                break;
             default:
                 if ($is_edit) $this->include_template($tab, ['campaign_id' => $campaign_id]);
         }
@@ -127,16 +170,84 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
      * PANEL: Basic Info & Schedule
      */
     private function render_panel_basic($data, $is_edit) {
-        $authors = get_users(['role__in' => ['administrator', 'editor', 'author']]);
-        $categories = get_categories(['hide_empty' => false]);
-        
-        // Interval Logic
-        $interval = $data['discovery_interval'];
-        $is_custom = strpos($interval, 'custom_') === 0;
-        $custom_h = 0; $custom_m = 15;
-        if ($is_custom && preg_match('/custom_(\d+)h_(\d+)m/', $interval, $m)) {
-            $custom_h = $m[1]; $custom_m = $m[2];
-        }
+        $this->render_section_details($data, $is_edit);
+        ?>
+        <div class="abc-editor-section">
+            <h2><?php esc_html_e('Publishing & Schedule', 'autoblogcraft'); ?></h2>
+            <?php
+            $this->render_publishing_fields($data);
+            $this->render_schedule_fields($data);
+            ?>
+        </div>
+        <?php
+        $this->render_retry_policy_fields($data);
+    }
+
+    /**
+     * SECTION: Retry policy for failed queue items
+     *
+     * @since 2.1.0
+     */
+    private function render_retry_policy_fields($data) {
+        global $wpdb;
+
+        $policy = $data['retry_policy'];
+        $api_keys = $wpdb->get_results("SELECT id, key_name, provider FROM {$wpdb->prefix}abc_api_keys WHERE status = 'active'");
+        ?>
+        <div class="abc-editor-section abc-retry-policy">
+            <h2><?php esc_html_e('Retry Policy', 'autoblogcraft'); ?></h2>
+            <p class="description"><?php esc_html_e('How failed queue items are retried, automatically and from the queue tab.', 'autoblogcraft'); ?></p>
+
+            <div class="abc-form-row">
+                <label class="abc-form-label" for="retry-max-attempts"><?php esc_html_e('Max Attempts', 'autoblogcraft'); ?></label>
+                <input type="number" name="retry_policy[max_attempts]" id="retry-max-attempts" class="small-text" min="1" max="<?php echo esc_attr(Retry_Policy::MAX_ATTEMPTS); ?>" value="<?php echo esc_attr($policy['max_attempts']); ?>">
+                <p class="description"><?php esc_html_e('Including the first attempt. 1 means failed items are never retried.', 'autoblogcraft'); ?></p>
+            </div>
+
+            <div class="abc-form-row">
+                <label class="abc-form-label"><?php esc_html_e('Backoff', 'autoblogcraft'); ?></label>
+                <?php esc_html_e('Wait', 'autoblogcraft'); ?>
+                <input type="number" name="retry_policy[backoff]" class="small-text" min="0" max="<?php echo esc_attr(Retry_Policy::MAX_BACKOFF); ?>" value="<?php echo esc_attr($policy['backoff']); ?>">
+                <?php esc_html_e('mins, multiplied by', 'autoblogcraft'); ?>
+                <input type="number" name="retry_policy[multiplier]" class="small-text" min="1" max="10" step="0.5" value="<?php echo esc_attr($policy['multiplier']); ?>">
+                <?php esc_html_e('after each failure, at most', 'autoblogcraft'); ?>
+                <input type="number" name="retry_policy[max_backoff]" class="small-text" min="0" max="<?php echo esc_attr(Retry_Policy::MAX_BACKOFF); ?>" value="<?php echo esc_attr($policy['max_backoff']); ?>">
+                <?php esc_html_e('mins', 'autoblogcraft'); ?>
+            </div>
+
+            <div class="abc-form-row">
+                <label class="abc-form-label"><?php esc_html_e('Retry On', 'autoblogcraft'); ?></label>
+                <div class="abc-retry-classes">
+                    <?php foreach (Retry_Policy::get_error_classes() as $class => $label): ?>
+                        <label>
+                            <input type="checkbox" name="retry_policy[retry_on][]" value="<?php echo esc_attr($class); ?>" <?php checked(in_array($class, $policy['retry_on'], true)); ?>>
+                            <?php echo esc_html($label); ?>
+                        </label>
+                    <?php endforeach; ?>
+                </div>
+                <p class="description"><?php esc_html_e('Items that fail with other errors stay failed until retried by hand.', 'autoblogcraft'); ?></p>
+            </div>
+
+            <div class="abc-form-row">
+                <label class="abc-form-label" for="retry-key-id"><?php esc_html_e('Retry With API Key', 'autoblogcraft'); ?></label>
+                <select name="retry_policy[retry_key_id]" id="retry-key-id" class="regular-text">
+                    <option value="0"><?php esc_html_e('Same as the campaign', 'autoblogcraft'); ?></option>
+                    <?php foreach ($api_keys as $key): ?>
+                        <option value="<?php echo esc_attr($key->id); ?>" <?php selected($policy['retry_key_id'], $key->id); ?>>
+                            <?php echo esc_html($key->key_name . ' (' . ucfirst($key->provider) . ')'); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+                <p class="description"><?php esc_html_e('A key of another provider uses that provider\'s default model.', 'autoblogcraft'); ?></p>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * SECTION: Campaign name & type
+     */
+    private function render_section_details($data, $is_edit) {
         ?>
         <div class="abc-editor-section">
             <h2><?php esc_html_e('Campaign Details', 'autoblogcraft'); ?></h2>
@@ -174,57 +285,117 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
                 <?php endif; ?>
             </div>
         </div>
+        <?php
+    }
 
-        <div class="abc-editor-section">
-            <h2><?php esc_html_e('Publishing & Schedule', 'autoblogcraft'); ?></h2>
-            <div class="abc-two-col">
-                <div class="abc-form-row">
-                    <label class="abc-form-label"><?php esc_html_e('Category', 'autoblogcraft'); ?></label>
-                    <select name="wp_category_id" class="regular-text">
-                        <?php foreach ($categories as $cat): ?>
-                            <option value="<?php echo $cat->term_id; ?>" <?php selected($data['wp_config']['category_id'], $cat->term_id); ?>>
-                                <?php echo esc_html($cat->name); ?>
-                            </option>
-                        <?php endforeach; ?>
-                    </select>
-                </div>
-                <div class="abc-form-row">
-                    <label class="abc-form-label"><?php esc_html_e('Author', 'autoblogcraft'); ?></label>
-                    <select name="wp_author_id" class="regular-text">
-                        <?php foreach ($authors as $auth): ?>
-                            <option value="<?php echo $auth->ID; ?>" <?php selected($data['wp_config']['author_id'], $auth->ID); ?>>
-                                <?php echo esc_html($auth->display_name); ?>
-                            </option>
-                        <?php endforeach; ?>
-                    </select>
-                </div>
+    /**
+     * FIELDS: Category, author & post status
+     */
+    private function render_publishing_fields($data) {
+        $authors = get_users(['role__in' => ['administrator', 'editor', 'author']]);
+        $categories = get_categories(['hide_empty' => false]);
+        ?>
+        <div class="abc-two-col">
+            <div class="abc-form-row">
+                <label class="abc-form-label"><?php esc_html_e('Category', 'autoblogcraft'); ?></label>
+                <select name="wp_category_id" class="regular-text">
+                    <?php foreach ($categories as $cat): ?>
+                        <option value="<?php echo $cat->term_id; ?>" <?php selected($data['wp_config']['category_id'], $cat->term_id); ?>>
+                            <?php echo esc_html($cat->name); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
             </div>
-
-            <!-- Custom Interval Logic -->
             <div class="abc-form-row">
-                <label class="abc-form-label"><?php esc_html_e('Discovery Interval', 'autoblogcraft'); ?></label>
-                <div class="abc-interval-wrapper">
-                    <label><input type="checkbox" id="use-custom-interval" <?php checked($is_custom); ?>> Use Custom Time</label>
-                    
-                    <select name="discovery_interval" id="discovery-interval-select" class="regular-text" <?php disabled($is_custom); ?>>
-                        <option value="every_1_hour" <?php selected($interval, 'every_1_hour'); ?>>Every Hour</option>
-                        <option value="every_6_hours" <?php selected($interval, 'every_6_hours'); ?>>Every 6 Hours</option>
-                        <option value="daily" <?php selected($interval, 'daily'); ?>>Daily</option>
-                    </select>
+                <label class="abc-form-label"><?php esc_html_e('Author', 'autoblogcraft'); ?></label>
+                <select name="wp_author_id" class="regular-text">
+                    <?php foreach ($authors as $auth): ?>
+                        <option value="<?php echo $auth->ID; ?>" <?php selected($data['wp_config']['author_id'], $auth->ID); ?>>
+                            <?php echo esc_html($auth->display_name); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+        </div>
+        <div class="abc-form-row">
+            <label class="abc-form-label"><?php esc_html_e('Post Status', 'autoblogcraft'); ?></label>
+            <select name="wp_post_status" class="regular-text">
+                <option value="publish" <?php selected($data['wp_config']['post_status'] ?? 'publish', 'publish'); ?>><?php esc_html_e('Published', 'autoblogcraft'); ?></option>
+                <option value="draft" <?php selected($data['wp_config']['post_status'] ?? 'publish', 'draft'); ?>><?php esc_html_e('Draft', 'autoblogcraft'); ?></option>
+                <option value="pending" <?php selected($data['wp_config']['post_status'] ?? 'publish', 'pending'); ?>><?php esc_html_e('Pending Review', 'autoblogcraft'); ?></option>
+            </select>
+        </div>
+        <?php
+    }
 
-                    <div id="custom-interval-inputs" class="<?php echo $is_custom ? '' : 'abc-hidden'; ?>">
-                        <input type="number" id="custom-hours" value="<?php echo $custom_h; ?>" min="0" placeholder="HH"> hrs
-                        <input type="number" id="custom-minutes" value="<?php echo $custom_m; ?>" min="0" max="59" placeholder="MM"> mins
-                        <input type="hidden" name="discovery_interval_custom" id="discovery-interval-custom" value="<?php echo esc_attr($is_custom ? $interval : ''); ?>">
-                    </div>
-                </div>
+    /**
+     * FIELDS: Discovery schedule & daily limit
+     */
+    private function render_schedule_fields($data) {
+        global $wp_locale;
+
+        $schedule = $data['schedule'];
+        $quiet = $schedule['quiet_hours'];
+        ?>
+        <div class="abc-form-row abc-schedule-builder">
+            <label class="abc-form-label"><?php esc_html_e('Discovery Schedule', 'autoblogcraft'); ?></label>
+
+            <div class="abc-radio-group">
+                <label class="abc-radio-option">
+                    <input type="radio" name="schedule[mode]" value="interval" <?php checked($schedule['mode'], 'interval'); ?>>
+                    <?php esc_html_e('Repeat every', 'autoblogcraft'); ?>
+                </label>
+                <label class="abc-radio-option">
+                    <input type="radio" name="schedule[mode]" value="times" <?php checked($schedule['mode'], 'times'); ?>>
+                    <?php esc_html_e('At specific times', 'autoblogcraft'); ?>
+                </label>
             </div>
-            
-            <div class="abc-form-row">
-                <label class="abc-form-label"><?php esc_html_e('Max Posts Per Day', 'autoblogcraft'); ?></label>
-                <input type="number" name="limits[max_posts_per_day]" class="small-text" value="<?php echo esc_attr($data['limits']['max_posts_per_day'] ?? 10); ?>">
+
+            <div class="abc-schedule-mode" data-mode="interval">
+                <input type="number" name="schedule[interval_hours]" id="schedule-interval-hours" class="small-text" min="0" max="<?php echo esc_attr(Discovery_Schedule::MAX_INTERVAL / 60); ?>" value="<?php echo esc_attr(intdiv($schedule['interval'], 60)); ?>"> <?php esc_html_e('hrs', 'autoblogcraft'); ?>
+                <input type="number" name="schedule[interval_minutes]" id="schedule-interval-minutes" class="small-text" min="0" max="59" value="<?php echo esc_attr($schedule['interval'] % 60); ?>"> <?php esc_html_e('mins', 'autoblogcraft'); ?>
+                <p class="description"><?php printf(esc_html__('Minimum %d minutes. Runs line up with the clock (e.g. every 30 minutes runs at :00 and :30).', 'autoblogcraft'), Discovery_Schedule::MIN_INTERVAL); ?></p>
+            </div>
+
+            <div class="abc-schedule-mode" data-mode="times">
+                <input type="text" name="schedule[times]" id="schedule-times" class="regular-text" placeholder="06:00, 12:00, 18:30" value="<?php echo esc_attr(implode(', ', $schedule['times'])); ?>">
+                <p class="description"><?php esc_html_e('Comma-separated 24-hour times.', 'autoblogcraft'); ?></p>
+            </div>
+        </div>
+
+        <div class="abc-form-row">
+            <label class="abc-form-label"><?php esc_html_e('Run On', 'autoblogcraft'); ?></label>
+            <div class="abc-schedule-days">
+                <?php foreach (range(1, 7) as $day): ?>
+                    <label>
+                        <input type="checkbox" name="schedule[days][]" value="<?php echo esc_attr($day); ?>" <?php checked(in_array($day, $schedule['days'], true)); ?>>
+                        <?php echo esc_html($wp_locale->get_weekday_abbrev($wp_locale->get_weekday($day % 7))); ?>
+                    </label>
+                <?php endforeach; ?>
             </div>
         </div>
+
+        <div class="abc-form-row">
+            <label class="abc-form-label"><?php esc_html_e('Quiet Hours', 'autoblogcraft'); ?></label>
+            <label><input type="checkbox" name="schedule[quiet_enabled]" value="1" id="schedule-quiet-enabled" <?php checked($quiet['enabled']); ?>> <?php esc_html_e('Do not run between', 'autoblogcraft'); ?></label>
+            <input type="time" name="schedule[quiet_start]" value="<?php echo esc_attr($quiet['start']); ?>">
+            <?php esc_html_e('and', 'autoblogcraft'); ?>
+            <input type="time" name="schedule[quiet_end]" value="<?php echo esc_attr($quiet['end']); ?>">
+        </div>
+
+        <div class="abc-form-row">
+            <label class="abc-form-label"><?php esc_html_e('Next 10 Runs', 'autoblogcraft'); ?></label>
+            <p class="description">
+                <?php printf(esc_html__('Times shown in the site timezone (%s).', 'autoblogcraft'), esc_html(wp_timezone_string())); ?>
+            </p>
+            <p class="abc-schedule-summary"></p>
+            <ol id="abc-schedule-preview" class="abc-schedule-preview"></ol>
+        </div>
+        
+        <div class="abc-form-row">
+            <label class="abc-form-label"><?php esc_html_e('Max Posts Per Day', 'autoblogcraft'); ?></label>
+            <input type="number" name="limits[max_posts_per_day]" class="small-text" value="<?php echo esc_attr($data['limits']['max_posts_per_day'] ?? 10); ?>">
+        </div>
         <?php
     }
 
@@ -240,15 +411,17 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
             <!-- Website -->
             <div class="abc-config-group <?php echo $type !== 'website' ? 'abc-hidden' : ''; ?>" id="config-website">
                 <div class="abc-source-box">
-                    <label><input type="checkbox" name="source_types[rss]" value="1" class="abc-toggle-input" data-target="rss-box"> RSS Feeds</label>
+                    <label><input type="checkbox" name="source_types[rss]" value="1" class="abc-toggle-input" data-target="rss-box" <?php checked(!empty($data['source_config']['rss_urls'])); ?>> RSS Feeds</label>
                     <div id="rss-box" class="abc-toggle-target">
-                        <textarea name="rss_sources" class="abc-code-input" rows="3"><?php echo esc_textarea($data['source_config']['rss_urls'] ?? ''); ?></textarea>
+                        <textarea name="rss_sources" id="rss_sources" class="abc-code-input" rows="3" data-validation="rss"><?php echo esc_textarea($data['source_config']['rss_urls'] ?? ''); ?></textarea>
+                        <div class="abc-validation-result"></div>
                     </div>
                 </div>
                 <div class="abc-source-box">
-                    <label><input type="checkbox" name="source_types[blogs]" value="1" class="abc-toggle-input" data-target="url-box"> Direct URLs</label>
+                    <label><input type="checkbox" name="source_types[blogs]" value="1" class="abc-toggle-input" data-target="url-box" <?php checked(!empty($data['source_config']['direct_urls'])); ?>> Direct URLs</label>
                     <div id="url-box" class="abc-toggle-target">
-                        <textarea name="url_sources" class="abc-code-input" rows="3"><?php echo esc_textarea($data['source_config']['direct_urls'] ?? ''); ?></textarea>
+                        <textarea name="url_sources" id="url_sources" class="abc-code-input" rows="3" data-validation="url"><?php echo esc_textarea($data['source_config']['direct_urls'] ?? ''); ?></textarea>
+                        <div class="abc-validation-result"></div>
                     </div>
                 </div>
             </div>
@@ -257,7 +430,9 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
             <div class="abc-config-group <?php echo $type !== 'youtube' ? 'abc-hidden' : ''; ?>" id="config-youtube">
                 <div class="abc-form-row">
                     <label class="abc-form-label">Channel ID</label>
-                    <input type="text" name="source_config[youtube][channel_id]" class="regular-text" value="<?php echo esc_attr($data['source_config']['channel_id'] ?? ''); ?>">
+                    <input type="text" name="source_config[youtube][channel_id]" id="youtube_channel_id" class="regular-text abc-validate-field" data-validation="youtube_channel" value="<?php echo esc_attr($data['source_config']['channel_id'] ?? ''); ?>">
+                    <button type="button" class="button abc-validate-btn" data-field="youtube_channel_id"><?php esc_html_e('Validate', 'autoblogcraft'); ?></button>
+                    <div class="abc-validation-result"></div>
                 </div>
             </div>
 
@@ -265,7 +440,9 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
             <div class="abc-config-group <?php echo $type !== 'news' ? 'abc-hidden' : ''; ?>" id="config-news">
                 <div class="abc-form-row">
                     <label class="abc-form-label">Keywords (Comma separated)</label>
-                    <input type="text" name="source_config[news][keywords]" class="large-text" value="<?php echo esc_attr($data['source_config']['keywords'] ?? ''); ?>">
+                    <input type="text" name="source_config[news][keywords]" id="news_keywords" class="large-text" data-validation="news_keywords" value="<?php echo esc_attr($data['source_config']['keywords'] ?? ''); ?>">
+                    <button type="button" class="button abc-validate-btn" data-field="news_keywords"><?php esc_html_e('Test Query', 'autoblogcraft'); ?></button>
+                    <div class="abc-validation-result"></div>
                 </div>
                 <div class="abc-form-row">
                     <label class="abc-form-label">Freshness</label>
@@ -285,7 +462,9 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
                 </div>
                 <div class="abc-form-row">
                     <label class="abc-form-label">Category (Optional)</label>
-                    <input type="text" name="source_config[amazon][category]" class="regular-text" value="<?php echo esc_attr($data['source_config']['category'] ?? ''); ?>">
+                    <input type="text" name="source_config[amazon][category]" id="amazon_category" class="regular-text abc-validate-field" data-validation="amazon_category" value="<?php echo esc_attr($data['source_config']['category'] ?? ''); ?>">
+                    <button type="button" class="button abc-validate-btn" data-field="amazon_category"><?php esc_html_e('Validate', 'autoblogcraft'); ?></button>
+                    <div class="abc-validation-result"></div>
                 </div>
             </div>
         </div>
@@ -331,14 +510,187 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
                 </div>
                 <div class="abc-form-row">
                     <label class="abc-form-label">AI Model</label>
-                    <select name="ai_config[model]" id="ai-model-select" class="regular-text"></select>
+                    <select name="ai_config[model]" id="ai-model-select" class="regular-text" data-saved-model="<?php echo esc_attr($data['ai_config']['model'] ?? ''); ?>"></select>
+                    <div id="ai-model-details" class="abc-model-details"></div>
                 </div>
             </div>
+
+            <?php $this->render_cost_estimator($data); ?>
             
             <div class="abc-form-row">
                 <label class="abc-form-label">System Prompt</label>
                 <textarea name="ai_config[system_prompt]" class="large-text" rows="3"><?php echo esc_textarea($data['ai_config']['system_prompt'] ?? ''); ?></textarea>
             </div>
+
+            <?php $this->render_prompt_template($data); ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Projected AI tokens and spend, filled in by admin.js
+     *
+     * @since 2.1.0
+     */
+    private function render_cost_estimator($data) {
+        $periods = [
+            'per_post' => __('Per post', 'autoblogcraft'),
+            'per_day' => __('Per day', 'autoblogcraft'),
+            'per_month' => __('Per month', 'autoblogcraft'),
+        ];
+        ?>
+        <div class="abc-form-row abc-cost-estimator" id="abc-cost-estimator">
+            <label class="abc-form-label"><?php esc_html_e('Cost Estimate', 'autoblogcraft'); ?></label>
+            <table class="widefat abc-cost-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th><?php esc_html_e('Tokens', 'autoblogcraft'); ?></th>
+                        <th><?php esc_html_e('Spend', 'autoblogcraft'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($periods as $period => $label): ?>
+                        <tr data-period="<?php echo esc_attr($period); ?>">
+                            <th scope="row"><?php echo esc_html($label); ?></th>
+                            <td class="abc-cost-tokens">&ndash;</td>
+                            <td class="abc-cost-spend">&ndash;</td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+            <p class="description abc-cost-basis"></p>
+            <p>
+                <label>
+                    <?php esc_html_e('Monthly budget (USD)', 'autoblogcraft'); ?>
+                    <input type="number" name="ai_config[monthly_budget]" class="small-text" min="0" step="0.01" value="<?php echo esc_attr($data['ai_config']['monthly_budget'] ?? ''); ?>">
+                </label>
+            </p>
+            <div class="notice notice-warning inline abc-cost-warning abc-hidden"><p></p></div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Test post panel: dry run one discovered item through the pipeline
+     *
+     * @since 2.1.0
+     */
+    private function render_test_post($campaign_id) {
+        $items = (new Test_Post($campaign_id))->get_candidates();
+        ?>
+        <div class="abc-card abc-test-post abc-hidden" id="abc-test-post" data-campaign-id="<?php echo esc_attr($campaign_id); ?>">
+            <div class="abc-card-header">
+                <h3><?php esc_html_e('Test Post', 'autoblogcraft'); ?></h3>
+                <span class="abc-text-muted"><?php esc_html_e('Runs the full pipeline on one item without publishing. AI usage is billed as normal.', 'autoblogcraft'); ?></span>
+            </div>
+            <div class="abc-card-body">
+                <?php if (empty($items)): ?>
+                    <p class="abc-text-muted"><?php esc_html_e('No discovered items. Run discovery first.', 'autoblogcraft'); ?></p>
+                <?php else: ?>
+                    <p class="abc-test-post-controls">
+                        <select id="abc-test-post-item">
+                            <?php foreach ($items as $item): ?>
+                                <option value="<?php echo esc_attr($item['id']); ?>">
+                                    <?php echo esc_html(wp_trim_words($item['title'] ?: $item['source_url'], 12)); ?>
+                                </option>
+                            <?php endforeach; ?>
+                        </select>
+                        <button type="button" class="button button-primary" id="abc-test-post-run">
+                            <?php esc_html_e('Run Test', 'autoblogcraft'); ?>
+                        </button>
+                        <span class="abc-test-post-status"></span>
+                    </p>
+                <?php endif; ?>
+
+                <div class="abc-test-post-result abc-hidden">
+                    <table class="widefat abc-test-post-stages">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e('Stage', 'autoblogcraft'); ?></th>
+                                <th><?php esc_html_e('Time', 'autoblogcraft'); ?></th>
+                                <th><?php esc_html_e('Tokens', 'autoblogcraft'); ?></th>
+                                <th><?php esc_html_e('Result', 'autoblogcraft'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <div class="notice notice-error inline abc-test-post-error abc-hidden"><p></p></div>
+
+                    <div class="abc-test-post-preview abc-hidden">
+                        <h2 class="abc-test-post-title"></h2>
+                        <img class="abc-test-post-image abc-hidden" src="" alt="">
+                        <dl class="abc-test-post-seo"></dl>
+                        <div class="abc-test-post-content"></div>
+                    </div>
+
+                    <p class="abc-test-post-actions">
+                        <button type="button" class="button button-primary" id="abc-test-post-publish">
+                            <?php esc_html_e('Publish as Draft', 'autoblogcraft'); ?>
+                        </button>
+                        <button type="button" class="button" id="abc-test-post-discard">
+                            <?php esc_html_e('Discard', 'autoblogcraft'); ?>
+                        </button>
+                    </p>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Prompt template editor with variable autocomplete, shared library and live preview
+     *
+     * @since 2.1.0
+     */
+    private function render_prompt_template($data) {
+        $variables = Prompt_Template::get_variables();
+        $templates = (new Prompt_Library())->get_templates();
+        ?>
+        <div class="abc-form-row abc-prompt-editor">
+            <label class="abc-form-label" for="abc-prompt-template"><?php esc_html_e('Prompt Template', 'autoblogcraft'); ?></label>
+            <p class="description">
+                <?php esc_html_e('Instructions sent to the AI with every item. Type { to insert a variable. The source content and response format are added automatically.', 'autoblogcraft'); ?>
+            </p>
+
+            <div class="abc-prompt-library">
+                <select id="abc-prompt-library-select">
+                    <option value=""><?php esc_html_e('Load from library...', 'autoblogcraft'); ?></option>
+                    <?php foreach ($templates as $slug => $template): ?>
+                        <option value="<?php echo esc_attr($slug); ?>" data-template="<?php echo esc_attr($template['template']); ?>">
+                            <?php echo esc_html($template['name']); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+                <button type="button" class="button abc-save-prompt-template"><?php esc_html_e('Save to library', 'autoblogcraft'); ?></button>
+                <button type="button" class="button-link abc-delete-prompt-template abc-hidden"><?php esc_html_e('Delete from library', 'autoblogcraft'); ?></button>
+            </div>
+
+            <div class="abc-prompt-input">
+                <textarea name="ai_config[prompt_template]" id="abc-prompt-template" class="large-text code" rows="8" data-variables="<?php echo esc_attr(wp_json_encode($variables)); ?>"><?php echo esc_textarea($data['ai_config']['prompt_template'] ?? ''); ?></textarea>
+                <ul class="abc-prompt-suggestions abc-hidden" role="listbox"></ul>
+            </div>
+
+            <div class="abc-prompt-variables">
+                <?php foreach ($variables as $name => $label): ?>
+                    <button type="button" class="button button-small abc-insert-variable" data-variable="<?php echo esc_attr($name); ?>" title="<?php echo esc_attr($label); ?>">{<?php echo esc_html($name); ?>}</button>
+                <?php endforeach; ?>
+            </div>
+
+            <div class="abc-form-row">
+                <label class="abc-form-label" for="abc-prompt-keywords"><?php esc_html_e('Target Keywords', 'autoblogcraft'); ?></label>
+                <input type="text" name="ai_config[keywords]" id="abc-prompt-keywords" class="large-text" value="<?php echo esc_attr($data['ai_config']['keywords'] ?? ''); ?>" placeholder="<?php esc_attr_e('Comma separated, used for {keywords}', 'autoblogcraft'); ?>">
+            </div>
+
+            <div class="abc-prompt-preview-wrap">
+                <div class="abc-prompt-preview-header">
+                    <strong><?php esc_html_e('Preview', 'autoblogcraft'); ?></strong>
+                    <span class="abc-prompt-sample abc-text-muted"></span>
+                    <button type="button" class="button button-small abc-refresh-prompt-preview"><?php esc_html_e('Use another item', 'autoblogcraft'); ?></button>
+                </div>
+                <pre id="abc-prompt-preview" class="abc-prompt-preview"></pre>
+                <p class="abc-prompt-warnings abc-validation-error abc-hidden"></p>
+            </div>
         </div>
         <?php
     }
@@ -359,6 +711,7 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
             </div>
             <!-- Match Source Toggles -->
             <div class="abc-paired-row">
+                <input type="hidden" name="ai_config[match_source_length]" value="0">
                 <label><input type="checkbox" name="ai_config[match_source_length]" value="1" <?php checked($data['ai_config']['match_source_length'] ?? false); ?>> Match Length</label>
                 <div class="abc-input-col">
                     <input type="number" name="ai_config[min_words]" class="tiny-text" value="<?php echo esc_attr($data['ai_config']['min_words'] ?? 300); ?>"> words
@@ -391,14 +744,112 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
     }
 
     private function render_footer_actions($is_edit, $current, $next) {
-        echo '<div class="abc-editor-footer">';
-        if ($is_edit) {
-            echo '<button type="submit" class="button button-primary">' . __('Save Changes', 'autoblogcraft') . '</button>';
-        } else {
-            if ($current !== 'basic') echo '<a href="javascript:history.back()" class="button button-secondary">' . __('Previous', 'autoblogcraft') . '</a> ';
-            echo '<button type="submit" class="button button-primary">' . __('Next Step', 'autoblogcraft') . '</button>';
-        }
-        echo '</div>';
+        ?>
+        <div class="abc-settings-review abc-hidden" aria-live="polite">
+            <h3><?php esc_html_e('Review Changes', 'autoblogcraft'); ?></h3>
+            <table class="wp-list-table widefat fixed striped">
+                <thead>
+                    <tr>
+                        <th scope="col"><?php esc_html_e('Setting', 'autoblogcraft'); ?></th>
+                        <th scope="col"><?php esc_html_e('Before', 'autoblogcraft'); ?></th>
+                        <th scope="col"><?php esc_html_e('After', 'autoblogcraft'); ?></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p>
+                <button type="button" class="abc-confirm-settings button button-primary"><?php esc_html_e('Save These Changes', 'autoblogcraft'); ?></button>
+                <button type="button" class="abc-cancel-review button"><?php esc_html_e('Keep Editing', 'autoblogcraft'); ?></button>
+            </p>
+        </div>
+        <div class="abc-editor-footer">
+            <button type="submit" class="button button-primary"><?php esc_html_e('Save Changes', 'autoblogcraft'); ?></button>
+            <span class="abc-dirty-status"></span>
+        </div>
+        <?php
+    }
+
+    /**
+     * WIZARD: Step-by-step campaign creation
+     *
+     * All steps live in one form; admin.js handles Back/Next, per-step
+     * validation and the review summary before the final submit.
+     * A resumed draft is handed to admin.js, which restores the fields.
+     */
+    private function render_wizard($data, $draft = null) {
+        $steps = [
+            'type' => __('Type', 'autoblogcraft'),
+            'sources' => __('Sources', 'autoblogcraft'),
+            'ai' => __('AI Settings', 'autoblogcraft'),
+            'schedule' => __('Schedule', 'autoblogcraft'),
+            'publishing' => __('Publishing', 'autoblogcraft'),
+            'review' => __('Review', 'autoblogcraft'),
+        ];
+        ?>
+        <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>" id="abc-wizard-form" novalidate<?php if ($draft) : ?> data-draft="<?php echo esc_attr(wp_json_encode($draft)); ?>"<?php endif; ?>>
+            <?php wp_nonce_field('abc_save_campaign', 'abc_nonce'); ?>
+            <input type="hidden" name="action" value="abc_save_campaign">
+            <input type="hidden" name="campaign_id" value="0">
+            <input type="hidden" name="create_campaign" value="1">
+            <input type="hidden" name="abc_draft_id" id="abc-draft-id" value="<?php echo esc_attr($draft['id'] ?? ''); ?>">
+
+            <div class="abc-wizard-progress">
+                <?php $number = 1; foreach ($steps as $key => $label): ?>
+                    <div class="abc-wizard-step" data-step="<?php echo esc_attr($key); ?>">
+                        <span class="abc-wizard-step-number"><?php echo $number++; ?></span>
+                        <span class="abc-wizard-step-label"><?php echo esc_html($label); ?></span>
+                    </div>
+                <?php endforeach; ?>
+            </div>
+
+            <div class="abc-wizard-panel" data-step="type">
+                <?php $this->render_section_details($data, false); ?>
+            </div>
+
+            <div class="abc-wizard-panel abc-hidden" data-step="sources">
+                <?php $this->render_panel_sources($data); ?>
+            </div>
+
+            <div class="abc-wizard-panel abc-hidden" data-step="ai">
+                <?php
+                $this->render_panel_ai($data);
+                $this->render_panel_content($data);
+                ?>
+            </div>
+
+            <div class="abc-wizard-panel abc-hidden" data-step="schedule">
+                <div class="abc-editor-section">
+                    <h2><?php esc_html_e('Schedule', 'autoblogcraft'); ?></h2>
+                    <?php $this->render_schedule_fields($data); ?>
+                </div>
+            </div>
+
+            <div class="abc-wizard-panel abc-hidden" data-step="publishing">
+                <div class="abc-editor-section">
+                    <h2><?php esc_html_e('Publishing', 'autoblogcraft'); ?></h2>
+                    <?php $this->render_publishing_fields($data); ?>
+                </div>
+            </div>
+
+            <div class="abc-wizard-panel abc-hidden" data-step="review">
+                <div class="abc-editor-section">
+                    <h2><?php esc_html_e('Review & Create', 'autoblogcraft'); ?></h2>
+                    <p class="description"><?php esc_html_e('Check your choices below. Use "Edit" to jump back to a step.', 'autoblogcraft'); ?></p>
+                    <div id="abc-wizard-review"></div>
+                </div>
+            </div>
+
+            <div class="abc-editor-footer abc-wizard-footer">
+                <button type="button" class="button button-secondary abc-wizard-back" disabled><?php esc_html_e('Back', 'autoblogcraft'); ?></button>
+                <span class="abc-wizard-draft">
+                    <span class="abc-draft-status"></span>
+                    <a href="<?php echo esc_url(admin_url('admin.php?page=abc-campaign-editor')); ?>" class="abc-discard-draft abc-hidden"><?php esc_html_e('Discard draft', 'autoblogcraft'); ?></a>
+                </span>
+                <button type="button" class="button button-primary abc-wizard-next"><?php esc_html_e('Next', 'autoblogcraft'); ?></button>
+                <button type="submit" class="button button-primary abc-wizard-submit abc-hidden"><?php esc_html_e('Create Campaign', 'autoblogcraft'); ?></button>
+            </div>
+        </form>
+        <?php
     }
 
     private function include_template($name, $args) {
@@ -407,6 +858,165 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
         if (file_exists($file)) include $file;
     }
 
+    /**
+     * Template variables for the overview tab
+     *
+     * The charts load their series over AJAX; only the range is set here.
+     *
+     * @since 2.1.0
+     */
+    private function get_overview_tab_args($campaign_id) {
+        $range = isset($_GET['chart_range']) ? sanitize_key($_GET['chart_range']) : '7d';
+
+        return [
+            'campaign_id' => $campaign_id,
+            'campaign' => get_post($campaign_id),
+            'stats' => (new Campaign_Stats($campaign_id))->get_summary(),
+            'chart_ranges' => Campaign_Stats::get_ranges(),
+            'chart_range' => isset(Campaign_Stats::RANGES[$range]) ? $range : '7d',
+        ];
+    }
+
+    /**
+     * Template variables for the source health section of the sources tab
+     *
+     * @since 2.1.0
+     */
+    private function get_source_health_args($campaign_id) {
+        $health = new Source_Health($campaign_id);
+        $sources = [];
+
+        foreach ($health->get_sources() as $source) {
+            $sources[] = ['source' => $source, 'health' => $health->get($source)];
+        }
+
+        return [
+            'sources' => $sources,
+            'policy' => $health->get_policy(),
+        ];
+    }
+
+    /**
+     * Template variables for the website source list and its overrides
+     *
+     * @since 2.1.0
+     */
+    private function get_source_list_args($data) {
+        return [
+            'sources' => $data['source_config']['sources'] ?? [],
+            'categories' => get_categories(['hide_empty' => false]),
+            'authors' => get_users(['role__in' => ['administrator', 'editor', 'author']]),
+        ];
+    }
+
+    /**
+     * Template variables for source import and export on the sources tab
+     *
+     * @since 2.1.0
+     */
+    private function get_source_transfer_args($campaign_id) {
+        $transfer = new Source_Transfer($campaign_id);
+
+        return [
+            'campaign_id' => $campaign_id,
+            'accepted_types' => array_values(array_intersect_key(Source_Transfer::get_types(), array_flip($transfer->get_accepted_types()))),
+            'source_count' => count($transfer->get_entries()),
+        ];
+    }
+
+    /**
+     * Template variables for the queue tab
+     *
+     * @since 2.1.0
+     */
+    private function get_queue_tab_args($campaign_id) {
+        $queue_manager = new Queue_Manager();
+        $filters = ['status' => isset($_GET['queue_status']) ? sanitize_key($_GET['queue_status']) : ''];
+        $page = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+        $result = $queue_manager->get_campaign_items($campaign_id, ['status' => $filters['status'], 'page' => $page]);
+
+        return [
+            'campaign_id' => $campaign_id,
+            'campaign' => get_post($campaign_id),
+            'queue_items' => $result['items'],
+            'pagination' => (object) ['total' => $result['total'], 'per_page' => 20, 'current_page' => $page],
+            'filters' => $filters,
+            'cursor' => $queue_manager->get_cursor($campaign_id),
+        ];
+    }
+
+    /**
+     * Template variables for the posts tab
+     *
+     * @since 2.1.0
+     */
+    private function get_posts_tab_args($campaign_id) {
+        $filters = [
+            'status' => isset($_GET['post_status']) ? sanitize_key($_GET['post_status']) : '',
+            'search' => isset($_GET['s']) ? sanitize_text_field(wp_unslash($_GET['s'])) : '',
+        ];
+        $page = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+
+        $query = new \WP_Query([
+            'post_type' => 'any',
+            'post_status' => in_array($filters['status'], ['publish', 'draft', 'pending'], true) ? $filters['status'] : ['publish', 'draft', 'pending', 'future', 'private'],
+            'meta_key' => '_abc_campaign_id',
+            'meta_value' => $campaign_id,
+            's' => $filters['search'],
+            'posts_per_page' => 20,
+            'paged' => $page,
+        ]);
+
+        return [
+            'campaign' => get_post($campaign_id),
+            'posts' => $query->posts,
+            'pagination' => (object) ['total' => (int) $query->found_posts, 'per_page' => 20, 'current_page' => $page],
+            'filters' => $filters,
+        ];
+    }
+
+    /**
+     * Template variables for the logs tab
+     *
+     * Renders the first page for the filters in the URL; the log viewer
+     * loads the rest as the list is scrolled.
+     *
+     * @since 2.1.0
+     */
+    private function get_logs_tab_args($campaign_id) {
+        $logger = Logger::instance();
+        $filters = [
+            'search' => isset($_GET['log_search']) ? sanitize_text_field(wp_unslash($_GET['log_search'])) : '',
+            'queue_item_id' => isset($_GET['log_item']) ? absint($_GET['log_item']) : 0,
+            'level' => isset($_GET['log_level']) ? sanitize_key($_GET['log_level']) : '',
+            'category' => isset($_GET['log_category']) ? sanitize_key($_GET['log_category']) : '',
+            'date_from' => isset($_GET['log_from']) ? sanitize_text_field($_GET['log_from']) : '',
+            'date_to' => isset($_GET['log_to']) ? sanitize_text_field($_GET['log_to']) : '',
+        ];
+        $result = $logger->query_logs($campaign_id, $filters);
+
+        $categories = [
+            'discovery' => __('Discovery', 'autoblogcraft-ai'),
+            'processing' => __('Processing', 'autoblogcraft-ai'),
+            'publishing' => __('Publishing', 'autoblogcraft-ai'),
+            'ai' => __('AI', 'autoblogcraft-ai'),
+            'system' => __('System', 'autoblogcraft-ai'),
+        ];
+        foreach ($logger->get_categories($campaign_id) as $category) {
+            if (!isset($categories[$category])) {
+                $categories[$category] = ucfirst($category);
+            }
+        }
+
+        return [
+            'campaign' => get_post($campaign_id),
+            'logs' => $result['logs'],
+            'has_more' => $result['has_more'],
+            'filters' => $filters,
+            'categories' => $categories,
+        ];
+    }
+
     private function get_campaign_data($id, $post) {
         return [
             'title' => $post->post_title,
@@ -414,10 +1024,12 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
             'wp_config' => [
                 'category_id' => get_post_meta($id, '_wp_category_id', true),
                 'author_id' => get_post_meta($id, '_wp_author_id', true),
+                'post_status' => get_post_meta($id, '_wp_post_status', true) ?: 'publish',
             ],
             'source_config' => get_post_meta($id, '_source_config', true) ?: [],
             'ai_config' => get_post_meta($id, '_ai_config', true) ?: [],
-            'discovery_interval' => get_post_meta($id, '_discovery_interval', true),
+            'schedule' => Discovery_Schedule::for_campaign($id)->to_array(),
+            'retry_policy' => Retry_Policy::for_campaign($id)->to_array(),
             'limits' => get_post_meta($id, '_limits', true) ?: []
         ];
     }
@@ -426,10 +1038,11 @@ class Admin_Page_Campaign_Editor extends Admin_Page_Base {
         return [
             'title' => '',
             'type' => 'website',
-            'wp_config' => ['category_id' => '', 'author_id' => get_current_user_id()],
+            'wp_config' => ['category_id' => '', 'author_id' => get_current_user_id(), 'post_status' => 'publish'],
             'source_config' => [],
             'ai_config' => ['processing_mode' => 'ai_rewrite', 'language' => 'english'],
-            'discovery_interval' => 'every_1_hour',
+            'schedule' => Discovery_Schedule::get_defaults(),
+            'retry_policy' => Retry_Policy::get_defaults(),
             'limits' => ['max_posts_per_day' => 10]
         ];
     }
@@ -0,0 +1,94 @@
+<?php
+/**
+ * Admin Page - Campaign Import
+ *
+ * Upload a campaign bundle, review what it contains and import it.
+ *
+ * @package AutoBlogCraft\Admin
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Admin\Pages;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Campaign Import Page class
+ *
+ * The bundle is read in the browser and previewed over AJAX
+ * (abc_preview_campaign_import); nothing is written until the
+ * user confirms with abc_import_campaigns.
+ *
+ * @since 2.1.0
+ */
+class Admin_Page_Campaign_Import extends Admin_Page_Base
+{
+
+    /**
+     * Render page
+     *
+     * @since 2.1.0
+     */
+    public function render()
+    {
+        ?>
+        <div class="wrap abc-wrap">
+            <?php
+            $this->render_header(
+                __('Import Campaigns', 'autoblogcraft'),
+                __('Import campaigns exported from another AutoBlogCraft site', 'autoblogcraft'),
+                [
+                    [
+                        'label' => __('Back to Campaigns', 'autoblogcraft'),
+                        'url' => admin_url('admin.php?page=autoblogcraft-campaigns'),
+                        'icon' => 'dashicons-arrow-left-alt',
+                    ],
+                ]
+            );
+            ?>
+
+            <div class="abc-page-content">
+                <div class="abc-card abc-import-source">
+                    <div class="abc-card-header">
+                        <h3><?php esc_html_e('1. Choose a bundle', 'autoblogcraft'); ?></h3>
+                    </div>
+                    <div class="abc-card-body">
+                        <p class="abc-text-muted">
+                            <?php esc_html_e('Select a .json file created with the Export bulk action, or paste its contents. API keys are never included in bundles; you will map them to keys on this site.', 'autoblogcraft'); ?>
+                        </p>
+                        <p>
+                            <input type="file" id="abc-import-file" accept=".json,application/json">
+                        </p>
+                        <p>
+                            <textarea id="abc-import-json" class="large-text code" rows="6" placeholder="<?php esc_attr_e('...or paste bundle JSON here', 'autoblogcraft'); ?>"></textarea>
+                        </p>
+                        <button type="button" class="button button-primary" id="abc-import-preview">
+                            <?php esc_html_e('Preview Import', 'autoblogcraft'); ?>
+                        </button>
+                        <span class="abc-import-status"></span>
+                    </div>
+                </div>
+
+                <div class="abc-card abc-import-review abc-hidden">
+                    <div class="abc-card-header">
+                        <h3><?php esc_html_e('2. Review and map', 'autoblogcraft'); ?></h3>
+                        <span class="abc-import-meta abc-text-muted"></span>
+                    </div>
+                    <div class="abc-card-body">
+                        <div id="abc-import-campaigns"></div>
+                        <p class="abc-import-actions">
+                            <button type="button" class="button button-primary" id="abc-import-run">
+                                <?php esc_html_e('Import Selected', 'autoblogcraft'); ?>
+                            </button>
+                            <span class="abc-text-muted"><?php esc_html_e('Imported campaigns start paused.', 'autoblogcraft'); ?></span>
+                        </p>
+                        <ul class="abc-import-results"></ul>
+                    </div>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+}
@@ -11,6 +11,8 @@
 namespace AutoBlogCraft\Admin\Pages;
 
 use AutoBlogCraft\Campaigns\Campaign_Factory;
+use AutoBlogCraft\Campaigns\Campaign_Drafts;
+use AutoBlogCraft\Admin\Filter_Presets;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -24,6 +26,13 @@ if (!defined('ABSPATH')) {
 class Admin_Page_Campaigns extends Admin_Page_Base
 {
 
+    /**
+     * Queue failure rate (percent) at which a campaign counts as failing
+     *
+     * @var int
+     */
+    const FAILING_RATE = 20;
+
     /**
      * Render page
      *
@@ -49,11 +58,17 @@ class Admin_Page_Campaigns extends Admin_Page_Base
                         'class' => 'button-primary',
                         'icon' => 'dashicons-plus-alt',
                     ],
+                    [
+                        'label' => __('Import', 'autoblogcraft'),
+                        'url' => admin_url('admin.php?page=abc-campaign-import'),
+                        'icon' => 'dashicons-upload',
+                    ],
                 ]
             );
             ?>
 
             <div class="abc-page-content">
+                <?php $this->render_drafts(); ?>
                 <?php $this->render_campaigns_list(); ?>
             </div>
         </div>
@@ -71,9 +86,11 @@ class Admin_Page_Campaigns extends Admin_Page_Base
         $query = new \WP_Query([
             'post_type' => 'abc_campaign',
             'post_status' => 'any',
-            'posts_per_page' => 20,
+            // All campaigns: filtering and sorting happen client-side
+            'posts_per_page' => -1,
             'orderby' => 'date',
             'order' => 'DESC',
+            'no_found_rows' => true,
         ]);
 
         if (!$query->have_posts()) {
@@ -100,14 +117,15 @@ class Admin_Page_Campaigns extends Admin_Page_Base
             'cb' => ['label' => '<input type="checkbox" id="abc-select-all">', 'class' => 'abc-check-column'],
             'title' => ['label' => __('Campaign', 'autoblogcraft')],
             'type' => ['label' => __('Type', 'autoblogcraft')],
-            'status' => ['label' => __('Status', 'autoblogcraft')],
-            'queue' => ['label' => __('Queue', 'autoblogcraft'), 'class' => 'abc-text-center'],
+            'status' => ['label' => __('Status', 'autoblogcraft'), 'class' => 'abc-column-status'],
+            'queue' => ['label' => __('Queue', 'autoblogcraft'), 'class' => 'abc-column-queue abc-text-center'],
             'posts' => ['label' => __('Posts', 'autoblogcraft'), 'class' => 'abc-text-center'],
-            'last_run' => ['label' => __('Last Run', 'autoblogcraft')],
-            'actions' => ['label' => __('Actions', 'autoblogcraft'), 'class' => 'abc-text-right'],
+            'last_run' => ['label' => __('Last Run', 'autoblogcraft'), 'class' => 'abc-column-last-run'],
+            'actions' => ['label' => __('Actions', 'autoblogcraft'), 'class' => 'abc-column-actions abc-text-right'],
         ];
 
         $rows = [];
+        $stats = $this->get_list_stats(wp_list_pluck($query->posts, 'ID'));
 
         while ($query->have_posts()) {
             $query->the_post();
@@ -125,25 +143,33 @@ class Admin_Page_Campaigns extends Admin_Page_Base
                 $status = $campaign->get_status();
                 $last_run = get_post_meta($campaign_id, '_last_discovery_run', true);
 
-                // Get queue count
-                global $wpdb;
-                $queue_count = $wpdb->get_var($wpdb->prepare(
-                    "SELECT COUNT(*) FROM {$wpdb->prefix}abc_discovery_queue 
-                    WHERE campaign_id = %d AND status = 'pending'",
-                    $campaign_id
-                ));
-
-                // Get posts count
-                $posts_count = $wpdb->get_var($wpdb->prepare(
-                    "SELECT COUNT(*) FROM {$wpdb->postmeta} 
-                    WHERE meta_key = '_abc_campaign_id' AND meta_value = %d",
-                    $campaign_id
-                ));
+                // Queue and post counts, loaded for all rows at once
+                $queue_stats = $stats['queue'][$campaign_id] ?? null;
+                $queue_count = $queue_stats ? (int) $queue_stats->pending : 0;
+                $failed = $queue_stats ? (int) $queue_stats->failed : 0;
+                $processed = $queue_stats ? (int) $queue_stats->completed + $failed : 0;
+                $failure_rate = $processed ? round($failed / $processed * 100) : 0;
+                $failing = $failure_rate >= self::FAILING_RATE
+                    || get_post_meta($campaign_id, '_abc_last_discovery_status', true) === 'error';
+
+                $posts_count = $stats['posts'][$campaign_id] ?? 0;
 
                 // Get campaign description
                 $description = get_post_meta($campaign_id, '_campaign_description', true);
 
                 $rows[] = [
+                    '_attributes' => [
+                        'class' => 'abc-campaign-row',
+                        'data-title' => get_the_title(),
+                        'data-type' => $type,
+                        'data-status' => $status,
+                        'data-health' => $failing ? 'failing' : 'healthy',
+                        'data-date' => get_post_time('U', true),
+                        'data-last-run' => (int) $last_run,
+                        'data-posts' => (int) $posts_count,
+                        'data-queue' => $queue_count,
+                        'data-failure-rate' => $failure_rate,
+                    ],
                     'cb' => sprintf('<input type="checkbox" class="abc-campaign-checkbox" value="%d">', $campaign_id),
                     'title' => sprintf(
                         '<strong><a href="%s">%s</a></strong><br><span class="abc-text-muted">%s</span>',
@@ -172,7 +198,10 @@ class Admin_Page_Campaigns extends Admin_Page_Base
                     <select id="abc-bulk-action-select">
                         <option value=""><?php esc_html_e('Bulk Actions', 'autoblogcraft'); ?></option>
                         <option value="pause"><?php esc_html_e('Pause', 'autoblogcraft'); ?></option>
-                        <option value="resume"><?php esc_html_e('Resume', 'autoblogcraft'); ?></option>
+                        <option value="activate"><?php esc_html_e('Activate', 'autoblogcraft'); ?></option>
+                        <option value="discover"><?php esc_html_e('Run Discovery', 'autoblogcraft'); ?></option>
+                        <option value="clone"><?php esc_html_e('Clone', 'autoblogcraft'); ?></option>
+                        <option value="export"><?php esc_html_e('Export', 'autoblogcraft'); ?></option>
                         <option value="delete"><?php esc_html_e('Delete', 'autoblogcraft'); ?></option>
                     </select>
                     <button type="button" id="abc-bulk-action-apply" class="button">
@@ -180,8 +209,175 @@ class Admin_Page_Campaigns extends Admin_Page_Base
                     </button>
                 </div>
             </div>
+            <div id="abc-bulk-progress" class="abc-bulk-progress abc-hidden">
+                <div class="abc-bulk-progress-header">
+                    <span class="abc-bulk-progress-label"></span>
+                    <button type="button" class="button button-small abc-bulk-cancel"><?php esc_html_e('Cancel', 'autoblogcraft'); ?></button>
+                    <button type="button" class="button button-small abc-bulk-dismiss abc-hidden"><?php esc_html_e('Dismiss', 'autoblogcraft'); ?></button>
+                </div>
+                <div class="abc-progress-track"><div class="abc-progress-fill"></div></div>
+                <ul class="abc-bulk-report"></ul>
+            </div>
+            <?php $this->render_list_filters(); ?>
+            <div class="abc-card-body">
+                <?php $this->render_table($columns, $rows, ['class' => 'abc-campaigns-table']); ?>
+                <p class="abc-filter-empty abc-text-muted abc-hidden"><?php esc_html_e('No campaigns match these filters.', 'autoblogcraft'); ?></p>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Load queue and post counts for the listed campaigns
+     *
+     * One grouped query each, rather than two queries per row.
+     *
+     * @since 2.1.0
+     * @param int[] $campaign_ids Campaign IDs.
+     * @return array With 'queue' (rows of pending, completed and failed) and 'posts' (counts), keyed by campaign ID.
+     */
+    private function get_list_stats($campaign_ids)
+    {
+        global $wpdb;
+
+        $stats = ['queue' => [], 'posts' => []];
+        $campaign_ids = array_map('absint', (array) $campaign_ids);
+
+        if (!$campaign_ids) {
+            return $stats;
+        }
+
+        $placeholders = implode(', ', array_fill(0, count($campaign_ids), '%d'));
+
+        $stats['queue'] = $wpdb->get_results($wpdb->prepare(
+            "SELECT campaign_id, SUM(status = 'pending') AS pending, SUM(status = 'completed') AS completed, SUM(status = 'failed') AS failed
+            FROM {$wpdb->prefix}abc_discovery_queue
+            WHERE campaign_id IN ({$placeholders})
+            GROUP BY campaign_id",
+            $campaign_ids
+        ), OBJECT_K);
+
+        $posts = $wpdb->get_results($wpdb->prepare(
+            "SELECT meta_value AS campaign_id, COUNT(*) AS count FROM {$wpdb->postmeta}
+            WHERE meta_key = '_abc_campaign_id' AND meta_value IN ({$placeholders})
+            GROUP BY meta_value",
+            $campaign_ids
+        ));
+
+        foreach ((array) $posts as $row) {
+            $stats['posts'][(int) $row->campaign_id] = (int) $row->count;
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Render search, filter, sort and preset controls for the list
+     *
+     * Controls are read from and written back to the URL by admin.js,
+     * so filtered views can be shared as links.
+     *
+     * @since 2.1.0
+     */
+    private function render_list_filters()
+    {
+        $presets = (new Filter_Presets())->get_presets('campaigns');
+        ?>
+        <div class="abc-filters abc-campaign-filters">
+            <input type="search" id="abc-campaign-search" class="abc-filter-input" data-param="search" placeholder="<?php esc_attr_e('Search campaigns...', 'autoblogcraft'); ?>">
+
+            <select id="abc-campaign-status-filter" class="abc-filter-select" data-param="status">
+                <option value=""><?php esc_html_e('All Statuses', 'autoblogcraft'); ?></option>
+                <option value="active"><?php esc_html_e('Active', 'autoblogcraft'); ?></option>
+                <option value="paused"><?php esc_html_e('Paused', 'autoblogcraft'); ?></option>
+                <option value="draft"><?php esc_html_e('Draft', 'autoblogcraft'); ?></option>
+            </select>
+
+            <select id="abc-campaign-type-filter" class="abc-filter-select" data-param="type">
+                <option value=""><?php esc_html_e('All Types', 'autoblogcraft'); ?></option>
+                <option value="website"><?php esc_html_e('Website', 'autoblogcraft'); ?></option>
+                <option value="youtube"><?php esc_html_e('YouTube', 'autoblogcraft'); ?></option>
+                <option value="amazon"><?php esc_html_e('Amazon', 'autoblogcraft'); ?></option>
+                <option value="news"><?php esc_html_e('News', 'autoblogcraft'); ?></option>
+            </select>
+
+            <select id="abc-campaign-health-filter" class="abc-filter-select" data-param="health">
+                <option value=""><?php esc_html_e('Any Health', 'autoblogcraft'); ?></option>
+                <option value="failing"><?php esc_html_e('Failing', 'autoblogcraft'); ?></option>
+                <option value="healthy"><?php esc_html_e('Healthy', 'autoblogcraft'); ?></option>
+            </select>
+
+            <select id="abc-campaign-sort" class="abc-filter-select" data-param="orderby">
+                <option value=""><?php esc_html_e('Newest first', 'autoblogcraft'); ?></option>
+                <option value="title"><?php esc_html_e('Name', 'autoblogcraft'); ?></option>
+                <option value="last_run"><?php esc_html_e('Last run', 'autoblogcraft'); ?></option>
+                <option value="posts"><?php esc_html_e('Posts published', 'autoblogcraft'); ?></option>
+                <option value="queue"><?php esc_html_e('Queue size', 'autoblogcraft'); ?></option>
+                <option value="failure_rate"><?php esc_html_e('Failure rate', 'autoblogcraft'); ?></option>
+            </select>
+
+            <button type="button" class="button abc-sort-order" data-param="order" data-value="desc" title="<?php esc_attr_e('Toggle sort direction', 'autoblogcraft'); ?>">
+                <span class="dashicons dashicons-arrow-down-alt"></span>
+            </button>
+
+            <span class="abc-filter-presets">
+                <select id="abc-filter-preset" class="abc-filter-select">
+                    <option value=""><?php esc_html_e('Saved presets', 'autoblogcraft'); ?></option>
+                    <?php foreach ($presets as $slug => $preset): ?>
+                        <option value="<?php echo esc_attr($slug); ?>" data-filters="<?php echo esc_attr(wp_json_encode($preset['filters'])); ?>">
+                            <?php echo esc_html($preset['name']); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+                <button type="button" class="button abc-save-preset"><?php esc_html_e('Save preset', 'autoblogcraft'); ?></button>
+                <button type="button" class="button-link abc-delete-preset abc-hidden"><?php esc_html_e('Delete preset', 'autoblogcraft'); ?></button>
+            </span>
+
+            <button type="button" class="button-link abc-clear-list-filters"><?php esc_html_e('Clear', 'autoblogcraft'); ?></button>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render unfinished wizard drafts with resume/discard links
+     *
+     * @since 2.1.0
+     */
+    private function render_drafts()
+    {
+        $drafts = (new Campaign_Drafts())->get_drafts();
+
+        if (empty($drafts)) {
+            return;
+        }
+        ?>
+        <div class="abc-card abc-drafts-card">
+            <div class="abc-card-header">
+                <h3><?php esc_html_e('Unfinished Campaigns', 'autoblogcraft'); ?></h3>
+            </div>
             <div class="abc-card-body">
-                <?php $this->render_table($columns, $rows); ?>
+                <ul class="abc-drafts-list">
+                    <?php foreach ($drafts as $draft): ?>
+                        <li class="abc-draft-item" data-draft-id="<?php echo esc_attr($draft['id']); ?>">
+                            <span class="dashicons dashicons-edit-page"></span>
+                            <strong><?php echo esc_html($draft['title'] ?: __('(untitled)', 'autoblogcraft')); ?></strong>
+                            <?php if (!empty($draft['type'])): ?>
+                                <?php echo $this->format_campaign_type($draft['type']); ?>
+                            <?php endif; ?>
+                            <span class="abc-text-muted">
+                                <?php printf(esc_html__('Last edited %s ago', 'autoblogcraft'), esc_html(human_time_diff($draft['updated']))); ?>
+                            </span>
+                            <span class="abc-draft-actions">
+                                <a href="<?php echo esc_url(admin_url('admin.php?page=abc-campaign-editor&draft=' . $draft['id'])); ?>" class="button button-small button-primary">
+                                    <?php esc_html_e('Resume draft', 'autoblogcraft'); ?>
+                                </a>
+                                <a href="#" class="button button-small abc-discard-draft" data-draft-id="<?php echo esc_attr($draft['id']); ?>">
+                                    <?php esc_html_e('Discard', 'autoblogcraft'); ?>
+                                </a>
+                            </span>
+                        </li>
+                    <?php endforeach; ?>
+                </ul>
             </div>
         </div>
         <?php
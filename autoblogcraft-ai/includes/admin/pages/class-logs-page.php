@@ -32,6 +32,8 @@ class Admin_Page_Logs extends Admin_Page_Base
         // Get filter parameters
         $level_filter = isset($_GET['level']) ? sanitize_text_field($_GET['level']) : 'all';
         $search = isset($_GET['search']) ? sanitize_text_field($_GET['search']) : '';
+        $date_from = isset($_GET['date_from']) ? sanitize_text_field($_GET['date_from']) : '';
+        $date_to = isset($_GET['date_to']) ? sanitize_text_field($_GET['date_to']) : '';
         $paged = isset($_GET['paged']) ? absint($_GET['paged']) : 1;
         $per_page = 50;
 
@@ -55,8 +57,8 @@ class Admin_Page_Logs extends Admin_Page_Base
             ?>
 
             <div class="abc-page-content">
-                <?php $this->render_filters($level_filter, $search); ?>
-                <?php $this->render_logs_table($level_filter, $search, $paged, $per_page); ?>
+                <?php $this->render_filters($level_filter, $search, $date_from, $date_to); ?>
+                <?php $this->render_logs_table($level_filter, $search, $date_from, $date_to, $paged, $per_page); ?>
             </div>
         </div>
         <?php
@@ -68,8 +70,10 @@ class Admin_Page_Logs extends Admin_Page_Base
      * @since 2.0.0
      * @param string $level_filter Level filter.
      * @param string $search Search query.
+     * @param string $date_from First day (Y-m-d).
+     * @param string $date_to Last day (Y-m-d).
      */
-    private function render_filters($level_filter, $search)
+    private function render_filters($level_filter, $search, $date_from, $date_to)
     {
         ?>
         <div class="abc-filters">
@@ -93,6 +97,12 @@ class Admin_Page_Logs extends Admin_Page_Base
                     placeholder="<?php esc_attr_e('Search logs...', 'autoblogcraft'); ?>"
                     value="<?php echo esc_attr($search); ?>">
 
+                <label for="abc-log-from"><?php _e('From', 'autoblogcraft'); ?></label>
+                <input type="date" name="date_from" id="abc-log-from" value="<?php echo esc_attr($date_from); ?>">
+
+                <label for="abc-log-to"><?php _e('To', 'autoblogcraft'); ?></label>
+                <input type="date" name="date_to" id="abc-log-to" value="<?php echo esc_attr($date_to); ?>">
+
                 <button type="submit" class="button"><?php _e('Filter', 'autoblogcraft'); ?></button>
 
                 <a href="<?php echo admin_url('admin.php?page=autoblogcraft-logs'); ?>" class="button">
@@ -100,7 +110,24 @@ class Admin_Page_Logs extends Admin_Page_Base
                 </a>
             </form>
 
-            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>" style="margin-left: auto;">
+            <form method="get" action="<?php echo esc_url(admin_url('admin-post.php')); ?>" style="margin-left: auto;">
+                <input type="hidden" name="action" value="abc_export_logs">
+                <input type="hidden" name="nonce" value="<?php echo esc_attr(wp_create_nonce('abc_export_logs')); ?>">
+                <input type="hidden" name="level" value="<?php echo esc_attr($level_filter !== 'all' ? $level_filter : ''); ?>">
+                <input type="hidden" name="search" value="<?php echo esc_attr($search); ?>">
+                <input type="hidden" name="date_from" value="<?php echo esc_attr($date_from); ?>">
+                <input type="hidden" name="date_to" value="<?php echo esc_attr($date_to); ?>">
+
+                <label for="abc-log-export-format" class="screen-reader-text"><?php _e('Export format', 'autoblogcraft'); ?></label>
+                <select name="format" id="abc-log-export-format">
+                    <option value="csv"><?php _e('CSV', 'autoblogcraft'); ?></option>
+                    <option value="json"><?php _e('JSON', 'autoblogcraft'); ?></option>
+                    <option value="ndjson"><?php _e('NDJSON', 'autoblogcraft'); ?></option>
+                </select>
+                <button type="submit" class="button"><?php _e('Export', 'autoblogcraft'); ?></button>
+            </form>
+
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
                 <?php wp_nonce_field('abc_clear_logs', 'abc_nonce'); ?>
                 <input type="hidden" name="action" value="abc_clear_logs">
                 <button type="submit" class="button button-link-delete"
@@ -134,10 +161,12 @@ class Admin_Page_Logs extends Admin_Page_Base
      * @since 2.0.0
      * @param string $level_filter Level filter.
      * @param string $search Search query.
+     * @param string $date_from First day (Y-m-d).
+     * @param string $date_to Last day (Y-m-d).
      * @param int $paged Current page.
      * @param int $per_page Items per page.
      */
-    private function render_logs_table($level_filter, $search, $paged, $per_page)
+    private function render_logs_table($level_filter, $search, $date_from, $date_to, $paged, $per_page)
     {
         global $wpdb;
 
@@ -148,8 +177,18 @@ class Admin_Page_Logs extends Admin_Page_Base
             $where[] = $wpdb->prepare('level = %s', $level_filter);
         }
 
-        if (!empty($search)) {
-            $where[] = $wpdb->prepare('message LIKE %s', '%' . $wpdb->esc_like($search) . '%');
+        // Same matching as Logger::query_logs(), so exports agree with the table
+        foreach (array_slice(array_filter(preg_split('/\s+/', trim($search)), 'strlen'), 0, 10) as $word) {
+            $like = '%' . $wpdb->esc_like($word) . '%';
+            $where[] = $wpdb->prepare('(message LIKE %s OR context LIKE %s)', $like, $like);
+        }
+
+        if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $date_from)) {
+            $where[] = $wpdb->prepare('created_at >= %s', $date_from . ' 00:00:00');
+        }
+
+        if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $date_to)) {
+            $where[] = $wpdb->prepare('created_at <= %s', $date_to . ' 23:59:59');
         }
 
         $where_sql = implode(' AND ', $where);
@@ -224,6 +263,12 @@ class Admin_Page_Logs extends Admin_Page_Base
         if (!empty($search)) {
             $base_url = add_query_arg('search', $search, $base_url);
         }
+        if (!empty($date_from)) {
+            $base_url = add_query_arg('date_from', $date_from, $base_url);
+        }
+        if (!empty($date_to)) {
+            $base_url = add_query_arg('date_to', $date_to, $base_url);
+        }
 
         echo $this->get_pagination($total, $per_page, $paged, $base_url);
     }
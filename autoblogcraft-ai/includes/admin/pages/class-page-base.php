@@ -230,7 +230,7 @@ abstract class Admin_Page_Base
      *
      * @since 2.0.0
      * @param array $columns Table columns.
-     * @param array $rows Table rows.
+     * @param array $rows Table rows. A row's '_attributes' array is added to its <tr>.
      * @param array $args Additional arguments.
      */
     protected function render_table($columns, $rows, $args = [])
@@ -257,7 +257,7 @@ abstract class Admin_Page_Base
                         </tr>
                     <?php else: ?>
                         <?php foreach ($rows as $row): ?>
-                            <tr>
+                            <tr<?php echo $this->render_attributes($row['_attributes'] ?? []); ?>>
                                 <?php foreach ($columns as $col_id => $column): ?>
                                     <td class="<?php echo esc_attr($column['class'] ?? ''); ?>">
                                         <?php
@@ -276,6 +276,24 @@ abstract class Admin_Page_Base
         <?php
     }
 
+    /**
+     * Build an HTML attribute string
+     *
+     * @since 2.1.0
+     * @param array $attributes Attribute values keyed by name.
+     * @return string Attributes with a leading space, or empty string.
+     */
+    protected function render_attributes($attributes)
+    {
+        $html = '';
+
+        foreach ($attributes as $name => $value) {
+            $html .= sprintf(' %s="%s"', esc_attr($name), esc_attr($value));
+        }
+
+        return $html;
+    }
+
     /**
      * Format timestamp
      *
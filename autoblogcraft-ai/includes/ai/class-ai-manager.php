@@ -15,6 +15,7 @@ use AutoBlogCraft\AI\Providers\OpenAI_Provider;
 use AutoBlogCraft\AI\Providers\Gemini_Provider;
 use AutoBlogCraft\AI\Providers\Claude_Provider;
 use AutoBlogCraft\AI\Providers\DeepSeek_Provider;
+use AutoBlogCraft\Campaigns\Campaign_Metrics;
 use AutoBlogCraft\Core\Logger;
 use WP_Error;
 
@@ -68,6 +69,20 @@ class AI_Manager
      */
     private $providers = [];
 
+    /**
+     * Provider, key and model used by the last operation
+     *
+     * @var array|null
+     */
+    private $last_call = null;
+
+    /**
+     * API key forced for the following operations (retry policies)
+     *
+     * @var int|null
+     */
+    private $key_override = null;
+
     /**
      * Get singleton instance
      *
@@ -191,8 +206,10 @@ class AI_Manager
         $strategy = $config['rotation_strategy'];
         $state = $config['rotation_state'];
 
-        // Get next API key using rotation strategy
-        $key_result = $this->key_rotator->get_next_key($provider_name, $strategy, $state);
+        // Get next API key using rotation strategy, unless a retry forces one
+        $key_result = $this->key_override
+            ? $this->get_override_key()
+            : $this->key_rotator->get_next_key($provider_name, $strategy, $state);
 
         if (is_wp_error($key_result)) {
             $this->logger->error(
@@ -204,7 +221,13 @@ class AI_Manager
         }
 
         $key_data = $key_result['key'];
-        $new_state = $key_result['state'];
+        $new_state = $key_result['state'] ?? $state;
+
+        // A forced key may belong to another provider; its default model is used then
+        if ($key_data['provider'] !== $provider_name) {
+            $provider_name = $key_data['provider'];
+            $config['model'] = '';
+        }
 
         // Get provider instance
         $provider = $this->get_provider($provider_name);
@@ -233,13 +256,20 @@ class AI_Manager
             $args['model'] = !empty($config['model']) ? $config['model'] : $provider->get_default_model();
         }
 
+        $this->last_call = [
+            'provider' => $provider_name,
+            'key_id' => (int) $key_data['id'],
+            'key_name' => $key_data['key_name'] ?? '',
+            'model' => $args['model'],
+        ];
+
         // Execute operation
         $result = $provider->$operation($args[0] ?? '', $args);
 
         // Handle result
         if (is_wp_error($result)) {
-            // Mark key as failed for failover strategy
-            if ($strategy === 'failover') {
+            // Mark key as failed for failover strategy (forced keys are not part of the rotation)
+            if ($strategy === 'failover' && !$this->key_override) {
                 $new_state = $this->key_rotator->mark_key_failed($provider_name, $key_data['id'], $new_state);
                 $this->key_rotator->update_campaign_state($campaign_id, $new_state);
             }
@@ -273,12 +303,73 @@ class AI_Manager
                 $operation,
                 $tokens_used,
                 $key_data['id']
-            )
+            ),
+            [
+                'operation' => $operation,
+                'tokens' => (int) $tokens_used,
+                'provider' => $provider_name,
+                'model' => $args['model'],
+                'key_id' => (int) $key_data['id'],
+            ]
         );
 
+        Campaign_Metrics::add_ai_usage($campaign_id, $tokens_used, $provider_name, $args['model']);
+
         return $result;
     }
 
+    /**
+     * Force the API key used by the following operations
+     *
+     * Retry policies use this to retry failed items with a different key,
+     * possibly of another provider. Rotation state is left untouched.
+     *
+     * @since 2.1.0
+     * @param int|null $key_id Key ID, or null to go back to rotation.
+     */
+    public function set_key_override($key_id)
+    {
+        $this->key_override = $key_id ? absint($key_id) : null;
+    }
+
+    /**
+     * Load the forced key in the shape Key_Rotator::get_next_key() returns
+     *
+     * @since 2.1.0
+     * @return array|WP_Error
+     */
+    private function get_override_key()
+    {
+        $key_data = $this->key_manager->get_key($this->key_override, true);
+
+        if (is_wp_error($key_data)) {
+            return $key_data;
+        }
+
+        if ($key_data['status'] !== 'active') {
+            return new WP_Error(
+                'key_inactive',
+                sprintf(__('API key %s is not active', 'autoblogcraft-ai'), $key_data['key_name'])
+            );
+        }
+
+        return ['key' => $key_data];
+    }
+
+    /**
+     * Get and forget the provider, key and model of the last operation
+     *
+     * @since 2.1.0
+     * @return array|null Null if no operation reached a provider since the last call.
+     */
+    public function take_last_call()
+    {
+        $call = $this->last_call;
+        $this->last_call = null;
+
+        return $call;
+    }
+
     /**
      * Rewrite content (convenience method)
      *
@@ -413,4 +504,57 @@ class AI_Manager
             'deepseek' => __('DeepSeek', 'autoblogcraft-ai'),
         ];
     }
+
+    /**
+     * Get model catalog for all providers
+     *
+     * Built from each provider class so the admin model picker and
+     * cost estimates never drift from what the providers actually send.
+     *
+     * @return array {
+     *     Keyed by provider name.
+     *
+     *     @type string $label         Provider label
+     *     @type string $default_model Provider default model
+     *     @type array  $models        Models keyed by ID (see Base_Provider::$models)
+     * }
+     */
+    public function get_model_catalog()
+    {
+        $catalog = [];
+
+        foreach ($this->get_available_providers() as $provider_name => $label) {
+            $provider = $this->get_provider($provider_name);
+
+            if (is_wp_error($provider)) {
+                continue;
+            }
+
+            $catalog[$provider_name] = [
+                'label' => $label,
+                'default_model' => $provider->get_default_model(),
+                'models' => $provider->get_models(),
+            ];
+        }
+
+        return $catalog;
+    }
+
+    /**
+     * Get a single model from the catalog
+     *
+     * @param string $provider_name Provider name
+     * @param string $model_id Model ID
+     * @return array|null Model data or null if unknown
+     */
+    public function get_model_info($provider_name, $model_id)
+    {
+        $catalog = $this->get_model_catalog();
+
+        if (!isset($catalog[$provider_name]['models'][$model_id])) {
+            return null;
+        }
+
+        return $catalog[$provider_name]['models'][$model_id];
+    }
 }
@@ -0,0 +1,116 @@
+<?php
+/**
+ * Prompt Library
+ *
+ * Saved prompt templates shared by all campaigns on the site.
+ *
+ * @package AutoBlogCraft\AI
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\AI;
+
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Prompt Library class
+ *
+ * @since 2.1.0
+ */
+class Prompt_Library {
+    /**
+     * Option holding the library
+     *
+     * @var string
+     */
+    const OPTION = 'abc_prompt_templates';
+
+    /**
+     * Templates kept in the library
+     *
+     * @var int
+     */
+    const MAX_TEMPLATES = 50;
+
+    /**
+     * Get all templates, sorted by name
+     *
+     * @since 2.1.0
+     * @return array Templates keyed by slug, each with 'name', 'template' and 'updated'.
+     */
+    public function get_templates() {
+        $templates = get_option(self::OPTION, []);
+        $templates = is_array($templates) ? $templates : [];
+
+        uasort($templates, function($a, $b) {
+            return strcasecmp($a['name'], $b['name']);
+        });
+
+        return $templates;
+    }
+
+    /**
+     * Create or overwrite a template
+     *
+     * @since 2.1.0
+     * @param string $name     Template name.
+     * @param string $template Template text.
+     * @return array|WP_Error Saved template (with 'slug') or error.
+     */
+    public function save_template($name, $template) {
+        $name = sanitize_text_field($name);
+        $slug = sanitize_title($name);
+        $template = sanitize_textarea_field($template);
+
+        if ($slug === '') {
+            return new WP_Error('invalid_template', __('Template name is required.', 'autoblogcraft-ai'));
+        }
+
+        if (trim($template) === '') {
+            return new WP_Error('invalid_template', __('Template text is empty.', 'autoblogcraft-ai'));
+        }
+
+        $templates = $this->get_templates();
+
+        if (!isset($templates[$slug]) && count($templates) >= self::MAX_TEMPLATES) {
+            return new WP_Error(
+                'too_many_templates',
+                sprintf(__('The library holds up to %d templates.', 'autoblogcraft-ai'), self::MAX_TEMPLATES)
+            );
+        }
+
+        $templates[$slug] = [
+            'name' => $name,
+            'template' => $template,
+            'updated' => time(),
+        ];
+
+        update_option(self::OPTION, $templates, false);
+
+        return array_merge(['slug' => $slug], $templates[$slug]);
+    }
+
+    /**
+     * Delete a template
+     *
+     * @since 2.1.0
+     * @param string $slug Template slug.
+     * @return bool True if a template was removed.
+     */
+    public function delete_template($slug) {
+        $templates = $this->get_templates();
+
+        if (!isset($templates[$slug])) {
+            return false;
+        }
+
+        unset($templates[$slug]);
+        update_option(self::OPTION, $templates, false);
+
+        return true;
+    }
+}
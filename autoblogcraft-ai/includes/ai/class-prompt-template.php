@@ -0,0 +1,125 @@
+<?php
+/**
+ * Prompt Template Utility
+ *
+ * Renders campaign prompt templates with {placeholder} variables.
+ * Single Responsibility: Variable definitions and substitution.
+ *
+ * @package AutoBlogCraft\AI
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\AI;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Prompt Template class
+ *
+ * A rendered template is sent to the provider as custom instructions;
+ * the source content and the response format are still added by the provider.
+ *
+ * @since 2.1.0
+ */
+class Prompt_Template {
+    /**
+     * Placeholder pattern, e.g. {source_excerpt}
+     *
+     * @var string
+     */
+    const PATTERN = '/\{([a-z_]+)\}/';
+
+    /**
+     * Words kept in {source_excerpt}
+     *
+     * @var int
+     */
+    const EXCERPT_WORDS = 60;
+
+    /**
+     * Get supported variables
+     *
+     * @since 2.1.0
+     * @return array Descriptions keyed by variable name.
+     */
+    public static function get_variables() {
+        return [
+            'title' => __('Source item title', 'autoblogcraft-ai'),
+            'source_excerpt' => __('First words of the source item', 'autoblogcraft-ai'),
+            'source_url' => __('Source item URL', 'autoblogcraft-ai'),
+            'keywords' => __('Campaign target keywords', 'autoblogcraft-ai'),
+            'language' => __('Output language', 'autoblogcraft-ai'),
+            'tone' => __('Writing tone', 'autoblogcraft-ai'),
+            'audience' => __('Target audience', 'autoblogcraft-ai'),
+            'min_words' => __('Minimum word count', 'autoblogcraft-ai'),
+            'max_words' => __('Maximum word count', 'autoblogcraft-ai'),
+            'campaign' => __('Campaign name', 'autoblogcraft-ai'),
+            'site_name' => __('This site\'s name', 'autoblogcraft-ai'),
+        ];
+    }
+
+    /**
+     * Replace known placeholders in a template
+     *
+     * Unknown placeholders are left untouched so typos stay visible.
+     *
+     * @since 2.1.0
+     * @param string $template Template text.
+     * @param array  $context  Values keyed by variable name.
+     * @return string
+     */
+    public static function render($template, $context) {
+        $variables = self::get_variables();
+
+        return preg_replace_callback(self::PATTERN, function($match) use ($variables, $context) {
+            if (!isset($variables[$match[1]])) {
+                return $match[0];
+            }
+
+            return (string) ($context[$match[1]] ?? '');
+        }, (string) $template);
+    }
+
+    /**
+     * List placeholders in a template that are not supported
+     *
+     * @since 2.1.0
+     * @param string $template Template text.
+     * @return string[]
+     */
+    public static function find_unknown($template) {
+        preg_match_all(self::PATTERN, (string) $template, $matches);
+
+        return array_values(array_unique(array_diff($matches[1], array_keys(self::get_variables()))));
+    }
+
+    /**
+     * Build variable values for a source item and campaign
+     *
+     * @since 2.1.0
+     * @param array  $item      Item with 'title', 'excerpt' or 'content', and 'url'.
+     * @param array  $ai_config Campaign AI config.
+     * @param string $campaign  Campaign name.
+     * @param string $keywords  Fallback keywords (e.g. news source keywords).
+     * @return array
+     */
+    public static function build_context($item, $ai_config, $campaign = '', $keywords = '') {
+        $text = !empty($item['excerpt']) ? $item['excerpt'] : ($item['content'] ?? '');
+
+        return [
+            'title' => wp_strip_all_tags($item['title'] ?? ''),
+            'source_excerpt' => wp_trim_words(wp_strip_all_tags($text), self::EXCERPT_WORDS),
+            'source_url' => $item['url'] ?? '',
+            'keywords' => !empty($ai_config['keywords']) ? $ai_config['keywords'] : $keywords,
+            'language' => ucfirst($ai_config['language'] ?? 'english'),
+            'tone' => $ai_config['tone'] ?? 'professional',
+            'audience' => $ai_config['audience'] ?? '',
+            'min_words' => (int) ($ai_config['min_words'] ?? 300),
+            'max_words' => (int) ($ai_config['max_words'] ?? 2000),
+            'campaign' => $campaign,
+            'site_name' => get_bloginfo('name'),
+        ];
+    }
+}
@@ -33,6 +33,42 @@ class Token_Counter {
         'deepseek' => 4,
     ];
 
+    /**
+     * Typical source length in words, by campaign type
+     *
+     * Website articles are fetched in full, news items are shorter,
+     * YouTube sources are transcripts and Amazon sources are listings.
+     *
+     * @var array
+     */
+    private static $typical_source_words = [
+        'website' => 1200,
+        'news' => 800,
+        'youtube' => 2500,
+        'amazon' => 600,
+    ];
+
+    /**
+     * Tokens per English word (rough estimate)
+     *
+     * @var float
+     */
+    private static $tokens_per_word = 1.35;
+
+    /**
+     * Fixed prompt tokens per request (instructions and response format)
+     *
+     * @var int
+     */
+    private static $prompt_overhead = 350;
+
+    /**
+     * SEO metadata returned alongside each rewrite
+     *
+     * @var int
+     */
+    private static $seo_output_tokens = 150;
+
     /**
      * Estimate tokens in text
      *
@@ -56,7 +92,7 @@ class Token_Counter {
     /**
      * Estimate cost based on tokens
      *
-     * Prices per 1M tokens (as of Jan 2026 - update regularly)
+     * Prices per 1M tokens come from the provider model catalog.
      *
      * @param int $tokens Token count
      * @param string $provider Provider name
@@ -81,45 +117,114 @@ class Token_Counter {
     /**
      * Get pricing for provider/model
      *
+     * Reads from the provider model catalog (see AI_Manager::get_model_catalog()).
+     *
      * @param string $provider Provider name
      * @param string $model Model name
      * @return array|null {input, output} prices per 1M tokens
      */
     private static function get_pricing($provider, $model) {
-        $pricing_table = [
-            'openai' => [
-                'gpt-4o' => ['input' => 2.50, 'output' => 10.00],
-                'gpt-4o-mini' => ['input' => 0.15, 'output' => 0.60],
-                'gpt-4-turbo' => ['input' => 10.00, 'output' => 30.00],
-                'gpt-3.5-turbo' => ['input' => 0.50, 'output' => 1.50],
-            ],
-            'gemini' => [
-                'gemini-2.0-flash-exp' => ['input' => 0.00, 'output' => 0.00], // Free tier
-                'gemini-1.5-pro' => ['input' => 1.25, 'output' => 5.00],
-                'gemini-1.5-flash' => ['input' => 0.075, 'output' => 0.30],
-            ],
-            'claude' => [
-                'claude-3-5-sonnet-20241022' => ['input' => 3.00, 'output' => 15.00],
-                'claude-3-5-haiku-20241022' => ['input' => 1.00, 'output' => 5.00],
-                'claude-3-opus' => ['input' => 15.00, 'output' => 75.00],
-            ],
-            'deepseek' => [
-                'deepseek-chat' => ['input' => 0.14, 'output' => 0.28],
-                'deepseek-coder' => ['input' => 0.14, 'output' => 0.28],
-            ],
-        ];
+        $catalog = AI_Manager::instance()->get_model_catalog();
+
+        if (empty($catalog[$provider]['models'])) {
+            return null;
+        }
+
+        $models = $catalog[$provider]['models'];
 
         // Try exact model match first
-        if (isset($pricing_table[$provider][$model])) {
-            return $pricing_table[$provider][$model];
+        if (isset($models[$model])) {
+            return $models[$model]['pricing'];
         }
 
-        // Fallback to first model of provider
-        if (isset($pricing_table[$provider])) {
-            return reset($pricing_table[$provider]);
+        // Fallback to provider default, then first model of provider
+        $default = $catalog[$provider]['default_model'];
+        if (isset($models[$default])) {
+            return $models[$default]['pricing'];
         }
 
-        return null;
+        $first = reset($models);
+        return $first['pricing'];
+    }
+
+    /**
+     * Get typical token usage for one post of a campaign
+     *
+     * @since 2.1.0
+     * @param string $campaign_type Campaign type.
+     * @param array  $ai_config     Campaign AI config (min_words, max_words, language, prompt_template).
+     * @return array {input, output, requests}
+     */
+    public static function get_typical_usage($campaign_type, $ai_config = []) {
+        $source_words = self::$typical_source_words[$campaign_type] ?? self::$typical_source_words['website'];
+        $min_words = !empty($ai_config['min_words']) ? (int) $ai_config['min_words'] : 300;
+        $max_words = !empty($ai_config['max_words']) ? (int) $ai_config['max_words'] : 2000;
+
+        if (!empty($ai_config['match_source_length'])) {
+            $min_words = $max_words = $source_words;
+        }
+
+        $article = (int) ceil((($min_words + max($min_words, $max_words)) / 2) * self::$tokens_per_word);
+        $template = !empty($ai_config['prompt_template']) ? self::estimate($ai_config['prompt_template']) : 0;
+
+        $input = self::$prompt_overhead + $template + (int) ceil($source_words * self::$tokens_per_word);
+        $output = $article + self::$seo_output_tokens;
+        $requests = 1;
+
+        // Non-English campaigns send the article through a second translation pass
+        if (!empty($ai_config['language']) && strtolower($ai_config['language']) !== 'english') {
+            $input += self::$prompt_overhead + $article;
+            $output += $article;
+            $requests++;
+        }
+
+        return [
+            'input' => $input,
+            'output' => $output,
+            'requests' => $requests,
+        ];
+    }
+
+    /**
+     * Project token usage and spend for a campaign
+     *
+     * @since 2.1.0
+     * @param array $args {
+     *     @type string $provider      Provider name
+     *     @type string $model         Model ID
+     *     @type string $campaign_type Campaign type
+     *     @type array  $ai_config     Campaign AI config
+     *     @type float  $posts_per_day Projected posts per day
+     * }
+     * @return array per_post, per_day and per_month, each {tokens, input_tokens, output_tokens, cost};
+     *               cost is null when the model has no pricing.
+     */
+    public static function estimate_campaign($args) {
+        $usage = self::get_typical_usage($args['campaign_type'] ?? 'website', $args['ai_config'] ?? []);
+        $priced = self::get_pricing($args['provider'] ?? '', $args['model'] ?? '') !== null;
+        $cost = $priced
+            ? self::estimate_cost($usage['input'], $args['provider'], $args['model'], 'input')
+                + self::estimate_cost($usage['output'], $args['provider'], $args['model'], 'output')
+            : null;
+
+        $project = function($multiplier) use ($usage, $cost) {
+            return [
+                'input_tokens' => (int) round($usage['input'] * $multiplier),
+                'output_tokens' => (int) round($usage['output'] * $multiplier),
+                'tokens' => (int) round(($usage['input'] + $usage['output']) * $multiplier),
+                'cost' => $cost === null ? null : $cost * $multiplier,
+            ];
+        };
+
+        $posts_per_day = max(0, (float) ($args['posts_per_day'] ?? 0));
+
+        return [
+            'requests_per_post' => $usage['requests'],
+            'posts_per_day' => $posts_per_day,
+            'per_post' => $project(1),
+            'per_day' => $project($posts_per_day),
+            'per_month' => $project($posts_per_day * 30),
+        ];
     }
 
     /**
@@ -50,6 +50,24 @@ abstract class Base_Provider {
      */
     protected $default_model = '';
 
+    /**
+     * Model catalog
+     *
+     * Keyed by model ID. Each entry describes the model's limits and
+     * pricing (USD per 1M tokens) so the admin UI and cost estimates
+     * share one source of truth.
+     *
+     * @var array {
+     *     @type string $label             Human-readable name
+     *     @type string $group             Dropdown group (e.g. Flagship, Fast)
+     *     @type int    $context_window    Max input tokens
+     *     @type int    $max_output_tokens Max output tokens
+     *     @type array  $pricing           {input, output} per 1M tokens
+     *     @type bool   $deprecated        Scheduled for removal by the provider
+     * }
+     */
+    protected $models = [];
+
     /**
      * Logger instance
      *
@@ -111,6 +129,40 @@ abstract class Base_Provider {
         return $this->default_model;
     }
 
+    /**
+     * Get model catalog
+     *
+     * @return array Models keyed by ID, with defaults filled in
+     */
+    public function get_models() {
+        $models = [];
+
+        foreach ($this->models as $model_id => $model) {
+            $models[$model_id] = wp_parse_args($model, [
+                'id' => $model_id,
+                'label' => $model_id,
+                'group' => '',
+                'context_window' => 0,
+                'max_output_tokens' => 0,
+                'pricing' => ['input' => 0.0, 'output' => 0.0],
+                'deprecated' => false,
+            ]);
+        }
+
+        return apply_filters('abc_provider_models', $models, $this->provider_name);
+    }
+
+    /**
+     * Get a single model's catalog entry
+     *
+     * @param string $model_id Model ID
+     * @return array|null Model data or null if unknown
+     */
+    public function get_model($model_id) {
+        $models = $this->get_models();
+        return isset($models[$model_id]) ? $models[$model_id] : null;
+    }
+
     /**
      * Check if provider supports a feature
      *
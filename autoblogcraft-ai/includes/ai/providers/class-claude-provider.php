@@ -44,7 +44,7 @@ class Claude_Provider extends Base_Provider {
 
         $this->provider_name = 'claude';
         $this->provider_label = 'Claude (Anthropic)';
-        $this->default_model = 'claude-3-5-sonnet-20241022';
+        $this->default_model = 'claude-sonnet-4-20250514';
 
         $this->supports = [
             'content_rewrite' => true,
@@ -52,6 +52,46 @@ class Claude_Provider extends Base_Provider {
             'humanization' => true,
             'streaming' => false,
         ];
+
+        $this->models = [
+            'claude-opus-4-1-20250805' => [
+                'label' => 'Claude Opus 4.1',
+                'group' => 'Flagship',
+                'context_window' => 200000,
+                'max_output_tokens' => 32000,
+                'pricing' => ['input' => 15.00, 'output' => 75.00],
+            ],
+            'claude-sonnet-4-20250514' => [
+                'label' => 'Claude Sonnet 4',
+                'group' => 'Flagship',
+                'context_window' => 200000,
+                'max_output_tokens' => 64000,
+                'pricing' => ['input' => 3.00, 'output' => 15.00],
+            ],
+            'claude-3-5-haiku-20241022' => [
+                'label' => 'Claude 3.5 Haiku',
+                'group' => 'Fast',
+                'context_window' => 200000,
+                'max_output_tokens' => 8192,
+                'pricing' => ['input' => 1.00, 'output' => 5.00],
+            ],
+            'claude-3-5-sonnet-20241022' => [
+                'label' => 'Claude 3.5 Sonnet',
+                'group' => 'Legacy',
+                'context_window' => 200000,
+                'max_output_tokens' => 8192,
+                'pricing' => ['input' => 3.00, 'output' => 15.00],
+                'deprecated' => true,
+            ],
+            'claude-3-opus-20240229' => [
+                'label' => 'Claude 3 Opus',
+                'group' => 'Legacy',
+                'context_window' => 200000,
+                'max_output_tokens' => 4096,
+                'pricing' => ['input' => 15.00, 'output' => 75.00],
+                'deprecated' => true,
+            ],
+        ];
     }
 
     /**
@@ -45,6 +45,31 @@ class DeepSeek_Provider extends Base_Provider {
             'humanization' => true,
             'streaming' => false,
         ];
+
+        $this->models = [
+            'deepseek-chat' => [
+                'label' => 'DeepSeek V3 (Chat)',
+                'group' => 'Flagship',
+                'context_window' => 64000,
+                'max_output_tokens' => 8192,
+                'pricing' => ['input' => 0.14, 'output' => 0.28],
+            ],
+            'deepseek-reasoner' => [
+                'label' => 'DeepSeek R1 (Reasoner)',
+                'group' => 'Reasoning',
+                'context_window' => 64000,
+                'max_output_tokens' => 8192,
+                'pricing' => ['input' => 0.55, 'output' => 2.19],
+            ],
+            'deepseek-coder' => [
+                'label' => 'DeepSeek Coder',
+                'group' => 'Legacy',
+                'context_window' => 16000,
+                'max_output_tokens' => 4096,
+                'pricing' => ['input' => 0.14, 'output' => 0.28],
+                'deprecated' => true,
+            ],
+        ];
     }
 
     /**
@@ -37,7 +37,7 @@ class Gemini_Provider extends Base_Provider {
 
         $this->provider_name = 'gemini';
         $this->provider_label = 'Google Gemini';
-        $this->default_model = 'gemini-2.0-flash-exp';
+        $this->default_model = 'gemini-2.0-flash';
 
         $this->supports = [
             'content_rewrite' => true,
@@ -45,6 +45,54 @@ class Gemini_Provider extends Base_Provider {
             'humanization' => true,
             'streaming' => false,
         ];
+
+        $this->models = [
+            'gemini-2.5-pro' => [
+                'label' => 'Gemini 2.5 Pro',
+                'group' => 'Flagship',
+                'context_window' => 1048576,
+                'max_output_tokens' => 65536,
+                'pricing' => ['input' => 1.25, 'output' => 10.00],
+            ],
+            'gemini-2.5-flash' => [
+                'label' => 'Gemini 2.5 Flash',
+                'group' => 'Fast',
+                'context_window' => 1048576,
+                'max_output_tokens' => 65536,
+                'pricing' => ['input' => 0.30, 'output' => 2.50],
+            ],
+            'gemini-2.0-flash' => [
+                'label' => 'Gemini 2.0 Flash',
+                'group' => 'Fast',
+                'context_window' => 1048576,
+                'max_output_tokens' => 8192,
+                'pricing' => ['input' => 0.10, 'output' => 0.40],
+            ],
+            'gemini-2.0-flash-exp' => [
+                'label' => 'Gemini 2.0 Flash (Experimental)',
+                'group' => 'Legacy',
+                'context_window' => 1048576,
+                'max_output_tokens' => 8192,
+                'pricing' => ['input' => 0.00, 'output' => 0.00],
+                'deprecated' => true,
+            ],
+            'gemini-1.5-pro' => [
+                'label' => 'Gemini 1.5 Pro',
+                'group' => 'Legacy',
+                'context_window' => 2097152,
+                'max_output_tokens' => 8192,
+                'pricing' => ['input' => 1.25, 'output' => 5.00],
+                'deprecated' => true,
+            ],
+            'gemini-1.5-flash' => [
+                'label' => 'Gemini 1.5 Flash',
+                'group' => 'Legacy',
+                'context_window' => 1048576,
+                'max_output_tokens' => 8192,
+                'pricing' => ['input' => 0.075, 'output' => 0.30],
+                'deprecated' => true,
+            ],
+        ];
     }
 
     /**
@@ -46,6 +46,53 @@ class OpenAI_Provider extends Base_Provider {
             'humanization' => true,
             'streaming' => false,
         ];
+
+        $this->models = [
+            'gpt-4o' => [
+                'label' => 'GPT-4o',
+                'group' => 'Flagship',
+                'context_window' => 128000,
+                'max_output_tokens' => 16384,
+                'pricing' => ['input' => 2.50, 'output' => 10.00],
+            ],
+            'gpt-4.1' => [
+                'label' => 'GPT-4.1',
+                'group' => 'Flagship',
+                'context_window' => 1047576,
+                'max_output_tokens' => 32768,
+                'pricing' => ['input' => 2.00, 'output' => 8.00],
+            ],
+            'gpt-4o-mini' => [
+                'label' => 'GPT-4o mini',
+                'group' => 'Fast',
+                'context_window' => 128000,
+                'max_output_tokens' => 16384,
+                'pricing' => ['input' => 0.15, 'output' => 0.60],
+            ],
+            'gpt-4.1-mini' => [
+                'label' => 'GPT-4.1 mini',
+                'group' => 'Fast',
+                'context_window' => 1047576,
+                'max_output_tokens' => 32768,
+                'pricing' => ['input' => 0.40, 'output' => 1.60],
+            ],
+            'gpt-4-turbo' => [
+                'label' => 'GPT-4 Turbo',
+                'group' => 'Legacy',
+                'context_window' => 128000,
+                'max_output_tokens' => 4096,
+                'pricing' => ['input' => 10.00, 'output' => 30.00],
+                'deprecated' => true,
+            ],
+            'gpt-3.5-turbo' => [
+                'label' => 'GPT-3.5 Turbo',
+                'group' => 'Legacy',
+                'context_window' => 16385,
+                'max_output_tokens' => 4096,
+                'pricing' => ['input' => 0.50, 'output' => 1.50],
+                'deprecated' => true,
+            ],
+        ];
     }
 
     /**
@@ -11,6 +11,7 @@
 namespace AutoBlogCraft\API\Endpoints;
 
 use AutoBlogCraft\Core\Logger;
+use AutoBlogCraft\Campaigns\Campaign_Stats;
 use AutoBlogCraft\API\Auth_Handler;
 use WP_REST_Server;
 use WP_REST_Request;
@@ -88,6 +89,18 @@ class Stats_Endpoint {
                     'type' => 'integer',
                     'description' => 'Campaign ID',
                 ],
+                'range' => [
+                    'type' => 'string',
+                    'enum' => array_keys(Campaign_Stats::RANGES),
+                    'default' => '7d',
+                    'description' => 'Time series range',
+                ],
+                'interval' => [
+                    'type' => 'string',
+                    'enum' => ['', 'hour', 'day'],
+                    'default' => '',
+                    'description' => 'Time series bucket size (hour is limited to 7 days)',
+                ],
             ],
         ]);
 
@@ -223,6 +236,10 @@ class Stats_Endpoint {
                 'success_rate' => $this->calculate_success_rate($campaign_id),
             ],
             'timeline' => $this->get_campaign_timeline($campaign_id),
+            'series' => (new Campaign_Stats($campaign_id))->get_series(
+                (string) $request->get_param('range'),
+                (string) $request->get_param('interval')
+            ),
         ];
 
         return new WP_REST_Response($stats);
@@ -0,0 +1,121 @@
+<?php
+/**
+ * Campaign Activity
+ *
+ * Logs campaign status changes and settings edits with structured context,
+ * so the overview charts can mark them on their timelines.
+ *
+ * @package AutoBlogCraft\Campaigns
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Campaigns;
+
+use AutoBlogCraft\Core\Logger;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Campaign Activity class
+ *
+ * Status changes are picked up from the _campaign_status meta itself, as
+ * campaigns are paused and resumed from several places (list actions, bulk
+ * actions, REST, auto-pause on discovery errors).
+ *
+ * @since 2.1.0
+ */
+class Campaign_Activity {
+
+    /**
+     * Log category of activity entries
+     *
+     * @var string
+     */
+    const CATEGORY = 'campaign';
+
+    /**
+     * Register hooks
+     *
+     * @since 2.1.0
+     */
+    public static function init() {
+        add_action('update_post_meta', [__CLASS__, 'on_update_meta'], 10, 4);
+        add_action('added_post_meta', [__CLASS__, 'on_added_meta'], 10, 4);
+        add_action('abc_campaign_settings_saved', [__CLASS__, 'on_settings_saved'], 10, 2);
+    }
+
+    /**
+     * Log a status change before the meta is written
+     *
+     * @since 2.1.0
+     * @param int    $meta_id    Meta ID.
+     * @param int    $object_id  Post ID.
+     * @param string $meta_key   Meta key.
+     * @param mixed  $meta_value New value.
+     */
+    public static function on_update_meta($meta_id, $object_id, $meta_key, $meta_value) {
+        if ($meta_key !== '_campaign_status' || get_post_type($object_id) !== 'abc_campaign') {
+            return;
+        }
+
+        self::log_status_change($object_id, (string) get_post_meta($object_id, '_campaign_status', true), (string) $meta_value);
+    }
+
+    /**
+     * Log the first status written to a campaign
+     *
+     * Campaigns without a status count as active, so only other statuses
+     * are a change.
+     *
+     * @since 2.1.0
+     * @param int    $meta_id    Meta ID.
+     * @param int    $object_id  Post ID.
+     * @param string $meta_key   Meta key.
+     * @param mixed  $meta_value New value.
+     */
+    public static function on_added_meta($meta_id, $object_id, $meta_key, $meta_value) {
+        if ($meta_key !== '_campaign_status' || get_post_type($object_id) !== 'abc_campaign') {
+            return;
+        }
+
+        self::log_status_change($object_id, 'active', (string) $meta_value);
+    }
+
+    /**
+     * Log a status change
+     *
+     * @since 2.1.0
+     * @param int    $campaign_id Campaign ID.
+     * @param string $from        Previous status.
+     * @param string $to          New status.
+     */
+    private static function log_status_change($campaign_id, $from, $to) {
+        if ($from === $to) {
+            return;
+        }
+
+        Logger::instance()->info($campaign_id, self::CATEGORY, sprintf('Campaign status changed from %s to %s', $from ?: 'none', $to), [
+            'event' => 'status',
+            'from' => $from,
+            'to' => $to,
+            'user_id' => get_current_user_id(),
+        ]);
+    }
+
+    /**
+     * Log a settings edit
+     *
+     * @since 2.1.0
+     * @param int    $campaign_id Campaign ID.
+     * @param string $section     Settings section that was saved (editor tab).
+     */
+    public static function on_settings_saved($campaign_id, $section = '') {
+        Logger::instance()->info($campaign_id, self::CATEGORY, $section ? sprintf('Campaign settings saved (%s)', $section) : 'Campaign settings saved', [
+            'event' => 'settings',
+            'section' => (string) $section,
+            'user_id' => get_current_user_id(),
+        ]);
+    }
+}
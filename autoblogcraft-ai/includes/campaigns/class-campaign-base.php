@@ -9,6 +9,7 @@
 namespace AutoBlogCraft\Campaigns;
 
 use AutoBlogCraft\Core\Logger;
+use AutoBlogCraft\Cron\Discovery_Schedule;
 use WP_Error;
 
 if (!defined('ABSPATH')) {
@@ -166,63 +167,24 @@ abstract class Campaign_Base {
     }
 
     /**
-     * Get discovery interval in seconds
+     * Get discovery schedule
      *
-     * @return int
+     * @return Discovery_Schedule
      */
-    public function get_discovery_interval() {
-        $interval = $this->get_meta('_discovery_interval', '1hr');
-        return $this->parse_interval($interval);
+    public function get_discovery_schedule() {
+        return Discovery_Schedule::for_campaign($this->campaign_id);
     }
 
     /**
-     * Parse interval string to seconds
+     * Get discovery interval in seconds
      *
-     * @param string $interval Interval string (e.g., 'every_1_hour', 'daily', 'custom_1h_30m')
-     * @return int Seconds
+     * Average gap between scheduled runs; use get_discovery_schedule()
+     * for exact run times.
+     *
+     * @return int
      */
-    protected function parse_interval($interval) {
-        if (is_numeric($interval)) {
-            return absint($interval);
-        }
-
-        // Handle standardized intervals
-        $predefined = [
-            'every_1_hour' => HOUR_IN_SECONDS,
-            'every_2_hours' => 2 * HOUR_IN_SECONDS,
-            'every_4_hours' => 4 * HOUR_IN_SECONDS,
-            'every_6_hours' => 6 * HOUR_IN_SECONDS,
-            'every_12_hours' => 12 * HOUR_IN_SECONDS,
-            'daily' => DAY_IN_SECONDS,
-            'weekly' => 7 * DAY_IN_SECONDS,
-            'monthly' => 30 * DAY_IN_SECONDS,
-        ];
-
-        if (isset($predefined[$interval])) {
-            return $predefined[$interval];
-        }
-
-        // Parse custom interval format: custom_Xh_Ym (e.g., custom_1h_30m, custom_0h_45m)
-        if (preg_match('/^custom_(\d+)h_(\d+)m$/', $interval, $matches)) {
-            $hours = absint($matches[1]);
-            $minutes = absint($matches[2]);
-            
-            // Validate bounds
-            $hours = min($hours, 999);
-            $minutes = min($minutes, 59);
-            
-            $total_seconds = ($hours * HOUR_IN_SECONDS) + ($minutes * MINUTE_IN_SECONDS);
-            
-            // Enforce minimum of 15 minutes (900 seconds)
-            if ($total_seconds < 900) {
-                $total_seconds = 900;
-            }
-            
-            return $total_seconds;
-        }
-
-        // Default to 1 hour if format not recognized
-        return HOUR_IN_SECONDS;
+    public function get_discovery_interval() {
+        return $this->get_discovery_schedule()->get_interval_seconds();
     }
 
     /**
@@ -235,16 +197,17 @@ abstract class Campaign_Base {
             return false;
         }
 
+        $schedule = $this->get_discovery_schedule();
         $last_run = $this->get_meta('_last_discovery_run');
         
         if (empty($last_run)) {
-            return true; // Never run before
+            // Never run before; still respect weekdays and quiet hours
+            return $schedule->is_active_at(time());
         }
 
-        $interval = $this->get_discovery_interval();
-        $next_run = $last_run + $interval;
+        $next_run = $schedule->get_next_run((int) $last_run);
 
-        return time() >= $next_run;
+        return $next_run !== null && time() >= $next_run;
     }
 
     /**
@@ -0,0 +1,547 @@
+<?php
+/**
+ * Campaign Bundle
+ *
+ * Exports campaigns to a versioned JSON bundle and imports them on another
+ * site. Bundles never carry secrets: API keys travel as references
+ * (provider + name) and are remapped to the target site's keys on import.
+ *
+ * @package AutoBlogCraft\Campaigns
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Campaigns;
+
+use AutoBlogCraft\AI\Key_Manager;
+use AutoBlogCraft\Core\Logger;
+use AutoBlogCraft\Cron\Discovery_Schedule;
+use AutoBlogCraft\Processing\Retry_Policy;
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Campaign Bundle class
+ *
+ * Responsibilities:
+ * - Serialize campaign settings, sources, AI config and schedule
+ * - Strip secrets and replace API key IDs with portable references
+ * - Validate incoming bundles and preview them against existing campaigns
+ * - Create imported campaigns through Campaign_Factory
+ *
+ * @since 2.1.0
+ */
+class Campaign_Bundle {
+
+    /**
+     * Bundle format identifier
+     *
+     * @var string
+     */
+    const FORMAT = 'autoblogcraft-campaigns';
+
+    /**
+     * Current bundle version. Bump when the campaign shape changes.
+     *
+     * @var int
+     */
+    const VERSION = 1;
+
+    /**
+     * Array keys whose values are never exported
+     *
+     * @var string
+     */
+    const SECRET_PATTERN = '/(api_?key|secret|token|password)$/i';
+
+    /**
+     * Array keys whose values are multi-line and keep their line breaks
+     *
+     * @var array
+     */
+    const MULTILINE_KEYS = ['system_prompt', 'prompt_template', 'description'];
+
+    /**
+     * Key manager
+     *
+     * @var Key_Manager
+     */
+    private $key_manager;
+
+    /**
+     * Logger instance
+     *
+     * @var Logger
+     */
+    private $logger;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     */
+    public function __construct() {
+        $this->key_manager = new Key_Manager();
+        $this->logger = Logger::instance();
+    }
+
+    /**
+     * Export campaigns to a bundle
+     *
+     * @since 2.1.0
+     * @param int[] $campaign_ids Campaign IDs.
+     * @return array Bundle data (encode with wp_json_encode()).
+     */
+    public function export($campaign_ids) {
+        $campaigns = [];
+
+        foreach (array_map('absint', $campaign_ids) as $campaign_id) {
+            $post = get_post($campaign_id);
+
+            if (!$post || $post->post_type !== 'abc_campaign') {
+                continue;
+            }
+
+            $campaigns[] = $this->export_campaign($post);
+        }
+
+        return [
+            'format' => self::FORMAT,
+            'version' => self::VERSION,
+            'plugin_version' => ABC_VERSION,
+            'exported_at' => gmdate('c'),
+            'site_url' => home_url(),
+            'campaigns' => $campaigns,
+        ];
+    }
+
+    /**
+     * Export a single campaign
+     *
+     * @since 2.1.0
+     * @param \WP_Post $post Campaign post.
+     * @return array
+     */
+    private function export_campaign($post) {
+        $id = $post->ID;
+        $ai_config = get_post_meta($id, '_ai_config', true);
+        $ai_config = is_array($ai_config) ? $ai_config : [];
+        $category_id = (int) get_post_meta($id, '_wp_category_id', true);
+        $author_id = (int) get_post_meta($id, '_wp_author_id', true);
+        $category = $category_id ? get_category($category_id) : null;
+        $author = $author_id ? get_userdata($author_id) : null;
+
+        // Swap the local key ID for a reference the target site can resolve
+        $api_key = null;
+        if (!empty($ai_config['api_key_id'])) {
+            $api_key = $this->get_key_reference($ai_config['api_key_id']);
+        }
+        unset($ai_config['api_key_id']);
+
+        $source_config = get_post_meta($id, '_source_config', true);
+        $limits = get_post_meta($id, '_limits', true);
+
+        // Retry keys are site-specific, like the campaign key
+        $retry_policy = Retry_Policy::for_campaign($id)->to_array();
+        unset($retry_policy['retry_key_id']);
+
+        return [
+            'title' => $post->post_title,
+            'type' => get_post_meta($id, '_campaign_type', true),
+            'settings' => [
+                'description' => (string) get_post_meta($id, '_campaign_description', true),
+                'limits' => is_array($limits) ? $limits : [],
+                'retry_policy' => $retry_policy,
+                'post_status' => (string) get_post_meta($id, '_wp_post_status', true),
+                'seo_plugin' => (string) get_post_meta($id, '_wp_seo_plugin', true),
+            ],
+            'sources' => $this->strip_secrets(is_array($source_config) ? $source_config : []),
+            'ai_config' => $this->strip_secrets($ai_config),
+            'api_key' => $api_key,
+            'schedule' => Discovery_Schedule::for_campaign($id)->to_array(),
+            'category' => $category && !is_wp_error($category) ? ['id' => $category_id, 'slug' => $category->slug, 'name' => $category->name] : null,
+            'author' => $author ? ['id' => $author_id, 'login' => $author->user_login] : null,
+        ];
+    }
+
+    /**
+     * Parse and validate a bundle
+     *
+     * @since 2.1.0
+     * @param string|array $bundle JSON string or decoded bundle.
+     * @return array|WP_Error Bundle or error.
+     */
+    public function parse($bundle) {
+        if (is_string($bundle)) {
+            $bundle = json_decode($bundle, true);
+        }
+
+        if (!is_array($bundle) || ($bundle['format'] ?? '') !== self::FORMAT) {
+            return new WP_Error('invalid_bundle', __('This file is not an AutoBlogCraft campaign bundle.', 'autoblogcraft-ai'));
+        }
+
+        $version = (int) ($bundle['version'] ?? 0);
+        if ($version < 1 || $version > self::VERSION) {
+            return new WP_Error(
+                'unsupported_bundle_version',
+                sprintf(__('Bundle version %d is not supported. Update AutoBlogCraft on this site and try again.', 'autoblogcraft-ai'), $version)
+            );
+        }
+
+        if (empty($bundle['campaigns']) || !is_array($bundle['campaigns'])) {
+            return new WP_Error('empty_bundle', __('The bundle does not contain any campaigns.', 'autoblogcraft-ai'));
+        }
+
+        $types = Campaign_Factory::get_registered_types();
+
+        foreach (array_values($bundle['campaigns']) as $index => $campaign) {
+            if (!is_array($campaign) || empty($campaign['title']) || !in_array($campaign['type'] ?? '', $types, true)) {
+                return new WP_Error(
+                    'invalid_bundle_campaign',
+                    sprintf(__('Campaign #%d in the bundle is missing a title or has an unknown type.', 'autoblogcraft-ai'), $index + 1)
+                );
+            }
+        }
+
+        $bundle['campaigns'] = array_values($bundle['campaigns']);
+
+        return $bundle;
+    }
+
+    /**
+     * Preview an import
+     *
+     * For each campaign: whether one with the same title and type already
+     * exists (with a field diff), plus suggested key and category mappings.
+     *
+     * @since 2.1.0
+     * @param array $bundle Parsed bundle.
+     * @return array
+     */
+    public function preview($bundle) {
+        $preview = [];
+
+        foreach ($bundle['campaigns'] as $index => $campaign) {
+            $existing_id = $this->find_existing($campaign['title'], $campaign['type']);
+            $diff = [];
+
+            if ($existing_id) {
+                $current = $this->flatten($this->export_campaign(get_post($existing_id)));
+                $incoming = $this->flatten($campaign);
+
+                foreach (array_unique(array_merge(array_keys($current), array_keys($incoming))) as $field) {
+                    // IDs are site-specific; the mapping UI covers them
+                    if (preg_match('/(^|\.)id$/', $field)) {
+                        continue;
+                    }
+
+                    $before = $current[$field] ?? null;
+                    $after = $incoming[$field] ?? null;
+
+                    if ((string) $before !== (string) $after) {
+                        $diff[] = ['field' => $field, 'current' => $before, 'incoming' => $after];
+                    }
+                }
+            }
+
+            $preview[] = [
+                'index' => $index,
+                'title' => $campaign['title'],
+                'type' => $campaign['type'],
+                'source_count' => $this->count_sources($campaign['sources'] ?? []),
+                'schedule' => (new Discovery_Schedule($campaign['schedule'] ?? []))->describe(),
+                'existing_id' => $existing_id,
+                'diff' => $diff,
+                'api_key' => $campaign['api_key'] ?? null,
+                'suggested_key_id' => $this->match_key($campaign['api_key'] ?? null),
+                'category' => $campaign['category'] ?? null,
+                'suggested_category_id' => $this->match_category($campaign['category'] ?? null),
+            ];
+        }
+
+        return $preview;
+    }
+
+    /**
+     * Import campaigns from a bundle
+     *
+     * Imported campaigns start paused so nothing runs before review.
+     *
+     * @since 2.1.0
+     * @param array $bundle  Parsed bundle.
+     * @param int[] $indexes Campaign indexes to import.
+     * @param array $mapping Per index: ['api_key_id' => int, 'category_id' => int].
+     * @return array Result per campaign.
+     */
+    public function import($bundle, $indexes, $mapping = []) {
+        $results = [];
+
+        foreach (array_map('absint', $indexes) as $index) {
+            if (!isset($bundle['campaigns'][$index])) {
+                continue;
+            }
+
+            $campaign = $bundle['campaigns'][$index];
+            $map = isset($mapping[$index]) && is_array($mapping[$index]) ? $mapping[$index] : [];
+            $result = $this->import_campaign($campaign, $map);
+
+            $results[] = is_wp_error($result)
+                ? ['index' => $index, 'title' => $campaign['title'], 'success' => false, 'message' => $result->get_error_message()]
+                : [
+                    'index' => $index,
+                    'title' => $campaign['title'],
+                    'success' => true,
+                    'campaign_id' => $result,
+                    'edit_url' => admin_url('admin.php?page=abc-campaign-editor&campaign_id=' . $result),
+                ];
+        }
+
+        return $results;
+    }
+
+    /**
+     * Create one campaign from bundle data
+     *
+     * @since 2.1.0
+     * @param array $campaign Bundle campaign.
+     * @param array $map      Key/category mapping.
+     * @return int|WP_Error New campaign ID or error.
+     */
+    private function import_campaign($campaign, $map) {
+        $instance = Campaign_Factory::create_new($campaign['type'], [
+            'post_title' => sanitize_text_field($campaign['title']),
+        ]);
+
+        if (is_wp_error($instance)) {
+            return $instance;
+        }
+
+        $id = $instance->get_id();
+        $settings = $campaign['settings'] ?? [];
+        $ai_config = $this->sanitize_recursive($this->strip_secrets($campaign['ai_config'] ?? []));
+
+        $key_id = isset($map['api_key_id']) ? absint($map['api_key_id']) : $this->match_key($campaign['api_key'] ?? null);
+        if ($key_id) {
+            $ai_config['api_key_id'] = $key_id;
+        }
+
+        update_post_meta($id, '_campaign_status', 'paused');
+        update_post_meta($id, '_source_config', $this->sanitize_recursive($this->strip_secrets($campaign['sources'] ?? [])));
+        update_post_meta($id, '_ai_config', $ai_config);
+        update_post_meta($id, Discovery_Schedule::META_KEY, (new Discovery_Schedule($campaign['schedule'] ?? []))->to_array());
+
+        if (!empty($settings['description'])) {
+            update_post_meta($id, '_campaign_description', sanitize_textarea_field($settings['description']));
+        }
+        if (!empty($settings['limits']) && is_array($settings['limits'])) {
+            update_post_meta($id, '_limits', array_map('absint', $settings['limits']));
+        }
+        if (!empty($settings['retry_policy']) && is_array($settings['retry_policy'])) {
+            $retry_policy = array_merge($settings['retry_policy'], ['retry_key_id' => 0]);
+            update_post_meta($id, Retry_Policy::META_KEY, (new Retry_Policy($retry_policy))->to_array());
+        }
+        if (!empty($settings['post_status'])) {
+            update_post_meta($id, '_wp_post_status', sanitize_key($settings['post_status']));
+        }
+        if (!empty($settings['seo_plugin'])) {
+            update_post_meta($id, '_wp_seo_plugin', sanitize_key($settings['seo_plugin']));
+        }
+
+        $category_id = isset($map['category_id']) ? absint($map['category_id']) : $this->match_category($campaign['category'] ?? null);
+        if ($category_id) {
+            update_post_meta($id, '_wp_category_id', $category_id);
+        }
+
+        if (!empty($campaign['author']['login'])) {
+            $author = get_user_by('login', $campaign['author']['login']);
+            update_post_meta($id, '_wp_author_id', $author ? $author->ID : get_current_user_id());
+        }
+
+        $this->logger->info($id, 'campaign', sprintf('Imported campaign "%s" from bundle', $campaign['title']));
+
+        /**
+         * Fires after a campaign is imported from a bundle
+         *
+         * @since 2.1.0
+         * @param int   $id       New campaign ID.
+         * @param array $campaign Bundle campaign data.
+         */
+        do_action('abc_campaign_imported', $id, $campaign);
+
+        return $id;
+    }
+
+    /**
+     * Describe an API key without its secret
+     *
+     * @since 2.1.0
+     * @param int $key_id Key ID.
+     * @return array|null
+     */
+    private function get_key_reference($key_id) {
+        $key = $this->key_manager->get_key($key_id, false);
+
+        if (is_wp_error($key)) {
+            return null;
+        }
+
+        return [
+            'id' => (int) $key['id'],
+            'provider' => $key['provider'],
+            'name' => $key['key_name'],
+        ];
+    }
+
+    /**
+     * Find a local API key for a reference: same provider and name, else same provider
+     *
+     * @since 2.1.0
+     * @param array|null $reference Key reference from the bundle.
+     * @return int Key ID or 0.
+     */
+    private function match_key($reference) {
+        if (empty($reference['provider'])) {
+            return 0;
+        }
+
+        $keys = $this->key_manager->get_keys_by_provider($reference['provider']);
+
+        foreach ($keys as $key) {
+            if ($key['key_name'] === ($reference['name'] ?? '')) {
+                return (int) $key['id'];
+            }
+        }
+
+        return $keys ? (int) $keys[0]['id'] : 0;
+    }
+
+    /**
+     * Find a local category by slug, then by name
+     *
+     * @since 2.1.0
+     * @param array|null $reference Category reference from the bundle.
+     * @return int Category ID or 0.
+     */
+    private function match_category($reference) {
+        if (empty($reference)) {
+            return 0;
+        }
+
+        $term = !empty($reference['slug']) ? get_term_by('slug', $reference['slug'], 'category') : false;
+
+        if (!$term && !empty($reference['name'])) {
+            $term = get_term_by('name', $reference['name'], 'category');
+        }
+
+        return $term ? (int) $term->term_id : 0;
+    }
+
+    /**
+     * Find an existing campaign with the same title and type
+     *
+     * @since 2.1.0
+     * @param string $title Campaign title.
+     * @param string $type  Campaign type.
+     * @return int Campaign ID or 0.
+     */
+    private function find_existing($title, $type) {
+        $ids = get_posts([
+            'post_type' => 'abc_campaign',
+            'post_status' => 'any',
+            'title' => $title,
+            'meta_key' => '_campaign_type',
+            'meta_value' => $type,
+            'posts_per_page' => 1,
+            'fields' => 'ids',
+        ]);
+
+        return $ids ? (int) $ids[0] : 0;
+    }
+
+    /**
+     * Count sources in a source config
+     *
+     * @since 2.1.0
+     * @param array $sources Source config.
+     * @return int
+     */
+    private function count_sources($sources) {
+        if (isset($sources['sources']) && is_array($sources['sources'])) {
+            return count($sources['sources']);
+        }
+
+        return empty($sources) ? 0 : 1;
+    }
+
+    /**
+     * Remove secret values (API keys, tokens, ...) recursively
+     *
+     * @since 2.1.0
+     * @param array $data Data.
+     * @return array
+     */
+    private function strip_secrets($data) {
+        foreach ($data as $key => $value) {
+            if (is_string($key) && preg_match(self::SECRET_PATTERN, $key)) {
+                unset($data[$key]);
+            } elseif (is_array($value)) {
+                $data[$key] = $this->strip_secrets($value);
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Flatten nested data to dot-notation keys for diffing
+     *
+     * @since 2.1.0
+     * @param array  $data   Data.
+     * @param string $prefix Key prefix.
+     * @return array
+     */
+    private function flatten($data, $prefix = '') {
+        $flat = [];
+
+        foreach ((array) $data as $key => $value) {
+            $path = $prefix === '' ? (string) $key : $prefix . '.' . $key;
+
+            if (is_array($value) && !empty($value)) {
+                $flat = array_merge($flat, $this->flatten($value, $path));
+            } else {
+                $flat[$path] = is_bool($value) ? ($value ? 'true' : 'false') : (is_array($value) ? '' : $value);
+            }
+        }
+
+        return $flat;
+    }
+
+    /**
+     * Sanitize imported values recursively
+     *
+     * Values under MULTILINE_KEYS keep their line breaks.
+     *
+     * @since 2.1.0
+     * @param mixed $data      Data.
+     * @param bool  $multiline Whether a string value is multi-line.
+     * @return mixed
+     */
+    private function sanitize_recursive($data, $multiline = false) {
+        if (is_array($data)) {
+            $clean = [];
+            foreach ($data as $key => $value) {
+                $key = is_int($key) ? $key : sanitize_key($key);
+                $clean[$key] = $this->sanitize_recursive($value, in_array($key, self::MULTILINE_KEYS, true));
+            }
+            return $clean;
+        }
+
+        if (is_bool($data) || is_int($data) || is_float($data)) {
+            return $data;
+        }
+
+        return $multiline ? sanitize_textarea_field((string) $data) : sanitize_text_field((string) $data);
+    }
+}
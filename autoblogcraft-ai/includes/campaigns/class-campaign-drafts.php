@@ -0,0 +1,217 @@
+<?php
+/**
+ * Campaign Drafts
+ *
+ * Server-side storage for half-finished campaign wizard submissions.
+ * Drafts live in user meta so each user only sees and resumes their own.
+ *
+ * @package AutoBlogCraft\Campaigns
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Campaigns;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Campaign Drafts class
+ *
+ * Responsibilities:
+ * - Save wizard form state per user
+ * - List drafts for the "Resume draft" entry
+ * - Discard drafts once resumed, finished or abandoned
+ *
+ * @since 2.1.0
+ */
+class Campaign_Drafts {
+
+    /**
+     * User meta key holding all drafts
+     *
+     * @var string
+     */
+    const META_KEY = '_abc_campaign_drafts';
+
+    /**
+     * Drafts kept per user (oldest dropped first)
+     *
+     * @var int
+     */
+    const MAX_DRAFTS = 5;
+
+    /**
+     * User ID
+     *
+     * @var int
+     */
+    private $user_id;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int $user_id User ID. Defaults to the current user.
+     */
+    public function __construct($user_id = 0) {
+        $this->user_id = $user_id ? absint($user_id) : get_current_user_id();
+    }
+
+    /**
+     * Get all drafts, newest first
+     *
+     * @since 2.1.0
+     * @return array Drafts keyed by ID.
+     */
+    public function get_drafts() {
+        $drafts = get_user_meta($this->user_id, self::META_KEY, true);
+
+        if (!is_array($drafts)) {
+            return [];
+        }
+
+        return $this->sort_drafts($drafts);
+    }
+
+    /**
+     * Get a single draft
+     *
+     * @since 2.1.0
+     * @param string $draft_id Draft ID.
+     * @return array|null Draft or null if not found.
+     */
+    public function get_draft($draft_id) {
+        $drafts = $this->get_drafts();
+        return $drafts[$draft_id] ?? null;
+    }
+
+    /**
+     * Create or update a draft
+     *
+     * @since 2.1.0
+     * @param string $draft_id Draft ID (empty to create).
+     * @param array  $fields   Form fields as [['name' => ..., 'value' => ...], ...].
+     * @param string $step     Wizard step the user was on.
+     * @return array|\WP_Error Saved draft or error.
+     */
+    public function save_draft($draft_id, $fields, $step = '') {
+        if (!is_array($fields)) {
+            return new \WP_Error('invalid_draft', __('Invalid draft data.', 'autoblogcraft'));
+        }
+
+        $drafts = $this->get_drafts();
+        $draft_id = sanitize_key($draft_id);
+
+        if (!$draft_id || !isset($drafts[$draft_id])) {
+            $draft_id = strtolower(wp_generate_password(12, false));
+        }
+
+        $clean_fields = $this->sanitize_fields($fields);
+
+        $drafts[$draft_id] = [
+            'id' => $draft_id,
+            'title' => $this->get_field_value($clean_fields, 'post_title'),
+            'type' => sanitize_key($this->get_field_value($clean_fields, 'campaign_type')),
+            'step' => sanitize_key($step),
+            'fields' => $clean_fields,
+            'updated' => time(),
+        ];
+
+        // Keep the newest drafts only
+        $drafts = array_slice($this->sort_drafts($drafts), 0, self::MAX_DRAFTS, true);
+
+        update_user_meta($this->user_id, self::META_KEY, $drafts);
+
+        return $drafts[$draft_id];
+    }
+
+    /**
+     * Delete a draft
+     *
+     * @since 2.1.0
+     * @param string $draft_id Draft ID.
+     * @return bool True if a draft was removed.
+     */
+    public function delete_draft($draft_id) {
+        $drafts = $this->get_drafts();
+        $draft_id = sanitize_key($draft_id);
+
+        if (!isset($drafts[$draft_id])) {
+            return false;
+        }
+
+        unset($drafts[$draft_id]);
+
+        if (empty($drafts)) {
+            delete_user_meta($this->user_id, self::META_KEY);
+        } else {
+            update_user_meta($this->user_id, self::META_KEY, $drafts);
+        }
+
+        return true;
+    }
+
+    /**
+     * Sanitize serialized form fields
+     *
+     * Field names are limited to plain form names (e.g. ai_config[model]);
+     * values keep their line breaks so source textareas survive intact.
+     *
+     * @since 2.1.0
+     * @param array $fields Raw fields.
+     * @return array Sanitized fields.
+     */
+    private function sanitize_fields($fields) {
+        $clean = [];
+
+        foreach ($fields as $field) {
+            if (!isset($field['name']) || !preg_match('/^[a-z0-9_\[\]]+$/i', $field['name'])) {
+                continue;
+            }
+
+            // Never persist request plumbing
+            if (in_array($field['name'], ['abc_nonce', '_wp_http_referer', 'action', 'campaign_id', 'create_campaign', 'abc_draft_id'], true)) {
+                continue;
+            }
+
+            $clean[] = [
+                'name' => $field['name'],
+                'value' => sanitize_textarea_field((string) ($field['value'] ?? '')),
+            ];
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Find a field value by name
+     *
+     * @since 2.1.0
+     * @param array  $fields Sanitized fields.
+     * @param string $name   Field name.
+     * @return string
+     */
+    private function get_field_value($fields, $name) {
+        foreach ($fields as $field) {
+            if ($field['name'] === $name) {
+                return $field['value'];
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Sort drafts newest first
+     *
+     * @since 2.1.0
+     * @param array $drafts Drafts.
+     * @return array
+     */
+    private function sort_drafts($drafts) {
+        uasort($drafts, function($a, $b) {
+            return ($b['updated'] ?? 0) - ($a['updated'] ?? 0);
+        });
+        return $drafts;
+    }
+}
@@ -0,0 +1,174 @@
+<?php
+/**
+ * Campaign Metrics
+ *
+ * Hourly per-campaign counters for the overview charts: items discovered,
+ * queued and failed, and AI tokens and estimated cost.
+ *
+ * @package AutoBlogCraft\Campaigns
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Campaigns;
+
+use AutoBlogCraft\AI\Token_Counter;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Campaign Metrics class
+ *
+ * Counters are added to one row per campaign and hour (site time) as things
+ * happen, so the charts do not depend on the log level, log retention or
+ * queue cleanup. Rows older than the longest chart range are pruned by the
+ * cleanup job.
+ *
+ * @since 2.1.0
+ */
+class Campaign_Metrics {
+
+    /**
+     * Table name (without prefix)
+     *
+     * @var string
+     */
+    const TABLE = 'abc_campaign_metrics';
+
+    /**
+     * Days of metrics kept (the longest chart range)
+     *
+     * @var int
+     */
+    const RETENTION_DAYS = 90;
+
+    /**
+     * Counters that can be added to
+     *
+     * @var string[]
+     */
+    const COUNTERS = ['discovered', 'queued', 'failed', 'tokens', 'cost'];
+
+    /**
+     * Add to a campaign's counters for the current hour
+     *
+     * @since 2.1.0
+     * @param int   $campaign_id Campaign ID.
+     * @param array $values      Amounts keyed by counter (see COUNTERS).
+     * @return bool
+     */
+    public static function add($campaign_id, $values) {
+        global $wpdb;
+
+        $campaign_id = absint($campaign_id);
+        $values = array_filter(array_intersect_key((array) $values, array_flip(self::COUNTERS)));
+
+        if (!$campaign_id || !$values) {
+            return false;
+        }
+
+        $row = [];
+        foreach (self::COUNTERS as $counter) {
+            $row[$counter] = $counter === 'cost' ? (float) ($values[$counter] ?? 0) : absint($values[$counter] ?? 0);
+        }
+
+        $table = $wpdb->prefix . self::TABLE;
+
+        $result = $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$table} (campaign_id, bucket, discovered, queued, failed, tokens, cost)
+            VALUES (%d, %s, %d, %d, %d, %d, %f)
+            ON DUPLICATE KEY UPDATE
+                discovered = discovered + VALUES(discovered),
+                queued = queued + VALUES(queued),
+                failed = failed + VALUES(failed),
+                tokens = tokens + VALUES(tokens),
+                cost = cost + VALUES(cost)",
+            $campaign_id,
+            current_time('Y-m-d H:00:00'),
+            $row['discovered'],
+            $row['queued'],
+            $row['failed'],
+            $row['tokens'],
+            $row['cost']
+        ));
+
+        return $result !== false;
+    }
+
+    /**
+     * Add AI usage, priced with the model's rates
+     *
+     * Providers report total tokens only, so usage is priced at the mean of
+     * the model's input and output rates.
+     *
+     * @since 2.1.0
+     * @param int    $campaign_id Campaign ID.
+     * @param int    $tokens      Tokens used.
+     * @param string $provider    Provider name.
+     * @param string $model       Model ID.
+     * @return bool
+     */
+    public static function add_ai_usage($campaign_id, $tokens, $provider, $model) {
+        $tokens = absint($tokens);
+        $cost = Token_Counter::estimate_cost($tokens / 2, $provider, $model, 'input')
+            + Token_Counter::estimate_cost($tokens / 2, $provider, $model, 'output');
+
+        return self::add($campaign_id, ['tokens' => $tokens, 'cost' => $cost]);
+    }
+
+    /**
+     * Sum a campaign's counters per bucket
+     *
+     * @since 2.1.0
+     * @param int    $campaign_id Campaign ID.
+     * @param string $format      SQL DATE_FORMAT bucket format.
+     * @param string $since       Range start (site time).
+     * @return array Counters, each with values keyed by bucket.
+     */
+    public static function get_buckets($campaign_id, $format, $since) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . self::TABLE;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT DATE_FORMAT(bucket, %s) AS period,
+                SUM(discovered) AS discovered, SUM(queued) AS queued, SUM(failed) AS failed,
+                SUM(tokens) AS tokens, SUM(cost) AS cost
+            FROM {$table}
+            WHERE campaign_id = %d AND bucket >= %s
+            GROUP BY period",
+            $format,
+            absint($campaign_id),
+            $since
+        ));
+
+        $buckets = array_fill_keys(self::COUNTERS, []);
+        foreach ((array) $rows as $row) {
+            foreach (self::COUNTERS as $counter) {
+                $buckets[$counter][$row->period] = $counter === 'cost' ? (float) $row->$counter : (int) $row->$counter;
+            }
+        }
+
+        return $buckets;
+    }
+
+    /**
+     * Delete metrics older than the retention period
+     *
+     * @since 2.1.0
+     * @return int Rows deleted.
+     */
+    public static function cleanup() {
+        global $wpdb;
+
+        $table = $wpdb->prefix . self::TABLE;
+
+        $result = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$table} WHERE bucket < %s",
+            gmdate('Y-m-d H:i:s', current_time('timestamp') - self::RETENTION_DAYS * DAY_IN_SECONDS)
+        ));
+
+        return $result === false ? 0 : (int) $result;
+    }
+}
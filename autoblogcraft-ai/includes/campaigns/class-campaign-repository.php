@@ -1,6 +1,11 @@
 <?php
 namespace AutoBlogCraft\Campaigns;
 
+use AutoBlogCraft\Cron\Discovery_Schedule;
+use AutoBlogCraft\Discovery\Source_Health;
+use AutoBlogCraft\Processing\Retry_Policy;
+use WP_Error;
+
 class Campaign_Repository {
     /**
      * Save a campaign from form data (works for both AJAX and POST)
@@ -33,7 +38,16 @@ class Campaign_Repository {
         // 2. Save Configs (Reuse this logic for Wizard AND Edit Screen)
         if (!empty($data['ai_config'])) {
             // Sanitize and save AI config
-            update_post_meta($campaign_id, '_ai_config', $this->sanitize_recursive($data['ai_config']));
+            $ai_config = $this->sanitize_recursive($data['ai_config']);
+
+            // Multi-line prompt fields keep their line breaks
+            foreach (['system_prompt', 'prompt_template'] as $field) {
+                if (isset($data['ai_config'][$field])) {
+                    $ai_config[$field] = sanitize_textarea_field(wp_unslash($data['ai_config'][$field]));
+                }
+            }
+
+            update_post_meta($campaign_id, '_ai_config', $ai_config);
         }
         
         if (!empty($data['source_config'])) {
@@ -43,6 +57,280 @@ class Campaign_Repository {
         return $campaign_id;
     }
 
+    /**
+     * Save the campaign editor or wizard form
+     *
+     * Each editor tab posts only its own fields, so configs that a tab does
+     * not carry are left as they are. Validation errors carry the name of
+     * the offending field in their data, for the form to highlight.
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID (0 when creating).
+     * @param array $input Raw POST data.
+     * @param bool $create Whether this is the wizard's final submit.
+     * @return int|WP_Error Campaign ID or the first validation error.
+     */
+    public function save_form($campaign_id, $input, $create = false) {
+        $campaign_id = absint($campaign_id);
+
+        // Wizard submissions are validated client-side per step; re-check the essentials here
+        if ($create) {
+            $validation = $this->validate_new_campaign($input);
+            if (is_wp_error($validation)) {
+                return $validation;
+            }
+        } elseif (!$campaign_id) {
+            return new WP_Error('invalid_campaign', __('Invalid campaign ID.', 'autoblogcraft'));
+        }
+
+        // Parse the schedule up front so a bad schedule never leaves a half-saved campaign
+        $schedule = null;
+        if (isset($input['schedule'])) {
+            $schedule = Discovery_Schedule::from_input(wp_unslash($input['schedule']));
+            if (is_wp_error($schedule)) {
+                return $schedule;
+            }
+        }
+
+        $retry_policy = null;
+        if (isset($input['retry_policy'])) {
+            $retry_policy = Retry_Policy::from_input(wp_unslash($input['retry_policy']));
+            if (is_wp_error($retry_policy)) {
+                return $retry_policy;
+            }
+        }
+
+        $title = sanitize_text_field($input['post_title'] ?? '');
+        $type = sanitize_key($input['campaign_type'] ?? 'website');
+
+        // 1. Create or Update Post
+        $post_data = [
+            'post_title' => $title,
+            'post_type' => 'abc_campaign',
+            'post_status' => 'publish'
+        ];
+
+        if ($campaign_id > 0) {
+            $post_data['ID'] = $campaign_id;
+            wp_update_post($post_data);
+        } else {
+            $campaign_id = wp_insert_post($post_data, true);
+            if (is_wp_error($campaign_id)) {
+                return $campaign_id;
+            }
+            // Set type only on creation
+            update_post_meta($campaign_id, '_campaign_type', $type);
+            update_post_meta($campaign_id, '_campaign_status', 'active');
+        }
+
+        // 1.1 Save WP Config
+        if (isset($input['wp_category_id']))
+            update_post_meta($campaign_id, '_wp_category_id', absint($input['wp_category_id']));
+        if (isset($input['wp_author_id']))
+            update_post_meta($campaign_id, '_wp_author_id', absint($input['wp_author_id']));
+        if (isset($input['wp_post_status']))
+            update_post_meta($campaign_id, '_wp_post_status', sanitize_key($input['wp_post_status']));
+
+        // 2. Save Source Config (posted by the sources tab and the wizard)
+        if ($create || ($input['current_tab'] ?? '') === 'sources') {
+            $this->save_source_config($campaign_id, $type, $input);
+        }
+
+        // 3. Save AI Config (posted by the AI tab and the wizard)
+        if (isset($input['ai_config'])) {
+            $this->save_ai_config($campaign_id, $input['ai_config']);
+        }
+
+        // 4. Save WP Config (SEO Plugin)
+        if (isset($input['wp_config']['seo_plugin'])) {
+            update_post_meta($campaign_id, '_wp_seo_plugin', sanitize_key($input['wp_config']['seo_plugin']));
+        }
+
+        // 5. Save Common Settings
+        // New campaigns always get a schedule
+        if (!$schedule && $create) {
+            $schedule = new Discovery_Schedule();
+        }
+
+        if ($schedule) {
+            update_post_meta($campaign_id, Discovery_Schedule::META_KEY, $schedule->to_array());
+            // The schedule supersedes the old interval string
+            delete_post_meta($campaign_id, '_discovery_interval');
+        }
+
+        if ($retry_policy) {
+            update_post_meta($campaign_id, Retry_Policy::META_KEY, $retry_policy->to_array());
+        }
+
+        if (isset($input['source_health'])) {
+            update_post_meta($campaign_id, Source_Health::POLICY_META_KEY, Source_Health::sanitize_policy(wp_unslash($input['source_health'])));
+        }
+
+        $limits = $input['limits'] ?? [];
+
+        if (!empty($limits)) {
+            update_post_meta($campaign_id, '_limits', array_map('absint', $limits));
+        }
+
+        if (!$create) {
+            do_action('abc_campaign_settings_saved', $campaign_id, isset($input['current_tab']) ? sanitize_key($input['current_tab']) : '');
+        }
+
+        return $campaign_id;
+    }
+
+    /**
+     * Validate a new campaign submitted from the wizard
+     *
+     * @since 2.1.0
+     * @param array $data Raw POST data.
+     * @return true|WP_Error
+     */
+    private function validate_new_campaign($data) {
+        if (empty(trim($data['post_title'] ?? ''))) {
+            return new WP_Error('missing_title', __('Campaign name is required.', 'autoblogcraft'), ['field' => 'post_title']);
+        }
+
+        $type = sanitize_key($data['campaign_type'] ?? '');
+        if (!in_array($type, ['website', 'youtube', 'amazon', 'news'], true)) {
+            return new WP_Error('invalid_type', __('Please choose a campaign type.', 'autoblogcraft'), ['field' => 'campaign_type']);
+        }
+
+        $mode = $data['ai_config']['processing_mode'] ?? 'ai_rewrite';
+        if ($mode !== 'as_is' && empty($data['ai_config']['api_key_id'])) {
+            return new WP_Error('missing_api_key', __('Please select an API key for AI processing.', 'autoblogcraft'), ['field' => 'ai_config[api_key_id]']);
+        }
+
+        return true;
+    }
+
+    /**
+     * Save the source configuration for the campaign's type
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     * @param string $type Campaign type.
+     * @param array $input Raw POST data.
+     */
+    private function save_source_config($campaign_id, $type, $input) {
+        $clean_source_config = [];
+        
+        if ($type === 'website' && isset($input['source_list'])) {
+            // The sources tab posts one row per source, overrides included
+            $clean_source_config['sources'] = Source_Overrides::sanitize_sources(wp_unslash($input['sources'] ?? []));
+        } elseif ($type === 'website') {
+            // Handle checkbox-based website sources from the wizard
+            $source_types = $input['source_types'] ?? [];
+            $rss_sources = $input['rss_sources'] ?? '';
+            $sitemap_sources = $input['sitemap_sources'] ?? '';
+            $url_sources = $input['url_sources'] ?? '';
+            
+            $sources_array = [];
+
+            // Names and categories (set by source imports) stay with URLs that are still listed
+            $saved_config = $campaign_id ? get_post_meta($campaign_id, '_source_config', true) : [];
+            $saved_sources = [];
+            foreach ((is_array($saved_config) ? $saved_config['sources'] ?? [] : []) as $saved_source) {
+                if (!empty($saved_source['url'])) {
+                    $saved_sources[$saved_source['url']] = $saved_source;
+                }
+            }
+            
+            // Process RSS feeds
+            if (isset($source_types['rss']) && !empty($rss_sources)) {
+                $rss_urls = array_filter(array_map('trim', explode("\n", $rss_sources)));
+                foreach ($rss_urls as $url) {
+                    $url = esc_url_raw($url);
+                    $sources_array[] = array_merge($saved_sources[$url] ?? [], ['type' => 'rss', 'url' => $url]);
+                }
+            }
+            
+            // Process Sitemaps
+            if (isset($source_types['sitemap']) && !empty($sitemap_sources)) {
+                $sitemap_urls = array_filter(array_map('trim', explode("\n", $sitemap_sources)));
+                foreach ($sitemap_urls as $url) {
+                    $url = esc_url_raw($url);
+                    $sources_array[] = array_merge($saved_sources[$url] ?? [], ['type' => 'sitemap', 'url' => $url]);
+                }
+            }
+            
+            // Process Direct URLs/Blogs (sitemaps listed here keep their type)
+            if (isset($source_types['blogs']) && !empty($url_sources)) {
+                $direct_urls = array_filter(array_map('trim', explode("\n", $url_sources)));
+                foreach ($direct_urls as $url) {
+                    $url = esc_url_raw($url);
+                    $type_saved = $saved_sources[$url]['type'] ?? '';
+                    $sources_array[] = array_merge($saved_sources[$url] ?? [], ['type' => $type_saved === 'sitemap' ? 'sitemap' : 'url', 'url' => $url]);
+                }
+            }
+            
+            $clean_source_config['sources'] = $sources_array;
+        } else {
+            // For non-website campaigns (YouTube, Amazon, News)
+            if (isset($input['source_config'][$type])) {
+                $clean_source_config = $this->sanitize_recursive($input['source_config'][$type]);
+            }
+        }
+
+        update_post_meta($campaign_id, '_source_config', $clean_source_config);
+    }
+
+    /**
+     * Save the AI configuration
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     * @param array $ai_config Raw ai_config[...] POST data.
+     */
+    private function save_ai_config($campaign_id, $ai_config) {
+        $clean_ai_config = $this->sanitize_recursive($ai_config);
+
+        // Sanitize API Key ID specifically
+        if (isset($ai_config['api_key_id'])) {
+            $clean_ai_config['api_key_id'] = absint($ai_config['api_key_id']);
+        }
+
+        // Numeric fields
+        if (isset($ai_config['temperature'])) {
+            $clean_ai_config['temperature'] = floatval($ai_config['temperature']);
+        }
+        if (isset($ai_config['min_words'])) {
+            $clean_ai_config['min_words'] = absint($ai_config['min_words']);
+        }
+        if (isset($ai_config['max_words'])) {
+            $clean_ai_config['max_words'] = absint($ai_config['max_words']);
+        }
+        if (isset($ai_config['max_headings'])) {
+            $clean_ai_config['max_headings'] = absint($ai_config['max_headings']);
+        }
+        if (isset($ai_config['monthly_budget'])) {
+            $clean_ai_config['monthly_budget'] = $ai_config['monthly_budget'] === '' ? '' : max(0, round(floatval($ai_config['monthly_budget']), 2));
+        }
+
+        // Multi-line prompt fields keep their line breaks
+        foreach (['system_prompt', 'prompt_template'] as $field) {
+            if (isset($ai_config[$field])) {
+                $clean_ai_config[$field] = sanitize_textarea_field(wp_unslash($ai_config[$field]));
+            }
+        }
+
+        // Checkboxes: each tab posts a hidden 0 before the boxes it renders,
+        // so flags from other tabs are absent and keep their saved value
+        $flags = [
+            'humanizer_enabled', 'seo_enabled', 'fetch_images', 'translation_enabled',
+            'match_source_length', 'match_source_tone', 'match_source_headings', 'match_source_brand',
+        ];
+        foreach ($flags as $flag) {
+            if (array_key_exists($flag, $ai_config)) {
+                $clean_ai_config[$flag] = !empty($ai_config[$flag]);
+            }
+        }
+
+        // The content and AI tabs each post part of the config
+        $saved = get_post_meta($campaign_id, '_ai_config', true);
+        update_post_meta($campaign_id, '_ai_config', array_merge(is_array($saved) ? $saved : [], $clean_ai_config));
+    }
+
     private function sanitize_recursive($data) {
         if (is_array($data)) {
             return array_map([$this, 'sanitize_recursive'], $data);
@@ -0,0 +1,343 @@
+<?php
+/**
+ * Campaign Stats
+ *
+ * Totals and time series for one campaign, shared by the overview tab and
+ * the /stats/campaigns/{id} REST endpoint.
+ *
+ * @package AutoBlogCraft\Campaigns
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Campaigns;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Campaign Stats class
+ *
+ * Series and where they come from:
+ * - discovered: items found by discovery runs
+ * - queued:     items added to the queue
+ * - published:  campaign posts by publish date
+ * - failed:     failed processing attempts
+ * - tokens/cost: AI usage
+ *
+ * All but published are read from the hourly counters in Campaign_Metrics.
+ * The annotations are read from the log, so they follow the log level and
+ * retention settings.
+ *
+ * @since 2.1.0
+ */
+class Campaign_Stats {
+
+    /**
+     * Ranges in days
+     *
+     * @var array
+     */
+    const RANGES = [
+        '24h' => 1,
+        '7d' => 7,
+        '30d' => 30,
+        '90d' => 90,
+    ];
+
+    /**
+     * Longest range that can be bucketed by hour
+     *
+     * @var int
+     */
+    const MAX_HOURLY_DAYS = 7;
+
+    /**
+     * Campaign ID
+     *
+     * @var int
+     */
+    private $campaign_id;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     */
+    public function __construct($campaign_id) {
+        $this->campaign_id = absint($campaign_id);
+    }
+
+    /**
+     * Range labels for the range picker
+     *
+     * @since 2.1.0
+     * @return array Labels keyed by range.
+     */
+    public static function get_ranges() {
+        return [
+            '24h' => __('24 hours', 'autoblogcraft-ai'),
+            '7d' => __('7 days', 'autoblogcraft-ai'),
+            '30d' => __('30 days', 'autoblogcraft-ai'),
+            '90d' => __('90 days', 'autoblogcraft-ai'),
+        ];
+    }
+
+    /**
+     * Current totals for the overview stat cards
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    public function get_summary() {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'abc_discovery_queue';
+        $counts = $wpdb->get_results($wpdb->prepare(
+            "SELECT status, COUNT(*) AS count FROM {$table} WHERE campaign_id = %d GROUP BY status",
+            $this->campaign_id
+        ), OBJECT_K);
+
+        $count = function($status) use ($counts) {
+            return isset($counts[$status]) ? (int) $counts[$status]->count : 0;
+        };
+
+        $total = array_sum(array_map(function($row) {
+            return (int) $row->count;
+        }, $counts));
+        $finished = $count('completed') + $count('failed');
+
+        $recent = get_posts([
+            'post_type' => 'any',
+            'post_status' => ['publish', 'draft', 'pending', 'future'],
+            'meta_key' => '_abc_campaign_id',
+            'meta_value' => $this->campaign_id,
+            'posts_per_page' => 5,
+        ]);
+
+        return [
+            'total_discovered' => $total,
+            'queue_pending' => $count('pending'),
+            'queue_processing' => $count('processing'),
+            'total_published' => $this->count_posts('publish'),
+            'queue_failed' => $count('failed'),
+            'success_rate' => $finished ? round($count('completed') / $finished * 100, 1) : 0,
+            'recent_posts' => array_map(function($post) {
+                return [
+                    'id' => $post->ID,
+                    'title' => $post->post_title,
+                    'date' => $post->post_date,
+                    'status' => $post->post_status,
+                ];
+            }, $recent),
+        ];
+    }
+
+    /**
+     * Time series for a range
+     *
+     * @since 2.1.0
+     * @param string $range    24h, 7d, 30d or 90d.
+     * @param string $interval hour or day; empty picks hour for 24h and day otherwise.
+     * @return array {
+     *     @type string $range       Range used.
+     *     @type string $interval    Bucket size used.
+     *     @type array  $labels      Bucket start times (site time, Y-m-d H:i:s).
+     *     @type array  $series      discovered, queued, published, failed, tokens and cost, one value per bucket.
+     *     @type array  $totals      Sum of each series.
+     *     @type array  $annotations Status changes and settings edits: time, type, label.
+     * }
+     */
+    public function get_series($range = '7d', $interval = '') {
+        $range = isset(self::RANGES[$range]) ? $range : '7d';
+        $days = self::RANGES[$range];
+
+        if ($interval !== 'hour' && $interval !== 'day') {
+            $interval = $days === 1 ? 'hour' : 'day';
+        }
+        if ($days > self::MAX_HOURLY_DAYS) {
+            $interval = 'day';
+        }
+
+        // Site-time timestamps; formatted with gmdate() to read back as site time
+        $now = current_time('timestamp');
+        if ($interval === 'hour') {
+            $step = HOUR_IN_SECONDS;
+            $count = $days * 24;
+            $start = $now - ($now % HOUR_IN_SECONDS) - ($count - 1) * $step;
+            $format = ['php' => 'Y-m-d H:00:00', 'sql' => '%Y-%m-%d %H:00:00'];
+        } else {
+            $step = DAY_IN_SECONDS;
+            $count = $days;
+            $start = $now - ($now % DAY_IN_SECONDS) - ($count - 1) * $step;
+            $format = ['php' => 'Y-m-d 00:00:00', 'sql' => '%Y-%m-%d 00:00:00'];
+        }
+
+        $labels = [];
+        for ($i = 0; $i < $count; $i++) {
+            $labels[] = gmdate($format['php'], $start + $i * $step);
+        }
+
+        $since = gmdate('Y-m-d H:i:s', $start);
+        $empty = array_fill_keys($labels, 0);
+
+        $metrics = Campaign_Metrics::get_buckets($this->campaign_id, $format['sql'], $since);
+
+        $series = [
+            'discovered' => $this->fill($empty, $metrics['discovered']),
+            'queued' => $this->fill($empty, $metrics['queued']),
+            'published' => $this->fill($empty, $this->query_published($format['sql'], $since)),
+            'failed' => $this->fill($empty, $metrics['failed']),
+            'tokens' => $this->fill($empty, $metrics['tokens']),
+            'cost' => array_map(function($cost) {
+                return round($cost, 4);
+            }, $this->fill($empty, $metrics['cost'])),
+        ];
+
+        return [
+            'range' => $range,
+            'interval' => $interval,
+            'labels' => $labels,
+            'series' => $series,
+            'totals' => array_map('array_sum', $series),
+            'annotations' => $this->query_annotations($since),
+        ];
+    }
+
+    /**
+     * Put bucket values into the empty series
+     *
+     * @since 2.1.0
+     * @param array $empty  Zero per bucket.
+     * @param array $values Values keyed by bucket.
+     * @return array Values in bucket order.
+     */
+    private function fill($empty, $values) {
+        return array_values(array_merge($empty, array_intersect_key($values, $empty)));
+    }
+
+    /**
+     * Posts published per bucket
+     *
+     * @since 2.1.0
+     * @param string $format SQL bucket format.
+     * @param string $since  Range start.
+     * @return array
+     */
+    private function query_published($format, $since) {
+        global $wpdb;
+
+        return $this->to_map($wpdb->get_results($wpdb->prepare(
+            "SELECT DATE_FORMAT(p.post_date, %s) AS bucket, COUNT(*) AS value
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} m ON m.post_id = p.ID AND m.meta_key = '_abc_campaign_id'
+            WHERE m.meta_value = %d AND p.post_status = 'publish' AND p.post_date >= %s
+            GROUP BY bucket",
+            $format,
+            $this->campaign_id,
+            $since
+        )));
+    }
+
+    /**
+     * Status changes and settings edits in the range
+     *
+     * @since 2.1.0
+     * @param string $since Range start.
+     * @return array
+     */
+    private function query_annotations($since) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'abc_logs';
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT created_at, context FROM {$table}
+            WHERE campaign_id = %d AND category = %s AND created_at >= %s
+            ORDER BY created_at ASC
+            LIMIT 200",
+            $this->campaign_id,
+            Campaign_Activity::CATEGORY,
+            $since
+        ));
+
+        $annotations = [];
+        foreach ((array) $rows as $row) {
+            $context = json_decode((string) $row->context, true);
+            $event = $context['event'] ?? '';
+
+            if ($event === 'status') {
+                $label = $this->get_status_label($context['from'] ?? '', $context['to'] ?? '');
+            } elseif ($event === 'settings') {
+                $label = __('Settings edited', 'autoblogcraft-ai');
+            } else {
+                continue;
+            }
+
+            $annotations[] = [
+                'time' => $row->created_at,
+                'type' => $event,
+                'label' => $label,
+            ];
+        }
+
+        return $annotations;
+    }
+
+    /**
+     * Describe a status change
+     *
+     * @since 2.1.0
+     * @param string $from Previous status.
+     * @param string $to   New status.
+     * @return string
+     */
+    private function get_status_label($from, $to) {
+        if ($to === 'paused') {
+            return __('Paused', 'autoblogcraft-ai');
+        }
+
+        if ($to === 'active' && $from === 'paused') {
+            return __('Resumed', 'autoblogcraft-ai');
+        }
+
+        /* translators: %s: campaign status */
+        return sprintf(__('Status: %s', 'autoblogcraft-ai'), ucfirst($to));
+    }
+
+    /**
+     * Turn bucket/value rows into a map
+     *
+     * @since 2.1.0
+     * @param array $rows Query rows.
+     * @return array Values keyed by bucket.
+     */
+    private function to_map($rows) {
+        $map = [];
+        foreach ((array) $rows as $row) {
+            $map[$row->bucket] = (int) $row->value;
+        }
+
+        return $map;
+    }
+
+    /**
+     * Count the campaign's posts
+     *
+     * @since 2.1.0
+     * @param string $status Post status.
+     * @return int
+     */
+    private function count_posts($status) {
+        global $wpdb;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} m ON m.post_id = p.ID AND m.meta_key = '_abc_campaign_id'
+            WHERE m.meta_value = %d AND p.post_status = %s",
+            $this->campaign_id,
+            $status
+        ));
+    }
+}
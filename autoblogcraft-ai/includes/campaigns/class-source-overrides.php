@@ -0,0 +1,214 @@
+<?php
+/**
+ * Source Overrides
+ *
+ * Optional per-source publishing settings for website campaigns: a target
+ * category, author and tags, a cap on items queued per run, and keyword
+ * filters. Unset overrides fall back to the campaign's own settings.
+ *
+ * @package AutoBlogCraft\Campaigns
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Campaigns;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Source Overrides class
+ *
+ * Responsibilities:
+ * - Normalize the structured source list posted by the sources tab
+ * - Fill in defaults for sources saved without overrides
+ * - Match discovered items against a source's keyword filters
+ *
+ * Sources live in the campaign's _source_config['sources'] list. Only
+ * overrides that are set are stored, so sources added by an import or the
+ * wizard need no migration.
+ *
+ * @since 2.1.0
+ */
+class Source_Overrides {
+
+    /**
+     * Most items a source may queue per run
+     *
+     * @var int
+     */
+    const MAX_ITEMS = 100;
+
+    /**
+     * Source types a website campaign can list
+     *
+     * @since 2.1.0
+     * @return array Labels keyed by type.
+     */
+    public static function get_types() {
+        return [
+            'rss' => __('RSS feed', 'autoblogcraft-ai'),
+            'sitemap' => __('Sitemap', 'autoblogcraft-ai'),
+            'url' => __('URL', 'autoblogcraft-ai'),
+        ];
+    }
+
+    /**
+     * Overrides a source has when none are set
+     *
+     * @since 2.1.0
+     * @return array {
+     *     @type int      $category         Category term ID (0 = campaign category)
+     *     @type int      $author           User ID (0 = campaign author)
+     *     @type string[] $tags             Tags added to every post
+     *     @type int      $max_items        Items queued per run (0 = no cap)
+     *     @type string[] $include_keywords Queue only items mentioning one of these
+     *     @type string[] $exclude_keywords Skip items mentioning any of these
+     * }
+     */
+    public static function get_defaults() {
+        return [
+            'category' => 0,
+            'author' => 0,
+            'tags' => [],
+            'max_items' => 0,
+            'include_keywords' => [],
+            'exclude_keywords' => [],
+        ];
+    }
+
+    /**
+     * A source's overrides with defaults filled in
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @return array See get_defaults().
+     */
+    public static function get($source) {
+        return array_merge(self::get_defaults(), array_intersect_key((array) $source, self::get_defaults()));
+    }
+
+    /**
+     * Normalize a posted source list
+     *
+     * Rows without a valid URL are dropped, as are repeats of a URL that is
+     * already listed.
+     *
+     * @since 2.1.0
+     * @param array $input Rows of type, url, name and override fields.
+     * @return array Source configurations.
+     */
+    public static function sanitize_sources($input) {
+        $sources = [];
+
+        foreach (is_array($input) ? $input : [] as $row) {
+            $source = self::sanitize_source($row);
+            if ($source && !isset($sources[$source['url']])) {
+                $sources[$source['url']] = $source;
+            }
+        }
+
+        return array_values($sources);
+    }
+
+    /**
+     * Normalize one source row
+     *
+     * @since 2.1.0
+     * @param array $row Posted row.
+     * @return array|null Source configuration, or null without a valid URL.
+     */
+    public static function sanitize_source($row) {
+        if (!is_array($row)) {
+            return null;
+        }
+
+        $url = esc_url_raw(trim($row['url'] ?? ''));
+        if (!$url || !filter_var($url, FILTER_VALIDATE_URL)) {
+            return null;
+        }
+
+        $type = sanitize_key($row['type'] ?? '');
+        $source = [
+            'type' => isset(self::get_types()[$type]) ? $type : 'url',
+            'url' => $url,
+        ];
+
+        $name = sanitize_text_field($row['name'] ?? '');
+        if ($name !== '') {
+            $source['name'] = $name;
+        }
+
+        $category = absint($row['category'] ?? 0);
+        if ($category && term_exists($category, 'category')) {
+            $source['category'] = $category;
+        }
+
+        $author = absint($row['author'] ?? 0);
+        if ($author && get_userdata($author)) {
+            $source['author'] = $author;
+        }
+
+        $max_items = min(self::MAX_ITEMS, absint($row['max_items'] ?? 0));
+        if ($max_items) {
+            $source['max_items'] = $max_items;
+        }
+
+        foreach (['tags', 'include_keywords', 'exclude_keywords'] as $field) {
+            $list = self::parse_list($row[$field] ?? []);
+            if ($list) {
+                $source[$field] = $list;
+            }
+        }
+
+        return $source;
+    }
+
+    /**
+     * Split a comma-separated list into trimmed, unique entries
+     *
+     * @since 2.1.0
+     * @param string|array $value Comma-separated string or list.
+     * @return string[]
+     */
+    public static function parse_list($value) {
+        $list = is_array($value) ? $value : explode(',', (string) $value);
+        $list = array_filter(array_map('trim', array_map('sanitize_text_field', $list)), 'strlen');
+
+        return array_values(array_unique($list));
+    }
+
+    /**
+     * Whether an item passes a source's keyword filters
+     *
+     * Keywords are matched case-insensitively against the title and excerpt.
+     * With include keywords set, an item must mention at least one of them.
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @param array $item Discovered item (title, excerpt).
+     * @return bool
+     */
+    public static function matches($source, $item) {
+        $overrides = self::get($source);
+        $text = ($item['title'] ?? '') . ' ' . ($item['excerpt'] ?? '');
+
+        foreach ($overrides['exclude_keywords'] as $keyword) {
+            if (stripos($text, $keyword) !== false) {
+                return false;
+            }
+        }
+
+        if (!$overrides['include_keywords']) {
+            return true;
+        }
+
+        foreach ($overrides['include_keywords'] as $keyword) {
+            if (stripos($text, $keyword) !== false) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
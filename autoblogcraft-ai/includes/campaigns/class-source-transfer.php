@@ -0,0 +1,697 @@
+<?php
+/**
+ * Source Transfer
+ *
+ * Imports campaign sources from OPML (feed reader exports) and CSV files
+ * and exports a campaign's sources back to either format.
+ *
+ * @package AutoBlogCraft\Campaigns
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Campaigns;
+
+use AutoBlogCraft\Core\Logger;
+use AutoBlogCraft\Helpers\Validation;
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Source Transfer class
+ *
+ * Responsibilities:
+ * - Parse OPML outlines (folders become categories) and CSV rows
+ * - Validate entries against what the campaign type accepts
+ * - Flag entries the campaign already has or the file repeats
+ * - Store new entries where the Sources tab keeps them
+ *
+ * Website sources go to the source list with their name and category;
+ * a YouTube campaign takes one channel; news and Amazon campaigns merge
+ * keywords into their keyword list.
+ *
+ * @since 2.1.0
+ */
+class Source_Transfer {
+
+    /**
+     * Largest file accepted (1 MB)
+     *
+     * @var int
+     */
+    const MAX_BYTES = 1048576;
+
+    /**
+     * Most entries read from one file
+     *
+     * @var int
+     */
+    const MAX_ENTRIES = 500;
+
+    /**
+     * Export formats and their content types
+     *
+     * @var array
+     */
+    const FORMATS = [
+        'opml' => 'text/x-opml',
+        'csv' => 'text/csv',
+    ];
+
+    /**
+     * Source types each campaign type accepts
+     *
+     * @var array
+     */
+    const CAMPAIGN_TYPES = [
+        'website' => ['rss', 'sitemap', 'url'],
+        'youtube' => ['channel'],
+        'news' => ['keyword'],
+        'amazon' => ['keyword'],
+    ];
+
+    /**
+     * CSV header names accepted for each column
+     *
+     * @var array
+     */
+    const CSV_COLUMNS = [
+        'type' => ['type', 'source_type', 'kind'],
+        'value' => ['value', 'url', 'xmlurl', 'feed', 'feed_url', 'source', 'channel', 'keyword', 'keywords'],
+        'name' => ['name', 'title', 'text'],
+        'category' => ['category', 'folder', 'group'],
+    ];
+
+    /**
+     * Campaign ID
+     *
+     * @var int
+     */
+    private $campaign_id;
+
+    /**
+     * Campaign type
+     *
+     * @var string
+     */
+    private $campaign_type;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     */
+    public function __construct($campaign_id) {
+        $this->campaign_id = absint($campaign_id);
+        $this->campaign_type = get_post_meta($this->campaign_id, '_campaign_type', true) ?: 'website';
+    }
+
+    /**
+     * Source types
+     *
+     * @since 2.1.0
+     * @return array Labels keyed by type.
+     */
+    public static function get_types() {
+        return [
+            'rss' => __('RSS feed', 'autoblogcraft-ai'),
+            'sitemap' => __('Sitemap', 'autoblogcraft-ai'),
+            'url' => __('URL', 'autoblogcraft-ai'),
+            'channel' => __('YouTube channel', 'autoblogcraft-ai'),
+            'keyword' => __('Keyword', 'autoblogcraft-ai'),
+        ];
+    }
+
+    /**
+     * Source types this campaign accepts
+     *
+     * @since 2.1.0
+     * @return string[]
+     */
+    public function get_accepted_types() {
+        return self::CAMPAIGN_TYPES[$this->campaign_type] ?? [];
+    }
+
+    /**
+     * Parse an OPML or CSV file
+     *
+     * The format is detected from the content: anything that starts with
+     * markup is read as OPML.
+     *
+     * @since 2.1.0
+     * @param string $content File content.
+     * @return array|WP_Error Entries (type, value, name, category) or error.
+     */
+    public function parse($content) {
+        $content = (string) $content;
+
+        if (strlen($content) > self::MAX_BYTES) {
+            return new WP_Error('file_too_large', __('The file is larger than 1 MB.', 'autoblogcraft-ai'));
+        }
+
+        // Strip a UTF-8 byte order mark
+        $content = trim(preg_replace('/^\xEF\xBB\xBF/', '', $content));
+
+        if ($content === '') {
+            return new WP_Error('empty_file', __('The file is empty.', 'autoblogcraft-ai'));
+        }
+
+        $entries = $content[0] === '<' ? $this->parse_opml($content) : $this->parse_csv($content);
+
+        if (is_wp_error($entries)) {
+            return $entries;
+        }
+
+        if (empty($entries)) {
+            return new WP_Error('no_sources', __('No sources were found in the file.', 'autoblogcraft-ai'));
+        }
+
+        return array_slice($entries, 0, self::MAX_ENTRIES);
+    }
+
+    /**
+     * Check parsed entries against the campaign
+     *
+     * @since 2.1.0
+     * @param array $entries Entries from parse().
+     * @return array {
+     *     @type array $rows   Entries with 'status' (new, duplicate, repeated, invalid) and 'message'.
+     *     @type array $counts Row counts by status.
+     * }
+     */
+    public function preview($entries) {
+        $accepted = $this->get_accepted_types();
+        $existing = array_flip(array_map([$this, 'get_dedupe_key'], $this->get_entries()));
+        $seen = [];
+        $channel_taken = $this->has_channel();
+        $types = self::get_types();
+        $rows = [];
+        $counts = ['new' => 0, 'duplicate' => 0, 'repeated' => 0, 'invalid' => 0];
+
+        foreach ($entries as $entry) {
+            $row = $this->normalize_entry($entry);
+            $error = $this->validate_entry($row, $accepted);
+            $key = $this->get_dedupe_key($row);
+
+            if ($error) {
+                $row['status'] = 'invalid';
+                $row['message'] = $error;
+            } elseif (isset($existing[$key])) {
+                $row['status'] = 'duplicate';
+                $row['message'] = __('Already a source of this campaign.', 'autoblogcraft-ai');
+            } elseif (isset($seen[$key])) {
+                $row['status'] = 'repeated';
+                $row['message'] = __('Listed earlier in the file.', 'autoblogcraft-ai');
+            } elseif ($row['type'] === 'channel' && $channel_taken) {
+                $row['status'] = 'invalid';
+                $row['message'] = __('YouTube campaigns take a single channel.', 'autoblogcraft-ai');
+            } else {
+                $row['status'] = 'new';
+                $row['message'] = $row['category'] && !in_array($row['type'], ['channel', 'keyword'], true) && !get_term_by('name', $row['category'], 'category')
+                    ? __('New category will be created.', 'autoblogcraft-ai')
+                    : '';
+                $channel_taken = $channel_taken || $row['type'] === 'channel';
+            }
+
+            $seen[$key] = true;
+            $row['type_label'] = $types[$row['type']] ?? $row['type'];
+            $rows[] = $row;
+            $counts[$row['status']]++;
+        }
+
+        return ['rows' => $rows, 'counts' => $counts];
+    }
+
+    /**
+     * Add the new entries of a file to the campaign
+     *
+     * The file is checked again, so only rows preview() reports as new are
+     * stored, whatever the browser sends.
+     *
+     * @since 2.1.0
+     * @param array $entries Entries from parse().
+     * @param int[] $indexes Indexes of the preview rows to import.
+     * @return int Number of sources added.
+     */
+    public function import($entries, $indexes) {
+        $preview = $this->preview($entries);
+        $indexes = array_flip(array_map('absint', (array) $indexes));
+        $config = $this->get_source_config();
+        $added = 0;
+
+        foreach ($preview['rows'] as $index => $row) {
+            if ($row['status'] !== 'new' || !isset($indexes[$index])) {
+                continue;
+            }
+
+            if ($row['type'] === 'keyword') {
+                $keywords = array_filter(array_map('trim', explode(',', $config['keywords'] ?? '')));
+                $keywords[] = $row['value'];
+                $config['keywords'] = implode(', ', $keywords);
+            } elseif ($row['type'] === 'channel') {
+                $config['channel_id'] = $row['value'];
+            } else {
+                $source = ['type' => $row['type'], 'url' => $row['value']];
+                if ($row['name']) {
+                    $source['name'] = $row['name'];
+                }
+                if ($row['category']) {
+                    $source['category'] = $this->get_category_id($row['category']);
+                }
+                $config['sources'][] = $source;
+            }
+
+            $added++;
+        }
+
+        if (!$added) {
+            return 0;
+        }
+
+        update_post_meta($this->campaign_id, '_source_config', $config);
+
+        Logger::instance()->info($this->campaign_id, 'campaign', sprintf('Imported %d sources', $added), [
+            'event' => 'sources_imported',
+            'added' => $added,
+            'skipped' => count($preview['rows']) - $added,
+        ]);
+
+        do_action('abc_campaign_settings_saved', $this->campaign_id, 'sources');
+
+        return $added;
+    }
+
+    /**
+     * The campaign's sources as entries
+     *
+     * @since 2.1.0
+     * @return array Entries (type, value, name, category).
+     */
+    public function get_entries() {
+        $config = $this->get_source_config();
+        $entries = [];
+
+        foreach ($config['sources'] ?? [] as $source) {
+            if (!is_array($source) || empty($source['url'])) {
+                continue;
+            }
+
+            $category = !empty($source['category']) ? get_term((int) $source['category'], 'category') : null;
+            $entries[] = [
+                'type' => $source['type'] ?? 'rss',
+                'value' => $source['url'],
+                'name' => $source['name'] ?? '',
+                'category' => $category && !is_wp_error($category) ? $category->name : '',
+            ];
+        }
+
+        if (!empty($config['channel_id'])) {
+            $entries[] = ['type' => 'channel', 'value' => $config['channel_id'], 'name' => '', 'category' => ''];
+        }
+
+        foreach (array_filter(array_map('trim', explode(',', $config['keywords'] ?? ''))) as $keyword) {
+            $entries[] = ['type' => 'keyword', 'value' => $keyword, 'name' => '', 'category' => ''];
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Export the campaign's sources
+     *
+     * @since 2.1.0
+     * @param string $format opml or csv.
+     * @return string File content.
+     */
+    public function export($format) {
+        return $format === 'opml' ? $this->export_opml() : $this->export_csv();
+    }
+
+    /**
+     * Download file name
+     *
+     * @since 2.1.0
+     * @param string $format Export format.
+     * @return string
+     */
+    public function get_filename($format) {
+        return sprintf('autoblogcraft-sources-campaign-%d-%s.%s', $this->campaign_id, gmdate('Y-m-d-His'), $format);
+    }
+
+    /**
+     * Read OPML outlines
+     *
+     * Outlines with a feed or URL are sources; outlines around them are
+     * folders, and the innermost folder's name becomes the category.
+     *
+     * @since 2.1.0
+     * @param string $content OPML document.
+     * @return array|WP_Error
+     */
+    private function parse_opml($content) {
+        libxml_use_internal_errors(true);
+        $opml = simplexml_load_string($content, 'SimpleXMLElement', LIBXML_NOCDATA | LIBXML_NONET);
+        libxml_clear_errors();
+
+        if ($opml === false || !isset($opml->body)) {
+            return new WP_Error('invalid_opml', __('The file is not valid OPML.', 'autoblogcraft-ai'));
+        }
+
+        $entries = [];
+        $this->read_outlines($opml->body->outline, '', $entries);
+
+        return $entries;
+    }
+
+    /**
+     * Collect sources from a level of outlines
+     *
+     * @since 2.1.0
+     * @param \SimpleXMLElement $outlines Outlines.
+     * @param string            $folder   Enclosing folder name.
+     * @param array             $entries  Entries, appended to.
+     */
+    private function read_outlines($outlines, $folder, &$entries) {
+        foreach ($outlines as $outline) {
+            $type = strtolower((string) $outline['type']);
+            $text = (string) $outline['text'] ?: (string) $outline['title'];
+            $feed_url = (string) $outline['xmlUrl'];
+            $value = $feed_url ?: (string) $outline['url'];
+
+            // Keywords and channels exported by this plugin carry their value as text
+            if (!$value && in_array($type, ['channel', 'keyword'], true)) {
+                $value = $text;
+                $text = '';
+            }
+
+            if ($value !== '') {
+                $entries[] = [
+                    'type' => isset(self::get_types()[$type]) ? $type : ($feed_url ? 'rss' : 'url'),
+                    'value' => $value,
+                    'name' => $text,
+                    'category' => $folder,
+                ];
+            }
+
+            if (count($entries) >= self::MAX_ENTRIES) {
+                return;
+            }
+
+            if (isset($outline->outline)) {
+                $this->read_outlines($outline->outline, $value === '' ? $text : $folder, $entries);
+            }
+        }
+    }
+
+    /**
+     * Read CSV rows
+     *
+     * A header row names the columns (see CSV_COLUMNS). Without one, the
+     * columns are type, value, name, category, or a single column of URLs.
+     *
+     * @since 2.1.0
+     * @param string $content CSV content.
+     * @return array
+     */
+    private function parse_csv($content) {
+        $handle = fopen('php://temp', 'r+');
+        fwrite($handle, $content);
+        rewind($handle);
+
+        $columns = null;
+        $entries = [];
+
+        while (($cells = fgetcsv($handle)) !== false && count($entries) < self::MAX_ENTRIES) {
+            $cells = array_map('trim', $cells);
+
+            if (count(array_filter($cells, 'strlen')) === 0) {
+                continue;
+            }
+
+            if ($columns === null) {
+                $columns = $this->map_csv_header($cells);
+                if ($columns) {
+                    continue;
+                }
+
+                $columns = count($cells) === 1
+                    ? ['value' => 0]
+                    : ['type' => 0, 'value' => 1, 'name' => 2, 'category' => 3];
+            }
+
+            $entry = [];
+            foreach (['type', 'value', 'name', 'category'] as $column) {
+                $entry[$column] = isset($columns[$column], $cells[$columns[$column]]) ? $cells[$columns[$column]] : '';
+            }
+
+            $entries[] = $entry;
+        }
+
+        fclose($handle);
+
+        return $entries;
+    }
+
+    /**
+     * Map a CSV header row to column indexes
+     *
+     * @since 2.1.0
+     * @param array $cells First row.
+     * @return array|null Indexes keyed by column, null if the row is data.
+     */
+    private function map_csv_header($cells) {
+        $columns = [];
+
+        foreach ($cells as $index => $cell) {
+            $name = sanitize_key(str_replace(' ', '_', strtolower($cell)));
+
+            foreach (self::CSV_COLUMNS as $column => $aliases) {
+                if (!isset($columns[$column]) && in_array($name, $aliases, true)) {
+                    $columns[$column] = $index;
+                    break;
+                }
+            }
+        }
+
+        return isset($columns['value']) ? $columns : null;
+    }
+
+    /**
+     * Clean up an entry and fill in its type
+     *
+     * @since 2.1.0
+     * @param array $entry Raw entry.
+     * @return array
+     */
+    private function normalize_entry($entry) {
+        $type = sanitize_key($entry['type'] ?? '');
+        $value = trim(wp_strip_all_tags((string) ($entry['value'] ?? '')));
+        $aliases = ['feed' => 'rss', 'atom' => 'rss', 'link' => 'url', 'web' => 'url', 'youtube' => 'channel', 'keywords' => 'keyword'];
+        $type = $aliases[$type] ?? $type;
+
+        // Untyped rows take the campaign's only type, or are guessed from the value
+        if (!$type) {
+            $accepted = $this->get_accepted_types();
+            if (count($accepted) === 1) {
+                $type = $accepted[0];
+            } elseif (preg_match('/sitemap[^\/]*\.xml/i', $value)) {
+                $type = 'sitemap';
+            } else {
+                $type = 'rss';
+            }
+        }
+
+        $value = in_array($type, ['rss', 'sitemap', 'url'], true) ? esc_url_raw($value, ['http', 'https']) : sanitize_text_field($value);
+
+        return [
+            'type' => $type,
+            'value' => $value,
+            'name' => sanitize_text_field($entry['name'] ?? ''),
+            'category' => sanitize_text_field($entry['category'] ?? ''),
+        ];
+    }
+
+    /**
+     * Check an entry
+     *
+     * @since 2.1.0
+     * @param array    $row      Normalized entry.
+     * @param string[] $accepted Types the campaign accepts.
+     * @return string Error message, empty if valid.
+     */
+    private function validate_entry($row, $accepted) {
+        $types = self::get_types();
+
+        if (!isset($types[$row['type']])) {
+            /* translators: %s: source type */
+            return sprintf(__('Unknown source type "%s".', 'autoblogcraft-ai'), $row['type']);
+        }
+
+        if (!in_array($row['type'], $accepted, true)) {
+            /* translators: 1: source type, 2: campaign type */
+            return sprintf(__('%1$s sources don\'t apply to %2$s campaigns.', 'autoblogcraft-ai'), $types[$row['type']], ucfirst($this->campaign_type));
+        }
+
+        if ($row['value'] === '') {
+            return __('Missing URL or value.', 'autoblogcraft-ai');
+        }
+
+        switch ($row['type']) {
+            case 'channel':
+                if (!preg_match('/^UC[\w-]{22}$/', $row['value']) && !Validation::is_valid_youtube_channel($row['value'])) {
+                    return __('Not a YouTube channel ID or URL.', 'autoblogcraft-ai');
+                }
+                break;
+            case 'keyword':
+                if (strlen($row['value']) > 100 || strpos($row['value'], ',') !== false) {
+                    return __('Keywords must be under 100 characters, without commas.', 'autoblogcraft-ai');
+                }
+                break;
+            default:
+                if (!Validation::is_valid_url($row['value'])) {
+                    return __('Not a valid http(s) URL.', 'autoblogcraft-ai');
+                }
+        }
+
+        return '';
+    }
+
+    /**
+     * Key two entries share when they are the same source
+     *
+     * URLs match regardless of scheme, "www.", a trailing slash or a
+     * fragment; keywords regardless of case.
+     *
+     * @since 2.1.0
+     * @param array $entry Entry.
+     * @return string
+     */
+    private function get_dedupe_key($entry) {
+        $value = strtolower(trim($entry['value']));
+
+        if ($entry['type'] === 'keyword') {
+            return 'keyword:' . $value;
+        }
+
+        if ($entry['type'] === 'channel') {
+            return 'channel:' . $value;
+        }
+
+        $value = preg_replace(['/#.*$/', '/^https?:\/\/(www\.)?/', '/\/+$/'], '', $value);
+
+        return 'url:' . $value;
+    }
+
+    /**
+     * Whether the campaign already has a YouTube channel
+     *
+     * @since 2.1.0
+     * @return bool
+     */
+    private function has_channel() {
+        return !empty($this->get_source_config()['channel_id']);
+    }
+
+    /**
+     * The campaign's source config
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    private function get_source_config() {
+        $config = get_post_meta($this->campaign_id, '_source_config', true);
+
+        return is_array($config) ? $config : [];
+    }
+
+    /**
+     * Find or create a category by name
+     *
+     * @since 2.1.0
+     * @param string $name Category name.
+     * @return int Term ID, 0 if it could not be created.
+     */
+    private function get_category_id($name) {
+        $term = get_term_by('name', $name, 'category');
+        if ($term) {
+            return (int) $term->term_id;
+        }
+
+        $term = wp_insert_term($name, 'category');
+
+        return is_wp_error($term) ? 0 : (int) $term['term_id'];
+    }
+
+    /**
+     * Build an OPML document, one folder outline per category
+     *
+     * @since 2.1.0
+     * @return string
+     */
+    private function export_opml() {
+        $doc = new \DOMDocument('1.0', 'UTF-8');
+        $doc->formatOutput = true;
+
+        $opml = $doc->appendChild($doc->createElement('opml'));
+        $opml->setAttribute('version', '2.0');
+
+        $head = $opml->appendChild($doc->createElement('head'));
+        $head->appendChild($doc->createElement('title'))->appendChild($doc->createTextNode(get_the_title($this->campaign_id)));
+        $head->appendChild($doc->createElement('dateCreated', gmdate('D, d M Y H:i:s') . ' GMT'));
+
+        $body = $opml->appendChild($doc->createElement('body'));
+        $folders = [];
+
+        foreach ($this->get_entries() as $entry) {
+            $parent = $body;
+
+            if ($entry['category'] !== '') {
+                if (!isset($folders[$entry['category']])) {
+                    $folders[$entry['category']] = $body->appendChild($doc->createElement('outline'));
+                    $folders[$entry['category']]->setAttribute('text', $entry['category']);
+                }
+                $parent = $folders[$entry['category']];
+            }
+
+            $outline = $parent->appendChild($doc->createElement('outline'));
+            $outline->setAttribute('type', $entry['type']);
+
+            if (in_array($entry['type'], ['channel', 'keyword'], true)) {
+                $outline->setAttribute('text', $entry['value']);
+                continue;
+            }
+
+            $outline->setAttribute('text', $entry['name'] ?: $entry['value']);
+            $outline->setAttribute($entry['type'] === 'rss' ? 'xmlUrl' : 'url', $entry['value']);
+        }
+
+        return $doc->saveXML();
+    }
+
+    /**
+     * Build a CSV file with a header row
+     *
+     * @since 2.1.0
+     * @return string
+     */
+    private function export_csv() {
+        $handle = fopen('php://temp', 'r+');
+        fputcsv($handle, ['type', 'value', 'name', 'category']);
+
+        foreach ($this->get_entries() as $entry) {
+            // Defuse spreadsheet formulas
+            fputcsv($handle, array_map(function($cell) {
+                return preg_match('/^[=+\-@]/', $cell) ? "'" . $cell : $cell;
+            }, [$entry['type'], $entry['value'], $entry['name'], $entry['category']]));
+        }
+
+        rewind($handle);
+        $csv = stream_get_contents($handle);
+        fclose($handle);
+
+        return $csv;
+    }
+}
@@ -11,6 +11,9 @@
 
 namespace AutoBlogCraft\Core;
 
+use AutoBlogCraft\Campaigns\Campaign_Metrics;
+use AutoBlogCraft\Discovery\Queue_Attempts;
+
 if (!defined('ABSPATH')) {
     exit;
 }
@@ -49,6 +52,12 @@ class Cleanup_Manager {
         // Clean logs
         $stats['logs'] = self::cleanup_logs();
 
+        // Clean processing attempts (kept as long as the logs)
+        $stats['attempts'] = (new Queue_Attempts())->cleanup((int) get_option('abc_log_retention_days', 30));
+
+        // Clean chart metrics
+        $stats['metrics'] = Campaign_Metrics::cleanup();
+
         // Clean temporary data
         $stats['temp'] = self::cleanup_temporary_data();
 
@@ -278,6 +287,8 @@ class Cleanup_Manager {
             $wpdb->prefix . 'abc_translation_cache',
             $wpdb->prefix . 'abc_logs',
             $wpdb->prefix . 'abc_seo_settings',
+            $wpdb->prefix . 'abc_campaign_metrics',
+            $wpdb->prefix . 'abc_queue_attempts',
         ];
 
         $stats = [
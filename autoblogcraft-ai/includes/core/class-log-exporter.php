@@ -0,0 +1,210 @@
+<?php
+/**
+ * Log Exporter
+ *
+ * Streams logs as a CSV, JSON or NDJSON download, one page of rows at a
+ * time, so exports of any size run in constant memory.
+ *
+ * @package AutoBlogCraft\Core
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Core;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Log Exporter class
+ *
+ * Takes the same filters as Logger::query_logs(), so an export matches
+ * what the log viewer shows.
+ *
+ * @since 2.1.0
+ */
+class Log_Exporter {
+
+    /**
+     * Rows read per query
+     *
+     * @var int
+     */
+    const PAGE_SIZE = 500;
+
+    /**
+     * Supported formats and their content types
+     *
+     * @var array
+     */
+    const FORMATS = [
+        'csv' => 'text/csv',
+        'json' => 'application/json',
+        'ndjson' => 'application/x-ndjson',
+    ];
+
+    /**
+     * Columns, in export order
+     *
+     * @var array
+     */
+    const COLUMNS = ['id', 'created_at', 'campaign_id', 'campaign', 'level', 'category', 'message', 'context', 'queue_item_id', 'post_id'];
+
+    /**
+     * Campaign ID, or null for all campaigns
+     *
+     * @var int|null
+     */
+    private $campaign_id;
+
+    /**
+     * Filters (see Logger::query_logs())
+     *
+     * @var array
+     */
+    private $filters;
+
+    /**
+     * Campaign titles by ID
+     *
+     * @var array
+     */
+    private $titles = [];
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int|null $campaign_id Campaign ID, or null for all campaigns.
+     * @param array    $filters     Filters (search, queue_item_id, level, category, date_from, date_to).
+     */
+    public function __construct($campaign_id = null, $filters = []) {
+        $this->campaign_id = $campaign_id;
+        $this->filters = array_intersect_key((array) $filters, array_flip(['search', 'queue_item_id', 'level', 'category', 'date_from', 'date_to']));
+    }
+
+    /**
+     * Send the export as a download and end the request
+     *
+     * @since 2.1.0
+     * @param string $format csv, json or ndjson.
+     */
+    public function stream($format) {
+        if (!isset(self::FORMATS[$format])) {
+            $format = 'csv';
+        }
+
+        // Write straight to the client instead of into output buffers
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+        @set_time_limit(0);
+
+        nocache_headers();
+        header('Content-Type: ' . self::FORMATS[$format] . '; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $this->get_filename($format) . '"');
+        header('X-Accel-Buffering: no');
+
+        $output = fopen('php://output', 'w');
+        $first = true;
+
+        if ($format === 'csv') {
+            fputcsv($output, self::COLUMNS);
+        } elseif ($format === 'json') {
+            fwrite($output, '[');
+        }
+
+        $before_id = 0;
+        do {
+            $page = Logger::instance()->query_logs($this->campaign_id, array_merge($this->filters, [
+                'before_id' => $before_id,
+                'limit' => self::PAGE_SIZE,
+            ]));
+
+            foreach ($page['logs'] as $log) {
+                $row = $this->format_row($log);
+
+                if ($format === 'csv') {
+                    fputcsv($output, array_map([$this, 'escape_csv'], $row));
+                } elseif ($format === 'json') {
+                    fwrite($output, ($first ? "\n" : ",\n") . wp_json_encode($row, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+                } else {
+                    fwrite($output, wp_json_encode($row, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n");
+                }
+
+                $first = false;
+                $before_id = (int) $log->id;
+            }
+
+            flush();
+        } while ($page['has_more']);
+
+        if ($format === 'json') {
+            fwrite($output, "\n]\n");
+        }
+
+        fclose($output);
+        exit;
+    }
+
+    /**
+     * Shape a log row for export
+     *
+     * CSV keeps the context as its JSON string; JSON formats nest it.
+     *
+     * @since 2.1.0
+     * @param object $log Log row.
+     * @return array Values keyed by column.
+     */
+    private function format_row($log) {
+        $campaign_id = $log->campaign_id ? (int) $log->campaign_id : null;
+        $context = $log->context ? json_decode($log->context, true) : null;
+
+        if ($campaign_id && !isset($this->titles[$campaign_id])) {
+            $this->titles[$campaign_id] = get_the_title($campaign_id);
+        }
+
+        return [
+            'id' => (int) $log->id,
+            'created_at' => mysql_to_rfc3339($log->created_at),
+            'campaign_id' => $campaign_id,
+            'campaign' => $campaign_id ? $this->titles[$campaign_id] : '',
+            'level' => $log->level,
+            'category' => $log->category,
+            'message' => $log->message,
+            'context' => $context !== null ? $context : $log->context,
+            'queue_item_id' => $log->queue_item_id ? (int) $log->queue_item_id : null,
+            'post_id' => $log->post_id ? (int) $log->post_id : null,
+        ];
+    }
+
+    /**
+     * Flatten a value for CSV and defuse spreadsheet formulas
+     *
+     * @since 2.1.0
+     * @param mixed $value Cell value.
+     * @return string
+     */
+    private function escape_csv($value) {
+        if (is_array($value)) {
+            $value = wp_json_encode($value, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+        }
+
+        $value = (string) $value;
+
+        return preg_match('/^[=+\-@]/', $value) ? "'" . $value : $value;
+    }
+
+    /**
+     * Download file name
+     *
+     * @since 2.1.0
+     * @param string $format Export format.
+     * @return string
+     */
+    private function get_filename($format) {
+        $scope = $this->campaign_id ? 'campaign-' . $this->campaign_id : 'all';
+
+        return sprintf('autoblogcraft-logs-%s-%s.%s', $scope, gmdate('Y-m-d-His'), $format);
+    }
+}
@@ -48,6 +48,13 @@ class Logger
         'error' => 5,
     ];
 
+    /**
+     * Queue item being processed, attached to logs that don't name one
+     *
+     * @var int|null
+     */
+    private $queue_item_id = null;
+
     /**
      * Get singleton instance
      *
@@ -77,6 +84,20 @@ class Logger
         // Future: Hook into admin notices for critical errors
     }
 
+    /**
+     * Attach following logs to a queue item
+     *
+     * Lets the queue inspector show what happened while an item was
+     * processed, including logs from code that doesn't know the item.
+     *
+     * @since 2.1.0
+     * @param int|null $queue_item_id Queue item ID, or null to stop.
+     */
+    public function set_queue_item($queue_item_id)
+    {
+        $this->queue_item_id = $queue_item_id ? absint($queue_item_id) : null;
+    }
+
     /**
      * Log a message
      *
@@ -113,7 +134,7 @@ class Logger
             'category' => sanitize_text_field($category),
             'message' => sanitize_text_field($message),
             'context' => !empty($context) ? wp_json_encode($context) : null,
-            'queue_item_id' => $queue_item_id,
+            'queue_item_id' => $queue_item_id ?: $this->queue_item_id,
             'post_id' => $post_id,
             'created_at' => current_time('mysql'),
         ];
@@ -247,6 +268,148 @@ class Logger
         return $wpdb->get_results($wpdb->prepare($query, $limit));
     }
 
+    /**
+     * Search a campaign's logs, newest first
+     *
+     * Pages backwards with before_id (infinite scroll, exports) or forwards
+     * with after_id (tail). Every search word must appear in the message or
+     * the context.
+     *
+     * @since 2.1.0
+     * @param int|null $campaign_id Campaign ID, or null for all campaigns
+     * @param array    $args {
+     *     @type string $search        Words to look for
+     *     @type int    $queue_item_id Queue item ID
+     *     @type string $level         Log level
+     *     @type string $category      Category
+     *     @type string $date_from     First day (Y-m-d)
+     *     @type string $date_to       Last day (Y-m-d)
+     *     @type int    $before_id     Only logs older than this ID
+     *     @type int    $after_id      Only logs newer than this ID
+     *     @type int    $limit         Logs per page (max 500)
+     * }
+     * @return array {
+     *     @type array $logs     Log rows
+     *     @type bool  $has_more Whether more logs match beyond this page
+     * }
+     */
+    public function query_logs($campaign_id, $args = [])
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'abc_logs';
+        $args = wp_parse_args($args, [
+            'search' => '',
+            'queue_item_id' => 0,
+            'level' => '',
+            'category' => '',
+            'date_from' => '',
+            'date_to' => '',
+            'before_id' => 0,
+            'after_id' => 0,
+            'limit' => 50,
+        ]);
+        $limit = min(500, max(1, absint($args['limit'])));
+
+        $where = ['1=1'];
+
+        if ($campaign_id !== null) {
+            $where[] = $wpdb->prepare('campaign_id = %d', $campaign_id);
+        }
+
+        if ($args['queue_item_id']) {
+            $where[] = $wpdb->prepare('queue_item_id = %d', $args['queue_item_id']);
+        }
+
+        if ($args['level']) {
+            $where[] = $wpdb->prepare('level = %s', $args['level']);
+        }
+
+        if ($args['category']) {
+            $where[] = $wpdb->prepare('category = %s', $args['category']);
+        }
+
+        if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $args['date_from'])) {
+            $where[] = $wpdb->prepare('created_at >= %s', $args['date_from'] . ' 00:00:00');
+        }
+
+        if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $args['date_to'])) {
+            $where[] = $wpdb->prepare('created_at <= %s', $args['date_to'] . ' 23:59:59');
+        }
+
+        $words = array_slice(array_filter(preg_split('/\s+/', trim($args['search'])), 'strlen'), 0, 10);
+        foreach ($words as $word) {
+            $like = '%' . $wpdb->esc_like($word) . '%';
+            $where[] = $wpdb->prepare('(message LIKE %s OR context LIKE %s)', $like, $like);
+        }
+
+        // Tailing reads forwards so a burst larger than a page isn't skipped
+        if ($args['after_id']) {
+            $where[] = $wpdb->prepare('id > %d', $args['after_id']);
+            $order = 'ASC';
+        } else {
+            if ($args['before_id']) {
+                $where[] = $wpdb->prepare('id < %d', $args['before_id']);
+            }
+            $order = 'DESC';
+        }
+
+        $logs = (array) $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE " . implode(' AND ', $where) . " ORDER BY id {$order} LIMIT %d",
+            $limit + 1
+        ));
+
+        $has_more = count($logs) > $limit;
+        $logs = array_slice($logs, 0, $limit);
+
+        return [
+            'logs' => $order === 'ASC' ? array_reverse($logs) : $logs,
+            'has_more' => $has_more,
+        ];
+    }
+
+    /**
+     * Get the categories a campaign has logged under
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID
+     * @return array
+     */
+    public function get_categories($campaign_id)
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'abc_logs';
+
+        return (array) $wpdb->get_col($wpdb->prepare(
+            "SELECT DISTINCT category FROM {$table_name} WHERE campaign_id = %d ORDER BY category",
+            $campaign_id
+        ));
+    }
+
+    /**
+     * Get the latest logs for a queue item, oldest first
+     *
+     * @since 2.1.0
+     * @param int $queue_item_id Queue item ID
+     * @param int $limit Number of logs to retrieve
+     * @return array
+     */
+    public function get_item_logs($queue_item_id, $limit = 200)
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'abc_logs';
+
+        $logs = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE queue_item_id = %d ORDER BY id DESC LIMIT %d",
+            $queue_item_id,
+            $limit
+        ));
+
+        return array_reverse((array) $logs);
+    }
+
     /**
      * Delete old logs (cleanup)
      *
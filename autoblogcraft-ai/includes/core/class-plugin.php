@@ -159,6 +159,9 @@ class Plugin {
         }
         \AutoBlogCraft\AI\AI_Manager::instance();
 
+        // Log status changes and settings edits for the overview charts
+        \AutoBlogCraft\Campaigns\Campaign_Activity::init();
+
         // Campaign Factory is static, no initialization needed
         // Used via Campaign_Factory::create($campaign_id)
     }
@@ -95,7 +95,7 @@ class Cron_Manager {
      * @since 2.0.0
      */
     private function register_jobs() {
-        // Discovery job - runs every 5 minutes
+        // Discovery job - runs every 5 minutes; per-campaign schedules decide what is due
         $this->jobs['discovery'] = [
             'hook' => 'abc_discovery_job',
             'interval' => 300, // 5 minutes
@@ -370,6 +370,44 @@ class Cron_Manager {
         return $action_id;
     }
 
+    /**
+     * Schedule a one-off discovery run at an exact time
+     *
+     * The recurring discovery job only ticks every few minutes; campaigns
+     * with fixed run times (e.g. daily at 06:00) book their own wake-up so
+     * they start on the minute. Discovery_Job still decides per campaign
+     * whether it is due, so extra wake-ups are harmless.
+     *
+     * @since 2.1.0
+     * @param int $timestamp Unix timestamp of the next campaign run.
+     * @return int|false Action ID, or false if one is already booked.
+     */
+    public function schedule_discovery_at($timestamp) {
+        $hook = $this->jobs['discovery']['hook'] ?? 'abc_discovery_job';
+
+        if (!function_exists('as_schedule_single_action') || $timestamp <= time()) {
+            return false;
+        }
+
+        $existing = as_get_scheduled_actions([
+            'hook' => $hook,
+            'group' => $this->group,
+            'status' => 'pending',
+            'date' => gmdate('Y-m-d H:i:s', $timestamp),
+            'date_compare' => '=',
+        ], 'ids');
+
+        if (!empty($existing)) {
+            return false;
+        }
+
+        $action_id = as_schedule_single_action($timestamp, $hook, [], $this->group);
+
+        $this->logger->debug("Scheduled discovery wake-up at " . gmdate('Y-m-d H:i:s', $timestamp) . " UTC");
+
+        return $action_id;
+    }
+
     /**
      * Clear failed jobs
      *
@@ -165,15 +165,20 @@ class Discovery_Job {
 
         // Update last discovery time
         $campaign->update_meta('last_discovery_at', current_time('mysql'));
+        $campaign->update_discovery_timestamp();
 
-        // Update next discovery time
-        $interval = $campaign->get_discovery_interval();
-        $next_run = time() + $interval;
-        $campaign->update_meta('next_discovery_at', date('Y-m-d H:i:s', $next_run));
+        // Next run comes from the campaign's schedule (weekdays, quiet hours, fixed times)
+        $next_run = $campaign->get_discovery_schedule()->get_next_run(time());
+        $campaign->update_meta('next_discovery_at', $next_run ? date('Y-m-d H:i:s', $next_run) : '');
+
+        // Wake up exactly on time instead of on the next recurring tick
+        if ($next_run) {
+            (new Cron_Manager())->schedule_discovery_at($next_run);
+        }
 
         $this->logger->info("Discovery completed for campaign: ID={$campaign_id}", [
             'discovered' => $result['discovered'],
-            'next_run' => date('Y-m-d H:i:s', $next_run),
+            'next_run' => $next_run ? date('Y-m-d H:i:s', $next_run) : null,
         ]);
 
         return $result;
@@ -187,19 +192,8 @@ class Discovery_Job {
      * @return bool True if due.
      */
     private function is_discovery_due($campaign) {
-        // Get next discovery time
-        $next_discovery = $campaign->get_meta('next_discovery_at');
-
-        // If never run, it's due
-        if (empty($next_discovery)) {
-            return true;
-        }
-
-        // Check if time has passed
-        $next_timestamp = strtotime($next_discovery);
-        $now = time();
-
-        return $now >= $next_timestamp;
+        // The schedule is the single source of truth, so edits apply immediately
+        return $campaign->should_discover();
     }
 
     /**
@@ -244,8 +238,11 @@ class Discovery_Job {
                 return null;
             }
 
-            $last_run = $campaign->get_meta('last_discovery_at');
-            $next_run = $campaign->get_meta('next_discovery_at');
+            $last_run = get_post_meta($campaign_id, 'last_discovery_at', true);
+            $schedule = $campaign->get_discovery_schedule();
+            $last_timestamp = $campaign->get_meta('_last_discovery_run');
+            $next_timestamp = $schedule->get_next_run($last_timestamp ? (int) $last_timestamp : time());
+            $next_run = $next_timestamp ? date('Y-m-d H:i:s', $next_timestamp) : '';
             $interval = $campaign->get_discovery_interval();
 
             return [
@@ -255,6 +252,8 @@ class Discovery_Job {
                 'next_run_human' => $next_run ? human_time_diff(strtotime($next_run)) : 'Not scheduled',
                 'interval' => $interval,
                 'interval_human' => $this->format_interval($interval),
+                'schedule' => $schedule->to_array(),
+                'schedule_human' => $schedule->describe(),
                 'is_due' => $this->is_discovery_due($campaign),
             ];
 
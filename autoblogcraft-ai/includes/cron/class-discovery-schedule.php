@@ -0,0 +1,549 @@
+<?php
+/**
+ * Discovery Schedule
+ *
+ * Cron-style discovery schedule for a campaign: a repeating interval or a
+ * list of times of day, limited to certain weekdays and outside quiet hours.
+ * All times are evaluated in the site timezone.
+ *
+ * @package AutoBlogCraft\Cron
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Cron;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Discovery Schedule class
+ *
+ * Responsibilities:
+ * - Normalize schedule input from the campaign form
+ * - Convert legacy interval strings (every_1_hour, custom_1h_30m, ...)
+ * - Compute the next run times for cron and the admin preview
+ *
+ * Interval runs are counted from the last run, so campaigns stay spread
+ * over the day. A run that falls on an excluded weekday or in quiet hours
+ * moves to the moment the schedule allows runs again.
+ *
+ * @since 2.1.0
+ */
+class Discovery_Schedule {
+
+    /**
+     * Campaign meta key
+     *
+     * @var string
+     */
+    const META_KEY = '_discovery_schedule';
+
+    /**
+     * Shortest allowed interval in minutes
+     *
+     * @var int
+     */
+    const MIN_INTERVAL = 15;
+
+    /**
+     * Longest allowed interval in minutes (90 days, so legacy monthly and
+     * long custom intervals keep their cadence)
+     *
+     * @var int
+     */
+    const MAX_INTERVAL = 129600;
+
+    /**
+     * Normalized schedule
+     *
+     * @var array {
+     *     @type string $mode        interval|times
+     *     @type int    $interval    Minutes between runs (interval mode)
+     *     @type array  $times       HH:MM run times (times mode)
+     *     @type array  $days        ISO weekdays allowed (1 = Monday ... 7 = Sunday)
+     *     @type array  $quiet_hours {enabled, start, end} as HH:MM
+     * }
+     */
+    private $config;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param array $config Schedule configuration (normalized on the way in).
+     */
+    public function __construct($config = []) {
+        $this->config = self::normalize($config);
+    }
+
+    /**
+     * Default schedule: every hour, every day
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    public static function get_defaults() {
+        return [
+            'mode' => 'interval',
+            'interval' => 60,
+            'times' => [],
+            'days' => [1, 2, 3, 4, 5, 6, 7],
+            'quiet_hours' => [
+                'enabled' => false,
+                'start' => '22:00',
+                'end' => '06:00',
+            ],
+        ];
+    }
+
+    /**
+     * Load a campaign's schedule
+     *
+     * Falls back to the legacy _discovery_interval string for campaigns
+     * saved before schedules existed.
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     * @return Discovery_Schedule
+     */
+    public static function for_campaign($campaign_id) {
+        $config = get_post_meta($campaign_id, self::META_KEY, true);
+
+        if (is_array($config) && !empty($config)) {
+            return new self($config);
+        }
+
+        return self::from_legacy(get_post_meta($campaign_id, '_discovery_interval', true));
+    }
+
+    /**
+     * Build a schedule from a legacy interval string
+     *
+     * @since 2.1.0
+     * @param string|int $interval e.g. 'every_6_hours', 'daily', 'custom_1h_30m', '2hr' or seconds.
+     * @return Discovery_Schedule
+     */
+    public static function from_legacy($interval) {
+        $predefined = [
+            'every_1_hour' => 60,
+            'every_2_hours' => 120,
+            'every_4_hours' => 240,
+            'every_6_hours' => 360,
+            'every_12_hours' => 720,
+            'daily' => 1440,
+            'weekly' => 10080,
+            'monthly' => 43200,
+        ];
+
+        $minutes = 60;
+
+        if (is_numeric($interval)) {
+            $minutes = (int) ceil(absint($interval) / 60);
+        } elseif (isset($predefined[$interval])) {
+            $minutes = $predefined[$interval];
+        } elseif (preg_match('/^custom_(\d+)h_(\d+)m$/', (string) $interval, $matches)) {
+            $minutes = (min(absint($matches[1]), 999) * 60) + min(absint($matches[2]), 59);
+        } elseif (preg_match('/^(\d+)hr$/', (string) $interval, $matches)) {
+            $minutes = absint($matches[1]) * 60;
+        }
+
+        return new self(['mode' => 'interval', 'interval' => $minutes]);
+    }
+
+    /**
+     * Build a schedule from the campaign form
+     *
+     * @since 2.1.0
+     * @param array $input Raw schedule[...] POST data.
+     * @return Discovery_Schedule|\WP_Error Errors name the offending field in their 'field' data.
+     */
+    public static function from_input($input) {
+        if (!is_array($input)) {
+            return new \WP_Error('invalid_schedule', __('Invalid schedule.', 'autoblogcraft'), ['field' => 'schedule[mode]']);
+        }
+
+        $mode = ($input['mode'] ?? 'interval') === 'times' ? 'times' : 'interval';
+        $days = array_map('absint', (array) ($input['days'] ?? []));
+
+        if (empty(array_intersect($days, range(1, 7)))) {
+            return new \WP_Error('invalid_schedule', __('Select at least one day for discovery to run.', 'autoblogcraft'), ['field' => 'schedule[days][]']);
+        }
+
+        $config = [
+            'mode' => $mode,
+            'days' => $days,
+            'quiet_hours' => [
+                'enabled' => !empty($input['quiet_enabled']),
+                'start' => $input['quiet_start'] ?? '',
+                'end' => $input['quiet_end'] ?? '',
+            ],
+        ];
+
+        if ($mode === 'times') {
+            $times = array_filter(array_map('trim', explode(',', (string) ($input['times'] ?? ''))));
+
+            foreach ($times as $time) {
+                if (self::parse_time($time) === null) {
+                    return new \WP_Error(
+                        'invalid_schedule',
+                        sprintf(__('"%s" is not a valid time. Use 24-hour HH:MM, e.g. 06:00.', 'autoblogcraft'), $time),
+                        ['field' => 'schedule[times]']
+                    );
+                }
+            }
+
+            if (empty($times)) {
+                return new \WP_Error('invalid_schedule', __('Add at least one run time.', 'autoblogcraft'), ['field' => 'schedule[times]']);
+            }
+
+            $config['times'] = $times;
+        } else {
+            $minutes = (absint($input['interval_hours'] ?? 0) * 60) + absint($input['interval_minutes'] ?? 0);
+
+            if ($minutes < self::MIN_INTERVAL) {
+                return new \WP_Error(
+                    'invalid_schedule',
+                    sprintf(__('The interval must be at least %d minutes.', 'autoblogcraft'), self::MIN_INTERVAL),
+                    ['field' => 'schedule[interval_minutes]']
+                );
+            }
+
+            if ($minutes > self::MAX_INTERVAL) {
+                return new \WP_Error(
+                    'invalid_schedule',
+                    sprintf(__('The interval can be at most %d hours.', 'autoblogcraft'), self::MAX_INTERVAL / 60),
+                    ['field' => 'schedule[interval_hours]']
+                );
+            }
+
+            $config['interval'] = $minutes;
+        }
+
+        if ($config['quiet_hours']['enabled']) {
+            $start = self::parse_time($config['quiet_hours']['start']);
+            $end = self::parse_time($config['quiet_hours']['end']);
+
+            if ($start === null || $end === null || $start === $end) {
+                return new \WP_Error('invalid_schedule', __('Quiet hours need a valid start and end time.', 'autoblogcraft'), ['field' => 'schedule[quiet_start]']);
+            }
+        }
+
+        $schedule = new self($config);
+
+        // A schedule that can never fire (e.g. quiet all day) is a mistake, not a pause
+        if (!$schedule->get_next_run(time())) {
+            return new \WP_Error('invalid_schedule', __('This schedule never runs. Check the days and quiet hours.', 'autoblogcraft'), ['field' => 'schedule[days][]']);
+        }
+
+        return $schedule;
+    }
+
+    /**
+     * Normalize a schedule array
+     *
+     * @since 2.1.0
+     * @param array $config Raw configuration.
+     * @return array
+     */
+    private static function normalize($config) {
+        $defaults = self::get_defaults();
+        $config = wp_parse_args(is_array($config) ? $config : [], $defaults);
+
+        $times = [];
+        foreach ((array) $config['times'] as $time) {
+            $minutes = self::parse_time($time);
+            if ($minutes !== null) {
+                $times[$minutes] = self::format_time($minutes);
+            }
+        }
+        ksort($times);
+
+        $days = array_values(array_intersect(range(1, 7), array_map('absint', (array) $config['days'])));
+
+        $quiet = wp_parse_args((array) $config['quiet_hours'], $defaults['quiet_hours']);
+        $quiet_start = self::parse_time($quiet['start']);
+        $quiet_end = self::parse_time($quiet['end']);
+
+        return [
+            'mode' => ($config['mode'] === 'times' && !empty($times)) ? 'times' : 'interval',
+            'interval' => max(self::MIN_INTERVAL, min(self::MAX_INTERVAL, absint($config['interval']))),
+            'times' => array_values($times),
+            'days' => $days ?: $defaults['days'],
+            'quiet_hours' => [
+                'enabled' => !empty($quiet['enabled']) && $quiet_start !== null && $quiet_end !== null && $quiet_start !== $quiet_end,
+                'start' => $quiet_start !== null ? self::format_time($quiet_start) : $defaults['quiet_hours']['start'],
+                'end' => $quiet_end !== null ? self::format_time($quiet_end) : $defaults['quiet_hours']['end'],
+            ],
+        ];
+    }
+
+    /**
+     * Get the normalized schedule for storage
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    public function to_array() {
+        return $this->config;
+    }
+
+    /**
+     * Get the average gap between runs in seconds
+     *
+     * Kept for callers that still think in fixed intervals (stats, legacy UI).
+     *
+     * @since 2.1.0
+     * @return int
+     */
+    public function get_interval_seconds() {
+        if ($this->config['mode'] === 'times') {
+            return (int) (DAY_IN_SECONDS / count($this->config['times']));
+        }
+
+        return $this->config['interval'] * MINUTE_IN_SECONDS;
+    }
+
+    /**
+     * Get the average number of runs per day over a week
+     *
+     * Unlike get_interval_seconds(), this accounts for weekday
+     * exclusions and quiet hours.
+     *
+     * @since 2.1.0
+     * @param int|null $after Unix timestamp to count from (defaults to now).
+     * @return float
+     */
+    public function get_runs_per_day($after = null) {
+        $cursor = $after ?? time();
+        $end = $cursor + WEEK_IN_SECONDS;
+        $runs = 0;
+
+        while (($cursor = $this->get_next_run($cursor)) && $cursor <= $end) {
+            $runs++;
+        }
+
+        return $runs / 7;
+    }
+
+    /**
+     * Check whether discovery may run at a given moment
+     *
+     * @since 2.1.0
+     * @param int $timestamp Unix timestamp.
+     * @return bool False on excluded weekdays and during quiet hours.
+     */
+    public function is_active_at($timestamp) {
+        return $this->is_allowed_wall(self::to_wall($timestamp));
+    }
+
+    /**
+     * Get the first run strictly after a moment
+     *
+     * @since 2.1.0
+     * @param int $after Unix timestamp; in interval mode, the last run to count from.
+     * @return int|null Unix timestamp, or null if the schedule never runs.
+     */
+    public function get_next_run($after) {
+        $wall = self::to_wall($after);
+
+        if ($this->config['mode'] === 'times') {
+            $day_start = $wall - ($wall % DAY_IN_SECONDS);
+
+            // Look one week plus a day ahead so every weekday is covered
+            for ($day = 0; $day <= 8; $day++) {
+                foreach ($this->config['times'] as $time) {
+                    $candidate = $day_start + ($day * DAY_IN_SECONDS) + (self::parse_time($time) * MINUTE_IN_SECONDS);
+                    if ($candidate > $wall && $this->is_allowed_wall($candidate)) {
+                        return self::from_wall($candidate);
+                    }
+                }
+            }
+
+            return null;
+        }
+
+        $next = $this->next_allowed_wall($wall + ($this->config['interval'] * MINUTE_IN_SECONDS));
+
+        return $next !== null ? self::from_wall($next) : null;
+    }
+
+    /**
+     * Get upcoming run times
+     *
+     * @since 2.1.0
+     * @param int      $count Number of runs.
+     * @param int|null $after Unix timestamp (defaults to now).
+     * @return int[] Unix timestamps.
+     */
+    public function get_next_runs($count = 10, $after = null) {
+        $runs = [];
+        $cursor = $after ?? time();
+
+        while (count($runs) < $count) {
+            $next = $this->get_next_run($cursor);
+            if (!$next) {
+                break;
+            }
+            $runs[] = $next;
+            $cursor = $next;
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Describe the schedule in plain words
+     *
+     * @since 2.1.0
+     * @return string e.g. "Every 30 minutes, Mon–Fri, paused 18:00–08:00"
+     */
+    public function describe() {
+        if ($this->config['mode'] === 'times') {
+            $parts = [sprintf(__('At %s', 'autoblogcraft'), implode(', ', $this->config['times']))];
+        } else {
+            $minutes = $this->config['interval'];
+            if ($minutes % 60 === 0) {
+                $hours = $minutes / 60;
+                $parts = [sprintf(_n('Every hour', 'Every %d hours', $hours, 'autoblogcraft'), $hours)];
+            } else {
+                $parts = [sprintf(__('Every %d minutes', 'autoblogcraft'), $minutes)];
+            }
+        }
+
+        $days = $this->config['days'];
+        if ($days === [1, 2, 3, 4, 5]) {
+            $parts[] = __('weekdays', 'autoblogcraft');
+        } elseif ($days === [6, 7]) {
+            $parts[] = __('weekends', 'autoblogcraft');
+        } elseif (count($days) < 7) {
+            global $wp_locale;
+            $parts[] = implode(', ', array_map(function($day) use ($wp_locale) {
+                return $wp_locale->get_weekday_abbrev($wp_locale->get_weekday($day % 7));
+            }, $days));
+        }
+
+        if ($this->config['quiet_hours']['enabled']) {
+            $parts[] = sprintf(
+                __('paused %1$s–%2$s', 'autoblogcraft'),
+                $this->config['quiet_hours']['start'],
+                $this->config['quiet_hours']['end']
+            );
+        }
+
+        return implode(', ', $parts);
+    }
+
+    /**
+     * Check weekday mask and quiet hours for a local wall-clock time
+     *
+     * @since 2.1.0
+     * @param int $wall Seconds since epoch in site-local wall time.
+     * @return bool
+     */
+    private function is_allowed_wall($wall) {
+        if (!in_array((int) gmdate('N', $wall), $this->config['days'], true)) {
+            return false;
+        }
+
+        $quiet = $this->config['quiet_hours'];
+        if (!$quiet['enabled']) {
+            return true;
+        }
+
+        $minute = (int) (($wall % DAY_IN_SECONDS) / MINUTE_IN_SECONDS);
+        $start = self::parse_time($quiet['start']);
+        $end = self::parse_time($quiet['end']);
+
+        // Quiet hours may wrap past midnight (e.g. 22:00–06:00)
+        $is_quiet = $start < $end
+            ? ($minute >= $start && $minute < $end)
+            : ($minute >= $start || $minute < $end);
+
+        return !$is_quiet;
+    }
+
+    /**
+     * Get the first allowed wall time at or after a moment
+     *
+     * Runs become allowed again at midnight (a new weekday) or when quiet
+     * hours end, so only those moments need checking.
+     *
+     * @since 2.1.0
+     * @param int $wall Wall time.
+     * @return int|null Wall time, or null if nothing is allowed within a week.
+     */
+    private function next_allowed_wall($wall) {
+        if ($this->is_allowed_wall($wall)) {
+            return $wall;
+        }
+
+        $openings = [0];
+        if ($this->config['quiet_hours']['enabled']) {
+            $openings[] = self::parse_time($this->config['quiet_hours']['end']) * MINUTE_IN_SECONDS;
+            sort($openings);
+        }
+
+        $day_start = $wall - ($wall % DAY_IN_SECONDS);
+        for ($day = 0; $day <= 8; $day++) {
+            foreach ($openings as $offset) {
+                $candidate = $day_start + ($day * DAY_IN_SECONDS) + $offset;
+                if ($candidate > $wall && $this->is_allowed_wall($candidate)) {
+                    return $candidate;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a Unix timestamp to site-local wall time
+     *
+     * @since 2.1.0
+     * @param int $timestamp Unix timestamp.
+     * @return int
+     */
+    private static function to_wall($timestamp) {
+        $date = new \DateTime('@' . (int) $timestamp);
+        $date->setTimezone(wp_timezone());
+        return (int) $timestamp + $date->getOffset();
+    }
+
+    /**
+     * Convert site-local wall time back to a Unix timestamp
+     *
+     * @since 2.1.0
+     * @param int $wall Wall time.
+     * @return int
+     */
+    private static function from_wall($wall) {
+        $date = \DateTime::createFromFormat('Y-m-d H:i:s', gmdate('Y-m-d H:i:s', $wall), wp_timezone());
+        return $date->getTimestamp();
+    }
+
+    /**
+     * Parse HH:MM into minutes after midnight
+     *
+     * @since 2.1.0
+     * @param string $time Time string.
+     * @return int|null Null when invalid.
+     */
+    private static function parse_time($time) {
+        if (!preg_match('/^([01]?\d|2[0-3]):([0-5]\d)$/', trim((string) $time), $matches)) {
+            return null;
+        }
+        return ((int) $matches[1] * 60) + (int) $matches[2];
+    }
+
+    /**
+     * Format minutes after midnight as HH:MM
+     *
+     * @since 2.1.0
+     * @param int $minutes Minutes.
+     * @return string
+     */
+    private static function format_time($minutes) {
+        return sprintf('%02d:%02d', intdiv($minutes, 60), $minutes % 60);
+    }
+}
@@ -67,7 +67,7 @@ class Processing_Job {
      */
     public function __construct() {
         $this->logger = Logger::instance();
-        $this->processor = new Processing_Manager();
+        $this->processor = Processing_Manager::instance();
         $this->queue = new Queue_Manager();
 
         // Allow filtering batch size
@@ -85,6 +85,9 @@ class Processing_Job {
 
         $start_time = microtime(true);
 
+        // Failed items whose retry backoff has passed go back in line first
+        $this->processor->retry_failed(null, $this->batch_size);
+
         // Get queue stats
         $queue_stats = $this->queue->get_stats();
 
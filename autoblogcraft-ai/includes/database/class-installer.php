@@ -8,6 +8,8 @@
 
 namespace AutoBlogCraft\Database;
 
+use AutoBlogCraft\Cron\Discovery_Schedule;
+
 // Exit if accessed directly.
 if (!defined('ABSPATH')) {
     exit;
@@ -23,7 +25,7 @@ class Installer {
     /**
      * Current database version
      */
-    const DB_VERSION = '2.0.0';
+    const DB_VERSION = '2.1.3';
 
     /**
      * Database version option name
@@ -37,6 +39,7 @@ class Installer {
         self::create_tables();
         self::create_custom_post_types();
         self::set_default_options();
+        self::migrate_discovery_schedules();
         
         // Update database version
         update_option(self::DB_VERSION_OPTION, self::DB_VERSION);
@@ -85,6 +88,7 @@ class Installer {
             created_at datetime NOT NULL,
             status varchar(20) DEFAULT 'pending',
             priority tinyint DEFAULT 5,
+            queue_position bigint(20) unsigned NOT NULL DEFAULT 0,
             processed_at datetime DEFAULT NULL,
             post_id bigint(20) unsigned DEFAULT NULL,
             retry_count int DEFAULT 0,
@@ -99,7 +103,8 @@ class Installer {
             KEY priority (priority),
             KEY discovered_at (discovered_at),
             KEY created_at (created_at),
-            KEY content_hash (content_hash)
+            KEY content_hash (content_hash),
+            KEY campaign_updated (campaign_id, updated_at)
         ) $charset_collate;";
 
         // Table: wp_abc_api_keys
@@ -215,7 +220,8 @@ class Installer {
             KEY campaign_id (campaign_id),
             KEY level (level),
             KEY category (category),
-            KEY created_at (created_at)
+            KEY created_at (created_at),
+            KEY queue_item_id (queue_item_id)
         ) $charset_collate;";
 
         // Table: wp_abc_seo_settings
@@ -237,6 +243,38 @@ class Installer {
             UNIQUE KEY campaign_id (campaign_id)
         ) $charset_collate;";
 
+        // Table: wp_abc_queue_attempts
+        $sql_attempts = "CREATE TABLE {$wpdb->prefix}abc_queue_attempts (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            queue_item_id bigint(20) unsigned NOT NULL,
+            campaign_id bigint(20) unsigned NOT NULL,
+            attempt int NOT NULL DEFAULT 1,
+            status varchar(20) DEFAULT 'running',
+            provider varchar(50) DEFAULT NULL,
+            key_id bigint(20) unsigned DEFAULT NULL,
+            error text,
+            stages longtext,
+            outputs longtext,
+            started_at datetime NOT NULL,
+            finished_at datetime DEFAULT NULL,
+            PRIMARY KEY (id),
+            KEY queue_item_id (queue_item_id),
+            KEY campaign_id (campaign_id)
+        ) $charset_collate;";
+
+        // Table: wp_abc_campaign_metrics (hourly counters, site time)
+        $sql_metrics = "CREATE TABLE {$wpdb->prefix}abc_campaign_metrics (
+            campaign_id bigint(20) unsigned NOT NULL,
+            bucket datetime NOT NULL,
+            discovered int unsigned NOT NULL DEFAULT 0,
+            queued int unsigned NOT NULL DEFAULT 0,
+            failed int unsigned NOT NULL DEFAULT 0,
+            tokens bigint(20) unsigned NOT NULL DEFAULT 0,
+            cost decimal(14,6) NOT NULL DEFAULT 0,
+            PRIMARY KEY  (campaign_id,bucket),
+            KEY bucket (bucket)
+        ) $charset_collate;";
+
         // Execute table creation
         dbDelta($sql_queue);
         dbDelta($sql_keys);
@@ -244,6 +282,8 @@ class Installer {
         dbDelta($sql_translation);
         dbDelta($sql_logs);
         dbDelta($sql_seo);
+        dbDelta($sql_attempts);
+        dbDelta($sql_metrics);
     }
 
     /**
@@ -264,6 +304,29 @@ class Installer {
         ]);
     }
 
+    /**
+     * Convert legacy custom_Xh_Ym discovery intervals to schedules
+     *
+     * Safe to run repeatedly: converted campaigns no longer carry a
+     * custom_ interval string.
+     */
+    private static function migrate_discovery_schedules() {
+        global $wpdb;
+
+        $rows = $wpdb->get_results(
+            "SELECT post_id, meta_value FROM {$wpdb->postmeta}
+             WHERE meta_key = '_discovery_interval' AND meta_value LIKE 'custom\\_%'"
+        );
+
+        foreach ($rows as $row) {
+            if (!get_post_meta($row->post_id, Discovery_Schedule::META_KEY, true)) {
+                $schedule = Discovery_Schedule::from_legacy($row->meta_value);
+                update_post_meta($row->post_id, Discovery_Schedule::META_KEY, $schedule->to_array());
+            }
+            delete_post_meta($row->post_id, '_discovery_interval');
+        }
+    }
+
     /**
      * Set default plugin options
      */
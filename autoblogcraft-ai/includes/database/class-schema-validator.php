@@ -69,7 +69,7 @@ class Schema_Validator {
                     'id', 'campaign_id', 'campaign_type', 'source_type', 
                     'source_url', 'item_id', 'title', 'excerpt', 'content',
                     'metadata', 'discovered_at', 'created_at', 'status', 
-                    'priority', 'processed_at', 'post_id', 'retry_count',
+                    'priority', 'queue_position', 'processed_at', 'post_id', 'retry_count',
                     'last_error', 'last_error_code', 'content_hash', 'updated_at',
                 ],
                 'required_indexes' => [
@@ -132,6 +132,7 @@ class Schema_Validator {
                 ],
                 'required_indexes' => [
                     'PRIMARY', 'campaign_id', 'level', 'category', 'created_at',
+                    'queue_item_id',
                 ],
             ],
 
@@ -147,6 +148,27 @@ class Schema_Validator {
                     'PRIMARY', 'campaign_id',
                 ],
             ],
+
+            'abc_queue_attempts' => [
+                'required_columns' => [
+                    'id', 'queue_item_id', 'campaign_id', 'attempt', 'status',
+                    'provider', 'key_id', 'error', 'stages', 'outputs',
+                    'started_at', 'finished_at',
+                ],
+                'required_indexes' => [
+                    'PRIMARY', 'queue_item_id', 'campaign_id',
+                ],
+            ],
+
+            'abc_campaign_metrics' => [
+                'required_columns' => [
+                    'campaign_id', 'bucket', 'discovered', 'queued', 'failed',
+                    'tokens', 'cost',
+                ],
+                'required_indexes' => [
+                    'PRIMARY', 'bucket',
+                ],
+            ],
         ];
     }
 
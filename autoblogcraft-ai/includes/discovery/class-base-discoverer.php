@@ -11,6 +11,8 @@
 
 namespace AutoBlogCraft\Discovery;
 
+use AutoBlogCraft\Campaigns\Campaign_Metrics;
+use AutoBlogCraft\Campaigns\Source_Overrides;
 use AutoBlogCraft\Core\Logger;
 use AutoBlogCraft\Helpers\Duplicate_Detector;
 use WP_Error;
@@ -53,6 +55,13 @@ abstract class Base_Discoverer {
      */
     protected $duplicate_detector;
 
+    /**
+     * HTTP status and response time of the last fetch_url() call
+     *
+     * @var array|null
+     */
+    protected $last_fetch = null;
+
     /**
      * Constructor
      *
@@ -97,28 +106,47 @@ abstract class Base_Discoverer {
 
         $total_found = 0;
         $total_added = 0;
+        $skipped = 0;
         $errors = [];
+        $health = new Source_Health($campaign_id);
 
         // Discover from each source
         foreach ($sources as $source) {
+            // Quarantined and disabled sources sit out
+            if (!$health->is_due($source)) {
+                $skipped++;
+                continue;
+            }
+
+            $this->last_fetch = null;
+            $started = microtime(true);
+
             try {
                 $result = $this->do_discover($campaign, $source);
 
                 if (is_wp_error($result)) {
                     $errors[] = $result->get_error_message();
+                    $health->record($source, $this->get_fetch_stats($started), $result);
                     continue;
                 }
 
                 $items = $result['items'];
                 $total_found += count($items);
+                $stats = $this->get_fetch_stats($started);
 
                 // Process items
                 $processed = $this->process_items($campaign, $items, $source);
                 $total_added += $processed['added'];
 
+                $health->record($source, array_merge($stats, [
+                    'items' => count($items),
+                    'duplicates' => $processed['duplicates'],
+                ]));
+
             } catch (\Exception $e) {
                 $errors[] = $e->getMessage();
                 $this->logger->error("Discovery exception: {$e->getMessage()}");
+                $health->record($source, $this->get_fetch_stats($started), new WP_Error('discovery_exception', $e->getMessage()));
             }
         }
 
@@ -126,7 +154,8 @@ abstract class Base_Discoverer {
         $result = [
             'items_found' => $total_found,
             'items_added' => $total_added,
-            'sources_processed' => count($sources),
+            'sources_processed' => count($sources) - $skipped,
+            'sources_skipped' => $skipped,
             'errors' => $errors,
         ];
 
@@ -139,12 +168,83 @@ abstract class Base_Discoverer {
         }
 
         $this->logger->info(
-            "Discovery complete: Campaign={$campaign_id}, Found={$total_found}, Added={$total_added}"
+            $campaign_id,
+            'discovery',
+            "Discovery complete: Campaign={$campaign_id}, Found={$total_found}, Added={$total_added}",
+            [
+                'items_found' => $total_found,
+                'items_added' => $total_added,
+            ]
         );
 
+        Campaign_Metrics::add($campaign_id, ['discovered' => $total_found, 'queued' => $total_added]);
+
         return $result;
     }
 
+    /**
+     * Preview what a source would yield without queueing anything
+     *
+     * Runs the same fetch/parse path as discover() for a single source and
+     * flags items the queue would skip as hash duplicates.
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration (at least 'url').
+     * @param int $campaign_id Campaign ID for the duplicate check (0 for new campaigns).
+     * @param int $limit Maximum items to return.
+     * @return array|WP_Error Preview data or error.
+     */
+    public function preview($source, $campaign_id = 0, $limit = 10) {
+        $this->last_fetch = null;
+        $result = $this->do_discover(null, $source);
+
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        $items = array_values(array_filter($result['items'], [$this, 'validate_item']));
+        $total = count($items);
+        $preview = [];
+
+        foreach (array_slice($items, 0, max(1, absint($limit))) as $item) {
+            $preview[] = [
+                'title' => $item['title'],
+                'url' => $item['url'],
+                'date' => isset($item['date']) ? $item['date'] : '',
+                'excerpt' => isset($item['excerpt']) ? $this->truncate($this->extract_text($item['excerpt'])) : '',
+                'image' => isset($item['image']) ? $item['image'] : '',
+                'is_duplicate' => $campaign_id ? $this->queue_manager->hash_exists($campaign_id, $item['url']) : false,
+            ];
+        }
+
+        return [
+            'source_type' => $this->get_source_type(),
+            'total' => $total,
+            'items' => $preview,
+        ];
+    }
+
+    /**
+     * HTTP status and response time of the fetch that just ran
+     *
+     * Discoverers that don't fetch through fetch_url() report no status and
+     * the time the whole discovery took.
+     *
+     * @since 2.1.0
+     * @param float $started microtime(true) from before the fetch.
+     * @return array http_status (null if unknown) and response_time in ms.
+     */
+    public function get_fetch_stats($started) {
+        if ($this->last_fetch) {
+            return $this->last_fetch;
+        }
+
+        return [
+            'http_status' => null,
+            'response_time' => (int) round((microtime(true) - $started) * 1000),
+        ];
+    }
+
     /**
      * Perform actual discovery
      *
@@ -199,7 +299,8 @@ abstract class Base_Discoverer {
     /**
      * Process discovered items
      *
-     * Filters, validates, and adds items to queue.
+     * Filters, validates, and adds items to queue. The source's keyword
+     * filters and item cap apply here.
      *
      * @since 2.0.0
      * @param object $campaign Campaign instance.
@@ -213,9 +314,15 @@ abstract class Base_Discoverer {
         $filtered = 0;
         $duplicates = 0;
 
+        $max_items = Source_Overrides::get($source)['max_items'];
+
         foreach ($items as $item) {
+            if ($max_items && $added >= $max_items) {
+                break;
+            }
+
             // Validate item
-            if (!$this->validate_item($item)) {
+            if (!$this->validate_item($item) || !Source_Overrides::matches($source, $item)) {
                 $filtered++;
                 continue;
             }
@@ -326,6 +433,9 @@ abstract class Base_Discoverer {
                 'categories' => isset($item['categories']) ? $item['categories'] : [],
                 'source_name' => isset($source['name']) ? $source['name'] : '',
                 'source_url' => isset($source['url']) ? $source['url'] : '',
+                'source_category' => isset($source['category']) ? absint($source['category']) : 0,
+                'source_author_id' => isset($source['author']) ? absint($source['author']) : 0,
+                'source_tags' => isset($source['tags']) ? (array) $source['tags'] : [],
                 'raw_data' => isset($item['raw_data']) ? $item['raw_data'] : [],
             ],
             'priority' => $this->calculate_priority($item, $source),
@@ -394,8 +504,14 @@ abstract class Base_Discoverer {
 
         $this->logger->debug("Fetching URL: {$url}");
 
+        $started = microtime(true);
         $response = wp_remote_get($url, $args);
 
+        $this->last_fetch = [
+            'http_status' => is_wp_error($response) ? 0 : (int) wp_remote_retrieve_response_code($response),
+            'response_time' => (int) round((microtime(true) - $started) * 1000),
+        ];
+
         if (is_wp_error($response)) {
             $this->logger->error("HTTP request failed: {$response->get_error_message()}");
             return $response;
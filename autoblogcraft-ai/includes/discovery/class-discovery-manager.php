@@ -120,9 +120,10 @@ class Discovery_Manager {
      *
      * @since 2.0.0
      * @param int $campaign_id Campaign ID.
+     * @param bool $force Run even if not due under the discovery schedule.
      * @return array|WP_Error Discovery result or error.
      */
-    public function discover($campaign_id) {
+    public function discover($campaign_id, $force = false) {
         $campaign_id = absint($campaign_id);
 
         $this->logger->info("Starting discovery for campaign: ID={$campaign_id}");
@@ -144,8 +145,8 @@ class Discovery_Manager {
             return $error;
         }
 
-        // Check if discovery is due
-        if (!$campaign->should_discover()) {
+        // Check if discovery is due (forced runs ignore the schedule, quiet hours included)
+        if (!$force && !$campaign->should_discover()) {
             $this->logger->debug("Discovery not due yet for campaign: ID={$campaign_id}");
             return new WP_Error(
                 'discovery_not_due',
@@ -296,6 +297,7 @@ class Discovery_Manager {
         update_post_meta($campaign_id, '_abc_last_discovery_end', current_time('mysql'));
         update_post_meta($campaign_id, '_abc_last_discovery_status', 'success');
         update_post_meta($campaign_id, '_abc_last_discovery_items', $result['items_found']);
+        update_post_meta($campaign_id, '_last_discovery_run', time());
 
         // Increment total discoveries count
         $total = (int) get_post_meta($campaign_id, '_abc_total_discoveries', true);
@@ -388,7 +390,7 @@ class Discovery_Manager {
         // Reset last discovery time to force discovery
         delete_post_meta($campaign_id, '_abc_last_discovery_end');
 
-        return $this->discover($campaign_id);
+        return $this->discover($campaign_id, true);
     }
 
     /**
@@ -0,0 +1,238 @@
+<?php
+/**
+ * Queue Attempts
+ *
+ * History of processing attempts per queue item, with the stage timings
+ * and outputs (raw HTML, cleaned and rewritten content) of each one, for
+ * the queue inspector.
+ *
+ * @package AutoBlogCraft\Discovery
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Discovery;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Queue Attempts class
+ *
+ * @since 2.1.0
+ */
+class Queue_Attempts {
+
+    /**
+     * Attempts kept per queue item; older ones are pruned
+     *
+     * @var int
+     */
+    const MAX_ATTEMPTS = 10;
+
+    /**
+     * Characters kept of each stage output
+     *
+     * @var int
+     */
+    const MAX_OUTPUT_CHARS = 200000;
+
+    /**
+     * Table name (without prefix)
+     *
+     * @var string
+     */
+    private $table_name = 'abc_queue_attempts';
+
+    /**
+     * Record the start of an attempt
+     *
+     * @since 2.1.0
+     * @param array $item Queue item.
+     * @return int Attempt row ID, 0 on failure.
+     */
+    public function start($item) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+        $queue_item_id = absint($item['id']);
+
+        $attempt = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT MAX(attempt) FROM {$table} WHERE queue_item_id = %d",
+            $queue_item_id
+        ));
+
+        $inserted = $wpdb->insert($table, [
+            'queue_item_id' => $queue_item_id,
+            'campaign_id' => absint($item['campaign_id']),
+            'attempt' => $attempt + 1,
+            'status' => 'running',
+            'started_at' => current_time('mysql'),
+        ]);
+
+        if (!$inserted) {
+            return 0;
+        }
+
+        $id = (int) $wpdb->insert_id;
+        $this->prune($queue_item_id);
+
+        return $id;
+    }
+
+    /**
+     * Record the outcome of an attempt
+     *
+     * @since 2.1.0
+     * @param int                $attempt_id Attempt row ID from start().
+     * @param int|false|WP_Error $result     Processing result.
+     * @param array              $trace      Processor trace (see Base_Processor::get_trace()).
+     */
+    public function finish($attempt_id, $result, $trace) {
+        global $wpdb;
+
+        if (!$attempt_id) {
+            return;
+        }
+
+        $stages = $trace['stages'] ?? [];
+        $outputs = [];
+        foreach (($trace['outputs'] ?? []) as $name => $text) {
+            $outputs[$name] = [
+                'text' => mb_substr((string) $text, 0, self::MAX_OUTPUT_CHARS),
+                'length' => mb_strlen((string) $text),
+            ];
+        }
+
+        // The first stage that reached a provider names the attempt's key
+        $ai = null;
+        foreach ($stages as $stage) {
+            if (!empty($stage['ai'])) {
+                $ai = $stage['ai'];
+                break;
+            }
+        }
+
+        if (is_wp_error($result)) {
+            $status = 'failed';
+        } elseif ($result === false) {
+            $status = 'skipped';
+        } else {
+            $status = 'completed';
+        }
+
+        $wpdb->update(
+            $wpdb->prefix . $this->table_name,
+            [
+                'status' => $status,
+                'provider' => $ai['provider'] ?? null,
+                'key_id' => $ai['key_id'] ?? null,
+                'error' => is_wp_error($result) ? $result->get_error_message() : null,
+                'stages' => wp_json_encode($stages),
+                'outputs' => wp_json_encode($outputs),
+                'finished_at' => current_time('mysql'),
+            ],
+            ['id' => absint($attempt_id)]
+        );
+    }
+
+    /**
+     * Get the attempts of a queue item, newest first
+     *
+     * @since 2.1.0
+     * @param int $queue_item_id Queue item ID.
+     * @return array Attempts with decoded 'stages' and 'outputs'.
+     */
+    public function get_for_item($queue_item_id) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM {$table} WHERE queue_item_id = %d ORDER BY attempt DESC",
+                absint($queue_item_id)
+            ),
+            ARRAY_A
+        );
+
+        return array_map(function($row) {
+            $row['stages'] = $row['stages'] ? (array) json_decode($row['stages'], true) : [];
+            $row['outputs'] = $row['outputs'] ? (array) json_decode($row['outputs'], true) : [];
+            return $row;
+        }, (array) $rows);
+    }
+
+    /**
+     * Delete attempts whose queue item no longer exists
+     *
+     * @since 2.1.0
+     * @return int Number of attempts deleted.
+     */
+    public function delete_orphans() {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+        $queue_table = $wpdb->prefix . 'abc_discovery_queue';
+
+        $result = $wpdb->query(
+            "DELETE a FROM {$table} a
+            LEFT JOIN {$queue_table} q ON q.id = a.queue_item_id
+            WHERE q.id IS NULL"
+        );
+
+        return $result === false ? 0 : $result;
+    }
+
+    /**
+     * Delete attempts older than the retention period
+     *
+     * Attempts hold full stage outputs, so they are kept no longer than the
+     * log entries they are shown with. Attempts of deleted items go too.
+     *
+     * @since 2.1.0
+     * @param int $retention_days Days to keep attempts.
+     * @return array Cleanup statistics.
+     */
+    public function cleanup($retention_days) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+
+        $expired = $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$table} WHERE started_at < DATE_SUB(NOW(), INTERVAL %d DAY)",
+            max(1, absint($retention_days))
+        ));
+
+        return [
+            'expired_deleted' => (int) $expired,
+            'orphans_deleted' => $this->delete_orphans(),
+        ];
+    }
+
+    /**
+     * Keep only the latest attempts of a queue item
+     *
+     * @since 2.1.0
+     * @param int $queue_item_id Queue item ID.
+     */
+    private function prune($queue_item_id) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+
+        $cutoff = $wpdb->get_var($wpdb->prepare(
+            "SELECT attempt FROM {$table} WHERE queue_item_id = %d ORDER BY attempt DESC LIMIT 1 OFFSET %d",
+            $queue_item_id,
+            self::MAX_ATTEMPTS - 1
+        ));
+
+        if ($cutoff !== null) {
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$table} WHERE queue_item_id = %d AND attempt < %d",
+                $queue_item_id,
+                $cutoff
+            ));
+        }
+    }
+}
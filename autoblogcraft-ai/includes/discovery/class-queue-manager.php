@@ -32,6 +32,14 @@ if (!defined('ABSPATH')) {
 class Queue_Manager
 {
 
+    /**
+     * Processing order: priority, then manual position (the item ID until
+     * the item is reordered)
+     *
+     * @var string
+     */
+    const PROCESSING_ORDER = 'priority DESC, IF(queue_position > 0, queue_position, id) ASC';
+
     /**
      * Database table name (without prefix)
      *
@@ -82,11 +90,10 @@ class Queue_Manager
 
         // Generate Hash (URL + Campaign ID for uniqueness context)
         // Ideally, we hash the content if available, but URL is the primary unique identifier for discovery.
-        $content_hash = hash('sha256', $item['source_url']);
+        $content_hash = $this->get_content_hash($item['source_url']);
 
         // Check for existing hash
-        $exists_query = $wpdb->prepare("SELECT id FROM $table WHERE campaign_id = %d AND content_hash = %s LIMIT 1", $item['campaign_id'], $content_hash);
-        if ($wpdb->get_var($exists_query)) {
+        if ($this->hash_exists($item['campaign_id'], $item['source_url'])) {
             $this->logger->debug("Duplicate queue item skipped (hash match): {$item['source_url']}");
             return false;
         }
@@ -103,9 +110,10 @@ class Queue_Manager
             'priority' => isset($item['priority']) ? absint($item['priority']) : 50,
             'status' => 'pending',
             'discovered_at' => current_time('mysql'),
+            'updated_at' => current_time('mysql'),
         ];
 
-        $format = ['%d', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%s', '%s'];
+        $format = ['%d', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s'];
 
         // Insert with duplicate handling
         $result = $wpdb->insert($table, $data, $format);
@@ -181,7 +189,7 @@ class Queue_Manager
             $sql .= $wpdb->prepare(" AND campaign_id = %d", absint($campaign_id));
         }
 
-        $sql .= " ORDER BY priority DESC, discovered_at ASC LIMIT {$limit}";
+        $sql .= " ORDER BY " . self::PROCESSING_ORDER . " LIMIT {$limit}";
 
         $items = $wpdb->get_results($sql, ARRAY_A);
 
@@ -220,9 +228,10 @@ class Queue_Manager
             [
                 'status' => 'processing',
                 'processed_at' => current_time('mysql'),
+                'updated_at' => current_time('mysql'),
             ],
             ['id' => absint($queue_id)],
-            ['%s', '%s'],
+            ['%s', '%s', '%s'],
             ['%d']
         );
 
@@ -256,9 +265,10 @@ class Queue_Manager
                 'status' => 'completed',
                 'post_id' => absint($post_id),
                 'processed_at' => current_time('mysql'),
+                'updated_at' => current_time('mysql'),
             ],
             ['id' => absint($queue_id)],
-            ['%s', '%d', '%s'],
+            ['%s', '%d', '%s', '%s'],
             ['%d']
         );
 
@@ -280,24 +290,27 @@ class Queue_Manager
      * @since 2.0.0
      * @param int $queue_id Queue item ID.
      * @param string $error_message Error description.
+     * @param string $error_class Error class for retry policies (see Retry_Policy::classify()).
      * @return bool True on success, false on failure.
      */
-    public function mark_failed($queue_id, $error_message = '')
+    public function mark_failed($queue_id, $error_message = '', $error_class = '')
     {
         global $wpdb;
 
         $table = $wpdb->prefix . $this->table_name;
 
-        $result = $wpdb->update(
-            $table,
-            [
-                'status' => 'failed',
-                'error_message' => sanitize_text_field($error_message),
-                'processed_at' => current_time('mysql'),
-            ],
-            ['id' => absint($queue_id)],
-            ['%s', '%s', '%s'],
-            ['%d']
+        // Each failure counts as one attempt
+        $result = $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE {$table}
+                SET status = 'failed', last_error = %s, last_error_code = %s, processed_at = %s, updated_at = %s, retry_count = retry_count + 1
+                WHERE id = %d",
+                sanitize_text_field($error_message),
+                sanitize_key($error_class),
+                current_time('mysql'),
+                current_time('mysql'),
+                absint($queue_id)
+            )
         );
 
         if ($result === false) {
@@ -310,6 +323,36 @@ class Queue_Manager
         return true;
     }
 
+    /**
+     * Return an item to pending
+     *
+     * Used when an item was taken but could not be started (e.g. rate limit).
+     *
+     * @since 2.1.0
+     * @param int $queue_id Queue item ID.
+     * @return bool True on success, false on failure.
+     */
+    public function reset_item($queue_id)
+    {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+
+        $result = $wpdb->update(
+            $table,
+            [
+                'status' => 'pending',
+                'processed_at' => null,
+                'updated_at' => current_time('mysql'),
+            ],
+            ['id' => absint($queue_id)],
+            ['%s', '%s', '%s'],
+            ['%d']
+        );
+
+        return $result !== false;
+    }
+
     /**
      * Reset stuck items
      *
@@ -330,9 +373,10 @@ class Queue_Manager
         $result = $wpdb->query(
             $wpdb->prepare(
                 "UPDATE {$table} 
-                SET status = 'pending', processed_at = NULL 
+                SET status = 'pending', processed_at = NULL, updated_at = %s 
                 WHERE status = 'processing' 
                 AND processed_at < %s",
+                current_time('mysql'),
                 $threshold
             )
         );
@@ -381,6 +425,7 @@ class Queue_Manager
 
         if ($result > 0) {
             $this->logger->info("Cleaned up {$result} old queue items");
+            (new Queue_Attempts())->delete_orphans();
         }
 
         return $result;
@@ -430,6 +475,390 @@ class Queue_Manager
         return $result;
     }
 
+    /**
+     * Get a page of a campaign's queue items in processing order
+     *
+     * @since 2.1.0
+     * @param int   $campaign_id Campaign ID.
+     * @param array $args {
+     *     @type string $status   Status filter (empty for all).
+     *     @type int    $per_page Items per page (default 20).
+     *     @type int    $page     Page number (default 1).
+     * }
+     * @return array With 'items' (row objects) and 'total'.
+     */
+    public function get_campaign_items($campaign_id, $args = [])
+    {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+        $per_page = max(1, absint($args['per_page'] ?? 20));
+        $page = max(1, absint($args['page'] ?? 1));
+
+        $where = $wpdb->prepare("campaign_id = %d", absint($campaign_id));
+        if (!empty($args['status'])) {
+            $where .= $wpdb->prepare(" AND status = %s", $args['status']);
+        }
+
+        $items = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM {$table} WHERE {$where} ORDER BY " . self::PROCESSING_ORDER . " LIMIT %d OFFSET %d",
+                $per_page,
+                ($page - 1) * $per_page
+            )
+        );
+
+        return [
+            'items' => $items ?: [],
+            'total' => (int) $wpdb->get_var("SELECT COUNT(*) FROM {$table} WHERE {$where}"),
+        ];
+    }
+
+    /**
+     * Get IDs of a campaign's queue items, optionally by status
+     *
+     * @since 2.1.0
+     * @param int    $campaign_id Campaign ID.
+     * @param string $status      Status filter (empty for all).
+     * @return int[]
+     */
+    public function get_campaign_item_ids($campaign_id, $status = '')
+    {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+        $where = $wpdb->prepare("campaign_id = %d", absint($campaign_id));
+        if ($status !== '') {
+            $where .= $wpdb->prepare(" AND status = %s", $status);
+        }
+
+        return array_map('intval', $wpdb->get_col("SELECT id FROM {$table} WHERE {$where}"));
+    }
+
+    /**
+     * Get a campaign's failed items that a retry policy may still retry
+     *
+     * Items are filtered on attempts left and error class in SQL, so items
+     * the policy has given up on never crowd out ones that are due. Page
+     * with $after_id (the last ID of the previous page).
+     *
+     * @since 2.1.0
+     * @param int      $campaign_id   Campaign ID.
+     * @param int      $max_attempts  Attempts an item gets.
+     * @param string[] $error_classes Error classes that are retried.
+     * @param int      $limit         Maximum items.
+     * @param int      $after_id      Only items with a higher ID.
+     * @return array Items with the fields retry policies need, by ID.
+     */
+    public function get_retryable_items($campaign_id, $max_attempts, $error_classes, $limit = 200, $after_id = 0)
+    {
+        global $wpdb;
+
+        $error_classes = array_values(array_filter(array_map('sanitize_key', (array) $error_classes)));
+        if (!$error_classes) {
+            return [];
+        }
+
+        $table = $wpdb->prefix . $this->table_name;
+
+        // Items that failed before errors were classified count as "other"
+        $class_where = "last_error_code IN (" . implode(', ', array_fill(0, count($error_classes), '%s')) . ")";
+        if (in_array('other', $error_classes, true)) {
+            $class_where .= " OR last_error_code IS NULL OR last_error_code = ''";
+        }
+
+        return (array) $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, campaign_id, status, retry_count, last_error_code, processed_at
+                FROM {$table}
+                WHERE status = 'failed' AND campaign_id = %d AND retry_count < %d AND id > %d AND ({$class_where})
+                ORDER BY id ASC LIMIT %d",
+                array_merge([absint($campaign_id), absint($max_attempts), absint($after_id)], $error_classes, [absint($limit)])
+            ),
+            ARRAY_A
+        );
+    }
+
+    /**
+     * Get the campaigns that have failed items
+     *
+     * @since 2.1.0
+     * @return int[] Campaign IDs.
+     */
+    public function get_failed_campaign_ids()
+    {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+
+        return array_map('intval', $wpdb->get_col("SELECT DISTINCT campaign_id FROM {$table} WHERE status = 'failed'"));
+    }
+
+    /**
+     * Change the status of several items of a campaign
+     *
+     * Only items currently in one of $from_statuses are changed, so a bulk
+     * action never touches items that are processing or already published.
+     *
+     * @since 2.1.0
+     * @param int      $campaign_id   Campaign ID.
+     * @param int[]    $ids           Queue item IDs.
+     * @param string   $status        New status.
+     * @param string[] $from_statuses Statuses that may be changed.
+     * @return int Number of items changed.
+     */
+    public function update_items_status($campaign_id, $ids, $status, $from_statuses)
+    {
+        global $wpdb;
+
+        $ids = array_filter(array_map('absint', (array) $ids));
+        if (empty($ids) || empty($from_statuses)) {
+            return 0;
+        }
+
+        $table = $wpdb->prefix . $this->table_name;
+        $id_list = implode(',', $ids);
+        $status_list = implode(',', array_fill(0, count($from_statuses), '%s'));
+
+        $result = $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE {$table}
+                SET status = %s, processed_at = NULL, updated_at = %s
+                WHERE campaign_id = %d AND id IN ({$id_list}) AND status IN ({$status_list})",
+                array_merge([$status, current_time('mysql'), absint($campaign_id)], array_values($from_statuses))
+            )
+        );
+
+        if ($result === false) {
+            $this->logger->error("Failed to update queue items to {$status}: Campaign={$campaign_id}");
+            return 0;
+        }
+
+        return $result;
+    }
+
+    /**
+     * Delete several items of a campaign (items being processed are kept)
+     *
+     * @since 2.1.0
+     * @param int   $campaign_id Campaign ID.
+     * @param int[] $ids         Queue item IDs.
+     * @return int Number of items deleted.
+     */
+    public function delete_items($campaign_id, $ids)
+    {
+        global $wpdb;
+
+        $ids = array_filter(array_map('absint', (array) $ids));
+        if (empty($ids)) {
+            return 0;
+        }
+
+        $table = $wpdb->prefix . $this->table_name;
+        $id_list = implode(',', $ids);
+
+        $result = $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM {$table} WHERE campaign_id = %d AND id IN ({$id_list}) AND status != 'processing'",
+                absint($campaign_id)
+            )
+        );
+
+        if ($result === false) {
+            return 0;
+        }
+
+        if ($result > 0) {
+            (new Queue_Attempts())->delete_orphans();
+        }
+
+        return $result;
+    }
+
+    /**
+     * Set the priority of several items of a campaign
+     *
+     * @since 2.1.0
+     * @param int   $campaign_id Campaign ID.
+     * @param int[] $ids         Queue item IDs.
+     * @param int   $priority    Priority (0-100, higher runs first).
+     * @return int Number of items changed.
+     */
+    public function set_priority($campaign_id, $ids, $priority)
+    {
+        global $wpdb;
+
+        $ids = array_filter(array_map('absint', (array) $ids));
+        if (empty($ids)) {
+            return 0;
+        }
+
+        $table = $wpdb->prefix . $this->table_name;
+        $id_list = implode(',', $ids);
+
+        $result = $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE {$table} SET priority = %d, updated_at = %s WHERE campaign_id = %d AND id IN ({$id_list})",
+                min(100, max(0, (int) $priority)),
+                current_time('mysql'),
+                absint($campaign_id)
+            )
+        );
+
+        return $result === false ? 0 : $result;
+    }
+
+    /**
+     * Persist a manual order of queue items
+     *
+     * The items swap their places in processing order (priority, then
+     * position; see PROCESSING_ORDER) among themselves, so the page stays
+     * in place relative to other pages and every item gets a distinct place.
+     *
+     * @since 2.1.0
+     * @param int   $campaign_id Campaign ID.
+     * @param int[] $ids         Queue item IDs in the new order, first runs first.
+     * @return array New priority and position keyed by item ID.
+     */
+    public function reorder($campaign_id, $ids)
+    {
+        global $wpdb;
+
+        $ids = array_values(array_unique(array_filter(array_map('absint', (array) $ids))));
+        if (empty($ids)) {
+            return [];
+        }
+
+        $table = $wpdb->prefix . $this->table_name;
+        $id_list = implode(',', $ids);
+
+        $current = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, priority, IF(queue_position > 0, queue_position, id) AS position
+                FROM {$table} WHERE campaign_id = %d AND id IN ({$id_list})
+                ORDER BY " . self::PROCESSING_ORDER,
+                absint($campaign_id)
+            ),
+            OBJECT_K
+        );
+
+        $ids = array_values(array_filter($ids, function($id) use ($current) {
+            return isset($current[$id]);
+        }));
+
+        // The places the items hold now, first to last
+        $slots = array_values(array_map(function($row) {
+            return ['priority' => (int) $row->priority, 'position' => (int) $row->position];
+        }, $current));
+
+        $order = [];
+        foreach ($ids as $index => $id) {
+            $order[$id] = $slots[$index];
+
+            if ((int) $current[$id]->priority !== $slots[$index]['priority'] || (int) $current[$id]->position !== $slots[$index]['position']) {
+                $wpdb->update(
+                    $table,
+                    [
+                        'priority' => $slots[$index]['priority'],
+                        'queue_position' => $slots[$index]['position'],
+                        'updated_at' => current_time('mysql'),
+                    ],
+                    ['id' => $id],
+                    ['%d', '%d', '%s'],
+                    ['%d']
+                );
+            }
+        }
+
+        return $order;
+    }
+
+    /**
+     * Get a campaign's queue items changed after a cursor
+     *
+     * The cursor is "updated_at|id" of the last row seen. Rows from the
+     * current second are held back until the second is over, so a row
+     * written later in the same second can never fall behind the cursor.
+     *
+     * @since 2.1.0
+     * @param int    $campaign_id Campaign ID.
+     * @param string $cursor      Cursor from a previous call or get_cursor().
+     * @param int    $limit       Maximum rows (default 100).
+     * @return array With 'items' (row objects, oldest change first) and 'cursor'.
+     */
+    public function get_changes($campaign_id, $cursor, $limit = 100)
+    {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+        list($since, $last_id) = array_pad(explode('|', (string) $cursor, 2), 2, 0);
+
+        if (!preg_match('/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/', $since)) {
+            return ['items' => [], 'cursor' => $this->get_cursor($campaign_id)];
+        }
+
+        $items = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM {$table}
+                WHERE campaign_id = %d
+                AND (updated_at > %s OR (updated_at = %s AND id > %d))
+                AND updated_at < %s
+                ORDER BY updated_at ASC, id ASC
+                LIMIT %d",
+                absint($campaign_id),
+                $since,
+                $since,
+                absint($last_id),
+                current_time('mysql'),
+                absint($limit)
+            )
+        );
+
+        if (empty($items)) {
+            return ['items' => [], 'cursor' => $cursor];
+        }
+
+        $last = end($items);
+
+        return [
+            'items' => $items,
+            'cursor' => $last->updated_at . '|' . $last->id,
+        ];
+    }
+
+    /**
+     * Get a cursor pointing at "now" for get_changes()
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     * @return string
+     */
+    public function get_cursor($campaign_id)
+    {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+        $now = current_time('mysql');
+
+        // Last row already complete before this second
+        $last = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT id, updated_at FROM {$table}
+                WHERE campaign_id = %d AND updated_at < %s
+                ORDER BY updated_at DESC, id DESC
+                LIMIT 1",
+                absint($campaign_id),
+                $now
+            )
+        );
+
+        if (!$last) {
+            return date('Y-m-d H:i:s', strtotime($now) - 1) . '|0';
+        }
+
+        return $last->updated_at . '|' . $last->id;
+    }
+
     /**
      * Check if URL exists in queue
      *
@@ -459,6 +888,43 @@ class Queue_Manager
         return $count > 0;
     }
 
+    /**
+     * Check if URL's content hash exists in queue
+     *
+     * Same check add_to_queue() uses to skip duplicates.
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     * @param string $source_url Source URL.
+     * @return bool True if exists, false otherwise.
+     */
+    public function hash_exists($campaign_id, $source_url)
+    {
+        global $wpdb;
+
+        $table = $wpdb->prefix . $this->table_name;
+
+        return (bool) $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT id FROM {$table} WHERE campaign_id = %d AND content_hash = %s LIMIT 1",
+                absint($campaign_id),
+                $this->get_content_hash($source_url)
+            )
+        );
+    }
+
+    /**
+     * Get content hash for a source URL
+     *
+     * @since 2.1.0
+     * @param string $source_url Source URL.
+     * @return string SHA-256 hash.
+     */
+    private function get_content_hash($source_url)
+    {
+        return hash('sha256', $source_url);
+    }
+
     /**
      * Get item by ID
      *
@@ -511,6 +977,10 @@ class Queue_Manager
             return false;
         }
 
+        if ($result > 0) {
+            (new Queue_Attempts())->delete_orphans();
+        }
+
         return true;
     }
 
@@ -542,6 +1012,7 @@ class Queue_Manager
 
         if ($result > 0) {
             $this->logger->info("Deleted {$result} queue items for campaign: ID={$campaign_id}");
+            (new Queue_Attempts())->delete_orphans();
         }
 
         return $result;
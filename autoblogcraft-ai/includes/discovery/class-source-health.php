@@ -0,0 +1,474 @@
+<?php
+/**
+ * Source Health
+ *
+ * Tracks how each of a campaign's sources behaves on fetch: when it was
+ * last fetched, the HTTP status and response time, how many items it
+ * yielded and how many of those were duplicates, and how many fetches in a
+ * row have failed. Sources that keep failing are quarantined or disabled.
+ *
+ * @package AutoBlogCraft\Discovery
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Discovery;
+
+use AutoBlogCraft\Core\Logger;
+use AutoBlogCraft\Discovery\Website\RSS_Discoverer;
+use AutoBlogCraft\Discovery\Website\Sitemap_Discoverer;
+use AutoBlogCraft\Discovery\Website\Web_Discoverer;
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Source Health class
+ *
+ * A quarantined source is skipped until its quarantine ends, then tried
+ * again: one successful fetch makes it active, another failure starts a new
+ * quarantine. A disabled source is skipped until it is enabled by hand.
+ *
+ * @since 2.1.0
+ */
+class Source_Health {
+
+    /**
+     * Campaign meta key of the per-source stats
+     *
+     * @var string
+     */
+    const META_KEY = '_source_health';
+
+    /**
+     * Campaign meta key of the failure policy
+     *
+     * @var string
+     */
+    const POLICY_META_KEY = '_source_health_policy';
+
+    /**
+     * Items read when re-testing a source
+     *
+     * @var int
+     */
+    const TEST_LIMIT = 100;
+
+    /**
+     * Campaign ID
+     *
+     * @var int
+     */
+    private $campaign_id;
+
+    /**
+     * Stats keyed by source key
+     *
+     * @var array
+     */
+    private $rows;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     */
+    public function __construct($campaign_id) {
+        $this->campaign_id = absint($campaign_id);
+
+        $rows = get_post_meta($this->campaign_id, self::META_KEY, true);
+        $this->rows = is_array($rows) ? $rows : [];
+    }
+
+    /**
+     * Source statuses
+     *
+     * @since 2.1.0
+     * @return array Labels keyed by status.
+     */
+    public static function get_statuses() {
+        return [
+            'active' => __('Active', 'autoblogcraft-ai'),
+            'quarantined' => __('Quarantined', 'autoblogcraft-ai'),
+            'disabled' => __('Disabled', 'autoblogcraft-ai'),
+        ];
+    }
+
+    /**
+     * What can happen to a source after too many failures
+     *
+     * @since 2.1.0
+     * @return array Labels keyed by action.
+     */
+    public static function get_failure_actions() {
+        return [
+            'quarantine' => __('quarantine it', 'autoblogcraft-ai'),
+            'disable' => __('disable it until enabled again', 'autoblogcraft-ai'),
+        ];
+    }
+
+    /**
+     * Default policy: quarantine for a day after 5 failures in a row
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    public static function get_policy_defaults() {
+        return [
+            'failure_threshold' => 5,
+            'failure_action' => 'quarantine',
+            'quarantine_hours' => 24,
+        ];
+    }
+
+    /**
+     * Normalize a failure policy
+     *
+     * @since 2.1.0
+     * @param array $input Raw policy (source_health[...] POST data or stored meta).
+     * @return array {
+     *     @type int    $failure_threshold Failures in a row before acting (0 = never)
+     *     @type string $failure_action    quarantine or disable
+     *     @type int    $quarantine_hours  Length of a quarantine
+     * }
+     */
+    public static function sanitize_policy($input) {
+        $policy = wp_parse_args(is_array($input) ? $input : [], self::get_policy_defaults());
+
+        return [
+            'failure_threshold' => min(100, absint($policy['failure_threshold'])),
+            'failure_action' => isset(self::get_failure_actions()[$policy['failure_action']]) ? $policy['failure_action'] : 'quarantine',
+            'quarantine_hours' => min(720, max(1, absint($policy['quarantine_hours']))),
+        ];
+    }
+
+    /**
+     * The campaign's failure policy
+     *
+     * @since 2.1.0
+     * @return array See sanitize_policy().
+     */
+    public function get_policy() {
+        return self::sanitize_policy(get_post_meta($this->campaign_id, self::POLICY_META_KEY, true));
+    }
+
+    /**
+     * Key a source's stats are stored under
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @return string
+     */
+    public static function get_key($source) {
+        return md5(isset($source['url']) ? (string) $source['url'] : wp_json_encode($source));
+    }
+
+    /**
+     * The campaign's configured sources
+     *
+     * @since 2.1.0
+     * @return array Sources with a URL.
+     */
+    public function get_sources() {
+        $config = get_post_meta($this->campaign_id, '_source_config', true);
+        $sources = is_array($config) && isset($config['sources']) && is_array($config['sources']) ? $config['sources'] : [];
+
+        return array_values(array_filter($sources, function($source) {
+            return is_array($source) && !empty($source['url']);
+        }));
+    }
+
+    /**
+     * Find a configured source by key
+     *
+     * @since 2.1.0
+     * @param string $key Source key (see get_key()).
+     * @return array|null Source configuration.
+     */
+    public function find_source($key) {
+        foreach ($this->get_sources() as $source) {
+            if (self::get_key($source) === $key) {
+                return $source;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Stats of one source
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @return array {
+     *     @type string   $status            active, quarantined or disabled
+     *     @type string   $last_fetch_at     Last fetch (site time), empty if never fetched
+     *     @type int|null $http_status       HTTP status of the last fetch (0 = no response)
+     *     @type int|null $response_time     Response time of the last fetch in ms
+     *     @type int      $items             Items the last fetch yielded
+     *     @type int      $duplicates        Of those, items already queued or published
+     *     @type int      $failures          Failed fetches in a row
+     *     @type string   $last_error        Error of the last failed fetch
+     *     @type string   $quarantined_until End of the quarantine (site time)
+     * }
+     */
+    public function get($source) {
+        $key = self::get_key($source);
+
+        return wp_parse_args($this->rows[$key] ?? [], [
+            'status' => 'active',
+            'last_fetch_at' => '',
+            'http_status' => null,
+            'response_time' => null,
+            'items' => 0,
+            'duplicates' => 0,
+            'failures' => 0,
+            'last_error' => '',
+            'quarantined_until' => '',
+        ]);
+    }
+
+    /**
+     * Duplicate rate of a source's last fetch
+     *
+     * @since 2.1.0
+     * @param array $row Stats (see get()).
+     * @return float|null Rate between 0 and 1, null if nothing was yielded.
+     */
+    public static function get_duplicate_rate($row) {
+        return $row['items'] > 0 ? min(1, $row['duplicates'] / $row['items']) : null;
+    }
+
+    /**
+     * Whether discovery should fetch a source now
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @return bool
+     */
+    public function is_due($source) {
+        $row = $this->get($source);
+
+        if ($row['status'] === 'disabled') {
+            return false;
+        }
+
+        if ($row['status'] === 'quarantined') {
+            return !$row['quarantined_until'] || strtotime($row['quarantined_until']) <= current_time('timestamp');
+        }
+
+        return true;
+    }
+
+    /**
+     * Record a fetch of a source
+     *
+     * @since 2.1.0
+     * @param array         $source Source configuration.
+     * @param array         $stats  http_status, response_time, items, duplicates.
+     * @param WP_Error|null $error  Error if the fetch failed.
+     * @return array Updated stats.
+     */
+    public function record($source, $stats, $error = null) {
+        $row = array_merge($this->get($source), [
+            'last_fetch_at' => current_time('mysql'),
+            'http_status' => isset($stats['http_status']) ? (int) $stats['http_status'] : null,
+            'response_time' => isset($stats['response_time']) ? (int) $stats['response_time'] : null,
+            'items' => absint($stats['items'] ?? 0),
+            'duplicates' => absint($stats['duplicates'] ?? 0),
+        ]);
+
+        if (is_wp_error($error)) {
+            $row['failures']++;
+            $row['last_error'] = $error->get_error_message();
+            $row = $this->apply_policy($source, $row);
+        } else {
+            $row['failures'] = 0;
+            $row['last_error'] = '';
+
+            if ($row['status'] === 'quarantined') {
+                $row = $this->change_status($source, $row, 'active', 'Source recovered and left quarantine');
+            }
+        }
+
+        $this->save($source, $row);
+
+        return $row;
+    }
+
+    /**
+     * Enable or disable a source by hand
+     *
+     * Enabling also ends a quarantine and clears the failure count.
+     *
+     * @since 2.1.0
+     * @param array  $source Source configuration.
+     * @param string $status active or disabled.
+     * @return array|WP_Error Updated stats or error.
+     */
+    public function set_status($source, $status) {
+        if (!in_array($status, ['active', 'disabled'], true)) {
+            return new WP_Error('invalid_status', __('Invalid source status.', 'autoblogcraft-ai'));
+        }
+
+        $row = $this->get($source);
+
+        if ($status === 'active') {
+            $row['failures'] = 0;
+        }
+
+        $row = $this->change_status($source, $row, $status, $status === 'active' ? 'Source enabled' : 'Source disabled');
+        $this->save($source, $row);
+
+        return $row;
+    }
+
+    /**
+     * Fetch a source now and record the result
+     *
+     * Nothing is queued; duplicates are items the campaign already has.
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @return array|WP_Error Updated stats, or error if the source can't be tested.
+     */
+    public function test($source) {
+        $discoverer = self::create_discoverer($source);
+        if (is_wp_error($discoverer)) {
+            return $discoverer;
+        }
+
+        $started = microtime(true);
+        $preview = $discoverer->preview($source, $this->campaign_id, self::TEST_LIMIT);
+        $stats = $discoverer->get_fetch_stats($started);
+
+        if (is_wp_error($preview)) {
+            return $this->record($source, $stats, $preview);
+        }
+
+        return $this->record($source, array_merge($stats, [
+            'items' => $preview['total'],
+            'duplicates' => count(array_filter(wp_list_pluck($preview['items'], 'is_duplicate'))),
+        ]));
+    }
+
+    /**
+     * Discoverer for a website source
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @return Base_Discoverer|WP_Error
+     */
+    public static function create_discoverer($source) {
+        $type = $source['type'] ?? 'rss';
+
+        // Direct URLs pointing at a sitemap go through the sitemap parser
+        if ($type === 'url') {
+            $type = preg_match('/sitemap[^\/]*\.xml/i', $source['url'] ?? '') ? 'sitemap' : 'web';
+        }
+
+        // Web_Discoverer lives in class-web-scraper.php, which the autoloader can't map
+        if ($type === 'web' && !class_exists(Web_Discoverer::class)) {
+            require_once ABC_PLUGIN_DIR . 'includes/discovery/website/class-web-scraper.php';
+        }
+
+        $discoverers = [
+            'rss' => RSS_Discoverer::class,
+            'sitemap' => Sitemap_Discoverer::class,
+            'web' => Web_Discoverer::class,
+        ];
+
+        if (!isset($discoverers[$type])) {
+            return new WP_Error('unsupported_source', __('This source type can\'t be tested.', 'autoblogcraft-ai'));
+        }
+
+        return new $discoverers[$type](new Queue_Manager());
+    }
+
+    /**
+     * Quarantine or disable a source that reached the failure threshold
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @param array $row    Stats after the failure.
+     * @return array
+     */
+    private function apply_policy($source, $row) {
+        $policy = $this->get_policy();
+
+        if (!$policy['failure_threshold'] || $row['failures'] < $policy['failure_threshold'] || $row['status'] === 'disabled') {
+            return $row;
+        }
+
+        if ($policy['failure_action'] === 'disable') {
+            return $this->change_status($source, $row, 'disabled', sprintf('Source disabled after %d failures in a row', $row['failures']));
+        }
+
+        // A quarantined source that fails its retry starts a new quarantine
+        $row['quarantined_until'] = date('Y-m-d H:i:s', current_time('timestamp') + $policy['quarantine_hours'] * HOUR_IN_SECONDS);
+
+        return $this->change_status($source, $row, 'quarantined', sprintf('Source quarantined for %d hours after %d failures in a row', $policy['quarantine_hours'], $row['failures']));
+    }
+
+    /**
+     * Change a source's status and log it
+     *
+     * @since 2.1.0
+     * @param array  $source  Source configuration.
+     * @param array  $row     Stats.
+     * @param string $status  New status.
+     * @param string $message Log message.
+     * @return array
+     */
+    private function change_status($source, $row, $status, $message) {
+        $from = $row['status'];
+        $row['status'] = $status;
+
+        if ($status !== 'quarantined') {
+            $row['quarantined_until'] = '';
+        }
+
+        Logger::instance()->log($this->campaign_id, $status === 'active' ? 'info' : 'warning', 'discovery', $message . ': ' . $source['url'], [
+            'event' => 'source_status',
+            'source' => $source['url'],
+            'from' => $from,
+            'to' => $status,
+            'failures' => $row['failures'],
+            'last_error' => $row['last_error'],
+        ]);
+
+        /**
+         * Fires when a source is quarantined, disabled or becomes active again
+         *
+         * @since 2.1.0
+         * @param int    $campaign_id Campaign ID.
+         * @param array  $source      Source configuration.
+         * @param string $status      New status.
+         * @param string $from        Previous status.
+         */
+        do_action('abc_source_status_changed', $this->campaign_id, $source, $status, $from);
+
+        return $row;
+    }
+
+    /**
+     * Store a source's stats
+     *
+     * @since 2.1.0
+     * @param array $source Source configuration.
+     * @param array $row    Stats.
+     */
+    private function save($source, $row) {
+        $this->rows[self::get_key($source)] = array_merge($row, ['url' => $source['url'] ?? '']);
+
+        // Drop stats of sources that were removed from the campaign
+        $keys = array_map([__CLASS__, 'get_key'], $this->get_sources());
+        if ($keys) {
+            $this->rows = array_intersect_key($this->rows, array_flip(array_merge($keys, [self::get_key($source)])));
+        }
+
+        update_post_meta($this->campaign_id, self::META_KEY, $this->rows);
+    }
+}
@@ -11,6 +11,7 @@
 
 namespace AutoBlogCraft\Discovery\Website;
 
+use AutoBlogCraft\Discovery\Base_Discoverer;
 use WP_Error;
 use DOMDocument;
 use DOMXPath;
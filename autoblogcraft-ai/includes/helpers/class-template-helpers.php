@@ -141,6 +141,7 @@ class Template_Helpers {
         <input type="hidden" name="page" value="<?php echo esc_attr($_GET['page'] ?? 'abc-campaigns'); ?>">
         <input type="hidden" name="action" value="detail">
         <input type="hidden" name="id" value="<?php echo esc_attr($campaign_id); ?>">
+        <input type="hidden" name="campaign_id" value="<?php echo esc_attr($campaign_id); ?>">
         <input type="hidden" name="tab" value="<?php echo esc_attr($tab); ?>">
         <?php
     }
@@ -261,7 +262,7 @@ class Template_Helpers {
             }
         }
 
-        $clear_url = admin_url('admin.php?page=abc-campaigns&action=detail&id=' . $campaign_id . '&tab=' . $tab);
+        $clear_url = admin_url('admin.php?page=abc-campaign-editor&campaign_id=' . $campaign_id . '&tab=' . $tab);
         ?>
         <div class="abc-<?php echo esc_attr($tab); ?>-filters">
             <form method="get" class="abc-filters-form">
@@ -279,7 +280,11 @@ class Template_Helpers {
             <?php if (!empty($actions)) : ?>
                 <div class="abc-<?php echo esc_attr($tab); ?>-actions">
                     <?php foreach ($actions as $action) : ?>
-                        <?php self::render_action_button($action); ?>
+                        <?php if (($action['type'] ?? '') === 'select') : ?>
+                            <?php self::render_action_select($action); ?>
+                        <?php else : ?>
+                            <?php self::render_action_button($action); ?>
+                        <?php endif; ?>
                     <?php endforeach; ?>
                 </div>
             <?php endif; ?>
@@ -322,6 +327,21 @@ class Template_Helpers {
                        id="<?php echo esc_attr($id); ?>" 
                        value="<?php echo esc_attr($current_value); ?>" 
                        placeholder="<?php echo esc_attr($field['placeholder'] ?? ''); ?>">
+            <?php elseif ($type === 'number') : ?>
+                <label for="<?php echo esc_attr($id); ?>"><?php echo esc_html($label); ?></label>
+                <input type="number" 
+                       name="<?php echo esc_attr($name); ?>" 
+                       id="<?php echo esc_attr($id); ?>" 
+                       class="small-text"
+                       min="1"
+                       value="<?php echo esc_attr($current_value ?: ''); ?>"
+                       placeholder="<?php echo esc_attr($field['placeholder'] ?? ''); ?>">
+            <?php elseif ($type === 'date') : ?>
+                <label for="<?php echo esc_attr($id); ?>"><?php echo esc_html($label); ?></label>
+                <input type="date" 
+                       name="<?php echo esc_attr($name); ?>" 
+                       id="<?php echo esc_attr($id); ?>" 
+                       value="<?php echo esc_attr($current_value); ?>">
             <?php endif; ?>
         </div>
         <?php
@@ -358,4 +378,22 @@ class Template_Helpers {
         </button>
         <?php
     }
+
+    /**
+     * Render a select among the filter bar actions
+     *
+     * @since 2.1.0
+     * @param array $action Select configuration (id, label, options).
+     */
+    private static function render_action_select($action) {
+        $id = $action['id'] ?? '';
+        ?>
+        <label for="<?php echo esc_attr($id); ?>" class="screen-reader-text"><?php echo esc_html($action['label'] ?? ''); ?></label>
+        <select id="<?php echo esc_attr($id); ?>" class="<?php echo esc_attr($action['class'] ?? ''); ?>">
+            <?php foreach ($action['options'] as $value => $option_label) : ?>
+                <option value="<?php echo esc_attr($value); ?>"><?php echo esc_html($option_label); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <?php
+    }
 }
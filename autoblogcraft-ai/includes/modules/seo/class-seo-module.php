@@ -194,6 +194,25 @@ class SEO_Module {
         $this->logger->info("Generated SEO meta for post {$post_id}");
     }
 
+    /**
+     * Generate SEO meta for a post again, replacing what it has
+     *
+     * generate_seo_meta() leaves existing titles, descriptions and focus
+     * keywords alone, so those are cleared first.
+     *
+     * @since 2.1.0
+     * @param int $post_id Post ID.
+     * @param int $campaign_id Campaign ID.
+     * @return void
+     */
+    public function regenerate_seo_meta($post_id, $campaign_id) {
+        foreach (['_yoast_wpseo_title', '_yoast_wpseo_metadesc', '_yoast_wpseo_focuskw'] as $meta_key) {
+            delete_post_meta($post_id, $meta_key);
+        }
+
+        $this->generate_seo_meta($post_id, $campaign_id);
+    }
+
     /**
      * Get SEO settings for campaign
      *
@@ -14,6 +14,7 @@ namespace AutoBlogCraft\Processing;
 
 use AutoBlogCraft\Core\Logger;
 use AutoBlogCraft\AI\AI_Manager;
+use AutoBlogCraft\AI\Prompt_Template;
 use AutoBlogCraft\Helpers\Duplicate_Detector;
 use WP_Error;
 
@@ -69,6 +70,20 @@ abstract class Base_Processor
      */
     protected $post_publisher;
 
+    /**
+     * Stage timings recorded during a run (null when not recording)
+     *
+     * @var array|null
+     */
+    protected $stages = null;
+
+    /**
+     * Stage outputs (raw_html, cleaned, rewritten) recorded during a run
+     *
+     * @var array
+     */
+    protected $outputs = [];
+
     /**
      * Constructor
      *
@@ -97,70 +112,278 @@ abstract class Base_Processor
     {
         $queue_id = $queue_item['id'];
         $source_url = $queue_item['source_url'];
-        $campaign_id = $campaign->get_id();
 
         $this->logger->info("Processing queue item: ID={$queue_id}, URL={$source_url}");
 
+        // Kept after the run for the queue inspector (see get_trace())
+        $this->stages = [];
+        $this->outputs = [];
+
         try {
-            // Step 1: Validate item
-            $validation = $this->validate_item($queue_item, $campaign);
-            if (is_wp_error($validation)) {
-                return $validation;
+            // Steps 1-8: Build the post
+            $post_data = $this->build_post($queue_item, $campaign);
+            if (is_wp_error($post_data)) {
+                return $post_data;
             }
 
-            // Step 2: Check duplicates (final check before processing)
-            if ($this->is_duplicate($queue_item)) {
-                return new WP_Error(
-                    'duplicate_content',
-                    'Content already exists in database'
-                );
+            // Steps 9-10: Publish post and store source reference
+            $post_id = $this->publish_post($post_data, $queue_item, $campaign);
+            if (is_wp_error($post_id)) {
+                return $post_id;
             }
 
-            // Step 3: Fetch full content
-            $content_data = $this->fetch_content($queue_item);
-            if (is_wp_error($content_data)) {
-                return $content_data;
-            }
+            $this->logger->info("Processing complete: Queue={$queue_id}, Post={$post_id}");
 
-            // Step 4: Clean content
-            $cleaned = $this->clean_content($content_data);
-            if (is_wp_error($cleaned)) {
-                return $cleaned;
-            }
+            return $post_id;
 
-            // Step 5: Extract metadata
-            $metadata = $this->extract_metadata($content_data, $queue_item);
+        } catch (\Exception $e) {
+            $error = new WP_Error('processing_exception', $e->getMessage());
+            $this->logger->error("Processing exception: {$e->getMessage()}");
+            return $error;
+        }
+    }
 
-            // Step 6: Rewrite content with AI
-            $rewritten = $this->rewrite_content($campaign, $cleaned, $metadata);
-            if (is_wp_error($rewritten)) {
-                return $rewritten;
-            }
+    /**
+     * Run the pipeline for a queue item without publishing
+     *
+     * Every stage is timed and any failure is reported instead of thrown,
+     * so the campaign editor can show what a campaign would produce.
+     *
+     * @since 2.1.0
+     * @param array $queue_item Queue item data.
+     * @param object $campaign Campaign instance.
+     * @return array {
+     *     @type array|WP_Error $post_data Post data as it would be published, or the error that stopped the run.
+     *     @type array          $stages    Per stage: stage, duration (seconds), tokens, error, ai.
+     * }
+     */
+    public function dry_run($queue_item, $campaign)
+    {
+        $this->stages = [];
+        $this->outputs = [];
 
-            // Step 7: Generate featured image
-            $featured_image = $this->generate_featured_image($campaign, $rewritten, $metadata);
+        try {
+            $post_data = $this->build_post($queue_item, $campaign);
+        } catch (\Throwable $e) {
+            $post_data = new WP_Error('processing_exception', $e->getMessage());
+        }
 
-            // Step 8: Prepare post data
-            $post_data = $this->prepare_post_data($campaign, $rewritten, $metadata, $featured_image);
+        $stages = $this->stages;
+        $this->stages = null;
+        $this->outputs = [];
 
-            // Step 9: Publish post
-            $post_id = $this->post_publisher->publish($post_data, $campaign);
-            if (is_wp_error($post_id)) {
-                return $post_id;
-            }
+        return [
+            'post_data' => $post_data,
+            'stages' => $stages,
+        ];
+    }
 
-            // Step 10: Store source reference
-            $this->store_source_reference($post_id, $queue_item);
+    /**
+     * Build post data for a queue item (steps 1-8 of process())
+     *
+     * @since 2.1.0
+     * @param array $queue_item Queue item data.
+     * @param object $campaign Campaign instance.
+     * @return array|WP_Error Post data or error.
+     */
+    protected function build_post($queue_item, $campaign)
+    {
+        // Step 1: Validate item
+        $validation = $this->validate_item($queue_item, $campaign);
+        if (is_wp_error($validation)) {
+            return $validation;
+        }
 
-            $this->logger->info("Processing complete: Queue={$queue_id}, Post={$post_id}");
+        // Step 2: Check duplicates (final check before processing)
+        $unique = $this->run_stage('duplicate_check', function() use ($queue_item) {
+            return $this->is_duplicate($queue_item)
+                ? new WP_Error('duplicate_content', 'Content already exists in database')
+                : true;
+        });
+        if (is_wp_error($unique)) {
+            return $unique;
+        }
 
-            return $post_id;
+        // Steps 3-6: Fetch, clean and rewrite
+        $source = $this->rewrite_source($queue_item, $campaign);
+        if (is_wp_error($source)) {
+            return $source;
+        }
+        $rewritten = $source['rewritten'];
+        $metadata = $source['metadata'];
+
+        // Step 7: Generate featured image
+        $featured_image = $this->run_stage('featured_image', function() use ($campaign, $rewritten, $metadata) {
+            return $this->generate_featured_image($campaign, $rewritten, $metadata);
+        });
+        if (is_wp_error($featured_image)) {
+            $featured_image = null;
+        }
 
+        // Step 8: Prepare post data
+        return $this->run_stage('seo', function() use ($campaign, $rewritten, $metadata, $featured_image) {
+            return $this->prepare_post_data($campaign, $rewritten, $metadata, $featured_image);
+        });
+    }
+
+    /**
+     * Fetch, clean and rewrite a queue item's source (steps 3-6 of process())
+     *
+     * @since 2.1.0
+     * @param array $queue_item Queue item data.
+     * @param object $campaign Campaign instance.
+     * @return array|WP_Error {
+     *     @type array $rewritten Rewritten content (title, content, excerpt, seo, tokens_used).
+     *     @type array $metadata  Source metadata.
+     * } or error.
+     */
+    protected function rewrite_source($queue_item, $campaign)
+    {
+        // Step 3: Fetch full content
+        $content_data = $this->run_stage('fetch', function() use ($queue_item) {
+            return $this->fetch_content($queue_item);
+        });
+        if (is_wp_error($content_data)) {
+            return $content_data;
+        }
+        $this->record_output('raw_html', $content_data['html'] ?? ($content_data['content'] ?? ''));
+
+        // Step 4: Clean content
+        $cleaned = $this->run_stage('clean', function() use ($content_data) {
+            return $this->clean_content($content_data);
+        });
+        if (is_wp_error($cleaned)) {
+            return $cleaned;
+        }
+        $this->record_output('cleaned', $cleaned);
+
+        // Step 5: Extract metadata
+        $metadata = $this->extract_metadata($content_data, $queue_item);
+
+        // Step 6: Rewrite content with AI (records its own stages)
+        $rewritten = $this->rewrite_content($campaign, $cleaned, $metadata);
+        if (is_wp_error($rewritten)) {
+            return $rewritten;
+        }
+        $this->record_output('rewritten', $rewritten['content']);
+
+        return [
+            'rewritten' => $rewritten,
+            'metadata' => $metadata,
+        ];
+    }
+
+    /**
+     * Rewrite the source of an already published post again
+     *
+     * Runs steps 3-6 only: the duplicate check would match the post itself,
+     * and the post keeps its image, taxonomies and status.
+     *
+     * @since 2.1.0
+     * @param array $queue_item Queue item data (or one rebuilt from the post).
+     * @param object $campaign Campaign instance.
+     * @return array|WP_Error Rewritten content and metadata (see rewrite_source()) or error.
+     */
+    public function regenerate($queue_item, $campaign)
+    {
+        try {
+            return $this->rewrite_source($queue_item, $campaign);
         } catch (\Exception $e) {
-            $error = new WP_Error('processing_exception', $e->getMessage());
-            $this->logger->error("Processing exception: {$e->getMessage()}");
-            return $error;
+            $this->logger->error("Regeneration exception: {$e->getMessage()}");
+            return new WP_Error('processing_exception', $e->getMessage());
+        }
+    }
+
+    /**
+     * Publish built post data and link it to its source (steps 9-10 of process())
+     *
+     * Public so a dry run result can be published after review.
+     *
+     * @since 2.1.0
+     * @param array $post_data Post data from build_post() or dry_run().
+     * @param array $queue_item Queue item data.
+     * @param object $campaign Campaign instance.
+     * @return int|WP_Error Post ID or error.
+     */
+    public function publish_post($post_data, $queue_item, $campaign)
+    {
+        $post_id = $this->post_publisher->publish($post_data, $campaign);
+        if (is_wp_error($post_id)) {
+            return $post_id;
+        }
+
+        $this->store_source_reference($post_id, $queue_item);
+
+        return $post_id;
+    }
+
+    /**
+     * Run one pipeline stage, timing it while recording
+     *
+     * When not recording the callback runs untouched. Otherwise failures
+     * (including PHP errors) are recorded and returned as WP_Error, along
+     * with the AI provider and key the stage used.
+     *
+     * @since 2.1.0
+     * @param string   $stage    Stage name.
+     * @param callable $callback Stage work.
+     * @return mixed Callback result.
+     */
+    protected function run_stage($stage, callable $callback)
+    {
+        if ($this->stages === null) {
+            return $callback();
         }
+
+        $start = microtime(true);
+        $this->ai_manager->take_last_call();
+
+        try {
+            $result = $callback();
+        } catch (\Throwable $e) {
+            $result = new WP_Error('stage_exception', $e->getMessage());
+        }
+
+        $this->stages[] = [
+            'stage' => $stage,
+            'duration' => round(microtime(true) - $start, 2),
+            'tokens' => is_array($result) ? (int) ($result['tokens_used'] ?? 0) : 0,
+            'error' => is_wp_error($result) ? $result->get_error_message() : '',
+            'ai' => $this->ai_manager->take_last_call(),
+        ];
+
+        return $result;
+    }
+
+    /**
+     * Keep a stage's output while recording
+     *
+     * @since 2.1.0
+     * @param string $name  Output name.
+     * @param mixed  $value Output text.
+     */
+    protected function record_output($name, $value)
+    {
+        if ($this->stages !== null) {
+            $this->outputs[$name] = is_string($value) ? $value : wp_json_encode($value);
+        }
+    }
+
+    /**
+     * Get the stages and outputs recorded by the last process() call
+     *
+     * @since 2.1.0
+     * @return array {
+     *     @type array $stages  Per stage: stage, duration, tokens, error, ai (provider, key_id, key_name, model or null).
+     *     @type array $outputs Stage outputs keyed by name.
+     * }
+     */
+    public function get_trace()
+    {
+        return [
+            'stages' => (array) $this->stages,
+            'outputs' => $this->outputs,
+        ];
     }
 
     /**
@@ -335,19 +558,38 @@ abstract class Base_Processor
             $tone = 'match source';
         }
 
+        // Campaign prompt template, rendered for this item
+        $custom_prompt = '';
+        if (!empty($ai_config['prompt_template'])) {
+            $source_config = get_post_meta($campaign_id, '_source_config', true);
+            $custom_prompt = Prompt_Template::render($ai_config['prompt_template'], Prompt_Template::build_context(
+                [
+                    'title' => $metadata['source_title'],
+                    'content' => $content,
+                    'url' => $metadata['source_url'] ?? '',
+                ],
+                array_merge($ai_config, ['tone' => $tone, 'min_words' => $min_words, 'max_words' => $max_words]),
+                get_the_title($campaign_id),
+                is_array($source_config) ? ($source_config['keywords'] ?? '') : ''
+            ));
+        }
+
         // Rewrite with AI
-        $result = $this->ai_manager->rewrite_content($campaign_id, $content, [
-            'title' => $metadata['source_title'],
-            'min_words' => $min_words,
-            'max_words' => $max_words,
-            'tone' => $tone,
-            'audience' => $audience,
-            'brand_voice' => $brand_voice,
-            'language' => $language,
-            'max_headings' => $max_headings,
-            'rewrite_mode' => $rewrite_mode,
-            'processing_mode' => $processing_mode,
-        ]);
+        $result = $this->run_stage('rewrite', function() use ($campaign_id, $content, $metadata, $min_words, $max_words, $tone, $audience, $brand_voice, $language, $max_headings, $rewrite_mode, $processing_mode, $custom_prompt) {
+            return $this->ai_manager->rewrite_content($campaign_id, $content, [
+                'title' => $metadata['source_title'],
+                'min_words' => $min_words,
+                'max_words' => $max_words,
+                'tone' => $tone,
+                'audience' => $audience,
+                'brand_voice' => $brand_voice,
+                'language' => $language,
+                'max_headings' => $max_headings,
+                'rewrite_mode' => $rewrite_mode,
+                'processing_mode' => $processing_mode,
+                'custom_prompt' => $custom_prompt,
+            ]);
+        });
 
         if (is_wp_error($result)) {
             return $result;
@@ -356,17 +598,25 @@ abstract class Base_Processor
         // Apply humanization if enabled
         $humanizer_enabled = $ai_config['humanizer_enabled'] ?? false;
         if ($humanizer_enabled) {
-            $result = $this->apply_humanization($campaign, $result);
-            if (is_wp_error($result)) {
+            $humanized = $this->run_stage('humanize', function() use ($campaign, $result) {
+                return $this->apply_humanization($campaign, $result);
+            });
+            if (is_wp_error($humanized)) {
                 $this->logger->warning("Humanization failed, using original content");
+            } else {
+                $result = $humanized;
             }
         }
 
         // Apply translation if language is not English
         if (strtolower($language) !== 'english') {
-            $result = $this->apply_translation($campaign, $result, 'english', $language);
-            if (is_wp_error($result)) {
+            $translated = $this->run_stage('translate', function() use ($campaign, $result, $language) {
+                return $this->apply_translation($campaign, $result, 'english', $language);
+            });
+            if (is_wp_error($translated)) {
                 $this->logger->warning("Translation failed, using original language");
+            } else {
+                $result = $translated;
             }
         }
 
@@ -444,6 +694,19 @@ abstract class Base_Processor
         $category_id = get_post_meta($campaign_id, '_wp_category_id', true);
 
         $categories = $category_id ? [$category_id] : [];
+        $tags = isset($rewritten['seo']['keywords']) ? (array) $rewritten['seo']['keywords'] : [];
+
+        // Per-source overrides (see Source_Overrides) take the place of the campaign's category and author
+        $source_data = isset($metadata['source_data']) && is_array($metadata['source_data']) ? $metadata['source_data'] : [];
+        if (!empty($source_data['source_category']) && term_exists((int) $source_data['source_category'], 'category')) {
+            $categories = [(int) $source_data['source_category']];
+        }
+        if (!empty($source_data['source_author_id']) && get_userdata((int) $source_data['source_author_id'])) {
+            $author_id = (int) $source_data['source_author_id'];
+        }
+        if (!empty($source_data['source_tags'])) {
+            $tags = array_values(array_unique(array_merge($tags, (array) $source_data['source_tags'])));
+        }
 
         return [
             'title' => $rewritten['title'],
@@ -455,7 +718,7 @@ abstract class Base_Processor
             'status' => $post_status,
             'author' => $author_id,
             'category' => $categories,
-            'tags' => isset($rewritten['seo']['keywords']) ? $rewritten['seo']['keywords'] : [],
+            'tags' => $tags,
         ];
     }
 
@@ -0,0 +1,363 @@
+<?php
+/**
+ * Post Actions
+ *
+ * Maintenance actions on posts a campaign has already published, run from
+ * the campaign Posts tab: rewrite the source again, re-run SEO meta,
+ * replace the featured image, translate, unpublish and trash.
+ *
+ * @package AutoBlogCraft\Processing
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Processing;
+
+use AutoBlogCraft\Core\Logger;
+use AutoBlogCraft\Discovery\Queue_Manager;
+use AutoBlogCraft\Modules\SEO\SEO_Module;
+use AutoBlogCraft\Modules\Translation\Translation_Module;
+use AutoBlogCraft\Modules\Translation\Translator;
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Post Actions class
+ *
+ * Each action works on one post, so the browser can run a bulk selection
+ * one request at a time and update each row as it finishes.
+ *
+ * @since 2.1.0
+ */
+class Post_Actions {
+
+    /**
+     * Campaign ID
+     *
+     * @var int
+     */
+    private $campaign_id;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     */
+    public function __construct($campaign_id) {
+        $this->campaign_id = absint($campaign_id);
+    }
+
+    /**
+     * Available actions
+     *
+     * @since 2.1.0
+     * @return array Labels keyed by action.
+     */
+    public static function get_actions() {
+        return [
+            'regenerate' => __('Regenerate', 'autoblogcraft-ai'),
+            'seo' => __('Re-run SEO', 'autoblogcraft-ai'),
+            'image' => __('New Featured Image', 'autoblogcraft-ai'),
+            'translate' => __('Re-translate', 'autoblogcraft-ai'),
+            'unpublish' => __('Unpublish', 'autoblogcraft-ai'),
+            'trash' => __('Trash', 'autoblogcraft-ai'),
+        ];
+    }
+
+    /**
+     * Languages a post can be translated to
+     *
+     * @since 2.1.0
+     * @return array Language names keyed by code.
+     */
+    public static function get_languages() {
+        return (new Translator())->get_supported_languages();
+    }
+
+    /**
+     * Run an action on a post
+     *
+     * @since 2.1.0
+     * @param int    $post_id Post ID.
+     * @param string $action  Action (see get_actions()).
+     * @param array  $args    Action arguments ('language' for translate).
+     * @return array|WP_Error {
+     *     @type string $message Result message.
+     *     @type bool   $removed Whether the post left the list (trashed).
+     * } or error.
+     */
+    public function run($post_id, $action, $args = []) {
+        $post = get_post($post_id);
+        if (!$post || (int) get_post_meta($post->ID, '_abc_campaign_id', true) !== $this->campaign_id) {
+            return new WP_Error('invalid_post', __('This post does not belong to the campaign.', 'autoblogcraft-ai'));
+        }
+
+        switch ($action) {
+            case 'regenerate':
+                $result = $this->regenerate($post);
+                break;
+            case 'seo':
+                $result = $this->regenerate_seo($post);
+                break;
+            case 'image':
+                $result = $this->regenerate_image($post);
+                break;
+            case 'translate':
+                $result = $this->translate($post, $args['language'] ?? '');
+                break;
+            case 'unpublish':
+                $result = $this->unpublish($post);
+                break;
+            case 'trash':
+                $result = $this->trash($post);
+                break;
+            default:
+                return new WP_Error('invalid_action', __('Unknown post action.', 'autoblogcraft-ai'));
+        }
+
+        if (is_wp_error($result)) {
+            Logger::instance()->log($this->campaign_id, 'error', 'posts', sprintf('Post action "%s" failed: %s', $action, $result->get_error_message()), [], null, $post->ID);
+            return $result;
+        }
+
+        Logger::instance()->log($this->campaign_id, 'info', 'posts', sprintf('Post action "%s" completed', $action), [], null, $post->ID);
+
+        return wp_parse_args($result, ['message' => '', 'removed' => false]);
+    }
+
+    /**
+     * Rewrite the post from its original source
+     *
+     * The post keeps its status, image and taxonomies; only the title,
+     * content and excerpt are replaced.
+     *
+     * @since 2.1.0
+     * @param \WP_Post $post Post.
+     * @return array|WP_Error
+     */
+    private function regenerate($post) {
+        $item = $this->get_source_item($post);
+        if (is_wp_error($item)) {
+            return $item;
+        }
+
+        $result = Processing_Manager::instance()->regenerate($item);
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        $updated = wp_update_post([
+            'ID' => $post->ID,
+            'post_title' => $result['rewritten']['title'],
+            'post_content' => $result['rewritten']['content'],
+            'post_excerpt' => $result['rewritten']['excerpt'],
+        ], true);
+
+        if (is_wp_error($updated)) {
+            return $updated;
+        }
+
+        update_post_meta($post->ID, '_abc_processed_at', current_time('mysql'));
+
+        return ['message' => __('Regenerated from the original source.', 'autoblogcraft-ai')];
+    }
+
+    /**
+     * Generate the post's SEO meta again
+     *
+     * @since 2.1.0
+     * @param \WP_Post $post Post.
+     * @return array
+     */
+    private function regenerate_seo($post) {
+        SEO_Module::get_instance()->regenerate_seo_meta($post->ID, $this->campaign_id);
+
+        return ['message' => __('SEO meta regenerated.', 'autoblogcraft-ai')];
+    }
+
+    /**
+     * Replace the featured image
+     *
+     * @since 2.1.0
+     * @param \WP_Post $post Post.
+     * @return array|WP_Error
+     */
+    private function regenerate_image($post) {
+        $item = $this->get_source_item($post);
+        $metadata = !is_wp_error($item) && is_array($item['source_data']) ? $item['source_data'] : [];
+
+        /**
+         * Filter the featured image settings used when regenerating an image
+         *
+         * @since 2.1.0
+         * @param array $settings    Featured_Image_Generator settings.
+         * @param int   $campaign_id Campaign ID.
+         */
+        $settings = apply_filters('abc_featured_image_settings', [
+            'strategy' => 'source',
+            'fallback_strategy' => 'unsplash',
+        ], $this->campaign_id);
+
+        $attachment_id = (new Featured_Image_Generator())->generate($settings, [
+            'title' => $post->post_title,
+            'excerpt' => $post->post_excerpt,
+            'content' => $post->post_content,
+            'metadata' => $metadata,
+            'post_id' => $post->ID,
+        ]);
+
+        if (is_wp_error($attachment_id)) {
+            return $attachment_id;
+        }
+
+        if (!$attachment_id) {
+            return new WP_Error('no_image', __('No image could be generated for this post.', 'autoblogcraft-ai'));
+        }
+
+        set_post_thumbnail($post->ID, $attachment_id);
+
+        return ['message' => __('Featured image replaced.', 'autoblogcraft-ai')];
+    }
+
+    /**
+     * Translate the post's title, content and excerpt
+     *
+     * @since 2.1.0
+     * @param \WP_Post $post     Post.
+     * @param string   $language Target language code; empty for the campaign language.
+     * @return array|WP_Error
+     */
+    private function translate($post, $language) {
+        $languages = self::get_languages();
+        $target = $language ?: $this->get_campaign_language();
+
+        if (!isset($languages[$target])) {
+            return new WP_Error('invalid_language', __('Choose a language to translate to.', 'autoblogcraft-ai'));
+        }
+
+        $source = get_post_meta($post->ID, '_abc_language', true);
+        if ($source === $target) {
+            /* translators: %s: language name */
+            return new WP_Error('same_language', sprintf(__('The post is already in %s.', 'autoblogcraft-ai'), $languages[$target]));
+        }
+
+        $translator = Translation_Module::get_instance();
+        $fields = [];
+
+        foreach (['post_title', 'post_content', 'post_excerpt'] as $field) {
+            if ($post->$field === '') {
+                continue;
+            }
+
+            $translated = $translator->translate($post->$field, $target, $source, $this->campaign_id);
+            if (is_wp_error($translated)) {
+                return $translated;
+            }
+
+            $fields[$field] = $translated;
+        }
+
+        $updated = wp_update_post(array_merge(['ID' => $post->ID], $fields), true);
+        if (is_wp_error($updated)) {
+            return $updated;
+        }
+
+        update_post_meta($post->ID, '_abc_language', $target);
+
+        /* translators: %s: language name */
+        return ['message' => sprintf(__('Translated to %s.', 'autoblogcraft-ai'), $languages[$target])];
+    }
+
+    /**
+     * Move a published post back to draft
+     *
+     * @since 2.1.0
+     * @param \WP_Post $post Post.
+     * @return array|WP_Error
+     */
+    private function unpublish($post) {
+        if ($post->post_status !== 'publish') {
+            return new WP_Error('not_published', __('The post is not published.', 'autoblogcraft-ai'));
+        }
+
+        $updated = wp_update_post(['ID' => $post->ID, 'post_status' => 'draft'], true);
+        if (is_wp_error($updated)) {
+            return $updated;
+        }
+
+        return ['message' => __('Moved to drafts.', 'autoblogcraft-ai')];
+    }
+
+    /**
+     * Move a post to the trash
+     *
+     * @since 2.1.0
+     * @param \WP_Post $post Post.
+     * @return array|WP_Error
+     */
+    private function trash($post) {
+        if (!wp_trash_post($post->ID)) {
+            return new WP_Error('trash_failed', __('The post could not be moved to the trash.', 'autoblogcraft-ai'));
+        }
+
+        return [
+            'message' => __('Moved to the trash.', 'autoblogcraft-ai'),
+            'removed' => true,
+        ];
+    }
+
+    /**
+     * Get the queue item a post was built from
+     *
+     * Queue items are cleaned up after a while, so when it is gone one is
+     * rebuilt from the source reference stored on the post.
+     *
+     * @since 2.1.0
+     * @param \WP_Post $post Post.
+     * @return array|WP_Error Queue item or error.
+     */
+    private function get_source_item($post) {
+        $queue_id = absint(get_post_meta($post->ID, '_abc_queue_id', true));
+        $item = $queue_id ? (new Queue_Manager())->get_item($queue_id) : null;
+
+        if ($item) {
+            return $item;
+        }
+
+        $source_url = get_post_meta($post->ID, '_abc_source_url', true);
+        if (!$source_url) {
+            return new WP_Error('no_source', __('The original source of this post is unknown.', 'autoblogcraft-ai'));
+        }
+
+        $source_data = get_post_meta($post->ID, '_abc_source_data', true);
+        if (is_string($source_data)) {
+            $source_data = json_decode($source_data, true);
+        }
+
+        return [
+            'id' => $queue_id,
+            'campaign_id' => $this->campaign_id,
+            'source_url' => $source_url,
+            'source_type' => get_post_meta($post->ID, '_abc_source_type', true) ?: 'web',
+            'title' => $post->post_title,
+            'source_data' => is_array($source_data) ? $source_data : [],
+        ];
+    }
+
+    /**
+     * The campaign's output language as a language code
+     *
+     * @since 2.1.0
+     * @return string Language code, empty if unknown.
+     */
+    private function get_campaign_language() {
+        $ai_config = get_post_meta($this->campaign_id, '_ai_config', true);
+        $name = is_array($ai_config) ? ($ai_config['language'] ?? 'english') : 'english';
+        $code = array_search(ucfirst(strtolower($name)), self::get_languages(), true);
+
+        return $code === false ? '' : $code;
+    }
+}
@@ -77,9 +77,10 @@ class Post_Publisher {
             set_post_thumbnail($post_id, $post_data['featured_image_id']);
         }
 
-        // Assign categories
-        if (!empty($post_data['categories'])) {
-            wp_set_post_categories($post_id, $post_data['categories'], false);
+        // Assign categories (processors pass them as 'category')
+        $categories = $post_data['categories'] ?? $post_data['category'] ?? [];
+        if (!empty($categories)) {
+            wp_set_post_categories($post_id, $categories, false);
         }
 
         // Assign tags
@@ -184,7 +185,7 @@ class Post_Publisher {
     private function prepare_post_args($post_data, $campaign) {
         // Get campaign settings
         $post_status = $campaign->get_meta('post_status', 'draft');
-        $post_author = $campaign->get_meta('post_author', get_current_user_id());
+        $post_author = !empty($post_data['author']) ? (int) $post_data['author'] : $campaign->get_meta('post_author', get_current_user_id());
         $post_type = $campaign->get_meta('post_type', 'post');
         $comment_status = $campaign->get_meta('comment_status', 'open');
         $ping_status = $campaign->get_meta('ping_status', 'open');
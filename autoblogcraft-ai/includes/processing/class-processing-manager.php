@@ -14,7 +14,10 @@ namespace AutoBlogCraft\Processing;
 use AutoBlogCraft\Core\Logger;
 use AutoBlogCraft\Core\Rate_Limiter;
 use AutoBlogCraft\Discovery\Queue_Manager;
+use AutoBlogCraft\Discovery\Queue_Attempts;
 use AutoBlogCraft\Campaigns\Campaign_Factory;
+use AutoBlogCraft\Campaigns\Campaign_Metrics;
+use AutoBlogCraft\AI\AI_Manager;
 use WP_Error;
 
 if (!defined('ABSPATH')) {
@@ -174,7 +177,7 @@ class Processing_Manager {
                     'error' => $result->get_error_message(),
                 ];
 
-                $this->queue_manager->mark_failed($item['id'], $result->get_error_message());
+                $this->queue_manager->mark_failed($item['id'], $result->get_error_message(), Retry_Policy::classify($result));
             } elseif ($result === false) {
                 // Skipped (duplicate, etc.)
                 $results['skipped']++;
@@ -242,11 +245,27 @@ class Processing_Manager {
         // Track processing start time for stale lock cleanup
         update_post_meta($campaign_id, '_abc_processing_started', time());
 
+        // Record the attempt and tie its logs to the item for the queue inspector
+        $attempts = new Queue_Attempts();
+        $attempt_id = $attempts->start($item);
+        $this->logger->set_queue_item($queue_id);
+        $processor = null;
+        $post_id = false;
+
+        // Retries may be pinned to another API key by the campaign's retry policy
+        $retry_key_id = (int) $item['retry_count'] > 0 ? Retry_Policy::for_campaign($campaign_id)->get_retry_key_id() : 0;
+        if ($retry_key_id) {
+            $this->logger->info("Retrying with API key {$retry_key_id}: Queue={$queue_id}");
+            AI_Manager::instance()->set_key_override($retry_key_id);
+        }
+
         try {
             // Get processor
             $processor = $this->get_processor($source_type);
             if (is_wp_error($processor)) {
-                return $processor;
+                $post_id = $processor;
+                $processor = null;
+                return $post_id;
             }
 
             // Process with processor
@@ -263,18 +282,104 @@ class Processing_Manager {
             return $post_id;
 
         } catch (\Exception $e) {
-            $error = new WP_Error('processing_exception', $e->getMessage());
+            $post_id = new WP_Error('processing_exception', $e->getMessage());
             $this->logger->error("Processing exception: {$e->getMessage()}");
             
             $this->update_campaign_stats($campaign_id, false);
             
-            return $error;
+            return $post_id;
             
         } finally {
             // Always release campaign slot
             $this->rate_limiter->finish_campaign($campaign_id);
             delete_post_meta($campaign_id, '_abc_processing_started');
+
+            $trace = $processor && method_exists($processor, 'get_trace') ? $processor->get_trace() : [];
+            $attempts->finish($attempt_id, $post_id, $trace);
+            $this->logger->set_queue_item(null);
+
+            if ($retry_key_id) {
+                AI_Manager::instance()->set_key_override(null);
+            }
+        }
+    }
+
+    /**
+     * Run a queue item through the pipeline without publishing
+     *
+     * Skips the active-status and rate limit checks so paused campaigns
+     * can be tried out from the editor.
+     *
+     * @since 2.1.0
+     * @param array $item Queue item.
+     * @return array|WP_Error Dry run result (see Base_Processor::dry_run()) or error.
+     */
+    public function dry_run($item) {
+        $campaign = Campaign_Factory::create($item['campaign_id']);
+        if (is_wp_error($campaign)) {
+            return $campaign;
+        }
+
+        $processor = $this->get_processor($item['source_type']);
+        if (is_wp_error($processor)) {
+            return $processor;
         }
+
+        $this->logger->debug("Dry run: Queue={$item['id']}, Campaign={$item['campaign_id']}");
+
+        return $processor->dry_run($item, $campaign);
+    }
+
+    /**
+     * Publish post data produced by a dry run
+     *
+     * @since 2.1.0
+     * @param array $item      Queue item.
+     * @param array $post_data Post data from dry_run().
+     * @return int|WP_Error Post ID or error.
+     */
+    public function publish_dry_run($item, $post_data) {
+        $campaign = Campaign_Factory::create($item['campaign_id']);
+        if (is_wp_error($campaign)) {
+            return $campaign;
+        }
+
+        $processor = $this->get_processor($item['source_type']);
+        if (is_wp_error($processor)) {
+            return $processor;
+        }
+
+        $post_id = $processor->publish_post($post_data, $item, $campaign);
+        if (is_wp_error($post_id)) {
+            return $post_id;
+        }
+
+        $this->queue_manager->mark_completed($item['id'], $post_id);
+
+        return $post_id;
+    }
+
+    /**
+     * Rewrite the source of a published post again
+     *
+     * @since 2.1.0
+     * @param array $item Queue item the post came from.
+     * @return array|WP_Error Rewritten content and metadata (see Base_Processor::regenerate()) or error.
+     */
+    public function regenerate($item) {
+        $campaign = Campaign_Factory::create($item['campaign_id']);
+        if (is_wp_error($campaign)) {
+            return $campaign;
+        }
+
+        $processor = $this->get_processor($item['source_type']);
+        if (is_wp_error($processor)) {
+            return $processor;
+        }
+
+        $this->logger->debug("Regenerating: Queue={$item['id']}, Campaign={$item['campaign_id']}");
+
+        return $processor->regenerate($item, $campaign);
     }
 
     /**
@@ -383,6 +488,7 @@ class Processing_Manager {
             // Increment failed count
             $failed = (int) get_post_meta($campaign_id, '_abc_total_failed', true);
             update_post_meta($campaign_id, '_abc_total_failed', $failed + 1);
+            Campaign_Metrics::add($campaign_id, ['failed' => 1]);
         }
     }
 
@@ -418,7 +524,8 @@ class Processing_Manager {
     /**
      * Retry failed items
      *
-     * Resets failed items back to pending for retry.
+     * Resets failed items back to pending for retry, as far as their
+     * campaign's retry policy allows (see retry_due()).
      *
      * @since 2.0.0
      * @param int|null $campaign_id Optional campaign ID filter.
@@ -426,26 +533,73 @@ class Processing_Manager {
      * @return int Number of items reset.
      */
     public function retry_failed($campaign_id = null, $limit = 50) {
-        global $wpdb;
-
-        $table = $wpdb->prefix . 'abc_queue';
-        $limit = absint($limit);
-
-        $sql = "UPDATE {$table} SET status = 'pending', error_message = NULL WHERE status = 'failed'";
+        return $this->retry_due($campaign_id, $limit)['queued'];
+    }
 
-        if ($campaign_id !== null) {
-            $sql .= $wpdb->prepare(' AND campaign_id = %d', absint($campaign_id));
+    /**
+     * Queue failed items whose next attempt is due under their retry policy
+     *
+     * @since 2.1.0
+     * @param int|null $campaign_id Optional campaign ID filter.
+     * @param int $limit Maximum items to queue.
+     * @return array {
+     *     @type int      $queued    Items put back to pending.
+     *     @type int      $waiting   Items still in backoff (or over the limit).
+     *     @type int      $exhausted Items the policy will not retry.
+     *     @type int|null $next_due  When the next waiting item is due (Unix time).
+     * }
+     */
+    public function retry_due($campaign_id = null, $limit = 50) {
+        $summary = [
+            'queued' => 0,
+            'waiting' => 0,
+            'exhausted' => 0,
+            'next_due' => null,
+        ];
+        $campaign_ids = $campaign_id !== null ? [absint($campaign_id)] : $this->queue_manager->get_failed_campaign_ids();
+
+        foreach ($campaign_ids as $item_campaign) {
+            $policy = Retry_Policy::for_campaign($item_campaign);
+            $failed = $this->queue_manager->get_stats($item_campaign)['failed'];
+            $retryable = 0;
+            $after_id = 0;
+
+            // Page by ID: items reset to pending drop out of the failed set
+            do {
+                $items = $this->queue_manager->get_retryable_items(
+                    $item_campaign,
+                    $policy->get_max_attempts(),
+                    $policy->get_retry_on(),
+                    200,
+                    $after_id
+                );
+
+                foreach ($items as $item) {
+                    $after_id = (int) $item['id'];
+                    $next = $policy->get_next_attempt_at($item);
+
+                    if ($next === null) {
+                        continue;
+                    }
+
+                    $retryable++;
+                    if ($next > time() || $summary['queued'] >= $limit) {
+                        $summary['waiting']++;
+                        $summary['next_due'] = $summary['next_due'] === null ? $next : min($summary['next_due'], $next);
+                    } elseif ($this->queue_manager->reset_item($item['id'])) {
+                        $summary['queued']++;
+                    }
+                }
+            } while (count($items) === 200);
+
+            $summary['exhausted'] += max(0, $failed - $retryable);
         }
 
-        $sql .= " LIMIT {$limit}";
-
-        $result = $wpdb->query($sql);
-
-        if ($result > 0) {
-            $this->logger->info("Reset {$result} failed items for retry");
+        if ($summary['queued'] > 0) {
+            $this->logger->info("Reset {$summary['queued']} failed items for retry");
         }
 
-        return $result;
+        return $summary;
     }
 
     /**
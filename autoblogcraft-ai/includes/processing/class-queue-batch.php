@@ -0,0 +1,320 @@
+<?php
+/**
+ * Queue Batch
+ *
+ * A "Process queue" run started from the campaign queue tab. The browser
+ * drives the job one item per request, so long batches never hit a request
+ * timeout, and the job lives in an option so a reloaded page can reattach.
+ *
+ * @package AutoBlogCraft\Processing
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Processing;
+
+use AutoBlogCraft\Discovery\Queue_Manager;
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Queue Batch class
+ *
+ * @since 2.1.0
+ */
+class Queue_Batch {
+
+    /**
+     * Option prefix; one job per campaign
+     *
+     * @var string
+     */
+    const OPTION_PREFIX = 'abc_queue_batch_';
+
+    /**
+     * Largest batch that can be requested
+     *
+     * @var int
+     */
+    const MAX_LIMIT = 100;
+
+    /**
+     * Seconds after which a step lock is considered abandoned
+     *
+     * @var int
+     */
+    const LOCK_TIMEOUT = 300;
+
+    /**
+     * Campaign ID
+     *
+     * @var int
+     */
+    private $campaign_id;
+
+    /**
+     * Queue manager
+     *
+     * @var Queue_Manager
+     */
+    private $queue_manager;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     */
+    public function __construct($campaign_id) {
+        $this->campaign_id = absint($campaign_id);
+        $this->queue_manager = new Queue_Manager();
+    }
+
+    /**
+     * Start a batch over the next pending items
+     *
+     * @since 2.1.0
+     * @param int $limit Maximum items to process.
+     * @return array|WP_Error Job state or error.
+     */
+    public function start($limit) {
+        $job = $this->get_job();
+        if ($job && $job['status'] === 'running') {
+            return new WP_Error('batch_running', __('A batch is already running for this campaign.', 'autoblogcraft-ai'));
+        }
+
+        $limit = min(self::MAX_LIMIT, max(1, absint($limit)));
+        $items = $this->queue_manager->get_next_items($limit, $this->campaign_id);
+
+        if (empty($items)) {
+            return new WP_Error('no_items', __('There are no pending items to process.', 'autoblogcraft-ai'));
+        }
+
+        $job = [
+            'status' => 'running',
+            'item_ids' => array_map('intval', array_column($items, 'id')),
+            'position' => 0,
+            'results' => [],
+            'started' => time(),
+            'updated' => time(),
+            'user_id' => get_current_user_id(),
+        ];
+
+        update_option($this->get_option_name(), $job, false);
+
+        return $this->get_state();
+    }
+
+    /**
+     * Process the next item of a running batch
+     *
+     * @since 2.1.0
+     * @return array|WP_Error Job state (with the new result) or error.
+     */
+    public function step() {
+        $job = $this->get_job();
+        if (!$job) {
+            return new WP_Error('no_batch', __('No batch is running for this campaign.', 'autoblogcraft-ai'));
+        }
+
+        if ($job['status'] !== 'running') {
+            return $this->get_state(count($job['results']));
+        }
+
+        // Another tab is already processing the current item
+        if (!$this->lock()) {
+            return $this->get_state(count($job['results']));
+        }
+
+        // Read the job again under the lock: an overlapping step may have moved it on
+        $job = $this->get_job();
+        if (!$job || $job['status'] !== 'running' || $job['position'] >= count($job['item_ids'])) {
+            $this->unlock();
+            return $this->get_state($job ? count($job['results']) : 0);
+        }
+
+        $offset = count($job['results']);
+        $job['results'][] = $this->process($job['item_ids'][$job['position']]);
+        $job['position']++;
+        $job['updated'] = time();
+
+        // Cancel may have been requested while the item was processing
+        $latest = $this->get_job();
+        if ($latest && $latest['status'] === 'cancelled') {
+            $job['status'] = 'cancelled';
+        } elseif ($job['position'] >= count($job['item_ids'])) {
+            $job['status'] = 'finished';
+        }
+
+        update_option($this->get_option_name(), $job, false);
+        $this->unlock();
+
+        return $this->get_state($offset);
+    }
+
+    /**
+     * Cancel a running batch after the item in progress
+     *
+     * @since 2.1.0
+     * @return array|WP_Error Job state or error.
+     */
+    public function cancel() {
+        $job = $this->get_job();
+        if (!$job) {
+            return new WP_Error('no_batch', __('No batch is running for this campaign.', 'autoblogcraft-ai'));
+        }
+
+        if ($job['status'] === 'running') {
+            $job['status'] = 'cancelled';
+            update_option($this->get_option_name(), $job, false);
+        }
+
+        return $this->get_state(count($job['results']));
+    }
+
+    /**
+     * Forget a finished or cancelled batch
+     *
+     * @since 2.1.0
+     * @return bool True if a job was removed.
+     */
+    public function clear() {
+        $job = $this->get_job();
+        if (!$job || $job['status'] === 'running') {
+            return false;
+        }
+
+        return delete_option($this->get_option_name());
+    }
+
+    /**
+     * Get the job state for the browser
+     *
+     * @since 2.1.0
+     * @param int $offset Only include results from this index on.
+     * @return array|null Null when there is no job.
+     */
+    public function get_state($offset = 0) {
+        $job = $this->get_job();
+        if (!$job) {
+            return null;
+        }
+
+        $statuses = array_count_values(array_column($job['results'], 'status'));
+
+        return [
+            'status' => $job['status'],
+            'total' => count($job['item_ids']),
+            'done' => count($job['results']),
+            'succeeded' => $statuses['success'] ?? 0,
+            'failed' => $statuses['failed'] ?? 0,
+            'skipped' => $statuses['skipped'] ?? 0,
+            'elapsed' => max(0, $job['updated'] - $job['started']),
+            'offset' => (int) $offset,
+            'results' => array_slice($job['results'], (int) $offset),
+        ];
+    }
+
+    /**
+     * Process one queue item the way Processing_Manager::process_batch() does
+     *
+     * @since 2.1.0
+     * @param int $queue_id Queue item ID.
+     * @return array Result line.
+     */
+    private function process($queue_id) {
+        $start = microtime(true);
+        $item = $this->queue_manager->get_item($queue_id);
+
+        $result = [
+            'id' => (int) $queue_id,
+            'title' => $item ? ($item['title'] ?: $item['source_url']) : '#' . $queue_id,
+            'status' => 'skipped',
+            'message' => '',
+            'edit_url' => '',
+        ];
+
+        if (!$item || !in_array($item['status'], ['pending', 'failed'], true)) {
+            $result['message'] = __('Already processed or removed.', 'autoblogcraft-ai');
+        } else {
+            $this->queue_manager->mark_processing($queue_id);
+            $post_id = Processing_Manager::instance()->process_item($item);
+
+            if (is_wp_error($post_id) && $post_id->get_error_code() === 'rate_limit') {
+                // Leave it for the next run rather than counting a failure
+                $this->queue_manager->reset_item($queue_id);
+                $result['message'] = $post_id->get_error_message();
+            } elseif (is_wp_error($post_id)) {
+                $this->queue_manager->mark_failed($queue_id, $post_id->get_error_message(), Retry_Policy::classify($post_id));
+                $result['status'] = 'failed';
+                $result['message'] = $post_id->get_error_message();
+            } elseif (!$post_id) {
+                // No post and no error (duplicate, empty content): nothing was published
+                $result['status'] = 'failed';
+                $result['message'] = __('No post was created for this item.', 'autoblogcraft-ai');
+                $this->queue_manager->mark_failed($queue_id, $result['message']);
+            } else {
+                $this->queue_manager->mark_completed($queue_id, $post_id);
+                $result['status'] = 'success';
+                $result['edit_url'] = (string) get_edit_post_link($post_id, 'raw');
+            }
+        }
+
+        $result['duration'] = round(microtime(true) - $start, 1);
+
+        return $result;
+    }
+
+    /**
+     * Get the stored job
+     *
+     * @since 2.1.0
+     * @return array|null
+     */
+    private function get_job() {
+        wp_cache_delete($this->get_option_name(), 'options');
+        $job = get_option($this->get_option_name());
+
+        return is_array($job) ? $job : null;
+    }
+
+    /**
+     * Take the step lock
+     *
+     * add_option() fails if the row exists, which makes it a cheap mutex.
+     *
+     * @since 2.1.0
+     * @return bool
+     */
+    private function lock() {
+        $name = $this->get_option_name() . '_lock';
+        $locked_at = (int) get_option($name);
+
+        if ($locked_at && $locked_at < time() - self::LOCK_TIMEOUT) {
+            delete_option($name);
+        }
+
+        return add_option($name, time(), '', false);
+    }
+
+    /**
+     * Release the step lock
+     *
+     * @since 2.1.0
+     */
+    private function unlock() {
+        delete_option($this->get_option_name() . '_lock');
+    }
+
+    /**
+     * Option name for this campaign's job
+     *
+     * @since 2.1.0
+     * @return string
+     */
+    private function get_option_name() {
+        return self::OPTION_PREFIX . $this->campaign_id;
+    }
+}
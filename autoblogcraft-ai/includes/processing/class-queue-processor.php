@@ -309,7 +309,7 @@ class Queue_Processor {
         }
 
         if (isset($data['error_message'])) {
-            $update_data['error_message'] = $data['error_message'];
+            $update_data['last_error'] = $data['error_message'];
         }
 
         if (isset($data['retry_count'])) {
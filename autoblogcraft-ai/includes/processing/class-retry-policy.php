@@ -0,0 +1,348 @@
+<?php
+/**
+ * Retry Policy
+ *
+ * Per-campaign rules for retrying failed queue items: how many attempts an
+ * item gets, how long to wait between them (exponential backoff) and which
+ * kinds of error are worth retrying at all.
+ *
+ * @package AutoBlogCraft\Processing
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Processing;
+
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Retry Policy class
+ *
+ * Responsibilities:
+ * - Normalize policy input from the campaign form
+ * - Classify processing errors (rate limit, timeout, 5xx, ...)
+ * - Decide whether a failed item may be retried and when
+ *
+ * The wait before retry N is backoff * multiplier^(N-1), capped at the
+ * maximum backoff, counted from when the item last failed.
+ *
+ * @since 2.1.0
+ */
+class Retry_Policy {
+
+    /**
+     * Campaign meta key
+     *
+     * @var string
+     */
+    const META_KEY = '_retry_policy';
+
+    /**
+     * Most attempts an item can be given
+     *
+     * @var int
+     */
+    const MAX_ATTEMPTS = 10;
+
+    /**
+     * Longest allowed backoff in minutes (one week)
+     *
+     * @var int
+     */
+    const MAX_BACKOFF = 10080;
+
+    /**
+     * Normalized policy
+     *
+     * @var array {
+     *     @type int    $max_attempts Attempts per item, including the first
+     *     @type int    $backoff      Minutes to wait before the first retry
+     *     @type float  $multiplier   Backoff growth per retry
+     *     @type int    $max_backoff  Longest wait in minutes
+     *     @type array  $retry_on     Error classes that are retried
+     *     @type int    $retry_key_id API key used for retries (0 = campaign key)
+     * }
+     */
+    private $config;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param array $config Policy configuration (normalized on the way in).
+     */
+    public function __construct($config = []) {
+        $this->config = self::normalize($config);
+    }
+
+    /**
+     * Error classes a policy can retry on
+     *
+     * @since 2.1.0
+     * @return array Labels keyed by class.
+     */
+    public static function get_error_classes() {
+        return [
+            'rate_limit' => __('Rate limits (429)', 'autoblogcraft-ai'),
+            'timeout' => __('Timeouts', 'autoblogcraft-ai'),
+            'server_error' => __('Server errors (5xx)', 'autoblogcraft-ai'),
+            'network' => __('Connection errors', 'autoblogcraft-ai'),
+            'other' => __('Anything else', 'autoblogcraft-ai'),
+        ];
+    }
+
+    /**
+     * Default policy: 3 attempts, 5 minutes doubling, transient errors only
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    public static function get_defaults() {
+        return [
+            'max_attempts' => min(self::MAX_ATTEMPTS, max(1, (int) get_option('abc_max_retries', 3))),
+            'backoff' => 5,
+            'multiplier' => 2,
+            'max_backoff' => 720,
+            'retry_on' => ['rate_limit', 'timeout', 'server_error', 'network'],
+            'retry_key_id' => 0,
+        ];
+    }
+
+    /**
+     * Load a campaign's policy
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     * @return Retry_Policy
+     */
+    public static function for_campaign($campaign_id) {
+        $config = get_post_meta($campaign_id, self::META_KEY, true);
+
+        return new self(is_array($config) ? $config : []);
+    }
+
+    /**
+     * Build a policy from the campaign form
+     *
+     * @since 2.1.0
+     * @param array $input Raw retry_policy[...] POST data.
+     * @return Retry_Policy|WP_Error Errors name the offending field in their 'field' data.
+     */
+    public static function from_input($input) {
+        if (!is_array($input)) {
+            return new WP_Error('invalid_retry_policy', __('Invalid retry policy.', 'autoblogcraft-ai'), ['field' => 'retry_policy[max_attempts]']);
+        }
+
+        $max_attempts = absint($input['max_attempts'] ?? 0);
+        if ($max_attempts < 1 || $max_attempts > self::MAX_ATTEMPTS) {
+            return new WP_Error(
+                'invalid_retry_policy',
+                sprintf(__('Max attempts must be between 1 and %d.', 'autoblogcraft-ai'), self::MAX_ATTEMPTS),
+                ['field' => 'retry_policy[max_attempts]']
+            );
+        }
+
+        $multiplier = (float) ($input['multiplier'] ?? 1);
+        if ($multiplier < 1 || $multiplier > 10) {
+            return new WP_Error('invalid_retry_policy', __('The backoff multiplier must be between 1 and 10.', 'autoblogcraft-ai'), ['field' => 'retry_policy[multiplier]']);
+        }
+
+        $retry_key_id = absint($input['retry_key_id'] ?? 0);
+        if ($retry_key_id && !self::key_exists($retry_key_id)) {
+            return new WP_Error('invalid_retry_policy', __('The selected retry API key no longer exists.', 'autoblogcraft-ai'), ['field' => 'retry_policy[retry_key_id]']);
+        }
+
+        return new self([
+            'max_attempts' => $max_attempts,
+            'backoff' => absint($input['backoff'] ?? 0),
+            'multiplier' => $multiplier,
+            'max_backoff' => absint($input['max_backoff'] ?? 0),
+            'retry_on' => array_map('sanitize_key', (array) ($input['retry_on'] ?? [])),
+            'retry_key_id' => $retry_key_id,
+        ]);
+    }
+
+    /**
+     * Normalize a policy array
+     *
+     * @since 2.1.0
+     * @param array $config Raw policy.
+     * @return array
+     */
+    private static function normalize($config) {
+        $config = wp_parse_args(is_array($config) ? $config : [], self::get_defaults());
+        $backoff = min(self::MAX_BACKOFF, absint($config['backoff']));
+
+        return [
+            'max_attempts' => min(self::MAX_ATTEMPTS, max(1, absint($config['max_attempts']))),
+            'backoff' => $backoff,
+            'multiplier' => round(min(10, max(1, (float) $config['multiplier'])), 2),
+            'max_backoff' => max($backoff, min(self::MAX_BACKOFF, absint($config['max_backoff']))),
+            'retry_on' => array_values(array_intersect(array_keys(self::get_error_classes()), (array) $config['retry_on'])),
+            'retry_key_id' => absint($config['retry_key_id']),
+        ];
+    }
+
+    /**
+     * Get the normalized policy for storage
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    public function to_array() {
+        return $this->config;
+    }
+
+    /**
+     * Attempts an item gets, including the first
+     *
+     * @since 2.1.0
+     * @return int
+     */
+    public function get_max_attempts() {
+        return $this->config['max_attempts'];
+    }
+
+    /**
+     * Error classes that are retried
+     *
+     * @since 2.1.0
+     * @return string[]
+     */
+    public function get_retry_on() {
+        return $this->config['retry_on'];
+    }
+
+    /**
+     * API key to use for retries
+     *
+     * @since 2.1.0
+     * @return int Key ID, 0 to keep the campaign's key.
+     */
+    public function get_retry_key_id() {
+        return $this->config['retry_key_id'];
+    }
+
+    /**
+     * Classify a processing error
+     *
+     * Providers and the content fetcher put the HTTP status in the message
+     * ("API error (503)", "HTTP 503: ..."), so it is matched there as well.
+     *
+     * @since 2.1.0
+     * @param WP_Error $error Processing error.
+     * @return string Error class (see get_error_classes()).
+     */
+    public static function classify($error) {
+        $code = $error->get_error_code();
+        $message = $error->get_error_message();
+        $data = $error->get_error_data();
+        $status = is_array($data) ? (int) ($data['status'] ?? 0) : 0;
+
+        if (!$status && preg_match('/(?:HTTP |error \()(\d{3})\b/i', $message, $matches)) {
+            $status = (int) $matches[1];
+        }
+
+        if ($status === 429 || in_array($code, ['rate_limit', 'rate_limit_exceeded', 'quota_exceeded'], true)
+            || preg_match('/rate.?limit|too many requests/i', $message)) {
+            return 'rate_limit';
+        }
+
+        if ($status === 408 || $status === 504 || preg_match('/timed? ?out|cURL error 28/i', $message)) {
+            return 'timeout';
+        }
+
+        if ($status >= 500 && $status < 600) {
+            return 'server_error';
+        }
+
+        if ($code === 'http_request_failed') {
+            return 'network';
+        }
+
+        return 'other';
+    }
+
+    /**
+     * Seconds to wait before a retry
+     *
+     * @since 2.1.0
+     * @param int $failures Failures so far (1 for the first retry).
+     * @return int
+     */
+    public function get_delay($failures) {
+        $minutes = $this->config['backoff'] * pow($this->config['multiplier'], max(0, $failures - 1));
+
+        return (int) round(min($minutes, $this->config['max_backoff']) * MINUTE_IN_SECONDS);
+    }
+
+    /**
+     * Whether a failed item may be retried at all
+     *
+     * @since 2.1.0
+     * @param array|object $item Queue item.
+     * @return bool
+     */
+    public function can_retry($item) {
+        $item = (array) $item;
+
+        if (($item['status'] ?? '') !== 'failed' || (int) $item['retry_count'] >= $this->config['max_attempts']) {
+            return false;
+        }
+
+        // Items that failed before errors were classified count as "other"
+        $class = !empty($item['last_error_code']) ? $item['last_error_code'] : 'other';
+
+        return in_array($class, $this->config['retry_on'], true);
+    }
+
+    /**
+     * When a failed item's next attempt is due
+     *
+     * @since 2.1.0
+     * @param array|object $item Queue item.
+     * @return int|null Unix timestamp, or null if it will not be retried.
+     */
+    public function get_next_attempt_at($item) {
+        if (!$this->can_retry($item)) {
+            return null;
+        }
+
+        $item = (array) $item;
+        $failed_at = !empty($item['processed_at']) ? get_gmt_from_date($item['processed_at'], 'U') : time();
+
+        return (int) $failed_at + $this->get_delay((int) $item['retry_count']);
+    }
+
+    /**
+     * Whether a failed item's next attempt is due now
+     *
+     * @since 2.1.0
+     * @param array|object $item Queue item.
+     * @return bool
+     */
+    public function is_due($item) {
+        $next = $this->get_next_attempt_at($item);
+
+        return $next !== null && $next <= time();
+    }
+
+    /**
+     * Check that an API key exists
+     *
+     * @since 2.1.0
+     * @param int $key_id Key ID.
+     * @return bool
+     */
+    private static function key_exists($key_id) {
+        global $wpdb;
+
+        return (bool) $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$wpdb->prefix}abc_api_keys WHERE id = %d",
+            $key_id
+        ));
+    }
+}
@@ -0,0 +1,236 @@
+<?php
+/**
+ * Test Post
+ *
+ * Runs one discovered item through the full pipeline without publishing
+ * so a campaign can be checked from the editor before it goes live.
+ *
+ * @package AutoBlogCraft\Processing
+ * @since 2.1.0
+ */
+
+namespace AutoBlogCraft\Processing;
+
+use AutoBlogCraft\Discovery\Queue_Manager;
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Test Post class
+ *
+ * The last result is kept per user and campaign in a transient until it is
+ * published as a draft or discarded.
+ *
+ * @since 2.1.0
+ */
+class Test_Post {
+
+    /**
+     * How long an unreviewed result is kept
+     *
+     * @var int
+     */
+    const TTL = HOUR_IN_SECONDS;
+
+    /**
+     * Campaign ID
+     *
+     * @var int
+     */
+    private $campaign_id;
+
+    /**
+     * Queue manager
+     *
+     * @var Queue_Manager
+     */
+    private $queue_manager;
+
+    /**
+     * Constructor
+     *
+     * @since 2.1.0
+     * @param int $campaign_id Campaign ID.
+     */
+    public function __construct($campaign_id) {
+        $this->campaign_id = absint($campaign_id);
+        $this->queue_manager = new Queue_Manager();
+    }
+
+    /**
+     * Get pending items that can be used for a test run
+     *
+     * @since 2.1.0
+     * @param int $limit Maximum items.
+     * @return array Queue items.
+     */
+    public function get_candidates($limit = 20) {
+        return $this->queue_manager->get_next_items($limit, $this->campaign_id);
+    }
+
+    /**
+     * Run the pipeline for a queue item
+     *
+     * Any previous unreviewed result for this campaign is discarded first.
+     *
+     * @since 2.1.0
+     * @param int $queue_id Queue item ID, or 0 for the next pending item.
+     * @return array|WP_Error Preview data or error.
+     */
+    public function run($queue_id = 0) {
+        $item = $this->get_queue_item($queue_id);
+        if (is_wp_error($item)) {
+            return $item;
+        }
+
+        $this->discard();
+
+        $start = microtime(true);
+        $result = Processing_Manager::instance()->dry_run($item);
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        $stored = [
+            'queue_id' => (int) $item['id'],
+            'post_data' => is_wp_error($result['post_data']) ? null : $result['post_data'],
+            'error' => is_wp_error($result['post_data']) ? $result['post_data']->get_error_message() : '',
+            'stages' => $result['stages'],
+            'duration' => round(microtime(true) - $start, 2),
+        ];
+
+        if ($stored['post_data'] !== null) {
+            set_transient($this->get_transient_key(), $stored, self::TTL);
+        }
+
+        return $this->format($stored, $item);
+    }
+
+    /**
+     * Publish the stored result as a draft, whatever the campaign's post status
+     *
+     * @since 2.1.0
+     * @return int|WP_Error Post ID or error.
+     */
+    public function publish() {
+        $stored = get_transient($this->get_transient_key());
+        if (empty($stored['post_data'])) {
+            return new WP_Error('no_test_post', __('The test post has expired. Run it again.', 'autoblogcraft-ai'));
+        }
+
+        $item = $this->queue_manager->get_item($stored['queue_id']);
+        if (!$item || $item['status'] === 'completed') {
+            return new WP_Error('item_unavailable', __('The source item has already been processed.', 'autoblogcraft-ai'));
+        }
+
+        $force_draft = function($args) {
+            $args['post_status'] = 'draft';
+            return $args;
+        };
+
+        $post_data = $stored['post_data'];
+        $post_data['status'] = 'draft';
+
+        add_filter('abc_post_args', $force_draft, PHP_INT_MAX);
+        $post_id = Processing_Manager::instance()->publish_dry_run($item, $post_data);
+        remove_filter('abc_post_args', $force_draft, PHP_INT_MAX);
+
+        if (!is_wp_error($post_id)) {
+            delete_transient($this->get_transient_key());
+        }
+
+        return $post_id;
+    }
+
+    /**
+     * Discard the stored result and any image it downloaded
+     *
+     * @since 2.1.0
+     * @return bool True if a result was discarded.
+     */
+    public function discard() {
+        $stored = get_transient($this->get_transient_key());
+        if (empty($stored)) {
+            return false;
+        }
+
+        $image_id = absint($stored['post_data']['featured_image'] ?? 0);
+        if ($image_id && !get_post_parent($image_id)) {
+            wp_delete_attachment($image_id, true);
+        }
+
+        delete_transient($this->get_transient_key());
+
+        return true;
+    }
+
+    /**
+     * Resolve the queue item to test
+     *
+     * @since 2.1.0
+     * @param int $queue_id Queue item ID, or 0 for the next pending item.
+     * @return array|WP_Error
+     */
+    private function get_queue_item($queue_id) {
+        if ($queue_id) {
+            $item = $this->queue_manager->get_item($queue_id);
+            if (!$item || (int) $item['campaign_id'] !== $this->campaign_id) {
+                return new WP_Error('invalid_item', __('Queue item not found for this campaign.', 'autoblogcraft-ai'));
+            }
+            return $item;
+        }
+
+        $items = $this->get_candidates(1);
+        if (empty($items)) {
+            return new WP_Error('no_items', __('No discovered items. Run discovery first.', 'autoblogcraft-ai'));
+        }
+
+        return $items[0];
+    }
+
+    /**
+     * Shape a stored result for the editor preview
+     *
+     * @since 2.1.0
+     * @param array $stored Stored result.
+     * @param array $item   Queue item.
+     * @return array
+     */
+    private function format($stored, $item) {
+        $post_data = $stored['post_data'] ?? [];
+        $image_id = absint($post_data['featured_image'] ?? 0);
+
+        return [
+            'source' => [
+                'title' => $item['title'] ?? '',
+                'url' => $item['source_url'],
+            ],
+            'stages' => $stored['stages'],
+            'error' => $stored['error'],
+            'duration' => $stored['duration'],
+            'tokens' => array_sum(array_column($stored['stages'], 'tokens')),
+            'post' => $post_data ? [
+                'title' => $post_data['title'],
+                'content' => wp_kses_post($post_data['content']),
+                'excerpt' => $post_data['excerpt'],
+                'image' => $image_id ? wp_get_attachment_image_url($image_id, 'medium') : '',
+                'seo' => array_map(function($value) {
+                    return is_array($value) ? implode(', ', $value) : (string) $value;
+                }, (array) ($post_data['seo'] ?? [])),
+            ] : null,
+        ];
+    }
+
+    /**
+     * Transient key for the current user and campaign
+     *
+     * @since 2.1.0
+     * @return string
+     */
+    private function get_transient_key() {
+        return 'abc_test_post_' . get_current_user_id() . '_' . $this->campaign_id;
+    }
+}
@@ -0,0 +1,51 @@
+<?php
+/**
+ * Campaign Detail - Log Entry Template
+ *
+ * One log viewer entry. Shared by the logs tab and its AJAX pages.
+ *
+ * @package AutoBlogCraft_AI
+ * @subpackage Templates\Admin\Campaign_Detail
+ * @since 2.1.0
+ *
+ * @var object $log Log row
+ */
+
+use AutoBlogCraft\Helpers\Template_Helpers;
+
+defined('ABSPATH') || exit;
+
+$context = '';
+if (!empty($log->context)) {
+	$decoded = json_decode($log->context, true);
+	$context = $decoded !== null ? wp_json_encode($decoded, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) : $log->context;
+}
+?>
+<div class="abc-log-entry abc-log-<?php echo esc_attr($log->level); ?>" data-log-id="<?php echo esc_attr($log->id); ?>">
+	<div class="abc-log-header">
+		<?php echo Template_Helpers::render_log_level_badge($log->level); ?>
+		<span class="abc-log-category">[<?php echo esc_html($log->category ?: 'general'); ?>]</span>
+		<span class="abc-log-time">
+			<?php echo esc_html(date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($log->created_at))); ?>
+		</span>
+		<span class="abc-log-ago">
+			(<?php echo esc_html(Template_Helpers::format_relative_time($log->created_at)); ?>)
+		</span>
+	</div>
+
+	<div class="abc-log-message">
+		<?php echo esc_html($log->message); ?>
+	</div>
+
+	<?php if ($context !== '') : ?>
+		<div class="abc-log-context">
+			<button type="button" class="abc-toggle-context button button-small">
+				<span class="dashicons dashicons-arrow-down-alt2"></span>
+				<?php esc_html_e('Show Details', 'autoblogcraft-ai'); ?>
+			</button>
+			<div class="abc-context-data" style="display: none;">
+				<pre><?php echo esc_html($context); ?></pre>
+			</div>
+		</div>
+	<?php endif; ?>
+</div>
@@ -2,16 +2,18 @@
 /**
  * Campaign Detail - Logs Tab Template
  *
- * Displays campaign activity logs.
+ * Log viewer: search and filters, infinite scroll over older entries and
+ * a live tail mode (see the log viewer in campaign-detail.js).
  *
  * @package AutoBlogCraft_AI
  * @subpackage Templates\Admin\Campaign_Detail
  * @since 2.0.0
  *
  * @var object $campaign Campaign object
- * @var array $logs Log entries
- * @var object $pagination Pagination data
+ * @var array $logs First page of log entries, newest first
+ * @var bool $has_more Whether older entries match the filters
  * @var array $filters Active filters
+ * @var array $categories Category filter options
  */
 
 use AutoBlogCraft\Helpers\Template_Helpers;
@@ -20,8 +22,9 @@ defined('ABSPATH') || exit;
 
 $campaign = $campaign ?? null;
 $logs = $logs ?? [];
-$pagination = $pagination ?? (object) ['total' => 0, 'per_page' => 50, 'current_page' => 1];
+$has_more = $has_more ?? false;
 $filters = $filters ?? [];
+$categories = $categories ?? [];
 
 if (!$campaign) {
 	return;
@@ -35,6 +38,20 @@ if (!$campaign) {
 		$campaign->ID,
 		'logs',
 		[
+			[
+				'type' => 'search',
+				'key' => 'search',
+				'name' => 'log_search',
+				'label' => __('Search logs', 'autoblogcraft-ai'),
+				'placeholder' => __('Search messages and details...', 'autoblogcraft-ai'),
+			],
+			[
+				'type' => 'number',
+				'key' => 'queue_item_id',
+				'name' => 'log_item',
+				'label' => __('Queue item:', 'autoblogcraft-ai'),
+				'placeholder' => __('ID', 'autoblogcraft-ai'),
+			],
 			[
 				'type' => 'select',
 				'key' => 'level',
@@ -55,25 +72,44 @@ if (!$campaign) {
 				'name' => 'log_category',
 				'label' => __('Category:', 'autoblogcraft-ai'),
 				'placeholder' => __('All Categories', 'autoblogcraft-ai'),
-				'options' => [
-					'discovery' => __('Discovery', 'autoblogcraft-ai'),
-					'processing' => __('Processing', 'autoblogcraft-ai'),
-					'publishing' => __('Publishing', 'autoblogcraft-ai'),
-					'ai' => __('AI', 'autoblogcraft-ai'),
-					'system' => __('System', 'autoblogcraft-ai'),
-				],
+				'options' => $categories,
+			],
+			[
+				'type' => 'date',
+				'key' => 'date_from',
+				'name' => 'log_from',
+				'label' => __('From:', 'autoblogcraft-ai'),
+			],
+			[
+				'type' => 'date',
+				'key' => 'date_to',
+				'name' => 'log_to',
+				'label' => __('To:', 'autoblogcraft-ai'),
 			],
 		],
 		$filters,
 		[
+			[
+				'id' => 'tail-logs-btn',
+				'label' => __('Live Tail', 'autoblogcraft-ai'),
+				'icon' => 'controls-play',
+			],
+			[
+				'type' => 'select',
+				'id' => 'abc-export-format',
+				'label' => __('Export format', 'autoblogcraft-ai'),
+				'options' => [
+					'csv' => __('CSV', 'autoblogcraft-ai'),
+					'json' => __('JSON', 'autoblogcraft-ai'),
+					'ndjson' => __('NDJSON', 'autoblogcraft-ai'),
+				],
+			],
 			[
 				'id' => 'export-logs-btn',
 				'label' => __('Export Logs', 'autoblogcraft-ai'),
 				'icon' => 'download',
 				'data' => [
 					'campaign-id' => $campaign->ID,
-					'level' => $filters['level'] ?? '',
-					'category' => $filters['category'] ?? '',
 				],
 			],
 			[
@@ -88,48 +124,22 @@ if (!$campaign) {
 	);
 	?>
 
-	<!-- Logs List -->
-	<?php if (!empty($logs)) : ?>
-		<div class="abc-logs-list">
-			<?php foreach ($logs as $log) : ?>
-				<div class="abc-log-entry abc-log-<?php echo esc_attr($log->level); ?>">
-					<div class="abc-log-header">
-					<?php echo Template_Helpers::render_log_level_badge($log->level); ?>
-						<span class="abc-log-category">[<?php echo esc_html($log->category ?? 'general'); ?>]</span>
-						<span class="abc-log-time">
-							<?php echo esc_html(date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($log->created_at))); ?>
-						</span>
-						<span class="abc-log-ago">
-						(<?php echo esc_html(Template_Helpers::format_relative_time($log->created_at)); ?>)
-						</span>
-					</div>
-					
-					<div class="abc-log-message">
-						<?php echo esc_html($log->message); ?>
-					</div>
-					
-					<?php if (!empty($log->context)) : ?>
-						<div class="abc-log-context">
-							<button type="button" class="abc-toggle-context button button-small">
-								<span class="dashicons dashicons-arrow-down-alt2"></span>
-								<?php esc_html_e('Show Details', 'autoblogcraft-ai'); ?>
-							</button>
-							<div class="abc-context-data" style="display: none;">
-								<pre><?php echo esc_html(is_string($log->context) ? $log->context : json_encode(json_decode($log->context), JSON_PRETTY_PRINT)); ?></pre>
-							</div>
-						</div>
-					<?php endif; ?>
-				</div>
-			<?php endforeach; ?>
-		</div>
+	<!-- Logs List (kept in the page when empty so the viewer can fill it) -->
+	<div class="abc-logs-list abc-log-viewer<?php echo empty($logs) ? ' abc-hidden' : ''; ?>" data-has-more="<?php echo $has_more ? '1' : '0'; ?>">
+		<?php foreach ($logs as $log) : ?>
+			<?php include __DIR__ . '/log-entry.php'; ?>
+		<?php endforeach; ?>
+	</div>
+	<div class="abc-logs-more<?php echo $has_more ? '' : ' abc-hidden'; ?>">
+		<span class="spinner is-active"></span>
+		<?php esc_html_e('Loading older entries...', 'autoblogcraft-ai'); ?>
+	</div>
 
-		<!-- Pagination -->
-		<?php echo Template_Helpers::render_pagination($pagination); ?>
-	<?php else : ?>
+	<div class="abc-logs-empty<?php echo empty($logs) ? '' : ' abc-hidden'; ?>">
 		<?php Template_Helpers::render_empty_state(
-			__('No logs yet', 'autoblogcraft-ai'),
-			__('Activity logs will appear here.', 'autoblogcraft-ai'),
+			__('No logs found', 'autoblogcraft-ai'),
+			__('Activity logs matching the filters will appear here.', 'autoblogcraft-ai'),
 			'media-text'
 		); ?>
-	<?php endif; ?>
+	</div>
 </div>
@@ -10,6 +10,8 @@
  *
  * @var object $campaign Campaign object
  * @var array $stats Campaign statistics
+ * @var array $chart_ranges Chart range labels keyed by range
+ * @var string $chart_range Selected chart range
  */
 
 use AutoBlogCraft\Helpers\Template_Helpers;
@@ -18,6 +20,8 @@ defined('ABSPATH') || exit;
 
 $campaign = $campaign ?? null;
 $stats = $stats ?? [];
+$chart_ranges = $chart_ranges ?? [];
+$chart_range = $chart_range ?? '7d';
 
 if (!$campaign) {
 	return;
@@ -72,7 +76,7 @@ if (!$campaign) {
 
 	<!-- Statistics Grid -->
 	<div class="abc-stats-grid">
-		<div class="abc-stat-card">
+		<div class="abc-stat-card" data-stat="total_discovered">
 			<div class="abc-stat-icon abc-stat-icon-discovered">
 				<span class="dashicons dashicons-search"></span>
 			</div>
@@ -82,7 +86,7 @@ if (!$campaign) {
 			</div>
 		</div>
 
-		<div class="abc-stat-card">
+		<div class="abc-stat-card" data-stat="queue_pending">
 			<div class="abc-stat-icon abc-stat-icon-queue">
 				<span class="dashicons dashicons-list-view"></span>
 			</div>
@@ -92,7 +96,7 @@ if (!$campaign) {
 			</div>
 		</div>
 
-		<div class="abc-stat-card">
+		<div class="abc-stat-card" data-stat="queue_processing">
 			<div class="abc-stat-icon abc-stat-icon-processing">
 				<span class="dashicons dashicons-update"></span>
 			</div>
@@ -102,7 +106,7 @@ if (!$campaign) {
 			</div>
 		</div>
 
-		<div class="abc-stat-card">
+		<div class="abc-stat-card" data-stat="total_published">
 			<div class="abc-stat-icon abc-stat-icon-published">
 				<span class="dashicons dashicons-yes-alt"></span>
 			</div>
@@ -112,7 +116,7 @@ if (!$campaign) {
 			</div>
 		</div>
 
-		<div class="abc-stat-card">
+		<div class="abc-stat-card" data-stat="queue_failed">
 			<div class="abc-stat-icon abc-stat-icon-failed">
 				<span class="dashicons dashicons-dismiss"></span>
 			</div>
@@ -122,7 +126,7 @@ if (!$campaign) {
 			</div>
 		</div>
 
-		<div class="abc-stat-card">
+		<div class="abc-stat-card" data-stat="success_rate">
 			<div class="abc-stat-icon abc-stat-icon-rate">
 				<span class="dashicons dashicons-chart-line"></span>
 			</div>
@@ -133,6 +137,36 @@ if (!$campaign) {
 		</div>
 	</div>
 
+	<!-- Activity Charts (series load over AJAX) -->
+	<div class="abc-card abc-overview-charts" data-range="<?php echo esc_attr($chart_range); ?>">
+		<div class="abc-card-header">
+			<h3 class="abc-card-title">
+				<span class="dashicons dashicons-chart-area"></span>
+				<?php esc_html_e('Activity', 'autoblogcraft-ai'); ?>
+			</h3>
+			<div class="abc-chart-controls">
+				<div class="abc-chart-ranges" role="group" aria-label="<?php esc_attr_e('Range', 'autoblogcraft-ai'); ?>">
+					<?php foreach ($chart_ranges as $range => $label) : ?>
+						<button type="button" class="button button-small<?php echo $range === $chart_range ? ' is-active' : ''; ?>" data-range="<?php echo esc_attr($range); ?>"><?php echo esc_html($label); ?></button>
+					<?php endforeach; ?>
+				</div>
+				<select class="abc-chart-interval" aria-label="<?php esc_attr_e('Interval', 'autoblogcraft-ai'); ?>">
+					<option value=""><?php esc_html_e('Auto', 'autoblogcraft-ai'); ?></option>
+					<option value="hour"><?php esc_html_e('Per hour', 'autoblogcraft-ai'); ?></option>
+					<option value="day"><?php esc_html_e('Per day', 'autoblogcraft-ai'); ?></option>
+				</select>
+			</div>
+		</div>
+		<div class="abc-card-body">
+			<h4 class="abc-chart-title"><?php esc_html_e('Items', 'autoblogcraft-ai'); ?></h4>
+			<div class="abc-chart-wrap"><canvas id="abc-chart-activity"></canvas></div>
+			<h4 class="abc-chart-title"><?php esc_html_e('AI Usage', 'autoblogcraft-ai'); ?></h4>
+			<div class="abc-chart-wrap"><canvas id="abc-chart-usage"></canvas></div>
+			<p class="abc-chart-totals abc-text-muted"></p>
+			<ul class="abc-chart-annotations"></ul>
+		</div>
+	</div>
+
 	<!-- Quick Actions -->
 	<div class="abc-editor-section" style="margin-bottom: 20px;">
 		<h3 style="margin: 0 0 15px 0;"><?php esc_html_e('Quick Actions', 'autoblogcraft-ai'); ?></h3>
@@ -0,0 +1,89 @@
+<?php
+/**
+ * Campaign Detail - Post Row Template
+ *
+ * One posts table row. Shared by the posts tab and the post actions, which
+ * replace the row after running.
+ *
+ * @package AutoBlogCraft_AI
+ * @subpackage Templates\Admin\Campaign_Detail
+ * @since 2.1.0
+ *
+ * @var WP_Post $post Post
+ */
+
+use AutoBlogCraft\Helpers\Template_Helpers;
+use AutoBlogCraft\Processing\Post_Actions;
+
+defined('ABSPATH') || exit;
+
+$post_actions = Post_Actions::get_actions();
+unset($post_actions['trash']);
+if ($post->post_status !== 'publish') {
+	unset($post_actions['unpublish']);
+}
+?>
+<tr class="abc-post-row" data-post-id="<?php echo esc_attr($post->ID); ?>" data-status="<?php echo esc_attr($post->post_status); ?>">
+	<th scope="row" class="check-column">
+		<input type="checkbox" class="abc-post-select" value="<?php echo esc_attr($post->ID); ?>" aria-label="<?php esc_attr_e('Select post', 'autoblogcraft-ai'); ?>">
+	</th>
+	<td class="column-title column-primary" data-colname="<?php esc_attr_e('Title', 'autoblogcraft-ai'); ?>">
+		<strong>
+			<a href="<?php echo esc_url(get_edit_post_link($post->ID)); ?>">
+				<?php echo esc_html($post->post_title); ?>
+			</a>
+		</strong>
+		<div class="row-actions">
+			<span class="edit">
+				<a href="<?php echo esc_url(get_edit_post_link($post->ID)); ?>">
+					<?php esc_html_e('Edit', 'autoblogcraft-ai'); ?>
+				</a> |
+			</span>
+			<span class="view">
+				<a href="<?php echo esc_url(get_permalink($post->ID)); ?>" target="_blank" rel="noopener">
+					<?php esc_html_e('View', 'autoblogcraft-ai'); ?>
+				</a> |
+			</span>
+			<?php foreach ($post_actions as $action => $label) : ?>
+				<span class="<?php echo esc_attr($action); ?>">
+					<a href="#" class="abc-post-action" data-action="<?php echo esc_attr($action); ?>"><?php echo esc_html($label); ?></a> |
+				</span>
+			<?php endforeach; ?>
+			<span class="trash">
+				<a href="#" class="submitdelete abc-post-action" data-action="trash">
+					<?php esc_html_e('Trash', 'autoblogcraft-ai'); ?>
+				</a>
+			</span>
+		</div>
+	</td>
+	<td class="column-status" data-colname="<?php esc_attr_e('Status', 'autoblogcraft-ai'); ?>">
+		<span class="abc-status abc-status-<?php echo esc_attr($post->post_status); ?>">
+			<?php echo esc_html(ucfirst($post->post_status)); ?>
+		</span>
+	</td>
+	<td class="column-category" data-colname="<?php esc_attr_e('Categories', 'autoblogcraft-ai'); ?>">
+		<?php
+		$categories = get_the_category($post->ID);
+		if (!empty($categories)) {
+			echo esc_html(implode(', ', wp_list_pluck($categories, 'name')));
+		} else {
+			echo '—';
+		}
+		?>
+	</td>
+	<td class="column-date" data-colname="<?php esc_attr_e('Published', 'autoblogcraft-ai'); ?>">
+		<?php if ($post->post_status === 'publish') : ?>
+			<?php echo esc_html(date_i18n(get_option('date_format'), strtotime($post->post_date))); ?>
+			<br>
+			<small><?php echo esc_html(Template_Helpers::format_relative_time($post->post_date)); ?></small>
+		<?php else : ?>
+			<?php esc_html_e('Not published', 'autoblogcraft-ai'); ?>
+		<?php endif; ?>
+	</td>
+	<td class="column-views" data-colname="<?php esc_attr_e('Views', 'autoblogcraft-ai'); ?>">
+		<?php
+		$views = get_post_meta($post->ID, '_abc_post_views', true);
+		echo esc_html($views ? number_format_i18n($views) : '0');
+		?>
+	</td>
+</tr>
@@ -15,6 +15,7 @@
  */
 
 use AutoBlogCraft\Helpers\Template_Helpers;
+use AutoBlogCraft\Processing\Post_Actions;
 
 defined('ABSPATH') || exit;
 
@@ -64,18 +65,45 @@ if (!$campaign) {
 
 	<!-- Additional Actions (if any) -->
 	<div class="abc-posts-actions" style="margin-top: 15px;">
-			<a href="<?php echo esc_url(admin_url('edit.php?abc_campaign_id=' . $campaign->ID)); ?>" class="button">
-				<span class="dashicons dashicons-external"></span>
-				<?php esc_html_e('View in Posts List', 'autoblogcraft-ai'); ?>
-			</a>
+		<a href="<?php echo esc_url(admin_url('edit.php?abc_campaign_id=' . $campaign->ID)); ?>" class="button">
+			<span class="dashicons dashicons-external"></span>
+			<?php esc_html_e('View in Posts List', 'autoblogcraft-ai'); ?>
+		</a>
+	</div>
+
+	<!-- Post Action Progress -->
+	<div id="abc-posts-progress" class="abc-bulk-progress abc-posts-progress abc-hidden">
+		<div class="abc-bulk-progress-header">
+			<span class="abc-bulk-progress-label"></span>
+			<button type="button" class="button button-small abc-posts-progress-dismiss abc-hidden"><?php esc_html_e('Dismiss', 'autoblogcraft-ai'); ?></button>
 		</div>
+		<div class="abc-progress-track"><div class="abc-progress-fill"></div></div>
+		<ul class="abc-bulk-report"></ul>
 	</div>
 
 	<!-- Posts Table -->
 	<?php if (!empty($posts)) : ?>
+		<!-- Bulk Actions -->
+		<div class="abc-posts-bulk">
+			<select class="abc-posts-bulk-action">
+				<option value=""><?php esc_html_e('Bulk Actions', 'autoblogcraft-ai'); ?></option>
+				<?php foreach (Post_Actions::get_actions() as $action => $label) : ?>
+					<option value="<?php echo esc_attr($action); ?>"><?php echo esc_html($label); ?></option>
+				<?php endforeach; ?>
+			</select>
+			<select class="abc-posts-bulk-language abc-hidden" aria-label="<?php esc_attr_e('Language', 'autoblogcraft-ai'); ?>">
+				<option value=""><?php esc_html_e('Campaign language', 'autoblogcraft-ai'); ?></option>
+				<?php foreach (Post_Actions::get_languages() as $code => $name) : ?>
+					<option value="<?php echo esc_attr($code); ?>"><?php echo esc_html($name); ?></option>
+				<?php endforeach; ?>
+			</select>
+			<button type="button" class="button abc-posts-bulk-apply"><?php esc_html_e('Apply', 'autoblogcraft-ai'); ?></button>
+		</div>
+
 		<table class="wp-list-table widefat fixed striped abc-posts-table">
 			<thead>
 				<tr>
+					<td class="manage-column check-column"><input type="checkbox" class="abc-posts-select-all" aria-label="<?php esc_attr_e('Select all', 'autoblogcraft-ai'); ?>"></td>
 					<th class="manage-column column-title column-primary"><?php esc_html_e('Title', 'autoblogcraft-ai'); ?></th>
 					<th class="manage-column column-status"><?php esc_html_e('Status', 'autoblogcraft-ai'); ?></th>
 					<th class="manage-column column-category"><?php esc_html_e('Categories', 'autoblogcraft-ai'); ?></th>
@@ -85,65 +113,7 @@ if (!$campaign) {
 			</thead>
 			<tbody>
 				<?php foreach ($posts as $post) : ?>
-					<tr>
-						<td class="column-title column-primary" data-colname="<?php esc_attr_e('Title', 'autoblogcraft-ai'); ?>">
-							<strong>
-								<a href="<?php echo esc_url(get_edit_post_link($post->ID)); ?>">
-									<?php echo esc_html($post->post_title); ?>
-								</a>
-							</strong>
-							<div class="row-actions">
-								<span class="edit">
-									<a href="<?php echo esc_url(get_edit_post_link($post->ID)); ?>">
-										<?php esc_html_e('Edit', 'autoblogcraft-ai'); ?>
-									</a> |
-								</span>
-								<span class="view">
-									<a href="<?php echo esc_url(get_permalink($post->ID)); ?>" target="_blank" rel="noopener">
-										<?php esc_html_e('View', 'autoblogcraft-ai'); ?>
-									</a> |
-								</span>
-								<span class="trash">
-									<a href="<?php echo esc_url(get_delete_post_link($post->ID)); ?>" class="submitdelete">
-										<?php esc_html_e('Trash', 'autoblogcraft-ai'); ?>
-									</a>
-								</span>
-							</div>
-						</td>
-						<td class="column-status" data-colname="<?php esc_attr_e('Status', 'autoblogcraft-ai'); ?>">
-							<span class="abc-status abc-status-<?php echo esc_attr($post->post_status); ?>">
-								<?php echo esc_html(ucfirst($post->post_status)); ?>
-							</span>
-						</td>
-						<td class="column-category" data-colname="<?php esc_attr_e('Categories', 'autoblogcraft-ai'); ?>">
-							<?php 
-							$categories = get_the_category($post->ID);
-							if (!empty($categories)) {
-								$cat_names = array_map(function($cat) {
-									return $cat->name;
-								}, $categories);
-								echo esc_html(implode(', ', $cat_names));
-							} else {
-								echo '—';
-							}
-							?>
-						</td>
-						<td class="column-date" data-colname="<?php esc_attr_e('Published', 'autoblogcraft-ai'); ?>">
-							<?php if ($post->post_status === 'publish') : ?>
-								<?php echo esc_html(date_i18n(get_option('date_format'), strtotime($post->post_date))); ?>
-								<br>
-							<small><?php echo esc_html(Template_Helpers::format_relative_time($post->post_date)); ?></small>
-							<?php else : ?>
-								<?php esc_html_e('Not published', 'autoblogcraft-ai'); ?>
-							<?php endif; ?>
-						</td>
-						<td class="column-views" data-colname="<?php esc_attr_e('Views', 'autoblogcraft-ai'); ?>">
-							<?php 
-							$views = get_post_meta($post->ID, '_abc_post_views', true);
-							echo esc_html($views ? number_format_i18n($views) : '0');
-							?>
-						</td>
-					</tr>
+					<?php include __DIR__ . '/post-row.php'; ?>
 				<?php endforeach; ?>
 			</tbody>
 		</table>
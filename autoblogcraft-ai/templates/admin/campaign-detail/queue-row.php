@@ -0,0 +1,87 @@
+<?php
+/**
+ * Campaign Detail - Queue Row Template
+ *
+ * One queue table row. Shared by the queue tab and its live updates.
+ *
+ * @package AutoBlogCraft_AI
+ * @subpackage Templates\Admin\Campaign_Detail
+ * @since 2.1.0
+ *
+ * @var object $item Queue item row
+ */
+
+use AutoBlogCraft\Helpers\Template_Helpers;
+use AutoBlogCraft\Processing\Retry_Policy;
+
+defined('ABSPATH') || exit;
+
+$title = $item->title ?? '';
+if (!$title && !empty($item->data)) {
+	$data = is_string($item->data) ? json_decode($item->data, true) : $item->data;
+	$title = $data['title'] ?? '';
+}
+
+$retry_policy = Retry_Policy::for_campaign($item->campaign_id);
+$max_attempts = $retry_policy->to_array()['max_attempts'];
+$next_attempt = $item->status === 'failed' ? $retry_policy->get_next_attempt_at($item) : null;
+?>
+<tr class="abc-queue-item abc-queue-status-<?php echo esc_attr($item->status); ?>" data-item-id="<?php echo esc_attr($item->id); ?>" data-status="<?php echo esc_attr($item->status); ?>" data-priority="<?php echo esc_attr($item->priority ?? 5); ?>" data-position="<?php echo esc_attr(!empty($item->queue_position) ? $item->queue_position : $item->id); ?>">
+	<th scope="row" class="check-column">
+		<span class="abc-drag-handle dashicons dashicons-menu" title="<?php esc_attr_e('Drag to reorder', 'autoblogcraft-ai'); ?>"></span>
+		<input type="checkbox" class="abc-queue-select" value="<?php echo esc_attr($item->id); ?>" aria-label="<?php esc_attr_e('Select item', 'autoblogcraft-ai'); ?>">
+	</th>
+	<td class="column-source" data-colname="<?php esc_attr_e('Source', 'autoblogcraft-ai'); ?>">
+		<strong><?php echo esc_html($item->source_url ?? __('Unknown', 'autoblogcraft-ai')); ?></strong>
+		<?php if (!empty($title)) : ?>
+			<div class="abc-queue-title"><?php echo esc_html($title); ?></div>
+		<?php endif; ?>
+	</td>
+	<td class="column-status" data-colname="<?php esc_attr_e('Status', 'autoblogcraft-ai'); ?>">
+		<?php echo Template_Helpers::render_status_badge($item->status); ?>
+		<?php if ($item->status === 'failed' && !empty($item->last_error)) : ?>
+			<div class="abc-error-message" title="<?php echo esc_attr($item->last_error); ?>">
+				<span class="dashicons dashicons-warning"></span>
+				<?php echo esc_html(wp_trim_words($item->last_error, 10)); ?>
+			</div>
+		<?php endif; ?>
+		<?php if ($item->status === 'failed') : ?>
+			<div class="abc-retry-due">
+				<?php
+				if ($next_attempt === null) {
+					esc_html_e('Will not be retried', 'autoblogcraft-ai');
+				} elseif ($next_attempt <= time()) {
+					esc_html_e('Retry due now', 'autoblogcraft-ai');
+				} else {
+					/* translators: %s: time until the next attempt, e.g. "5 mins" */
+					printf(esc_html__('Retry due in %s', 'autoblogcraft-ai'), esc_html(human_time_diff(time(), $next_attempt)));
+				}
+				?>
+			</div>
+		<?php endif; ?>
+	</td>
+	<td class="column-priority" data-colname="<?php esc_attr_e('Priority', 'autoblogcraft-ai'); ?>">
+		<?php echo esc_html($item->priority ?? 5); ?>
+	</td>
+	<td class="column-attempts" data-colname="<?php esc_attr_e('Attempts', 'autoblogcraft-ai'); ?>">
+		<?php echo esc_html($item->retry_count ?? 0); ?> / <?php echo esc_html($max_attempts); ?>
+	</td>
+	<td class="column-date" data-colname="<?php esc_attr_e('Added', 'autoblogcraft-ai'); ?>">
+		<?php echo esc_html(Template_Helpers::format_relative_time($item->discovered_at ?? $item->created_at)); ?>
+	</td>
+	<td class="column-actions" data-colname="<?php esc_attr_e('Actions', 'autoblogcraft-ai'); ?>">
+		<?php if ($item->status === 'pending' || $item->status === 'failed') : ?>
+			<button type="button" class="button button-small abc-process-item" data-item-id="<?php echo esc_attr($item->id); ?>">
+				<?php esc_html_e('Process', 'autoblogcraft-ai'); ?>
+			</button>
+		<?php endif; ?>
+		<?php if (!empty($item->post_id)) : ?>
+			<a href="<?php echo esc_url(get_edit_post_link($item->post_id)); ?>" class="button button-small">
+				<?php esc_html_e('View Post', 'autoblogcraft-ai'); ?>
+			</a>
+		<?php endif; ?>
+		<button type="button" class="button button-small abc-delete-item" data-item-id="<?php echo esc_attr($item->id); ?>">
+			<?php esc_html_e('Delete', 'autoblogcraft-ai'); ?>
+		</button>
+	</td>
+</tr>
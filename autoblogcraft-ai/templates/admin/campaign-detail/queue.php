@@ -12,6 +12,7 @@
  * @var array $queue_items Queue items
  * @var object $pagination Pagination data
  * @var array $filters Active filters
+ * @var string $cursor Live update cursor (see Queue_Manager::get_changes())
  */
 
 use AutoBlogCraft\Helpers\Template_Helpers;
@@ -44,8 +45,9 @@ if (!$campaign) {
 				'options' => [
 					'pending' => __('Pending', 'autoblogcraft-ai'),
 					'processing' => __('Processing', 'autoblogcraft-ai'),
-					'processed' => __('Processed', 'autoblogcraft-ai'),
+					'completed' => __('Completed', 'autoblogcraft-ai'),
 					'failed' => __('Failed', 'autoblogcraft-ai'),
+					'skipped' => __('Skipped', 'autoblogcraft-ai'),
 				],
 			],
 		],
@@ -57,6 +59,11 @@ if (!$campaign) {
 				'icon' => 'update',
 				'data' => ['campaign-id' => $campaign->ID],
 			],
+			[
+				'id' => 'retry-failed-btn',
+				'label' => __('Retry Failed', 'autoblogcraft-ai'),
+				'icon' => 'controls-repeat',
+			],
 			[
 				'id' => 'clear-failed-btn',
 				'label' => __('Clear Failed', 'autoblogcraft-ai'),
@@ -66,76 +73,85 @@ if (!$campaign) {
 	);
 	?>
 
-	<!-- Queue Table -->
-	<?php if (!empty($queue_items)) : ?>
-		<table class="wp-list-table widefat fixed striped abc-queue-table">
-			<thead>
-				<tr>
-					<th class="manage-column column-source"><?php esc_html_e('Source', 'autoblogcraft-ai'); ?></th>
-					<th class="manage-column column-status"><?php esc_html_e('Status', 'autoblogcraft-ai'); ?></th>
-					<th class="manage-column column-priority"><?php esc_html_e('Priority', 'autoblogcraft-ai'); ?></th>
-					<th class="manage-column column-attempts"><?php esc_html_e('Attempts', 'autoblogcraft-ai'); ?></th>
-					<th class="manage-column column-date"><?php esc_html_e('Added', 'autoblogcraft-ai'); ?></th>
-					<th class="manage-column column-actions"><?php esc_html_e('Actions', 'autoblogcraft-ai'); ?></th>
-				</tr>
-			</thead>
-			<tbody>
-				<?php foreach ($queue_items as $item) : ?>
-					<tr class="abc-queue-item abc-queue-status-<?php echo esc_attr($item->status); ?>">
-						<td class="column-source" data-colname="<?php esc_attr_e('Source', 'autoblogcraft-ai'); ?>">
-							<strong><?php echo esc_html($item->source_url ?? __('Unknown', 'autoblogcraft-ai')); ?></strong>
-							<?php if (!empty($item->data)) : ?>
-								<?php $data = is_string($item->data) ? json_decode($item->data, true) : $item->data; ?>
-								<?php if (!empty($data['title'])) : ?>
-									<div class="abc-queue-title"><?php echo esc_html($data['title']); ?></div>
-								<?php endif; ?>
-							<?php endif; ?>
-						</td>
-						<td class="column-status" data-colname="<?php esc_attr_e('Status', 'autoblogcraft-ai'); ?>">
-						<?php echo Template_Helpers::render_status_badge($item->status); ?>
-							<?php if ($item->status === 'failed' && !empty($item->error_message)) : ?>
-								<div class="abc-error-message" title="<?php echo esc_attr($item->error_message); ?>">
-									<span class="dashicons dashicons-warning"></span>
-									<?php echo esc_html(wp_trim_words($item->error_message, 10)); ?>
-								</div>
-							<?php endif; ?>
-						</td>
-						<td class="column-priority" data-colname="<?php esc_attr_e('Priority', 'autoblogcraft-ai'); ?>">
-							<?php echo esc_html($item->priority ?? 5); ?>
-						</td>
-						<td class="column-attempts" data-colname="<?php esc_attr_e('Attempts', 'autoblogcraft-ai'); ?>">
-							<?php echo esc_html($item->attempts ?? 0); ?> / 3
-						</td>
-						<td class="column-date" data-colname="<?php esc_attr_e('Added', 'autoblogcraft-ai'); ?>">
-					<?php echo esc_html(Template_Helpers::format_relative_time($item->created_at)); ?>
-						</td>
-						<td class="column-actions" data-colname="<?php esc_attr_e('Actions', 'autoblogcraft-ai'); ?>">
-							<?php if ($item->status === 'pending' || $item->status === 'failed') : ?>
-								<button type="button" class="button button-small abc-process-item" data-item-id="<?php echo esc_attr($item->id); ?>">
-									<?php esc_html_e('Process', 'autoblogcraft-ai'); ?>
-								</button>
-							<?php endif; ?>
-							<?php if (!empty($item->post_id)) : ?>
-								<a href="<?php echo esc_url(get_edit_post_link($item->post_id)); ?>" class="button button-small">
-									<?php esc_html_e('View Post', 'autoblogcraft-ai'); ?>
-								</a>
-							<?php endif; ?>
-							<button type="button" class="button button-small abc-delete-item" data-item-id="<?php echo esc_attr($item->id); ?>">
-								<?php esc_html_e('Delete', 'autoblogcraft-ai'); ?>
-							</button>
-						</td>
-					</tr>
-				<?php endforeach; ?>
-			</tbody>
-		</table>
+	<!-- Batch Processing -->
+	<p class="abc-queue-batch-limit">
+		<label>
+			<?php esc_html_e('Process up to', 'autoblogcraft-ai'); ?>
+			<input type="number" id="abc-batch-limit" class="small-text" min="1" max="<?php echo esc_attr(\AutoBlogCraft\Processing\Queue_Batch::MAX_LIMIT); ?>" value="10">
+			<?php esc_html_e('items per run', 'autoblogcraft-ai'); ?>
+		</label>
+	</p>
+	<div id="abc-queue-batch" class="abc-bulk-progress abc-queue-batch abc-hidden">
+		<div class="abc-bulk-progress-header">
+			<span class="abc-bulk-progress-label"></span>
+			<span class="abc-batch-timing abc-text-muted"></span>
+			<button type="button" class="button button-small abc-batch-cancel"><?php esc_html_e('Cancel', 'autoblogcraft-ai'); ?></button>
+			<button type="button" class="button button-small abc-batch-dismiss abc-hidden"><?php esc_html_e('Dismiss', 'autoblogcraft-ai'); ?></button>
+		</div>
+		<div class="abc-progress-track"><div class="abc-progress-fill"></div></div>
+		<ul class="abc-bulk-report"></ul>
+	</div>
+
+	<!-- Bulk Actions -->
+	<div class="abc-queue-bulk<?php echo empty($queue_items) ? ' abc-hidden' : ''; ?>">
+		<select class="abc-queue-bulk-action">
+			<option value=""><?php esc_html_e('Bulk Actions', 'autoblogcraft-ai'); ?></option>
+			<option value="retry"><?php esc_html_e('Retry', 'autoblogcraft-ai'); ?></option>
+			<option value="skip"><?php esc_html_e('Skip', 'autoblogcraft-ai'); ?></option>
+			<option value="priority"><?php esc_html_e('Set Priority', 'autoblogcraft-ai'); ?></option>
+			<option value="delete"><?php esc_html_e('Delete', 'autoblogcraft-ai'); ?></option>
+		</select>
+		<input type="number" class="small-text abc-queue-bulk-priority abc-hidden" min="0" max="100" value="50" aria-label="<?php esc_attr_e('Priority', 'autoblogcraft-ai'); ?>">
+		<button type="button" class="button abc-queue-bulk-apply"><?php esc_html_e('Apply', 'autoblogcraft-ai'); ?></button>
+		<span class="abc-queue-selection abc-text-muted"></span>
+		<a href="#" class="abc-queue-select-matching abc-hidden"></a>
+	</div>
 
+	<!-- Queue Table (kept in the page when empty so live updates can add rows) -->
+	<table class="wp-list-table widefat fixed striped abc-queue-table abc-queue-live<?php echo empty($queue_items) ? ' abc-hidden' : ''; ?>"
+		data-cursor="<?php echo esc_attr($cursor ?? ''); ?>"
+		data-status-filter="<?php echo esc_attr($filters['status'] ?? ''); ?>"
+		data-last-page="<?php echo (int) $pagination->current_page >= ceil($pagination->total / $pagination->per_page) ? '1' : '0'; ?>"
+		data-total="<?php echo esc_attr($pagination->total); ?>">
+		<thead>
+			<tr>
+				<td class="manage-column check-column"><input type="checkbox" class="abc-queue-select-all" aria-label="<?php esc_attr_e('Select all', 'autoblogcraft-ai'); ?>"></td>
+				<th class="manage-column column-source"><?php esc_html_e('Source', 'autoblogcraft-ai'); ?></th>
+				<th class="manage-column column-status"><?php esc_html_e('Status', 'autoblogcraft-ai'); ?></th>
+				<th class="manage-column column-priority"><?php esc_html_e('Priority', 'autoblogcraft-ai'); ?></th>
+				<th class="manage-column column-attempts"><?php esc_html_e('Attempts', 'autoblogcraft-ai'); ?></th>
+				<th class="manage-column column-date"><?php esc_html_e('Added', 'autoblogcraft-ai'); ?></th>
+				<th class="manage-column column-actions"><?php esc_html_e('Actions', 'autoblogcraft-ai'); ?></th>
+			</tr>
+		</thead>
+		<tbody>
+			<?php foreach ($queue_items as $item) : ?>
+				<?php include __DIR__ . '/queue-row.php'; ?>
+			<?php endforeach; ?>
+		</tbody>
+	</table>
+
+	<?php if (!empty($queue_items)) : ?>
 		<!-- Pagination -->
 		<?php echo Template_Helpers::render_pagination($pagination); ?>
 	<?php else : ?>
-	<?php Template_Helpers::render_empty_state(
-		__('No queue items', 'autoblogcraft-ai'),
-		__('Queue items will appear here when discovery runs.', 'autoblogcraft-ai'),
-		'list-view'
-	); ?>
+		<div class="abc-queue-empty">
+			<?php Template_Helpers::render_empty_state(
+				__('No queue items', 'autoblogcraft-ai'),
+				__('Queue items will appear here when discovery runs.', 'autoblogcraft-ai'),
+				'list-view'
+			); ?>
+		</div>
 	<?php endif; ?>
+
+	<!-- Item Inspector (filled when a row is clicked) -->
+	<div id="abc-queue-inspector" class="abc-queue-inspector abc-hidden" role="dialog" aria-labelledby="abc-inspector-title">
+		<div class="abc-inspector-header">
+			<h2 id="abc-inspector-title"></h2>
+			<button type="button" class="button-link abc-inspector-close" aria-label="<?php esc_attr_e('Close', 'autoblogcraft-ai'); ?>">
+				<span class="dashicons dashicons-no-alt"></span>
+			</button>
+		</div>
+		<div class="abc-inspector-body"></div>
+	</div>
 </div>
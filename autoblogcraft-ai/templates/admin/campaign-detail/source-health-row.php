@@ -0,0 +1,86 @@
+<?php
+/**
+ * Campaign Detail - Source Health Row Template
+ *
+ * One source health table row. Shared by the sources tab and the source
+ * actions, which replace the row after a re-test or status change.
+ *
+ * @package AutoBlogCraft_AI
+ * @subpackage Templates\Admin\Campaign_Detail
+ * @since 2.1.0
+ *
+ * @var array $source Source configuration
+ * @var array $health Source stats (see Source_Health::get())
+ */
+
+use AutoBlogCraft\Discovery\Source_Health;
+use AutoBlogCraft\Helpers\Template_Helpers;
+
+defined('ABSPATH') || exit;
+
+$statuses = Source_Health::get_statuses();
+$duplicate_rate = Source_Health::get_duplicate_rate($health);
+$http_status = $health['http_status'];
+?>
+<tr class="abc-source-health-row" data-source="<?php echo esc_attr(Source_Health::get_key($source)); ?>" data-status="<?php echo esc_attr($health['status']); ?>">
+	<td class="column-source column-primary" data-colname="<?php esc_attr_e('Source', 'autoblogcraft-ai'); ?>">
+		<span class="abc-source-type"><?php echo esc_html(strtoupper($source['type'] ?? 'url')); ?></span>
+		<a href="<?php echo esc_url($source['url']); ?>" target="_blank" rel="noopener" class="abc-source-url"><?php echo esc_html($source['url']); ?></a>
+		<?php if ($health['last_error']) : ?>
+			<div class="abc-source-error"><?php echo esc_html($health['last_error']); ?></div>
+		<?php endif; ?>
+	</td>
+	<td class="column-status" data-colname="<?php esc_attr_e('Status', 'autoblogcraft-ai'); ?>">
+		<span class="abc-status-badge status-<?php echo esc_attr($health['status']); ?>"><?php echo esc_html($statuses[$health['status']] ?? $health['status']); ?></span>
+		<?php if ($health['status'] === 'quarantined' && $health['quarantined_until']) : ?>
+			<br>
+			<?php /* translators: %s: date and time */ ?>
+			<small><?php echo esc_html(sprintf(__('Until %s', 'autoblogcraft-ai'), date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($health['quarantined_until'])))); ?></small>
+		<?php endif; ?>
+	</td>
+	<td class="column-last-fetch" data-colname="<?php esc_attr_e('Last Fetch', 'autoblogcraft-ai'); ?>">
+		<?php if ($health['last_fetch_at']) : ?>
+			<span title="<?php echo esc_attr($health['last_fetch_at']); ?>"><?php echo esc_html(Template_Helpers::format_relative_time($health['last_fetch_at'])); ?></span>
+		<?php else : ?>
+			<?php esc_html_e('Never', 'autoblogcraft-ai'); ?>
+		<?php endif; ?>
+	</td>
+	<td class="column-http" data-colname="<?php esc_attr_e('HTTP', 'autoblogcraft-ai'); ?>">
+		<?php if ($http_status === null) : ?>
+			—
+		<?php elseif ($http_status === 0) : ?>
+			<span class="abc-health-bad" title="<?php esc_attr_e('No response', 'autoblogcraft-ai'); ?>"><?php esc_html_e('None', 'autoblogcraft-ai'); ?></span>
+		<?php else : ?>
+			<span class="<?php echo $http_status >= 200 && $http_status < 300 ? 'abc-health-good' : 'abc-health-bad'; ?>"><?php echo esc_html($http_status); ?></span>
+		<?php endif; ?>
+	</td>
+	<td class="column-response" data-colname="<?php esc_attr_e('Response', 'autoblogcraft-ai'); ?>">
+		<?php if ($health['response_time'] === null) : ?>
+			—
+		<?php else : ?>
+			<?php /* translators: %s: response time in milliseconds */ ?>
+			<span class="<?php echo $health['response_time'] >= 5000 ? 'abc-health-warn' : ''; ?>"><?php echo esc_html(sprintf(__('%s ms', 'autoblogcraft-ai'), number_format_i18n($health['response_time']))); ?></span>
+		<?php endif; ?>
+	</td>
+	<td class="column-items" data-colname="<?php esc_attr_e('Items', 'autoblogcraft-ai'); ?>">
+		<?php echo $health['last_fetch_at'] ? esc_html(number_format_i18n($health['items'])) : '—'; ?>
+	</td>
+	<td class="column-duplicates" data-colname="<?php esc_attr_e('Duplicates', 'autoblogcraft-ai'); ?>">
+		<?php if ($duplicate_rate === null) : ?>
+			—
+		<?php else : ?>
+			<span class="<?php echo $duplicate_rate >= 0.9 ? 'abc-health-warn' : ''; ?>" title="<?php echo esc_attr(sprintf('%d / %d', $health['duplicates'], $health['items'])); ?>"><?php echo esc_html(round($duplicate_rate * 100) . '%'); ?></span>
+		<?php endif; ?>
+	</td>
+	<td class="column-failures" data-colname="<?php esc_attr_e('Failures', 'autoblogcraft-ai'); ?>">
+		<span class="<?php echo $health['failures'] ? 'abc-health-bad' : ''; ?>"><?php echo esc_html(number_format_i18n($health['failures'])); ?></span>
+	</td>
+	<td class="column-actions" data-colname="<?php esc_attr_e('Actions', 'autoblogcraft-ai'); ?>">
+		<button type="button" class="button button-small abc-source-action" data-action="test"><?php esc_html_e('Re-test', 'autoblogcraft-ai'); ?></button>
+		<?php if ($health['status'] === 'active') : ?>
+			<button type="button" class="button button-small abc-source-action" data-action="disabled"><?php esc_html_e('Disable', 'autoblogcraft-ai'); ?></button>
+		<?php else : ?>
+			<button type="button" class="button button-small abc-source-action" data-action="active"><?php esc_html_e('Enable', 'autoblogcraft-ai'); ?></button>
+		<?php endif; ?>
+	</td>
+</tr>
@@ -0,0 +1,82 @@
+<?php
+/**
+ * Campaign Detail - Source Health Template
+ *
+ * Per-source fetch stats on the sources tab, with re-test and
+ * enable/disable actions and the campaign's failure policy.
+ *
+ * @package AutoBlogCraft_AI
+ * @subpackage Templates\Admin\Campaign_Detail
+ * @since 2.1.0
+ *
+ * @var array $sources Configured sources, each with 'source' and 'health'
+ * @var array $policy  Failure policy (see Source_Health::sanitize_policy())
+ */
+
+use AutoBlogCraft\Discovery\Source_Health;
+
+defined('ABSPATH') || exit;
+
+$sources = $sources ?? [];
+$policy = $policy ?? Source_Health::get_policy_defaults();
+?>
+
+<div class="abc-editor-section abc-source-health" id="abc-source-health">
+	<div class="abc-source-health-header">
+		<h2><?php esc_html_e('Source Health', 'autoblogcraft-ai'); ?></h2>
+		<?php if ($sources) : ?>
+			<button type="button" class="button abc-source-test-all">
+				<span class="dashicons dashicons-update"></span>
+				<?php esc_html_e('Re-test All', 'autoblogcraft-ai'); ?>
+			</button>
+		<?php endif; ?>
+	</div>
+	<p class="description"><?php esc_html_e('How each source did on its last fetch. Items and duplicates count what the source yielded; duplicates were already queued or published.', 'autoblogcraft-ai'); ?></p>
+
+	<?php if ($sources) : ?>
+		<table class="wp-list-table widefat fixed striped abc-source-health-table">
+			<thead>
+				<tr>
+					<th scope="col" class="column-source column-primary"><?php esc_html_e('Source', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-status"><?php esc_html_e('Status', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-last-fetch"><?php esc_html_e('Last Fetch', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-http"><?php esc_html_e('HTTP', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-response"><?php esc_html_e('Response', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-items"><?php esc_html_e('Items', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-duplicates"><?php esc_html_e('Duplicates', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-failures"><?php esc_html_e('Failures', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-actions"><?php esc_html_e('Actions', 'autoblogcraft-ai'); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ($sources as $row) : ?>
+					<?php
+					$source = $row['source'];
+					$health = $row['health'];
+					include __DIR__ . '/source-health-row.php';
+					?>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+	<?php else : ?>
+		<p><?php esc_html_e('Save the campaign with at least one source to see its health here.', 'autoblogcraft-ai'); ?></p>
+	<?php endif; ?>
+
+	<div class="abc-form-row abc-source-health-policy">
+		<label class="abc-form-label"><?php esc_html_e('Failing Sources', 'autoblogcraft-ai'); ?></label>
+		<?php esc_html_e('After', 'autoblogcraft-ai'); ?>
+		<input type="number" name="source_health[failure_threshold]" class="small-text" min="0" max="100" value="<?php echo esc_attr($policy['failure_threshold']); ?>">
+		<?php esc_html_e('failed fetches in a row,', 'autoblogcraft-ai'); ?>
+		<select name="source_health[failure_action]">
+			<?php foreach (Source_Health::get_failure_actions() as $action => $label) : ?>
+				<option value="<?php echo esc_attr($action); ?>" <?php selected($policy['failure_action'], $action); ?>><?php echo esc_html($label); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<span class="abc-source-quarantine-hours<?php echo $policy['failure_action'] !== 'quarantine' ? ' abc-hidden' : ''; ?>">
+			<?php esc_html_e('for', 'autoblogcraft-ai'); ?>
+			<input type="number" name="source_health[quarantine_hours]" class="small-text" min="1" max="720" value="<?php echo esc_attr($policy['quarantine_hours']); ?>">
+			<?php esc_html_e('hours', 'autoblogcraft-ai'); ?>
+		</span>
+		<p class="description"><?php esc_html_e('0 never takes a source out of discovery. A quarantined source is tried again once its quarantine ends; a disabled one waits until you enable it.', 'autoblogcraft-ai'); ?></p>
+	</div>
+</div>
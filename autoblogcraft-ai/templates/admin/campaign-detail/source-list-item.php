@@ -0,0 +1,82 @@
+<?php
+/**
+ * Campaign Detail - Source List Item Template
+ *
+ * One source row. Also rendered once as a disabled template that
+ * campaign-detail.js clones for new rows, with __index__ in its field names.
+ *
+ * @package AutoBlogCraft_AI
+ * @subpackage Templates\Admin\Campaign_Detail
+ * @since 2.1.0
+ *
+ * @var array      $source     Source configuration
+ * @var int|string $index      Row index used in field names
+ * @var WP_Term[]  $categories Categories to pick from
+ * @var WP_User[]  $authors    Authors to pick from
+ * @var bool       $template   Whether this is the hidden row template
+ */
+
+use AutoBlogCraft\Campaigns\Source_Overrides;
+
+defined('ABSPATH') || exit;
+
+$template = $template ?? false;
+$overrides = Source_Overrides::get($source);
+$has_overrides = $overrides != Source_Overrides::get_defaults();
+$name = 'sources[' . $index . ']';
+?>
+<div class="<?php echo $template ? 'abc-source-template abc-hidden' : 'abc-source-item'; ?>">
+	<div class="abc-source-item-main">
+		<select name="<?php echo esc_attr($name); ?>[type]" data-field="type" aria-label="<?php esc_attr_e('Source type', 'autoblogcraft-ai'); ?>" <?php disabled($template); ?>>
+			<?php foreach (Source_Overrides::get_types() as $type => $label) : ?>
+				<option value="<?php echo esc_attr($type); ?>" <?php selected($source['type'] ?? 'rss', $type); ?>><?php echo esc_html($label); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<input type="url" name="<?php echo esc_attr($name); ?>[url]" data-field="url" class="regular-text" placeholder="https://example.com/feed" value="<?php echo esc_attr($source['url'] ?? ''); ?>" aria-label="<?php esc_attr_e('Source URL', 'autoblogcraft-ai'); ?>" <?php disabled($template); ?>>
+		<input type="text" name="<?php echo esc_attr($name); ?>[name]" data-field="name" placeholder="<?php esc_attr_e('Name (optional)', 'autoblogcraft-ai'); ?>" value="<?php echo esc_attr($source['name'] ?? ''); ?>" <?php disabled($template); ?>>
+		<button type="button" class="abc-toggle-source-overrides button" aria-expanded="<?php echo $has_overrides ? 'true' : 'false'; ?>">
+			<?php esc_html_e('Overrides', 'autoblogcraft-ai'); ?>
+		</button>
+		<button type="button" class="abc-remove-source button" aria-label="<?php esc_attr_e('Remove source', 'autoblogcraft-ai'); ?>">
+			<span class="dashicons dashicons-minus"></span>
+		</button>
+	</div>
+
+	<div class="abc-source-overrides<?php echo $has_overrides ? '' : ' abc-hidden'; ?>">
+		<label>
+			<?php esc_html_e('Category', 'autoblogcraft-ai'); ?>
+			<select name="<?php echo esc_attr($name); ?>[category]" data-field="category" <?php disabled($template); ?>>
+				<option value="0"><?php esc_html_e('Campaign category', 'autoblogcraft-ai'); ?></option>
+				<?php foreach ($categories as $category) : ?>
+					<option value="<?php echo esc_attr($category->term_id); ?>" <?php selected($overrides['category'], $category->term_id); ?>><?php echo esc_html($category->name); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</label>
+		<label>
+			<?php esc_html_e('Author', 'autoblogcraft-ai'); ?>
+			<select name="<?php echo esc_attr($name); ?>[author]" data-field="author" <?php disabled($template); ?>>
+				<option value="0"><?php esc_html_e('Campaign author', 'autoblogcraft-ai'); ?></option>
+				<?php foreach ($authors as $author) : ?>
+					<option value="<?php echo esc_attr($author->ID); ?>" <?php selected($overrides['author'], $author->ID); ?>><?php echo esc_html($author->display_name); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</label>
+		<label>
+			<?php esc_html_e('Tags', 'autoblogcraft-ai'); ?>
+			<input type="text" name="<?php echo esc_attr($name); ?>[tags]" data-field="tags" placeholder="<?php esc_attr_e('Comma separated', 'autoblogcraft-ai'); ?>" value="<?php echo esc_attr(implode(', ', $overrides['tags'])); ?>" <?php disabled($template); ?>>
+		</label>
+		<label>
+			<?php esc_html_e('Max Items Per Run', 'autoblogcraft-ai'); ?>
+			<input type="number" name="<?php echo esc_attr($name); ?>[max_items]" data-field="max_items" class="small-text" min="0" max="<?php echo esc_attr(Source_Overrides::MAX_ITEMS); ?>" value="<?php echo esc_attr($overrides['max_items']); ?>" <?php disabled($template); ?>>
+		</label>
+		<label>
+			<?php esc_html_e('Include Keywords', 'autoblogcraft-ai'); ?>
+			<input type="text" name="<?php echo esc_attr($name); ?>[include_keywords]" data-field="include_keywords" placeholder="<?php esc_attr_e('Any of, comma separated', 'autoblogcraft-ai'); ?>" value="<?php echo esc_attr(implode(', ', $overrides['include_keywords'])); ?>" <?php disabled($template); ?>>
+		</label>
+		<label>
+			<?php esc_html_e('Exclude Keywords', 'autoblogcraft-ai'); ?>
+			<input type="text" name="<?php echo esc_attr($name); ?>[exclude_keywords]" data-field="exclude_keywords" placeholder="<?php esc_attr_e('None of, comma separated', 'autoblogcraft-ai'); ?>" value="<?php echo esc_attr(implode(', ', $overrides['exclude_keywords'])); ?>" <?php disabled($template); ?>>
+		</label>
+		<p class="description"><?php esc_html_e('0 items means no cap. Keywords are matched against the title and excerpt.', 'autoblogcraft-ai'); ?></p>
+	</div>
+</div>
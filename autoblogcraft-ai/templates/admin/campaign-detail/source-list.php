@@ -0,0 +1,50 @@
+<?php
+/**
+ * Campaign Detail - Source List Template
+ *
+ * The website campaign's sources, one row each, with optional per-source
+ * overrides for category, author, tags, item cap and keyword filters.
+ * Rows are added, removed and saved by campaign-detail.js.
+ *
+ * @package AutoBlogCraft_AI
+ * @subpackage Templates\Admin\Campaign_Detail
+ * @since 2.1.0
+ *
+ * @var array     $sources    Configured sources
+ * @var WP_Term[] $categories Categories to pick from
+ * @var WP_User[] $authors    Authors to pick from
+ */
+
+defined('ABSPATH') || exit;
+
+$sources = $sources ?? [];
+$categories = $categories ?? [];
+$authors = $authors ?? [];
+?>
+
+<div class="abc-editor-section abc-sources-container" id="abc-source-list">
+	<h2><?php esc_html_e('Sources', 'autoblogcraft-ai'); ?></h2>
+	<p class="description"><?php esc_html_e('Feeds, sitemaps and pages to discover content from. Overrides replace the campaign\'s category and author for posts from that source; tags are added to the campaign\'s.', 'autoblogcraft-ai'); ?></p>
+	<input type="hidden" name="source_list" value="1">
+
+	<div class="abc-sources-list" data-next-index="<?php echo esc_attr(count($sources)); ?>">
+		<?php foreach (array_values($sources) as $index => $source) : ?>
+			<?php include __DIR__ . '/source-list-item.php'; ?>
+		<?php endforeach; ?>
+	</div>
+
+	<?php
+	$index = '__index__';
+	$source = [];
+	$template = true;
+	include __DIR__ . '/source-list-item.php';
+	?>
+
+	<p class="abc-sources-actions">
+		<button type="button" class="abc-add-source button">
+			<span class="dashicons dashicons-plus-alt"></span>
+			<?php esc_html_e('Add Source', 'autoblogcraft-ai'); ?>
+		</button>
+		<button type="button" class="abc-save-sources button button-primary"><?php esc_html_e('Save Sources', 'autoblogcraft-ai'); ?></button>
+	</p>
+</div>
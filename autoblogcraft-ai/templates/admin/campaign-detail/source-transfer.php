@@ -0,0 +1,74 @@
+<?php
+/**
+ * Campaign Detail - Source Import/Export Template
+ *
+ * OPML and CSV import with a preview, and export links, on the sources tab.
+ * The preview table is filled in by campaign-detail.js.
+ *
+ * @package AutoBlogCraft_AI
+ * @subpackage Templates\Admin\Campaign_Detail
+ * @since 2.1.0
+ *
+ * @var int   $campaign_id    Campaign ID
+ * @var array $accepted_types Labels of the source types the campaign accepts
+ * @var int   $source_count   Number of sources the campaign has
+ */
+
+use AutoBlogCraft\Campaigns\Source_Transfer;
+
+defined('ABSPATH') || exit;
+
+$accepted_types = $accepted_types ?? [];
+$source_count = $source_count ?? 0;
+?>
+
+<div class="abc-editor-section abc-source-transfer" id="abc-source-transfer">
+	<h2><?php esc_html_e('Import & Export Sources', 'autoblogcraft-ai'); ?></h2>
+
+	<div class="abc-form-row">
+		<label class="abc-form-label" for="abc-source-import-file"><?php esc_html_e('Import', 'autoblogcraft-ai'); ?></label>
+		<input type="file" id="abc-source-import-file" accept=".opml,.xml,.csv,.txt">
+		<button type="button" class="button abc-source-import-preview" disabled><?php esc_html_e('Preview', 'autoblogcraft-ai'); ?></button>
+		<span class="abc-source-import-status"></span>
+		<p class="description">
+			<?php
+			/* translators: %s: list of source types */
+			echo esc_html(sprintf(__('OPML from a feed reader (folders become post categories) or CSV with type, value, name and category columns. This campaign takes: %s.', 'autoblogcraft-ai'), implode(', ', $accepted_types)));
+			?>
+		</p>
+	</div>
+
+	<div class="abc-source-import-review abc-hidden">
+		<p class="abc-source-import-summary"></p>
+		<table class="wp-list-table widefat fixed striped abc-source-import-table">
+			<thead>
+				<tr>
+					<td class="manage-column check-column"><input type="checkbox" class="abc-source-import-all" checked aria-label="<?php esc_attr_e('Select all new sources', 'autoblogcraft-ai'); ?>"></td>
+					<th scope="col" class="column-type"><?php esc_html_e('Type', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-value"><?php esc_html_e('Source', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-category"><?php esc_html_e('Category', 'autoblogcraft-ai'); ?></th>
+					<th scope="col" class="column-status"><?php esc_html_e('Status', 'autoblogcraft-ai'); ?></th>
+				</tr>
+			</thead>
+			<tbody></tbody>
+		</table>
+		<p>
+			<button type="button" class="button button-primary abc-source-import-run"><?php esc_html_e('Import Selected', 'autoblogcraft-ai'); ?></button>
+			<span class="description"><?php esc_html_e('Imported sources are saved right away; unsaved changes on this tab are discarded.', 'autoblogcraft-ai'); ?></span>
+		</p>
+	</div>
+
+	<div class="abc-form-row">
+		<label class="abc-form-label"><?php esc_html_e('Export', 'autoblogcraft-ai'); ?></label>
+		<?php if ($source_count) : ?>
+			<?php foreach (array_keys(Source_Transfer::FORMATS) as $format) : ?>
+				<a class="button" href="<?php echo esc_url(wp_nonce_url(add_query_arg(['action' => 'abc_export_sources', 'campaign_id' => $campaign_id, 'format' => $format], admin_url('admin-post.php')), 'abc_export_sources', 'nonce')); ?>">
+					<span class="dashicons dashicons-download"></span>
+					<?php echo esc_html(strtoupper($format)); ?>
+				</a>
+			<?php endforeach; ?>
+		<?php else : ?>
+			<span class="description"><?php esc_html_e('This campaign has no saved sources yet.', 'autoblogcraft-ai'); ?></span>
+		<?php endif; ?>
+	</div>
+</div>
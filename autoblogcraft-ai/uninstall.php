@@ -26,6 +26,8 @@ if (!$keep_data) {
     $wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}abc_translation_cache");
     $wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}abc_logs");
     $wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}abc_seo_settings");
+    $wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}abc_queue_attempts");
+    $wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}abc_campaign_metrics");
 
     // Delete all campaign posts
     $campaigns = get_posts([
@@ -46,6 +48,17 @@ if (!$keep_data) {
     delete_option('abc_log_retention_days');
     delete_option('abc_cache_ttl_days');
     delete_option('abc_keep_data_on_uninstall');
+    delete_option('abc_prompt_templates');
+
+    // Queue batch jobs and their step locks (one per campaign)
+    $wpdb->query($wpdb->prepare(
+        "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s",
+        $wpdb->esc_like('abc_queue_batch_') . '%'
+    ));
+
+    // Per-user campaign drafts and filter presets
+    delete_metadata('user', 0, '_abc_campaign_drafts', '', true);
+    delete_metadata('user', 0, '_abc_filter_presets', '', true);
 
     // Clear scheduled hooks (Action Scheduler)
     if (function_exists('as_unschedule_all_actions')) {